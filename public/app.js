@@ -1,7 +1,9 @@
 // Producers–Consumers visualization — robust per-entity timers, correct animation endpoints,
-// buffer lock for sync mode, stable slot placement, strict inFlight handling.
+// buffer lock / semaphores for the sync modes, stable slot placement, strict inFlight handling.
 // Updated: brighter pseudocode highlights, transfer-speed parameter (controls movement speed),
 // and slightly larger buffer slots for improved readability.
+// The simulation state machine now lives in engine/ (DOM-free, also runs in Node);
+// this file subscribes to its events and renders them.
 
 // ---------- Screen switching ----------
 function openSimulation(type) {
@@ -12,8 +14,13 @@ function openSimulation(type) {
   home.style.display = 'none';
   sim.style.display = 'block';
 
-  if (type === 'producerConsumer') {
-    title.textContent = 'Producers–Consumers Visualization';
+  if (type === 'producerConsumer' || problemViews[type]) {
+    currentProblem = type;
+    const view = activeView();
+    title.textContent = view ? view.title : 'Producers–Consumers Visualization';
+    const picker = document.getElementById('problem-select');
+    if (picker) picker.value = type;
+    applyProblemChrome(view);
     resetProducerConsumer();
   } else {
     title.textContent = 'Coming soon: ' + type;
@@ -34,109 +41,102 @@ const producerColors = [
   '#a855f7', '#06b6d4', '#f97373', '#4ade80', '#60a5fa'
 ];
 
-let producers = [];
-let consumers = [];
-let buffer = [];
-let bufferCapacity = 8;
+// The simulation itself lives in engine/*.js (no DOM); this file only renders it.
+let sim = new OSEngine.ProducerConsumerSim();
 
-let itemsCount = 0;
-let writeIndex = 0;
-let readIndex = 0;
-
-let syncMode = 'sync';
-
-let isRunning = false;
-let isPaused = false;
-
-let producerDelay = 800;
-let consumerDelay = 1000;
+// DOM handles per entity, index-aligned with sim.producers / sim.consumers
+let producerViews = [];
+let consumerViews = [];
 
 let animationContainer = null;
 
-// New: turn indices to enforce cyclic round-robin behavior
-let nextProducerTurn = 0; // index into producers[]
-let nextConsumerTurn = 0; // index into consumers[]
+function producerColor(id) {
+  return producerColors[(id - 1) % producerColors.length];
+}
 
-// NEW: Transfer speed multiplier (controls movement speed of items)
-let transferSpeed = 1.0;
+// ---------- Problem views ----------
+// Producers–Consumers is drawn by the functions in this file. Other problems
+// register a view (see readers-writers.js) supplying their engine, control
+// labels and renderers; the clock loop, stepping, status log and trace
+// export stay shared.
+const problemViews = {};
+let currentProblem = 'producerConsumer';
 
-// ---------- Robust mutex + condition variables (for SYNC mode) ----------
-class MutexWithConditions {
-  constructor() {
-    this.locked = false;
-    this.waiters = []; // FIFO queue of { resolve, owner }
-    this.conditions = new Map(); // Map<condName, Array<resumeFunction>>
-    this.owner = null; // string like 'P1' or 'C2' while locked
-  }
+function registerProblemView(type, view) {
+  problemViews[type] = view;
+}
 
-  tryAcquire(owner) {
-    if (!this.locked) {
-      this.locked = true;
-      this.owner = owner || null;
-      return true;
-    }
-    return false;
-  }
+// the view for the open problem, or null for Producers–Consumers
+function activeView() {
+  return problemViews[currentProblem] || null;
+}
 
-  acquire(owner) {
-    if (!this.locked) {
-      this.locked = true;
-      this.owner = owner || null;
-      return Promise.resolve();
-    }
-    return new Promise((res) => {
-      this.waiters.push({ res, owner });
-    }).then(() => {
-      this.locked = true;
-      this.owner = owner || null;
-    });
-  }
+// Control labels, legend and metrics as the markup ships them (Producers–
+// Consumers), captured the first time another problem relabels them.
+let pcChrome = null;
 
-  release() {
-    if (this.waiters.length > 0) {
-      const next = this.waiters.shift();
-      setTimeout(() => {
-        try { next.res(); } catch (e) { console.error(e); }
-      }, 0);
-      // owner will be set when that acquire resolves
-    } else {
-      this.locked = false;
-      this.owner = null;
-    }
-  }
+function captureChrome() {
+  const labels = {};
+  document.querySelectorAll('.controls label[for]').forEach(l => { labels[l.htmlFor] = l.textContent; });
+  const modeEl = document.getElementById('sync-mode');
+  return {
+    labels,
+    syncOptions: modeEl.innerHTML,
+    syncValue: modeEl.value,
+    columns: Array.from(document.querySelectorAll('.column-title')).map(el => el.textContent),
+    legend: document.querySelector('.legend-list').innerHTML,
+    metrics: document.getElementById('metrics-body').innerHTML,
+    hint: document.querySelector('.hint').textContent
+  };
+}
 
-  wait(condName, owner) {
-    if (!this.conditions.has(condName)) this.conditions.set(condName, []);
-    return new Promise((resolve) => {
-      const resume = async () => {
-        await this.acquire(owner);
-        resolve();
-      };
-      this.conditions.get(condName).push(resume);
-      this.release();
-    });
-  }
+// Relabels the shared controls and panels for `view` (null restores them).
+// view.chrome: { labels: {inputId: text}, hidden: [inputId], syncOptions:
+// [[value, text]], columns: [left, right], legend, metrics, hint, layout }
+function applyProblemChrome(view) {
+  if (!pcChrome) pcChrome = captureChrome();
+  const c = view ? view.chrome : {};
+
+  Object.keys(pcChrome.labels).forEach(id => {
+    const label = document.querySelector(`.controls label[for="${id}"]`);
+    const input = document.getElementById(id);
+    const hidden = !!(c.hidden && c.hidden.includes(id));
+    label.textContent = (c.labels && c.labels[id]) || pcChrome.labels[id];
+    label.style.display = hidden ? 'none' : '';
+    if (input) input.style.display = hidden ? 'none' : '';
+  });
 
-  notify(condName) {
-    const q = this.conditions.get(condName);
-    if (q && q.length > 0) {
-      const resume = q.shift();
-      setTimeout(() => resume(), 0);
-    }
+  const modeEl = document.getElementById('sync-mode');
+  if (c.syncOptions) {
+    modeEl.innerHTML = c.syncOptions.map(([value, text]) => `<option value="${value}">${escapeHtml(text)}</option>`).join('');
+  } else {
+    modeEl.innerHTML = pcChrome.syncOptions;
+    modeEl.value = pcChrome.syncValue;
   }
 
-  notifyAll(condName) {
-    const q = this.conditions.get(condName);
-    if (q && q.length > 0) {
-      while (q.length > 0) {
-        const resume = q.shift();
-        setTimeout(() => resume(), 0);
-      }
-    }
-  }
-}
+  const columns = c.columns || pcChrome.columns;
+  document.querySelectorAll('.column-title').forEach((el, i) => { el.textContent = columns[i]; });
+  document.querySelector('.legend-list').innerHTML = c.legend || pcChrome.legend;
+  document.getElementById('metrics-body').innerHTML = c.metrics || pcChrome.metrics;
+  document.querySelector('.hint').textContent = c.hint || pcChrome.hint;
+
+  // the pseudocode switch, scenarios, share link, robust mutex, thread timing, live scaling, race report, charts and timeline only exist for Producers–Consumers
+  const pcodeSwitch = document.querySelector('.pseudocode-mode');
+  if (pcodeSwitch) pcodeSwitch.style.display = view ? 'none' : '';
+  ['scenario-controls', 'share-controls', 'robust-mutex-option', 'timing-panel', 'producer-scale', 'consumer-scale', 'race-report',
+    'charts-panel', 'timeline-panel'].forEach(id => {
+    const el = document.getElementById(id);
+    if (el) el.style.display = view ? 'none' : '';
+  });
 
-let bufferMutex = new MutexWithConditions();
+  // a problem may bring its own controls and layout (data-problem="<type>");
+  // chrome.layout: true replaces the producers | ring | consumers row with it
+  document.querySelector('.pc-layout').style.display = c.layout ? 'none' : '';
+  if (view) setBufferShape(null);
+  document.querySelectorAll('[data-problem]').forEach(el => {
+    el.style.display = el.dataset.problem === currentProblem ? '' : 'none';
+  });
+}
 
 // ---------- Read inputs ----------
 function readPCInputs() {
@@ -146,49 +146,90 @@ function readPCInputs() {
   const prodDelayEl = document.getElementById('producer-delay');
   const consDelayEl = document.getElementById('consumer-delay');
   const modeEl = document.getElementById('sync-mode');
+  const policyEl = document.getElementById('sched-policy');
+  const typeEl = document.getElementById('buffer-type');
+  const robustEl = document.getElementById('robust-mutex');
   const transferEl = document.getElementById('transfer-speed');
+  const seedEl = document.getElementById('seed');
+
+  // clamping to the allowed ranges happens in OSEngine.normalizeConfig
+  return OSEngine.normalizeConfig({
+    bufferCapacity: capEl && capEl.value,
+    producers: prodCountEl && prodCountEl.value,
+    consumers: consCountEl && consCountEl.value,
+    producerDelay: prodDelayEl && prodDelayEl.value,
+    consumerDelay: consDelayEl && consDelayEl.value,
+    syncMode: modeEl && modeEl.value,
+    policy: policyEl && policyEl.value,
+    bufferType: typeEl && typeEl.value,
+    robustMutex: !!(robustEl && robustEl.checked),
+    timings: readTimingInputs(), // the per-thread timing panel (timing.js)
+    transferSpeed: transferEl && transferEl.value,
+    seed: seedEl && seedEl.value.trim() // blank -> fresh random seed
+  });
+}
 
-  const cap = parseInt(capEl && capEl.value, 10);
-  const prodCount = parseInt(prodCountEl && prodCountEl.value, 10);
-  const consCount = parseInt(consCountEl && consCountEl.value, 10);
-  const prodDelay = parseInt(prodDelayEl && prodDelayEl.value, 10);
-  const consDelay = parseInt(consDelayEl && consDelayEl.value, 10);
-  const mode = modeEl && modeEl.value;
-
-  bufferCapacity = isNaN(cap) ? 8 : Math.max(1, Math.min(20, cap));
-  const producersNum = isNaN(prodCount) ? 1 : Math.max(1, Math.min(12, prodCount));
-  const consumersNum = isNaN(consCount) ? 1 : Math.max(1, Math.min(12, consCount));
-
-  producerDelay = isNaN(prodDelay) ? 800 : Math.max(50, prodDelay);
-  consumerDelay = isNaN(consDelay) ? 1000 : Math.max(50, consDelay);
-
-  syncMode = mode === 'nosync' ? 'nosync' : 'sync';
+function readInputs() {
+  const view = activeView();
+  return view ? view.readInputs() : readPCInputs();
+}
 
-  // Read transfer speed (multiplier). Controls movement durations.
-  if (transferEl) {
-    const v = parseFloat(transferEl.value);
-    if (!isNaN(v)) {
-      transferSpeed = Math.max(0.1, Math.min(6.0, v));
-    }
-  }
+// ---------- Simulation wiring ----------
+function createSimulation(config) {
+  const view = activeView();
+  attachView(view ? view.createSim(config) : new OSEngine.ProducerConsumerSim(config));
+  hideReplayBar();
+}
 
-  return { producersNum, consumersNum };
+// Points every renderer at `model` — a live ProducerConsumerSim or a
+// TraceReplay, which expose the same fields and events.
+function attachView(model) {
+  if (sim) sim.stop();
+  clearParticles();
+  sim = model;
+
+  sim.on('entities', () => renderEntities());
+  sim.on('buffer', () => updateCircularBuffer());
+  sim.on('message', text => addMessage(text));
+  sim.on('transfer', ev => animateTransferEvent(ev));
+  sim.on('restore', () => {
+    rebuildParticles();
+    renderRaceReport();
+    trimCharts();
+    if (!sim.deadlock) hideWaitForGraph();
+  });
+  sim.on('violations', list => onViolations(list));
+  sim.on('deadlock', info => onDeadlock(info));
+  sim.on('syncMode', mode => showPseudocodeFor(mode));
+  hideWaitForGraph();
+  renderRaceReport();
+  resetCharts();
+  resetGantt();
+
+  buildEntities();
+  updateCircularBuffer();
+  // the pseudocode follows the model's buffer type
+  renderPseudocode();
 }
 
 // ---------- Build UI entities ----------
-function buildEntities(numProd, numCons) {
+function buildEntities() {
+  ensureAnimationContainer();
+  const view = activeView();
+  if (view) {
+    view.build();
+    return;
+  }
+
   const prodCol = document.getElementById('producers-column');
   const consCol = document.getElementById('consumers-column');
   prodCol.innerHTML = '';
   consCol.innerHTML = '';
 
-  producers = [];
-  consumers = [];
-
-  for (let i = 0; i < numProd; i++) {
-    const id = i + 1;
-    const color = producerColors[i % producerColors.length];
+  producerViews = [];
+  consumerViews = [];
 
+  sim.producers.forEach(p => {
     const el = document.createElement('div');
     el.classList.add('entity', 'producer');
 
@@ -197,7 +238,7 @@ function buildEntities(numProd, numCons) {
 
     const label = document.createElement('div');
     label.classList.add('entity-label');
-    label.textContent = `P${id} (0)`;
+    label.textContent = `P${p.id} (0)`;
 
     const itemSpan = document.createElement('span');
     itemSpan.classList.add('entity-item');
@@ -206,26 +247,20 @@ function buildEntities(numProd, numCons) {
     el.appendChild(shape);
     el.appendChild(label);
     el.appendChild(itemSpan);
+    el.addEventListener('click', () => crashEntity(p.key));
     prodCol.appendChild(el);
 
-    producers.push({
-      id,
-      color,
-      count: 0,
-      state: 'idle',
-      hasItem: false,
-      inFlight: false,
+    producerViews.push({
+      id: p.id,
+      color: producerColor(p.id),
       el,
       shapeEl: shape,
       labelEl: label,
-      itemEl: itemSpan,
-      timer: null
+      itemEl: itemSpan
     });
-  }
-
-  for (let j = 0; j < numCons; j++) {
-    const id = j + 1;
+  });
 
+  sim.consumers.forEach(c => {
     const el = document.createElement('div');
     el.classList.add('entity', 'consumer');
 
@@ -234,24 +269,26 @@ function buildEntities(numProd, numCons) {
 
     const label = document.createElement('div');
     label.classList.add('entity-label');
-    label.textContent = `C${id} (0)`;
+    label.textContent = `C${c.id} (0)`;
 
     el.appendChild(shape);
     el.appendChild(label);
+    el.addEventListener('click', () => crashEntity(c.key));
     consCol.appendChild(el);
 
-    consumers.push({
-      id,
-      count: 0,
-      state: 'idle',
-      inFlight: false,
+    consumerViews.push({
+      id: c.id,
       el,
       shapeEl: shape,
-      labelEl: label,
-      timer: null
+      labelEl: label
     });
-  }
+  });
 
+  renderEntities();
+  renderPseudocode();
+}
+
+function ensureAnimationContainer() {
   if (!animationContainer) {
     animationContainer = document.createElement('div');
     animationContainer.id = 'animation-container';
@@ -264,225 +301,484 @@ function buildEntities(numProd, numCons) {
     animationContainer.style.zIndex = '10000';
     document.body.appendChild(animationContainer);
   }
-
-  renderEntities();
-  renderPseudocode();
 }
 
 // ---------- Start / Pause / Resume / Reset ----------
-function startProducerConsumer() {
-  if (isRunning) {
+const SYNC_MODE_LABELS = { sync: 'SYNC', semaphore: 'SEMAPHORES', 'wrong-order': 'WRONG-ORDER', nosync: 'NO-SYNC' };
+
+function startProducerConsumer(opts) {
+  if (sim.isRunning && !sim.isReplay) {
     addMessage('Simulation already running.');
     return;
   }
 
-  const { producersNum, consumersNum } = readPCInputs();
-
-  buffer = new Array(bufferCapacity).fill(null);
-  itemsCount = 0;
-  writeIndex = 0;
-  readIndex = 0;
-
-  buildEntities(producersNum, consumersNum);
-  producers.forEach(p => {
-    p.count = 0;
-    p.hasItem = false;
-    p.state = 'idle';
-    p.inFlight = false;
-    p.timer = null;
-  });
-  consumers.forEach(c => {
-    c.count = 0;
-    c.state = 'idle';
-    c.inFlight = false;
-    c.timer = null;
-  });
-
-  nextProducerTurn = 0;
-  nextConsumerTurn = 0;
-
-  updateCircularBuffer();
-
-  isRunning = true;
-  isPaused = false;
-
-  bufferMutex = new MutexWithConditions();
+  createSimulation(readInputs());
 
   clearMessages();
-  addMessage(
-    `Started: ${producersNum} producer(s) @ ${producerDelay}ms, ${consumersNum} consumer(s) @ ${consumerDelay}ms, buffer=${bufferCapacity}, mode=${
-      syncMode === 'sync' ? 'SYNC' : 'NO-SYNC'
-    }, transferSpeed=${transferSpeed}`
-  );
+  const view = activeView();
+  if (view) {
+    addMessage(view.startMessage());
+  } else {
+    addMessage(
+      `Started: ${sim.producers.length} producer(s) @ ${sim.producerDelay}ms, ${sim.consumers.length} consumer(s) @ ${sim.consumerDelay}ms, buffer=${sim.bufferCapacity}, mode=${
+        SYNC_MODE_LABELS[sim.syncMode]
+      }, policy=${sim.policy}, transferSpeed=${sim.transferSpeed}, seed=${sim.seed}`
+    );
+  }
+
+  if (opts && opts.paused) {
+    sim.start();
+    sim.pause();
+    addMessage('⏸ Paused — use Step / Step Back to move one action at a time');
+    return;
+  }
 
   requestAnimationFrame(() => {
-    startEntityTimers();
+    sim.start();
   });
 }
 
 function pauseProducerConsumer() {
-  if (!isRunning || isPaused) return;
-  isPaused = true;
-  addMessage('⏸ Paused');
+  if (sim.pause()) addMessage('⏸ Paused');
 }
 
 function resumeProducerConsumer() {
-  if (!isRunning || !isPaused) return;
-  isPaused = false;
-  addMessage('▶ Resumed');
+  if (sim.resume()) addMessage('▶ Resumed');
 }
 
-function stopProducerConsumer() {
-  producers.forEach(p => {
-    if (p.timer) {
-      clearTimeout(p.timer);
-      p.timer = null;
-    }
-  });
-  consumers.forEach(c => {
-    if (c.timer) {
-      clearTimeout(c.timer);
-      c.timer = null;
-    }
-  });
+// ---------- Single-step / step-back ----------
+// Stepping freezes the clock; each press performs one atomic action.
+function stepProducerConsumer() {
+  if (!sim.isRunning) {
+    // start paused so the very first action can be inspected too
+    startProducerConsumer({ paused: true });
+  }
+  const ev = sim.step();
+  if (ev) addMessage(`⏭ Step: ${OSEngine.describeTraceEvent(ev)}`);
+  else if (sim.isReplay) addMessage('⏭ Step: end of trace.');
+  else addMessage('⏭ Step: no thread can make progress.');
+}
 
-  bufferMutex = new MutexWithConditions();
+function stepBackProducerConsumer() {
+  if (!sim.isRunning) return;
+  if (sim.stepBack()) addMessage(`⏪ Stepped back to t=${formatSimTime(sim.now())}`);
+  else addMessage('⏪ Nothing to step back to.');
+}
 
-  isRunning = false;
+function stopProducerConsumer() {
+  sim.stop();
 }
 
 function resetProducerConsumer() {
   stopProducerConsumer();
+  createSimulation(readInputs());
+  clearMessages();
+  addMessage('🔄 Reset complete. Set parameters and press Start.');
+}
 
-  const { producersNum, consumersNum } = readPCInputs();
+// ---------- Live scaling ----------
+// The +/− buttons next to the column titles spawn or retire a thread of the
+// running simulation; the count inputs keep what Reset starts with.
+function canScaleThreads() {
+  return !!sim && sim.isRunning && !sim.isReplay && !activeView();
+}
 
-  buffer = new Array(bufferCapacity).fill(null);
-  itemsCount = 0;
-  writeIndex = 0;
-  readIndex = 0;
+function scaleThreads(kind, delta) {
+  if (!canScaleThreads()) return;
+  const t = delta > 0 ? sim.spawnThread(kind) : sim.retireThread(kind);
+  if (!t) {
+    const limit = OSEngine.LIMITS[`${kind}s`];
+    addMessage(delta > 0 ? `Already ${limit.max} ${kind}s — that is the limit` : `The last ${kind} cannot be retired`);
+  }
+  if (!sim.deadlock) hideWaitForGraph();
+  refreshTimingRows();
+}
 
-  buildEntities(producersNum, consumersNum);
-  producers.forEach(p => {
-    p.count = 0;
-    p.hasItem = false;
-    p.state = 'idle';
-    p.inFlight = false;
-    p.timer = null;
-  });
-  consumers.forEach(c => {
-    c.count = 0;
-    c.state = 'idle';
-    c.inFlight = false;
-    c.timer = null;
+function updateScaleButtons() {
+  const live = canScaleThreads();
+  ['producer', 'consumer'].forEach(kind => {
+    const limit = OSEngine.LIMITS[`${kind}s`];
+    const active = live ? sim.activeThreads(kind).length : 0;
+    const spawn = document.getElementById(`spawn-${kind}`);
+    const retire = document.getElementById(`retire-${kind}`);
+    if (spawn) spawn.disabled = !live || active >= limit.max;
+    if (retire) retire.disabled = !live || active <= limit.min;
   });
+}
 
-  nextProducerTurn = 0;
-  nextConsumerTurn = 0;
+// Fault injection: a click on a thread of a live run kills it on the spot,
+// lock held or not.
+function crashEntity(key) {
+  if (!canScaleThreads() || !sim.crashThread(key)) return;
+  // the item it was carrying stops wherever it was
+  rebuildParticles();
+}
 
-  updateCircularBuffer();
-  clearMessages();
-  addMessage('🔄 Reset complete. Set parameters and press Start.');
+// marks the threads a click would crash
+function markCrashable(el, t) {
+  const crashable = canScaleThreads() && !t.crashed;
+  el.classList.toggle('crashable', crashable);
+  el.title = crashable ? `Click to crash ${t.key}` : '';
 }
 
-// ---------- Entity timer management ----------
-function startEntityTimers() {
-  producers.forEach(p => {
-    if (p.timer) {
-      clearTimeout(p.timer);
-      p.timer = null;
-    }
+// after a step back, in-flight items are whatever the restored threads carry
+function rebuildParticles() {
+  clearParticles();
+  sim.allThreads().forEach(t => {
+    if (t.transfer) animateTransferEvent(Object.assign({ actor: t.key }, t.transfer));
   });
-  consumers.forEach(c => {
-    if (c.timer) {
-      clearTimeout(c.timer);
-      c.timer = null;
+  updateParticles(sim.now());
+}
+
+// ---------- Trace replay ----------
+function loadTraceFile(file) {
+  if (!file) return;
+  const reader = new FileReader();
+  reader.onload = () => {
+    let doc;
+    try {
+      doc = OSEngine.parseTrace(reader.result);
+    } catch (err) {
+      addMessage(`❌ Could not load trace: ${err.message}`);
+      return;
     }
-  });
+    startReplay(doc, file.name);
+  };
+  reader.onerror = () => addMessage(`❌ Could not read ${file.name}`);
+  reader.readAsText(file);
+}
 
-  producers.forEach(p => {
-    const initial = Math.floor(Math.random() * Math.min(150, Math.max(10, producerDelay / 4)));
-    p.timer = setTimeout(function tickProducer() {
-      if (isRunning) {
-        if (!isPaused) {
-          producerStep(p.id).catch(err => console.error(err));
-        }
-        p.timer = setTimeout(tickProducer, producerDelay + Math.floor(Math.random() * 80));
-      }
-    }, initial);
-    console.debug(`Started timer for P${p.id}`);
-  });
+function startReplay(doc, name) {
+  // traces are Producers–Consumers runs
+  if (activeView()) openSimulation('producerConsumer');
+  attachView(new OSEngine.TraceReplay(doc));
+  applyConfigToInputs(sim.config);
+  showPseudocodeFor(sim.syncMode);
 
-  consumers.forEach(c => {
-    const initial = Math.floor(Math.random() * Math.min(150, Math.max(10, consumerDelay / 4)));
-    c.timer = setTimeout(function tickConsumer() {
-      if (isRunning) {
-        if (!isPaused) {
-          consumerStep(c.id).catch(err => console.error(err));
-        }
-        c.timer = setTimeout(tickConsumer, consumerDelay + Math.floor(Math.random() * 80));
-      }
-    }, initial);
-    console.debug(`Started timer for C${c.id}`);
-  });
+  clearMessages();
+  addMessage(`🎞 Loaded trace ${name}: ${sim.events.length} events over ${formatSimTime(sim.duration)}`);
+  if (sim.configInferred) addMessage('ℹ CSV trace has no config — thread counts and capacity were inferred from the events.');
+  addMessage('Pause / Resume control playback, Step / Step Back move one event, the slider jumps anywhere.');
+
+  showReplayBar(name);
+  sim.start();
 }
 
-// ---------- Speed changes ----------
-function applySpeeds() {
-  if (!isRunning) return;
+function exitReplay() {
+  if (!sim.isReplay) return;
+  resetProducerConsumer();
+}
 
-  const prodDelay = parseInt(document.getElementById('producer-delay').value, 10);
-  const consDelay = parseInt(document.getElementById('consumer-delay').value, 10);
-  const transferEl = document.getElementById('transfer-speed');
+// mirror a config into the Simulation Controls so Reset/Start re-run it live
+function applyConfigToInputs(config) {
+  const set = (id, value) => {
+    const el = document.getElementById(id);
+    if (el && value !== undefined && value !== null) el.value = String(value);
+  };
+  set('buffer-capacity', config.bufferCapacity);
+  set('num-producers', config.producers);
+  set('num-consumers', config.consumers);
+  set('producer-delay', config.producerDelay);
+  set('consumer-delay', config.consumerDelay);
+  set('sync-mode', config.syncMode);
+  set('sched-policy', config.policy);
+  set('buffer-type', config.bufferType);
+  const robustEl = document.getElementById('robust-mutex');
+  if (robustEl) robustEl.checked = !!config.robustMutex;
+  set('transfer-speed', config.transferSpeed);
+  set('seed', config.seed);
+  // a null seed (saved scenarios, shared links) means "random": leave it blank
+  const seedEl = document.getElementById('seed');
+  if (seedEl && config.seed === null) seedEl.value = '';
+  setTimingDraft(config.timings);
+}
 
-  producerDelay = isNaN(prodDelay) ? 800 : Math.max(50, prodDelay);
-  consumerDelay = isNaN(consDelay) ? 1000 : Math.max(50, consDelay);
+function showReplayBar(name) {
+  const bar = document.getElementById('replay-bar');
+  if (!bar) return;
+  bar.style.display = 'block';
+  document.getElementById('replay-file').textContent = name;
+  const scrubber = document.getElementById('replay-scrubber');
+  scrubber.max = String(Math.ceil(sim.duration));
+  scrubber.value = '0';
+  updateReplayBar();
+}
+
+function hideReplayBar() {
+  const bar = document.getElementById('replay-bar');
+  if (bar) bar.style.display = 'none';
+}
 
-  if (transferEl) {
-    const v = parseFloat(transferEl.value);
-    if (!isNaN(v)) transferSpeed = Math.max(0.1, Math.min(6.0, v));
+function updateReplayBar() {
+  const scrubber = document.getElementById('replay-scrubber');
+  const timeEl = document.getElementById('replay-time');
+  const eventEl = document.getElementById('replay-event');
+  if (!scrubber || !sim.isReplay) return;
+  // don't fight the user while they drag
+  if (document.activeElement !== scrubber) scrubber.value = String(Math.round(sim.now()));
+  timeEl.textContent = `${formatSimTime(sim.now())} / ${formatSimTime(sim.duration)}`;
+  eventEl.textContent = `event ${sim.cursor} / ${sim.events.length}`;
+}
+
+// ---------- Virtual clock driver ----------
+// Real elapsed time feeds the simulation clock; a long gap (hidden tab,
+// debugger) is capped so the run doesn't jump ahead in one frame.
+const MAX_FRAME_MS = 250;
+let lastFrameTime = null;
+
+function frameLoop(ts) {
+  if (lastFrameTime !== null && sim.isRunning && !sim.isPaused) {
+    sim.runFor(Math.min(MAX_FRAME_MS, ts - lastFrameTime));
   }
+  lastFrameTime = ts;
+  updateParticles(sim.now());
+  updateCharts();
+  renderGantt();
+  if (sim.isReplay) updateReplayBar();
+  requestAnimationFrame(frameLoop);
+}
 
-  startEntityTimers();
+requestAnimationFrame(frameLoop);
+
+// ---------- Speed changes ----------
+function applySpeeds() {
+  if (!sim.isRunning) return;
+
+  const { producerDelay, consumerDelay, transferSpeed } = readPCInputs();
+  sim.setSpeeds({ producerDelay, consumerDelay, transferSpeed });
 
   updateCircularBuffer();
 
-  addMessage(`⚡ Speed updated: producers=${producerDelay}ms, consumers=${consumerDelay}ms, transferSpeed=${transferSpeed}`);
+  addMessage(`⚡ Speed updated: producers=${sim.producerDelay}ms, consumers=${sim.consumerDelay}ms, transferSpeed=${sim.transferSpeed}`);
+}
+
+// a running buffer grows at once and shrinks once enough items have drained
+function applyCapacity() {
+  if (!sim.isRunning) return;
+  if (!sim.setCapacity(readPCInputs().bufferCapacity)) {
+    addMessage('🧺 An unbounded queue sizes itself — the capacity applies on Reset');
+    return;
+  }
+  if (!sim.deadlock) hideWaitForGraph();
 }
 
 let _applySpeedsTO = null;
+let _applyCapacityTO = null;
 document.addEventListener('input', (e) => {
   const id = e.target && e.target.id;
 
-  if (isRunning && (id === 'producer-delay' || id === 'consumer-delay' || id === 'transfer-speed')) {
+  // a replay only ever shows what was recorded
+  if (sim.isReplay) return;
+
+  const view = activeView();
+  if (view) {
+    if (view.onInput) view.onInput(id);
+    return;
+  }
+
+  if (sim.isRunning && (id === 'producer-delay' || id === 'consumer-delay' || id === 'transfer-speed')) {
     if (_applySpeedsTO) clearTimeout(_applySpeedsTO);
     _applySpeedsTO = setTimeout(() => applySpeeds(), 300);
   }
 
+  if (sim.isRunning && id === 'buffer-capacity') {
+    if (_applyCapacityTO) clearTimeout(_applyCapacityTO);
+    _applyCapacityTO = setTimeout(() => applyCapacity(), 300);
+  }
+
+  // the buffer is laid out differently per type, so a new type needs a new run
+  if (id === 'buffer-type') {
+    if (sim.isRunning) addMessage('🧺 The new buffer type applies on Reset');
+    else resetProducerConsumer();
+  }
+
+  if (id === 'robust-mutex') {
+    sim.setRobustMutex(e.target.checked);
+    if (sim.isRunning) {
+      addMessage(sim.robustMutex
+        ? '🩹 Robust mutex: a lock whose owner crashes passes on, and the next owner repairs the buffer'
+        : '🔒 Plain mutex: a lock whose owner crashes is never released');
+    }
+  }
+
+  if (id === 'sched-policy') {
+    sim.setPolicy(document.getElementById('sched-policy').value);
+    if (sim.isRunning) addMessage(`🎲 Scheduling policy: ${sim.policy}`);
+  }
+
   if (id === 'sync-mode') {
-    syncMode = document.getElementById('sync-mode').value === 'nosync' ? 'nosync' : 'sync';
-
-    if (isRunning) {
-      if (syncMode === 'nosync') {
-        producers.forEach(p => {
-          if (p.inFlight || p.hasItem) p.state = 'producing';
-          else p.state = 'idle';
-        });
-        consumers.forEach(c => {
-          if (c.inFlight || itemsCount > 0) c.state = 'consuming';
-          else c.state = 'idle';
-        });
-        renderEntities();
-        addMessage('⚠ Switched to NO-SYNC mode (only producing/consuming states shown)');
-      } else {
-        addMessage('🔒 Switched to SYNC mode');
-      }
+    const mode = document.getElementById('sync-mode').value;
+    // the engine announces the switch once it lands ('syncMode' event)
+    if (!sim.setSyncMode(mode)) {
+      addMessage(`⏳ Switching to ${SYNC_MODE_LABELS[mode]} once the operations under way finish`);
     }
   }
 });
 
-// ---------- Helper functions ----------
-function getProducerById(id) { return producers.find(p => p.id === id); }
-function getConsumerById(id) { return consumers.find(c => c.id === id); }
+// ---------- Race report ----------
+// The engine checks the buffer invariants after every deposit/consume. Each
+// violation is logged with the trace event that caused it; the report lists
+// the totals per kind and links back to those log lines (or, in a replay,
+// to the event itself).
+const VIOLATION_LABELS = {
+  lost: 'lost item',
+  'double-consume': 'consumed twice',
+  'empty-read': 'read from empty slot',
+  count: 'count ≠ occupied slots',
+  conservation: 'produced ≠ consumed + buffered'
+};
+
+// most recent violations listed in the report
+const RACE_REPORT_LIMIT = 50;
+
+function onViolations(list) {
+  list.forEach(v => {
+    const line = addMessage(`🚨 ${VIOLATION_LABELS[v.kind]}: ${v.detail} (event #${v.seq})`);
+    if (line) line.dataset.seq = String(v.seq);
+  });
+  renderRaceReport();
+}
+
+function renderRaceReport() {
+  const body = document.getElementById('race-report-body');
+  const total = document.getElementById('race-report-total');
+  if (!body || !total || !sim.raceReport) return;
+
+  const r = sim.raceReport();
+  total.textContent = r.total === 0 ? 'no violations' : `${r.total} violation(s)`;
+  total.classList.toggle('has-violations', r.total > 0);
+
+  const summary = `<div class="race-summary">Produced ${r.produced} · consumed ${r.consumed} · in buffer ${r.buffered}</div>`;
+  if (r.total === 0) {
+    body.innerHTML = `${summary}<div class="race-ok">✔ All invariants held so far</div>`;
+    return;
+  }
+
+  const rows = OSEngine.VIOLATION_KINDS.filter(kind => r.counts[kind] > 0).map(kind =>
+    `<tr><td>${escapeHtml(VIOLATION_LABELS[kind])}</td><td>${r.counts[kind]}</td><td>${escapeHtml(r.actors[kind].join(', '))}</td></tr>`
+  );
+  const shown = r.violations.slice(-RACE_REPORT_LIMIT);
+  const items = shown.map(v =>
+    `<li><a href="#" data-seq="${v.seq}">#${v.seq}</a> ${formatSimTime(v.time)} ${escapeHtml(VIOLATION_LABELS[v.kind])}: ${escapeHtml(v.detail)}</li>`
+  );
+  const more = r.total > shown.length ? `<div>Latest ${shown.length} of ${r.total}:</div>` : '';
+  body.innerHTML =
+    summary +
+    `<table class="race-table"><tr><th>Violation</th><th>Count</th><th>Actors</th></tr>${rows.join('')}</table>` +
+    more +
+    `<ol class="race-list">${items.join('')}</ol>`;
+}
+
+function jumpToViolation(seq) {
+  if (sim.isReplay) {
+    const index = sim.events.findIndex(ev => ev.seq === seq);
+    if (index >= 0) sim.seekIndex(index + 1);
+    return;
+  }
+  const line = document.querySelector(`#message-area [data-seq="${seq}"]`);
+  if (!line) {
+    const ev = sim.trace.find(e => e.seq === seq);
+    addMessage(`ℹ Event #${seq} has scrolled out of the log${ev ? `: ${OSEngine.describeTraceEvent(ev)}` : ''}`);
+    return;
+  }
+  line.scrollIntoView({ block: 'nearest' });
+  line.classList.add('log-flash');
+  setTimeout(() => line.classList.remove('log-flash'), 1500);
+}
+
+// ---------- Deadlock overlay ----------
+// The engine reports a deadlock once; the run pauses on it, the status log
+// says who waits on what and the stuck part of the wait-for graph is drawn
+// over the buffer.
+const WAIT_FOR_LABELS = {
+  lock: 'lock(mutex)',
+  notFull: 'notFull',
+  notEmpty: 'notEmpty',
+  mutex: 'wait(mutex)',
+  empty: 'wait(empty)',
+  full: 'wait(full)',
+  turn: 'turn'
+};
+
+function onDeadlock(info) {
+  sim.pause();
+  const dead = info.dead || [];
+  addMessage(dead.length > 0
+    ? `⏸ Paused on stall — ${info.threads.length - dead.length} thread(s) stuck behind crashed ${dead.join(', ')}:`
+    : `⏸ Paused on deadlock — ${info.threads.length} thread(s) involved${info.stall ? ' (global stall)' : ''}:`);
+  info.threads.forEach(key => {
+    const out = info.edges.filter(e => e.from === key);
+    if (out.length === 0) {
+      addMessage(`   ${key} crashed`);
+      return;
+    }
+    addMessage(`   ${key} blocked on ${WAIT_FOR_LABELS[out[0].via] || out[0].via}, waiting for ${out.map(e => e.to).join(', ')}`);
+  });
+  showWaitForGraph(info);
+}
+
+function showWaitForGraph(info) {
+  const overlay = document.getElementById('deadlock-overlay');
+  const svg = document.getElementById('deadlock-graph');
+  const caption = document.getElementById('deadlock-caption');
+  if (!overlay || !svg) return;
+
+  const size = 300;
+  const ring = 108;
+  const nodeR = 20;
+  const bend = 16; // curve A→B and B→A to opposite sides so both stay visible
+  const pos = {};
+  info.threads.forEach((key, i) => {
+    const angle = -Math.PI / 2 + (2 * Math.PI * i) / info.threads.length;
+    pos[key] = { x: size / 2 + ring * Math.cos(angle), y: size / 2 + ring * Math.sin(angle) };
+  });
+
+  const onCycle = new Set();
+  for (let i = 0; i + 1 < info.cycle.length; i++) onCycle.add(`${info.cycle[i]}>${info.cycle[i + 1]}`);
+
+  const n = v => v.toFixed(1);
+  const edges = info.edges.map(e => {
+    const a = pos[e.from];
+    const b = pos[e.to];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const ux = (b.x - a.x) / len;
+    const uy = (b.y - a.y) / len;
+    const cx = (a.x + b.x) / 2 - uy * bend;
+    const cy = (a.y + b.y) / 2 + ux * bend;
+    const sx = a.x + ux * nodeR;
+    const sy = a.y + uy * nodeR;
+    const ex = b.x - ux * (nodeR + 3);
+    const ey = b.y - uy * (nodeR + 3);
+    // label at the middle of the quadratic curve
+    const lx = (sx + 2 * cx + ex) / 4;
+    const ly = (sy + 2 * cy + ey) / 4;
+    const cls = onCycle.has(`${e.from}>${e.to}`) ? 'wfg-edge wfg-cycle' : 'wfg-edge';
+    return `<path class="${cls}" d="M${n(sx)} ${n(sy)} Q${n(cx)} ${n(cy)} ${n(ex)} ${n(ey)}" marker-end="url(#wfg-arrow)"></path>` +
+      `<text class="wfg-edge-label" x="${n(lx)}" y="${n(ly)}">${escapeHtml(WAIT_FOR_LABELS[e.via] || e.via)}</text>`;
+  });
+
+  const dead = info.dead || [];
+  const nodes = info.threads.map(key => {
+    const p = pos[key];
+    const kind = key[0] === 'P' ? 'producer' : 'consumer';
+    return `<g class="wfg-node ${kind}${dead.includes(key) ? ' dead' : ''}"><circle cx="${n(p.x)}" cy="${n(p.y)}" r="${nodeR}"></circle>` +
+      `<text x="${n(p.x)}" y="${n(p.y)}">${escapeHtml(key)}</text></g>`;
+  });
+
+  svg.innerHTML =
+    '<defs><marker id="wfg-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">' +
+    '<path d="M0 0 L10 5 L0 10 z"></path></marker></defs>' +
+    edges.join('') + nodes.join('');
+  if (caption) {
+    caption.textContent = `${info.cycle.join(' → ')}${dead.length > 0 ? ` · ${dead.join(', ')} crashed` : ''}${info.stall ? ' · global stall' : ''}`;
+  }
+  overlay.style.display = 'flex';
+}
+
+function hideWaitForGraph() {
+  const overlay = document.getElementById('deadlock-overlay');
+  if (overlay) overlay.style.display = 'none';
+}
 
 // ---------- Geometry helpers (corrected alignment + larger slots) ----------
 function computeSlotAbsoluteRect(container, centerX, centerY, size) {
@@ -497,13 +793,25 @@ function computeSlotAbsoluteRect(container, centerX, centerY, size) {
 
 function getSlotCenterAndRect(container, index, slotSize) {
   const crect = container.getBoundingClientRect();
+  // stacks, priority lists and strips are laid out by CSS: ask the slot itself
+  if (sim.bufferType && sim.bufferType !== 'ring') {
+    const el = container.querySelector(`[data-slot="${index}"]`) || container.querySelector('.buffer-more') || container;
+    const r = el.getBoundingClientRect();
+    const x = r.left - crect.left + r.width / 2;
+    const y = r.top - crect.top + r.height / 2;
+    return {
+      localX: x,
+      localY: y,
+      rect: { left: crect.left + x - slotSize / 2, top: crect.top + y - slotSize / 2, width: slotSize, height: slotSize }
+    };
+  }
   const width = container.clientWidth || crect.width;
   const height = container.clientHeight || crect.height;
   const centerX = width / 2;
   const centerY = height / 2;
   // leave margin so slots sit nicely inside the ring
   const radius = Math.max(28, Math.min(width, height) / 2 - 56);
-  const angle = (2 * Math.PI * index) / bufferCapacity - Math.PI / 2;
+  const angle = (2 * Math.PI * index) / sim.bufferCapacity - Math.PI / 2;
   const x = centerX + radius * Math.cos(angle);
   const y = centerY + radius * Math.sin(angle);
   const absLeft = crect.left + x - slotSize / 2;
@@ -515,19 +823,19 @@ function getSlotCenterAndRect(container, index, slotSize) {
   };
 }
 
-// helper to compute adjusted durations according to transferSpeed (controls movement)
-function getAdjustedDuration(durationMs) {
-  const speed = (transferSpeed && transferSpeed > 0) ? transferSpeed : 1.0;
-  const d = Math.round(durationMs / speed);
-  return Math.max(40, d);
-}
+// ---------- Clock-driven particles ----------
+// Particles are positioned from the simulation's virtual clock on every frame,
+// so they pause, slow down and replay exactly like the threads that move them.
+let activeParticles = [];
 
-// animate particle; uses getAdjustedDuration which is now controlled by transferSpeed
-function animateItemTransferAbsolute(startX, startY, endX, endY, color, duration, onComplete) {
-  const adjDuration = getAdjustedDuration(duration);
+// cubic-bezier(0.215, 0.61, 0.355, 1) is an ease-out-cubic curve
+function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
 
-  const dx = endX - startX;
-  const dy = endY - startY;
+// animate particle; `duration` is in virtual ms, already scaled by the engine's
+// transferSpeed. `startedAt` defaults to the current virtual time.
+function animateItemTransferAbsolute(startX, startY, endX, endY, color, duration, onComplete, startedAt) {
   const particle = document.createElement('div');
 
   particle.style.position = 'fixed';
@@ -551,39 +859,40 @@ function animateItemTransferAbsolute(startX, startY, endX, endY, color, duration
 
   particle.style.transform = 'translate3d(0,0,0) scale(0.92)';
   particle.style.willChange = 'transform, opacity';
-  particle.style.transition = `transform ${adjDuration}ms cubic-bezier(0.215, 0.61, 0.355, 1), opacity ${Math.round(adjDuration * 0.85)}ms cubic-bezier(0.215, 0.61, 0.355, 1)`;
-  particle.style.opacity = '1';
 
   animationContainer.appendChild(particle);
 
-  requestAnimationFrame(() => {
-    particle.style.transform = `translate3d(${dx}px, ${dy}px, 0) scale(1)`;
-    setTimeout(() => { particle.style.opacity = '0.96'; }, Math.round(adjDuration * 0.5));
+  activeParticles.push({
+    el: particle,
+    dx: endX - startX,
+    dy: endY - startY,
+    t0: startedAt !== undefined ? startedAt : sim.now(),
+    duration: Math.max(40, Math.round(duration)),
+    onComplete
   });
+  return particle;
+}
 
-  let done = false;
-  const cleanup = () => {
-    if (done) return;
-    done = true;
-    try { particle.remove(); } catch (e) {}
-    if (onComplete) onComplete();
-  };
-
-  const onTransEnd = (ev) => {
-    if (ev.propertyName === 'transform') {
-      cleanup();
-      particle.removeEventListener('transitionend', onTransEnd);
+function updateParticles(now) {
+  activeParticles = activeParticles.filter(p => {
+    const progress = Math.max(0, Math.min(1, (now - p.t0) / p.duration));
+    if (progress >= 1) {
+      try { p.el.remove(); } catch (e) {}
+      if (p.onComplete) p.onComplete();
+      return false;
     }
-  };
-
-  particle.addEventListener('transitionend', onTransEnd);
-  setTimeout(() => cleanup(), adjDuration + 160);
+    const k = easeOutCubic(progress);
+    p.el.style.transform = `translate3d(${p.dx * k}px, ${p.dy * k}px, 0) scale(${0.92 + 0.08 * k})`;
+    p.el.style.opacity = progress >= 0.5 ? '0.96' : '1';
+    return true;
+  });
 }
 
-function animateItemTransferAbsoluteAsync(startX, startY, endX, endY, color, duration) {
-  return new Promise(resolve => {
-    animateItemTransferAbsolute(startX, startY, endX, endY, color, duration, resolve);
+function clearParticles() {
+  activeParticles.forEach(p => {
+    try { p.el.remove(); } catch (e) {}
   });
+  activeParticles = [];
 }
 
 function animateItemTransfer(fromEl, toEl, color, onComplete) {
@@ -602,281 +911,96 @@ function animateItemTransfer(fromEl, toEl, color, onComplete) {
   animateItemTransferAbsolute(startX, startY, endX, endY, color, duration, onComplete);
 }
 
-// ---------- Producer step ----------
-async function producerStep(id) {
-  const p = getProducerById(id);
-  if (!p) return;
-
-  if (isPaused) return;
-  if (p.inFlight) return;
+// ---------- Engine transfer events -> particles ----------
+function getEntityView(actor) {
+  const id = parseInt(actor.slice(1), 10);
+  const views = actor[0] === 'P' ? producerViews : consumerViews;
+  return views.find(v => v.id === id);
+}
 
-  if (producers.length > 0) {
-    const currentIdx = nextProducerTurn % producers.length;
-    const currentProducer = producers[currentIdx];
-    if (!currentProducer || currentProducer.id !== id) {
-      p.state = 'waiting-turn';
-      renderEntities();
-      return;
-    }
+function animateTransferEvent(ev) {
+  const problemView = activeView();
+  if (problemView) {
+    if (problemView.animateTransfer) problemView.animateTransfer(ev);
+    return;
   }
+  const view = getEntityView(ev.actor);
+  const container = document.getElementById('circular-buffer');
+  if (!view || !container || !animationContainer) return;
 
-  p.inFlight = true;
-
-  if (!p.hasItem) {
-    p.state = 'producing';
-    p.hasItem = true;
-    renderEntities();
-    addMessage(`🔨 P${id} produced item (turn P${id})`);
+  const slotSize = 36; // slightly larger slots
+  const slotRect = getSlotCenterAndRect(container, ev.slot, slotSize).rect;
+  const entityRect = view.shapeEl.getBoundingClientRect();
+
+  const entityX = entityRect.left + entityRect.width / 2 - 14;
+  const entityY = entityRect.top + entityRect.height / 2 - 14;
+  const slotX = slotRect.left + slotRect.width / 2 - 14;
+  const slotY = slotRect.top + slotRect.height / 2 - 14;
+
+  const color = ev.producerId ? producerColor(ev.producerId) : '#38bdf8';
+
+  const particle = ev.kind === 'deposit'
+    ? animateItemTransferAbsolute(entityX, entityY, slotX, slotY, color, ev.duration, null, ev.startedAt)
+    : animateItemTransferAbsolute(slotX, slotY, entityX, entityY, color, ev.duration, null, ev.startedAt);
+
+  // the carried item's history, read when hovered so its timestamps are current
+  const carrier = sim.getThread(ev.actor);
+  const item = carrier && carrier.item;
+  if (item) {
+    particle.style.pointerEvents = 'auto';
+    particle.addEventListener('mouseenter', () => { particle.title = describeItemHistory(item); });
   }
+}
 
-  if (syncMode === 'sync') {
-    await bufferMutex.acquire('P' + id);
-    try {
-      while (itemsCount >= bufferCapacity) {
-        p.state = 'waiting';
-        renderEntities();
-        addMessage(`⏳ P${id} waiting (buffer full: ${itemsCount}/${bufferCapacity})`);
-        await bufferMutex.wait('notFull', 'P' + id);
-      }
-
-      p.state = 'holding-lock';
-      renderEntities();
-
-      const container = document.getElementById('circular-buffer');
-      const slotSize = 36; // slightly larger slots
-      const slotData = getSlotCenterAndRect(container, writeIndex, slotSize);
-      const slotRect = slotData.rect;
-
-      // highlight pseudocode for holding-lock + upcoming buffer write
-      updatePseudocodeHighlights();
-
-      const sourceRect = p.shapeEl.getBoundingClientRect();
-      const startX = sourceRect.left + sourceRect.width / 2 - 14;
-      const startY = sourceRect.top + sourceRect.height / 2 - 14;
-      const endX = slotRect.left + slotRect.width / 2 - 14;
-      const endY = slotRect.top + slotRect.height / 2 - 14;
-
-      const distance = Math.hypot(endX - startX, endY - startY);
-      const base = 420;
-      const duration = Math.min(1800, Math.max(200, Math.round(base + distance * 0.5)));
-
-      await animateItemTransferAbsoluteAsync(startX, startY, endX, endY, p.color, duration);
-
-      buffer[writeIndex] = { producerId: id };
-      writeIndex = (writeIndex + 1) % bufferCapacity;
-      itemsCount++;
-      p.count++;
-      p.hasItem = false;
-      p.state = 'idle';
-      p.inFlight = false;
-
-      bufferMutex.notify('notEmpty');
-
-      bufferMutex.release();
-
-      if (producers.length > 0) {
-        nextProducerTurn = (nextProducerTurn + 1) % producers.length;
-        addMessage(`➡ Next producer turn: P${producers[nextProducerTurn].id}`);
-      }
-
-      renderEntities();
-      updateCircularBuffer();
-      addMessage(`✅ P${id} deposited [${itemsCount}/${bufferCapacity}] count=${p.count}`);
-    } catch (err) {
-      try { bufferMutex.release(); } catch (e) {}
-      p.inFlight = false;
-      p.state = 'idle';
-      renderEntities();
-      throw err;
-    }
-  } else {
-    // NO-SYNC
-    p.state = 'producing';
-    renderEntities();
-
-    const container = document.getElementById('circular-buffer');
-    const slotSize = 36;
-    const slotData = getSlotCenterAndRect(container, writeIndex, slotSize);
-    const slotRect = slotData.rect;
-
-    updatePseudocodeHighlights();
-
-    const sourceRect = p.shapeEl.getBoundingClientRect();
-    const startX = sourceRect.left + sourceRect.width / 2 - 14;
-    const startY = sourceRect.top + sourceRect.height / 2 - 14;
-    const endX = slotRect.left + slotRect.width / 2 - 14;
-    const endY = slotRect.top + slotRect.height / 2 - 14;
-
-    const distance = Math.hypot(endX - startX, endY - startY);
-    const base = 420;
-    const duration = Math.min(1800, Math.max(200, Math.round(base + distance * 0.5)));
-    const prev = buffer[writeIndex];
-
-    await animateItemTransferAbsoluteAsync(startX, startY, endX, endY, p.color, duration);
-
-    buffer[writeIndex] = { producerId: id };
-    writeIndex = (writeIndex + 1) % bufferCapacity;
-    p.count++;
-    if (prev === null) {
-      itemsCount = Math.min(bufferCapacity, itemsCount + 1);
-      addMessage(`📥 P${id} deposited [${itemsCount}/${bufferCapacity}] count=${p.count}`);
-    } else {
-      addMessage(`⚠️ RACE! P${id} overwrote P${prev.producerId}'s item`);
-    }
-    p.hasItem = false;
-    p.state = 'idle';
-    p.inFlight = false;
-
-    if (producers.length > 0) {
-      nextProducerTurn = (nextProducerTurn + 1) % producers.length;
-      addMessage(`➡ Next producer turn: P${producers[nextProducerTurn].id}`);
-    }
-
-    renderEntities();
-    updateCircularBuffer();
+// Hover text for a buffer slot or a moving particle.
+function describeItemHistory(item) {
+  const at = t => (t === null || t === undefined ? '—' : formatSimTime(t));
+  const lines = [
+    `Item #${item.id} — P${item.producerId}${item.seq ? ` #${item.seq}` : ''}`,
+    `produced  ${at(item.producedAt)}`,
+    `enqueued  ${at(item.enqueuedAt)}`,
+    `dequeued  ${at(item.dequeuedAt)}`,
+    `consumed  ${at(item.consumedAt)}`
+  ];
+  if (typeof item.enqueuedAt === 'number' && typeof item.dequeuedAt === 'number') {
+    lines.push(`in buffer ${formatSimTime(item.dequeuedAt - item.enqueuedAt)}`);
   }
+  return lines.join('\n');
 }
 
-// ---------- Consumer step ----------
-async function consumerStep(id) {
-  const c = getConsumerById(id);
-  if (!c) return;
-
-  if (isPaused) return;
-  if (c.inFlight) return;
+// ---------- Rendering ----------
+// Problem views color their entities the way renderEntities does, from a
+// { border, background, color, shadow } style per state.
+function paintEntityShape(el, style) {
+  el.style.borderColor = style.border;
+  el.style.borderWidth = '3px';
+  el.style.background = style.background;
+  el.style.color = style.color;
+  el.style.boxShadow = style.shadow;
+}
 
-  if (consumers.length > 0) {
-    const currentIdx = nextConsumerTurn % consumers.length;
-    const currentConsumer = consumers[currentIdx];
-    if (!currentConsumer || currentConsumer.id !== id) {
-      c.state = 'waiting-turn';
-      renderEntities();
-      return;
-    }
+function renderEntities() {
+  const view = activeView();
+  if (view) {
+    view.render();
+    return;
   }
 
-  c.inFlight = true;
-
-  if (syncMode === 'sync') {
-    await bufferMutex.acquire('C' + id);
-    try {
-      while (itemsCount <= 0) {
-        c.state = 'waiting';
-        renderEntities();
-        addMessage(`⏳ C${id} waiting (buffer empty)`);
-        await bufferMutex.wait('notEmpty', 'C' + id);
-      }
-
-      c.state = 'holding-lock';
-      renderEntities();
-
-      const container = document.getElementById('circular-buffer');
-      const slotSize = 36;
-      const slotData = getSlotCenterAndRect(container, readIndex, slotSize);
-      const slotRect = slotData.rect;
-
-      // reflect pseudocode highlight for holding-lock + buffer read
-      updatePseudocodeHighlights();
-
-      const destRect = c.shapeEl.getBoundingClientRect();
-      const startX = slotRect.left + slotRect.width / 2 - 14;
-      const startY = slotRect.top + slotRect.height / 2 - 14;
-      const endX = destRect.left + destRect.width / 2 - 14;
-      const endY = destRect.top + destRect.height / 2 - 14;
-
-      const item = buffer[readIndex];
-      const color = item ? getProducerById(item.producerId)?.color || '#38bdf8' : '#38bdf8';
-
-      const distance = Math.hypot(endX - startX, endY - startY);
-      const base = 420;
-      const duration = Math.min(1800, Math.max(200, Math.round(base + distance * 0.5)));
-
-      await animateItemTransferAbsoluteAsync(startX, startY, endX, endY, color, duration);
-
-      buffer[readIndex] = null;
-      readIndex = (readIndex + 1) % bufferCapacity;
-      itemsCount = Math.max(0, itemsCount - 1);
-      c.count++;
-      c.state = 'idle';
-      c.inFlight = false;
-
-      bufferMutex.notify('notFull');
-
-      bufferMutex.release();
-
-      if (consumers.length > 0) {
-        nextConsumerTurn = (nextConsumerTurn + 1) % consumers.length;
-        addMessage(`➡ Next consumer turn: C${consumers[nextConsumerTurn].id}`);
-      }
-
-      renderEntities();
-      updateCircularBuffer();
-
-      if (item) {
-        addMessage(`✅ C${id} consumed from P${item.producerId} [${itemsCount}/${bufferCapacity}] count=${c.count}`);
-      } else {
-        addMessage(`✅ C${id} consumed [${itemsCount}/${bufferCapacity}] count=${c.count}`);
-      }
-    } catch (err) {
-      try { bufferMutex.release(); } catch (e) {}
-      c.inFlight = false;
-      c.state = 'idle';
-      renderEntities();
-      throw err;
-    }
-  } else {
-    // NO-SYNC
-    c.state = 'consuming';
-    renderEntities();
-
-    const container = document.getElementById('circular-buffer');
-    const slotSize = 36;
-    const slotData = getSlotCenterAndRect(container, readIndex, slotSize);
-    const slotRect = slotData.rect;
-
-    updatePseudocodeHighlights();
-
-    const destRect = c.shapeEl.getBoundingClientRect();
-    const startX = slotRect.left + slotRect.width / 2 - 14;
-    const startY = slotRect.top + slotRect.height / 2 - 14;
-    const endX = destRect.left + destRect.width / 2 - 14;
-    const endY = destRect.top + destRect.height / 2 - 14;
-
-    const item = buffer[readIndex];
-    const color = item ? getProducerById(item.producerId)?.color || '#38bdf8' : '#38bdf8';
-
-    const distance = Math.hypot(endX - startX, endY - startY);
-    const base = 420;
-    const duration = Math.min(1800, Math.max(200, Math.round(base + distance * 0.5)));
-
-    await animateItemTransferAbsoluteAsync(startX, startY, endX, endY, color, duration);
-
-    if (item === null) addMessage(`⚠️ RACE! C${id} read empty slot`);
-    else addMessage(`📤 C${id} consumed from P${item.producerId} count=${c.count + 1}`);
-
-    buffer[readIndex] = null;
-    readIndex = (readIndex + 1) % bufferCapacity;
-    itemsCount = Math.max(0, itemsCount - 1);
-    if (item) c.count++;
-    c.state = 'idle';
-    c.inFlight = false;
-
-    if (consumers.length > 0) {
-      nextConsumerTurn = (nextConsumerTurn + 1) % consumers.length;
-      addMessage(`➡ Next consumer turn: C${consumers[nextConsumerTurn].id}`);
-    }
-
-    renderEntities();
-    updateCircularBuffer();
+  // spawning, retiring and stepping back change who is in the columns
+  const ids = list => list.map(t => t.id).join();
+  if (ids(producerViews) !== ids(sim.producers) || ids(consumerViews) !== ids(sim.consumers)) {
+    buildEntities();
+    refreshTimingRows();
+    return;
   }
-}
 
-// ---------- Rendering ----------
-function renderEntities() {
   const idleYellow = '#fbbf24';
+  const crashedRed = '#ef4444';
 
-  producers.forEach(p => {
-    const s = p.shapeEl;
+  sim.producers.forEach((p, i) => {
+    const v = producerViews[i];
+    if (!v) return;
+    const s = v.shapeEl;
     s.className = 'entity-shape';
     s.style.cssText = '';
 
@@ -911,22 +1035,32 @@ function renderEntities() {
       s.style.background = '#020617';
       s.style.color = '#94a3b8';
       s.style.boxShadow = 'none';
+    } else if (p.state === 'crashed') {
+      s.style.borderColor = crashedRed;
+      s.style.borderWidth = '3px';
+      s.style.background = '#450a0a';
+      s.style.color = crashedRed;
+      s.style.boxShadow = 'none';
     }
 
-    p.labelEl.textContent = `P${p.id} (${p.count})`;
-    p.itemEl.textContent = p.hasItem ? '★' : '';
+    v.labelEl.textContent = `P${p.id} (${p.count})${p.state === 'crashed' ? ' 💥' : ''}`;
+    v.el.classList.toggle('retiring', !!p.retiring);
+    markCrashable(v.el, p);
+    v.itemEl.textContent = p.hasItem ? '★' : '';
 
     if (p.state === 'producing') {
-      p.itemEl.style.color = '#020617';
+      v.itemEl.style.color = '#020617';
     } else if (p.state === 'holding-lock') {
-      p.itemEl.style.color = '#16a34a';
+      v.itemEl.style.color = '#16a34a';
     } else {
-      p.itemEl.style.color = p.color;
+      v.itemEl.style.color = v.color;
     }
   });
 
-  consumers.forEach(c => {
-    const s = c.shapeEl;
+  sim.consumers.forEach((c, i) => {
+    const v = consumerViews[i];
+    if (!v) return;
+    const s = v.shapeEl;
     s.className = 'entity-shape';
     s.style.cssText = '';
 
@@ -960,26 +1094,168 @@ function renderEntities() {
       s.style.background = '#020617';
       s.style.color = idleYellow;
       s.style.boxShadow = 'none';
+    } else if (c.state === 'crashed') {
+      s.style.borderColor = crashedRed;
+      s.style.borderWidth = '3px';
+      s.style.background = '#450a0a';
+      s.style.color = crashedRed;
+      s.style.boxShadow = 'none';
     }
 
-    c.labelEl.textContent = `C${c.id} (${c.count})`;
+    v.labelEl.textContent = `C${c.id} (${c.count})${c.state === 'crashed' ? ' 💥' : ''}`;
+    v.el.classList.toggle('retiring', !!c.retiring);
+    markCrashable(v.el, c);
   });
 
   // Update pseudocode highlights and metrics to reflect current state
   updatePseudocodeHighlights();
   updateMetrics();
+  updateScaleButtons();
 }
 
-function updateCircularBuffer() {
+// ---------- Buffer views ----------
+// One renderer per buffer type; the container's class gives it its shape.
+const BUFFER_RENDERERS = {
+  ring: renderRingBuffer,
+  stack: renderStackBuffer,
+  priority: renderPriorityBuffer,
+  unbounded: renderQueueStrip
+};
+
+const BUFFER_SHAPES = ['buffer-shape-stack', 'buffer-shape-priority', 'buffer-shape-unbounded'];
+
+// cells drawn of an unbounded queue; the rest is summed up as "+N more"
+const QUEUE_STRIP_LIMIT = 40;
+
+// `type` null or 'ring' restores the round ring other problems draw on
+function setBufferShape(type) {
   const container = document.getElementById('circular-buffer');
   if (!container) return;
+  container.classList.remove(...BUFFER_SHAPES);
+  if (type && type !== 'ring') container.classList.add(`buffer-shape-${type}`);
+}
+
+function updateCircularBuffer() {
+  const container = document.getElementById('circular-buffer');
+  if (!container || activeView()) return;
 
+  const type = BUFFER_RENDERERS[sim.bufferType] ? sim.bufferType : 'ring';
+  setBufferShape(type);
   container.style.position = 'relative';
   container.innerHTML = '';
+  BUFFER_RENDERERS[type](container);
+  updateMetrics();
+}
+
+// a slot of a laid-out (non-ring) buffer: colored by its item's producer,
+// `data-slot` lets the particles find it
+function bufferCell(slot, item, text) {
+  const cell = document.createElement('div');
+  cell.className = 'buffer-slot buffer-cell';
+  cell.dataset.slot = String(slot);
+  if (item) {
+    const color = producerColor(item.producerId);
+    cell.title = describeItemHistory(item);
+    cell.style.color = color;
+    cell.style.borderColor = color;
+    cell.style.background = `${color}33`;
+    cell.textContent = text || '★';
+  }
+  return cell;
+}
 
+function bufferCaption(text) {
+  const el = document.createElement('div');
+  el.className = 'buffer-caption';
+  el.textContent = text;
+  return el;
+}
+
+// LIFO: slot 0 at the bottom; `top` (the next push) glows green and the
+// item a pop takes glows blue
+function renderStackBuffer(container) {
+  const column = document.createElement('div');
+  column.className = 'buffer-stack';
+  for (let i = 0; i < sim.bufferCapacity; i++) {
+    const row = document.createElement('div');
+    row.className = 'buffer-row';
+    const cell = bufferCell(i, sim.buffer[i]);
+    if (i === sim.writeIndex) cell.classList.add('write');
+    if (i === sim.writeIndex - 1) cell.classList.add('read');
+    const mark = document.createElement('span');
+    mark.className = 'buffer-mark';
+    mark.textContent = i === sim.writeIndex ? '← top' : `[${i}]`;
+    row.append(cell, mark);
+    column.appendChild(row);
+  }
+  container.append(bufferCaption(`stack · top = ${sim.writeIndex}`), column);
+}
+
+// items sorted highest priority first (oldest first among equals), then the
+// free slots; the head of the list is what the next consumer takes
+function renderPriorityBuffer(container) {
+  const list = document.createElement('div');
+  list.className = 'buffer-priority-list';
+  const slots = sim.buffer.map((item, slot) => ({ item, slot }));
+  const held = slots.filter(s => s.item).sort((a, b) => b.item.priority - a.item.priority || a.item.id - b.item.id);
+  const free = slots.filter(s => !s.item);
+  held.concat(free).forEach(({ item, slot }, rank) => {
+    const row = document.createElement('div');
+    row.className = 'buffer-row';
+    const cell = bufferCell(slot, item, item ? String(item.priority) : '');
+    if (item && rank === 0) cell.classList.add('read');
+    if (!item && slot === sim.writeIndex) cell.classList.add('write');
+    const label = document.createElement('span');
+    label.className = 'buffer-mark';
+    label.textContent = item ? `★${item.priority}  P${item.producerId} #${item.seq || item.id}` : 'free';
+    row.append(cell, label);
+    list.appendChild(row);
+  });
+  container.append(bufferCaption('priority buffer · highest first'), list);
+}
+
+// FIFO order from `out`; the strip wraps as the queue grows
+function renderQueueStrip(container) {
+  const strip = document.createElement('div');
+  strip.className = 'buffer-strip';
+  const cap = sim.bufferCapacity;
+  const shown = Math.min(cap, QUEUE_STRIP_LIMIT);
+  for (let k = 0; k < shown; k++) {
+    const slot = (sim.readIndex + k) % cap;
+    const cell = bufferCell(slot, sim.buffer[slot]);
+    if (slot === sim.writeIndex) cell.classList.add('write');
+    if (slot === sim.readIndex && sim.itemsCount > 0) cell.classList.add('read');
+    strip.appendChild(cell);
+  }
+  if (cap > shown) {
+    const more = document.createElement('div');
+    more.className = 'buffer-more';
+    more.textContent = `+${cap - shown} more`;
+    strip.appendChild(more);
+  }
+  container.append(bufferCaption(`unbounded queue · ${sim.itemsCount} queued · ${cap} slots allocated`), strip);
+}
+
+// A resized ring moves its slots from their old places around the circle to
+// the new ones: added slots open up next to slot 0, removed ones close in
+// there and fade out.
+const RING_RESIZE_MS = 600;
+let ringDrawn = null; // { model, capacity } of the last drawn ring
+let ringResize = null; // { model, from, to, startedAt } while the ring changes size
+let ringResizeFrame = null;
+
+// 0..1 through the current resize (1 when none is running)
+function ringResizeProgress() {
+  if (!ringResize || ringResize.model !== sim) return 1;
+  const p = (performance.now() - ringResize.startedAt) / RING_RESIZE_MS;
+  if (p >= 1) ringResize = null;
+  return Math.min(1, p);
+}
+
+function renderRingBuffer(container) {
   const width = container.clientWidth || container.getBoundingClientRect().width;
   const height = container.clientHeight || container.getBoundingClientRect().height;
-  const slotCount = bufferCapacity;
+  const slotCount = sim.bufferCapacity;
   const slotSize = 36; // slightly larger slots
 
   const centerX = width / 2;
@@ -987,10 +1263,33 @@ function updateCircularBuffer() {
   const radius = Math.max(28, Math.min(width, height) / 2 - 56);
 
   // slot transition speed uses transferSpeed as well for consistency
-  const slotTransMs = Math.max(30, Math.round(220 / (transferSpeed && transferSpeed > 0 ? transferSpeed : 1)));
+  const slotTransMs = Math.max(30, Math.round(220 / (sim.transferSpeed > 0 ? sim.transferSpeed : 1)));
+
+  if (ringDrawn && ringDrawn.model === sim && ringDrawn.capacity !== slotCount) {
+    ringResize = { model: sim, from: ringDrawn.capacity, to: slotCount, startedAt: performance.now() };
+  }
+  ringDrawn = { model: sim, capacity: slotCount };
+  const progress = easeOutCubic(ringResizeProgress());
+  const from = ringResize ? ringResize.from : slotCount;
+  // slot i's angle on a ring of n slots; slots past the end sit at slot 0's place, a full turn on
+  const ringAngle = (i, n) => (2 * Math.PI * Math.min(i, n)) / n;
+  const slotAngle = i => ringAngle(i, from) + (ringAngle(i, slotCount) - ringAngle(i, from)) * progress - Math.PI / 2;
+
+  // slots being removed close in and fade out
+  for (let i = slotCount; i < from; i++) {
+    const ghost = document.createElement('div');
+    ghost.classList.add('buffer-slot', 'buffer-slot-leaving');
+    ghost.style.left = `${centerX + radius * Math.cos(slotAngle(i))}px`;
+    ghost.style.top = `${centerY + radius * Math.sin(slotAngle(i))}px`;
+    ghost.style.position = 'absolute';
+    ghost.style.width = `${slotSize}px`;
+    ghost.style.height = `${slotSize}px`;
+    ghost.style.opacity = String(1 - progress);
+    container.appendChild(ghost);
+  }
 
   for (let i = 0; i < slotCount; i++) {
-    const angle = (2 * Math.PI * i) / slotCount - Math.PI / 2;
+    const angle = slotAngle(i);
     const x = centerX + radius * Math.cos(angle);
     const y = centerY + radius * Math.sin(angle);
 
@@ -1007,10 +1306,10 @@ function updateCircularBuffer() {
     slot.style.justifyContent = 'center';
     slot.style.transition = `background ${slotTransMs}ms, box-shadow ${slotTransMs}ms`;
 
-    const item = buffer[i];
+    const item = sim.buffer[i];
     if (item !== null) {
-      const prod = getProducerById(item.producerId);
-      const color = prod ? prod.color : '#ffffff';
+      const color = producerColor(item.producerId);
+      slot.title = describeItemHistory(item);
       slot.textContent = '★';
       slot.style.color = color;
       slot.style.borderColor = color;
@@ -1022,20 +1321,29 @@ function updateCircularBuffer() {
     }
 
     // stronger visual cues for head/tail
-    if (i === writeIndex) slot.style.boxShadow = '0 0 14px 3px rgba(34,197,94,0.45)';
-    if (i === readIndex && itemsCount > 0) slot.style.boxShadow = '0 0 14px 3px rgba(56,189,248,0.45)';
+    if (i === sim.writeIndex) slot.style.boxShadow = '0 0 14px 3px rgba(34,197,94,0.45)';
+    if (i === sim.readIndex && sim.itemsCount > 0) slot.style.boxShadow = '0 0 14px 3px rgba(56,189,248,0.45)';
+    // slots being added fade in
+    if (i >= from) slot.style.opacity = String(progress);
 
     container.appendChild(slot);
   }
 
-  updateMetrics();
+  // redraw every frame until the ring has its new size
+  if (ringResize && ringResizeFrame === null) {
+    ringResizeFrame = requestAnimationFrame(() => {
+      ringResizeFrame = null;
+      updateCircularBuffer();
+    });
+  }
 }
 
 // ---------- Messages ----------
 function addMessage(text) {
   const box = document.getElementById('message-area');
   if (!box) return;
-  const time = new Date().toLocaleTimeString();
+  // virtual time, so two runs with the same seed log identical lines
+  const time = formatSimTime(sim.now());
   const line = document.createElement('div');
   line.textContent = `[${time}] ${text}`;
   box.appendChild(line);
@@ -1044,6 +1352,40 @@ function addMessage(text) {
   while (box.children.length > 200) {
     box.removeChild(box.firstChild);
   }
+  return line;
+}
+
+// ---------- Trace export ----------
+// `data` is text or an already built Blob (a canvas PNG)
+function downloadFile(filename, data, mime) {
+  const blob = data instanceof Blob ? data : new Blob([data], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function downloadTrace(format) {
+  if (sim.trace.length === 0) {
+    addMessage('Nothing to export yet — start or step the simulation first.');
+    return;
+  }
+  const view = activeView();
+  const base = `${view ? view.tracePrefix : 'pc'}-trace-seed${sim.seed}`;
+  if (format === 'csv') {
+    downloadFile(`${base}.csv`, OSEngine.traceToCSV(sim.trace), 'text/csv');
+  } else {
+    downloadFile(`${base}.json`, JSON.stringify(OSEngine.traceToJSON(sim), null, 2), 'application/json');
+  }
+  addMessage(`💾 Exported ${sim.trace.length} trace events as ${format.toUpperCase()}`);
+}
+
+function formatSimTime(ms) {
+  return `${(ms / 1000).toFixed(3)}s`;
 }
 
 function clearMessages() {
@@ -1063,6 +1405,17 @@ const sharedDataLines = [
   'semaphore full = 0      '
 ];
 
+const sharedDataLinesMonitor = [
+  'Shared Data',
+  'buffer[N]          ',
+  'in = 0             ',
+  'out = 0           ',
+  'count = 0         ',
+  'lock mutex',
+  'condition notFull',
+  'condition notEmpty'
+];
+
 const producerPseudoLinesSync = [
   'Producer Process',
   'Producer() {',
@@ -1078,6 +1431,23 @@ const producerPseudoLinesSync = [
   '}'
 ];
 
+// the classic bug: mutex is held while sleeping on empty, so no consumer
+// can ever get in to free a slot
+const producerPseudoLinesWrongOrder = [
+  'Producer Process (wrong order)',
+  'Producer() {',
+  'while (true) {',
+  'item = produce_item()',
+  'wait(mutex)    // BUG: taken before empty',
+  'wait(empty)    // buffer full: sleeps holding mutex',
+  'buffer[in] = item',
+  'in = (in + 1) % N',
+  'signal(mutex)',
+  'signal(full)',
+  '}',
+  '}'
+];
+
 const consumerPseudoLinesSync = [
   'Consumer Process',
   'Consumer() {',
@@ -1093,6 +1463,40 @@ const consumerPseudoLinesSync = [
   '}'
 ];
 
+const producerPseudoLinesMonitor = [
+  'Producer Process (monitor)',
+  'Producer() {',
+  'while (true) {',
+  'item = produce_item()',
+  'lock(mutex)',
+  'while (count == N)',
+  '  wait(notFull, mutex)',
+  'buffer[in] = item',
+  'in = (in + 1) % N',
+  'count++',
+  'signal(notEmpty)',
+  'unlock(mutex)',
+  '}',
+  '}'
+];
+
+const consumerPseudoLinesMonitor = [
+  'Consumer Process (monitor)',
+  'Consumer() {',
+  'while (true) {',
+  'lock(mutex)',
+  'while (count == 0)',
+  '  wait(notEmpty, mutex)',
+  'item = buffer[out]',
+  'out = (out + 1) % N',
+  'count--',
+  'signal(notFull)',
+  'unlock(mutex)',
+  'consume_item(item)',
+  '}',
+  '}'
+];
+
 const producerPseudoLinesNoSync = [
   'Producer Process (unsync)',
   'Producer() {',
@@ -1115,10 +1519,113 @@ const consumerPseudoLinesNoSync = [
   '}'
 ];
 
+// Each buffer type rewrites the ring's pseudocode. `lines` maps the start of
+// a ring line to the lines replacing it ([] drops it; whatever followed the
+// match, e.g. a comment, stays on the first one); `aliases` sends a highlight
+// meant for a replaced line to its stand-in.
+const BUFFER_PSEUDOCODE = {
+  ring: { lines: {}, aliases: {} },
+  stack: {
+    lines: {
+      'buffer[N]': ['buffer[N]   // LIFO stack'],
+      'in = 0': ['top = 0'],
+      'out = 0': [],
+      'buffer[in] = item': ['buffer[top] = item'],
+      'in = (in + 1) % N': ['top = top + 1'],
+      'item = buffer[out]': ['top = top - 1', 'item = buffer[top]'],
+      'out = (out + 1) % N': []
+    },
+    aliases: { 'buffer[in] = item': 'buffer[top] = item', 'item = buffer[out]': 'item = buffer[top]' }
+  },
+  priority: {
+    lines: {
+      'buffer[N]': ['buffer[N]   // items carry a priority'],
+      'item = produce_item()': ['item = produce_item()', 'item.priority = random(1..5)'],
+      'in = (in + 1) % N': ['in = first_free_slot()'],
+      'item = buffer[out]': ['out = highest_priority_slot()', 'item = buffer[out]'],
+      'out = (out + 1) % N': []
+    },
+    aliases: {}
+  },
+  unbounded: {
+    lines: {
+      'buffer[N]': ['buffer[N]   // doubles N when full'],
+      'semaphore empty': [],
+      'condition notFull': [],
+      'Producer Process (wrong order)': ['Producer Process (wrong order, harmless: no empty)'],
+      'wait(mutex)    // BUG: taken before empty': ['wait(mutex)'],
+      'wait(empty)': [],
+      'while (count == N)': [],
+      '  wait(notFull': [],
+      'buffer[in] = item': ['if (buffer[in] != EMPTY) grow()   // never waits', 'buffer[in] = item'],
+      'signal(empty)': [],
+      'signal(notFull)': []
+    },
+    aliases: {
+      'wait(empty)': 'grow()',
+      'while (count == N)': 'grow()',
+      'wait(notFull': 'grow()',
+      'signal(empty)': 'signal(mutex)',
+      'signal(notFull)': 'unlock(mutex)'
+    }
+  }
+};
+
+function bufferPseudocode() {
+  return BUFFER_PSEUDOCODE[sim.bufferType] || BUFFER_PSEUDOCODE.ring;
+}
+
+function bufferPseudoLines(lines) {
+  const swaps = bufferPseudocode().lines;
+  return lines.flatMap(line => {
+    const key = Object.keys(swaps).find(k => line.startsWith(k));
+    if (!key) return [line];
+    const rest = line.slice(key.length);
+    return swaps[key].map((l, i) => (i === 0 ? l + rest.trimEnd() : l));
+  });
+}
+
 let producerPseudoLines = producerPseudoLinesSync;
 let consumerPseudoLines = consumerPseudoLinesSync;
+let sharedPseudoLines = sharedDataLines;
+
+// which pseudocode is shown: semaphore | wrong-order | monitor | nosync
+let pcodeMode = 'semaphore';
+
+// sync mode -> the pseudocode it actually executes
+const PCODE_FOR_SYNC_MODE = { sync: 'monitor', semaphore: 'semaphore', 'wrong-order': 'wrong-order', nosync: 'nosync' };
+
+function showPseudocodeFor(syncMode) {
+  pcodeMode = PCODE_FOR_SYNC_MODE[syncMode] || 'semaphore';
+  document.querySelectorAll('input[name="pcode-mode"]').forEach(r => { r.checked = r.value === pcodeMode; });
+  renderPseudocode();
+  updatePseudocodeHighlights();
+}
+
+// Semaphore values for the shared-data block. Only SEMAPHORE mode has real
+// counters; the other modes show what they would be, derived from the buffer.
+function semaphoreDisplayValues() {
+  if (OSEngine.isSemaphoreMode(sim.syncMode)) {
+    const v = sim.semaphoreValues();
+    const holder = sim.mutexOwner();
+    return {
+      mutex: v.mutex === 0 && holder !== 'free' ? `0 (${holder})` : String(v.mutex),
+      empty: v.empty,
+      full: v.full
+    };
+  }
+  return {
+    mutex: String(sim.mutexOwner()),
+    empty: Math.max(0, sim.bufferCapacity - sim.itemsCount),
+    full: sim.itemsCount
+  };
+}
 
-let pcodeMode = 'sync';
+// threads parked on a monitor condition
+function conditionWaiters(kind) {
+  const list = kind === 'producer' ? sim.producers : sim.consumers;
+  return list.filter(t => t.mode === 'sync' && t.pc === 'cond').length;
+}
 
 function renderPseudocode() {
   const shared = document.getElementById('shared-code');
@@ -1126,28 +1633,53 @@ function renderPseudocode() {
   const cons = document.getElementById('consumer-code');
   if (!prod || !cons || !shared) return;
 
+  const view = activeView();
+  if (view) {
+    view.renderPseudocode();
+    return;
+  }
+
   if (pcodeMode === 'nosync') {
     producerPseudoLines = producerPseudoLinesNoSync;
     consumerPseudoLines = consumerPseudoLinesNoSync;
+  } else if (pcodeMode === 'monitor') {
+    producerPseudoLines = producerPseudoLinesMonitor;
+    consumerPseudoLines = consumerPseudoLinesMonitor;
+  } else if (pcodeMode === 'wrong-order') {
+    producerPseudoLines = producerPseudoLinesWrongOrder;
+    consumerPseudoLines = consumerPseudoLinesSync;
   } else {
     producerPseudoLines = producerPseudoLinesSync;
     consumerPseudoLines = consumerPseudoLinesSync;
   }
+  sharedPseudoLines = pcodeMode === 'monitor' ? sharedDataLinesMonitor : sharedDataLines;
+  producerPseudoLines = bufferPseudoLines(producerPseudoLines);
+  consumerPseudoLines = bufferPseudoLines(consumerPseudoLines);
+  sharedPseudoLines = bufferPseudoLines(sharedPseudoLines);
 
-  const sharedHtmlParts = sharedDataLines.map((l, i) => {
+  const sems = semaphoreDisplayValues();
+  const sharedHtmlParts = sharedPseudoLines.map((l, i) => {
     const escaped = escapeHtml(l);
     if (l.includes('in =')) {
-      return `<div class="pseudo-line" id="shared-line-${i}">in = <span id="pseudo-in">${writeIndex}</span></div>`;
+      return `<div class="pseudo-line" id="shared-line-${i}">in = <span id="pseudo-in">${sim.writeIndex}</span></div>`;
+    } else if (l.startsWith('top =')) {
+      return `<div class="pseudo-line" id="shared-line-${i}">top = <span id="pseudo-in">${sim.writeIndex}</span></div>`;
     } else if (l.includes('out =')) {
-      return `<div class="pseudo-line" id="shared-line-${i}">out = <span id="pseudo-out">${readIndex}</span></div>`;
+      return `<div class="pseudo-line" id="shared-line-${i}">out = <span id="pseudo-out">${sim.readIndex}</span></div>`;
+    } else if (l.includes('count =')) {
+      return `<div class="pseudo-line" id="shared-line-${i}">count = <span id="pseudo-count">${sim.itemsCount}</span></div>`;
     } else if (l.toLowerCase().includes('semaphore empty')) {
-      const emptyVal = Math.max(0, bufferCapacity - itemsCount);
-      return `<div class="pseudo-line" id="shared-line-${i}">semaphore empty = <span id="pseudo-empty">${emptyVal}</span></div>`;
+      return `<div class="pseudo-line" id="shared-line-${i}">semaphore empty = <span id="pseudo-empty">${sems.empty}</span></div>`;
     } else if (l.toLowerCase().includes('semaphore full')) {
-      return `<div class="pseudo-line" id="shared-line-${i}">semaphore full = <span id="pseudo-full">${itemsCount}</span></div>`;
+      return `<div class="pseudo-line" id="shared-line-${i}">semaphore full = <span id="pseudo-full">${sems.full}</span></div>`;
     } else if (l.toLowerCase().includes('semaphore mutex')) {
-      const owner = bufferMutex && bufferMutex.locked ? (bufferMutex.owner || 'locked') : 'free';
-      return `<div class="pseudo-line" id="shared-line-${i}">semaphore mutex = <span id="pseudo-mutex">${escapeHtml(String(owner))}</span></div>`;
+      return `<div class="pseudo-line" id="shared-line-${i}">semaphore mutex = <span id="pseudo-mutex">${escapeHtml(sems.mutex)}</span></div>`;
+    } else if (l.includes('lock mutex')) {
+      return `<div class="pseudo-line" id="shared-line-${i}">lock mutex   // owner: <span id="pseudo-mutex">${escapeHtml(String(sim.mutexOwner()))}</span></div>`;
+    } else if (l.includes('condition notFull')) {
+      return `<div class="pseudo-line" id="shared-line-${i}">condition notFull   // waiting: <span id="pseudo-notfull">${conditionWaiters('producer')}</span></div>`;
+    } else if (l.includes('condition notEmpty')) {
+      return `<div class="pseudo-line" id="shared-line-${i}">condition notEmpty   // waiting: <span id="pseudo-notempty">${conditionWaiters('consumer')}</span></div>`;
     } else {
       return `<div class="pseudo-line" id="shared-line-${i}">${escaped}</div>`;
     }
@@ -1162,20 +1694,30 @@ function renderPseudocode() {
 }
 
 function updatePseudocodeValues() {
+  if (activeView()) return;
   const elIn = document.getElementById('pseudo-in');
   const elOut = document.getElementById('pseudo-out');
   const elEmpty = document.getElementById('pseudo-empty');
   const elFull = document.getElementById('pseudo-full');
   const elMutex = document.getElementById('pseudo-mutex');
-
-  if (elIn) elIn.textContent = String(writeIndex);
-  if (elOut) elOut.textContent = String(readIndex);
-  if (elEmpty) elEmpty.textContent = String(Math.max(0, bufferCapacity - itemsCount));
-  if (elFull) elFull.textContent = String(itemsCount);
-  if (elMutex) {
-    const owner = bufferMutex && bufferMutex.locked ? (bufferMutex.owner || 'locked') : 'free';
-    elMutex.textContent = String(owner);
+  const elCount = document.getElementById('pseudo-count');
+  const elNotFull = document.getElementById('pseudo-notfull');
+  const elNotEmpty = document.getElementById('pseudo-notempty');
+
+  if (elIn) elIn.textContent = String(sim.writeIndex);
+  if (elOut) elOut.textContent = String(sim.readIndex);
+  if (elCount) elCount.textContent = String(sim.itemsCount);
+  if (elNotFull) elNotFull.textContent = String(conditionWaiters('producer'));
+  if (elNotEmpty) elNotEmpty.textContent = String(conditionWaiters('consumer'));
+
+  if (pcodeMode === 'monitor') {
+    if (elMutex) elMutex.textContent = String(sim.mutexOwner());
+    return;
   }
+  const sems = semaphoreDisplayValues();
+  if (elEmpty) elEmpty.textContent = String(sems.empty);
+  if (elFull) elFull.textContent = String(sems.full);
+  if (elMutex) elMutex.textContent = sems.mutex;
 }
 
 function escapeHtml(s) {
@@ -1203,7 +1745,7 @@ function highlightLineByIdWithClass(id, cls) {
 }
 
 function highlightProducerLineBySubstring(substr) {
-  const idx = findIndex(producerPseudoLines, substr);
+  const idx = findIndex(producerPseudoLines, bufferPseudocode().aliases[substr] || substr);
   if (idx >= 0) {
     clearPseudoHighlights('prod');
     highlightLineByIdWithClass(`prod-line-${idx}`, 'prod-highlight');
@@ -1211,7 +1753,7 @@ function highlightProducerLineBySubstring(substr) {
 }
 
 function highlightConsumerLineBySubstring(substr) {
-  const idx = findIndex(consumerPseudoLines, substr);
+  const idx = findIndex(consumerPseudoLines, bufferPseudocode().aliases[substr] || substr);
   if (idx >= 0) {
     clearPseudoHighlights('cons');
     highlightLineByIdWithClass(`cons-line-${idx}`, 'cons-highlight');
@@ -1219,7 +1761,7 @@ function highlightConsumerLineBySubstring(substr) {
 }
 
 function highlightSharedLineBySubstring(substr) {
-  const idx = findIndex(sharedDataLines, substr);
+  const idx = findIndex(sharedPseudoLines, substr);
   if (idx >= 0) {
     clearPseudoHighlights('shared');
     highlightLineByIdWithClass(`shared-line-${idx}`, 'shared-highlight');
@@ -1233,31 +1775,122 @@ function findIndex(lines, substring) {
   return -1;
 }
 
+// SYNC/SEMAPHORE threads: line for the action each thread performs next, per
+// pseudocode variant (monitor threads shown on the semaphore code and back)
+const PRODUCER_PC_LINES = {
+  semaphore: {
+    lock: 'wait(mutex)',
+    check: 'wait(empty)',
+    cond: 'wait(empty)',
+    empty: 'wait(empty)',
+    mutex: 'wait(mutex)',
+    transfer: 'buffer[in] = item',
+    notify: 'signal(full)',
+    release: 'signal(mutex)',
+    'signal-mutex': 'signal(mutex)',
+    'signal-full': 'signal(full)'
+  },
+  monitor: {
+    lock: 'lock(mutex)',
+    check: 'while (count == N)',
+    cond: 'wait(notFull',
+    empty: 'while (count == N)',
+    mutex: 'lock(mutex)',
+    transfer: 'buffer[in] = item',
+    notify: 'signal(notEmpty)',
+    release: 'unlock(mutex)',
+    recover: 'lock(mutex)',
+    'signal-mutex': 'unlock(mutex)',
+    'signal-full': 'signal(notEmpty)'
+  }
+};
+
+const CONSUMER_PC_LINES = {
+  semaphore: {
+    lock: 'wait(mutex)',
+    check: 'wait(full)',
+    cond: 'wait(full)',
+    full: 'wait(full)',
+    mutex: 'wait(mutex)',
+    transfer: 'item = buffer[out]',
+    notify: 'signal(empty)',
+    release: 'signal(mutex)',
+    'signal-mutex': 'signal(mutex)',
+    'signal-empty': 'signal(empty)'
+  },
+  monitor: {
+    lock: 'lock(mutex)',
+    check: 'while (count == 0)',
+    cond: 'wait(notEmpty',
+    full: 'while (count == 0)',
+    mutex: 'lock(mutex)',
+    transfer: 'item = buffer[out]',
+    notify: 'signal(notFull)',
+    release: 'unlock(mutex)',
+    recover: 'lock(mutex)',
+    'signal-mutex': 'unlock(mutex)',
+    'signal-empty': 'signal(notFull)'
+  }
+};
+
+// shared-data lines for the lock and for each side's wait
+const SHARED_PC_LINES = {
+  semaphore: { lock: 'semaphore mutex', producer: 'semaphore empty', consumer: 'semaphore full' },
+  monitor: { lock: 'lock mutex', producer: 'condition notFull', consumer: 'condition notEmpty' }
+};
+
+// line shown for a thread between operations
+const IDLE_LINES = {
+  semaphore: { producer: 'signal(full)', consumer: 'signal(empty)' },
+  'wrong-order': { producer: 'signal(full)', consumer: 'signal(empty)' },
+  monitor: { producer: 'unlock(mutex)', consumer: 'consume_item' },
+  nosync: { producer: 'buffer[in] = item', consumer: 'item = buffer[out]' }
+};
+
+// threads blocked on empty/full (semaphores) or notFull/notEmpty (monitor)
+function isWaitingOnSlots(t) {
+  return t.pc === 'cond' || t.pc === 'empty' || t.pc === 'full';
+}
+
 function updatePseudocodeHighlights() {
+  const view = activeView();
+  if (view) {
+    view.highlightPseudocode();
+    return;
+  }
+
+  const variant = pcodeMode === 'monitor' ? 'monitor' : 'semaphore';
+  const pcLines = pcodeMode === 'nosync' ? null : variant;
+  const shared = SHARED_PC_LINES[variant];
+
   // Producer highlight (independent)
+  const producers = sim.producers;
   let activeProducer = producers.find(p => p.inFlight || (p.state && p.state !== 'idle' && p.state !== 'waiting-turn'));
-  if (!activeProducer && producers.length > 0) activeProducer = producers[nextProducerTurn % producers.length];
+  if (!activeProducer && producers.length > 0) activeProducer = producers[sim.nextProducerTurn % producers.length];
 
-  if (activeProducer) {
+  if (activeProducer && pcLines && PRODUCER_PC_LINES[pcLines][activeProducer.pc] && activeProducer.mode !== 'nosync') {
+    highlightProducerLineBySubstring(PRODUCER_PC_LINES[pcLines][activeProducer.pc]);
+    if (activeProducer.state === 'holding-lock') highlightSharedLineBySubstring(shared.lock);
+    else if (isWaitingOnSlots(activeProducer)) highlightSharedLineBySubstring(shared.producer);
+  } else if (activeProducer) {
     switch (activeProducer.state) {
       case 'producing':
         highlightProducerLineBySubstring('item = produce_item');
         break;
       case 'holding-lock':
         highlightProducerLineBySubstring('buffer[in] = item');
-        highlightSharedLineBySubstring('semaphore mutex');
+        highlightSharedLineBySubstring(shared.lock);
         break;
       case 'waiting':
-        highlightProducerLineBySubstring('wait(empty)');
-        highlightSharedLineBySubstring('semaphore empty');
+        highlightProducerLineBySubstring(PRODUCER_PC_LINES[variant].cond);
+        highlightSharedLineBySubstring(shared.producer);
         break;
       case 'waiting-turn':
         highlightProducerLineBySubstring('Producer() {');
         break;
       case 'idle':
       default:
-        if (pcodeMode === 'nosync') highlightProducerLineBySubstring('buffer[in] = item');
-        else highlightProducerLineBySubstring('signal(full)');
+        highlightProducerLineBySubstring(IDLE_LINES[pcodeMode].producer);
         break;
     }
   } else {
@@ -1265,29 +1898,33 @@ function updatePseudocodeHighlights() {
   }
 
   // Consumer highlight (independent)
+  const consumers = sim.consumers;
   let activeConsumer = consumers.find(c => c.inFlight || (c.state && c.state !== 'idle' && c.state !== 'waiting-turn'));
-  if (!activeConsumer && consumers.length > 0) activeConsumer = consumers[nextConsumerTurn % consumers.length];
+  if (!activeConsumer && consumers.length > 0) activeConsumer = consumers[sim.nextConsumerTurn % consumers.length];
 
-  if (activeConsumer) {
+  if (activeConsumer && pcLines && CONSUMER_PC_LINES[pcLines][activeConsumer.pc] && activeConsumer.mode !== 'nosync') {
+    highlightConsumerLineBySubstring(CONSUMER_PC_LINES[pcLines][activeConsumer.pc]);
+    if (activeConsumer.state === 'holding-lock') highlightSharedLineBySubstring(shared.lock);
+    else if (isWaitingOnSlots(activeConsumer)) highlightSharedLineBySubstring(shared.consumer);
+  } else if (activeConsumer) {
     switch (activeConsumer.state) {
       case 'consuming':
         highlightConsumerLineBySubstring('consume_item');
         break;
       case 'holding-lock':
         highlightConsumerLineBySubstring('item = buffer[out]');
-        highlightSharedLineBySubstring('semaphore mutex');
+        highlightSharedLineBySubstring(shared.lock);
         break;
       case 'waiting':
-        highlightConsumerLineBySubstring('wait(full)');
-        highlightSharedLineBySubstring('semaphore full');
+        highlightConsumerLineBySubstring(CONSUMER_PC_LINES[variant].cond);
+        highlightSharedLineBySubstring(shared.consumer);
         break;
       case 'waiting-turn':
         highlightConsumerLineBySubstring('Consumer() {');
         break;
       case 'idle':
       default:
-        if (pcodeMode === 'nosync') highlightConsumerLineBySubstring('item = buffer[out]');
-        else highlightConsumerLineBySubstring('signal(empty)');
+        highlightConsumerLineBySubstring(IDLE_LINES[pcodeMode].consumer);
         break;
     }
   } else {
@@ -1297,6 +1934,12 @@ function updatePseudocodeHighlights() {
 
 // ---------- Metrics updater ----------
 function updateMetrics() {
+  const view = activeView();
+  if (view) {
+    view.updateMetrics();
+    return;
+  }
+
   const elCap = document.getElementById('m-capacity');
   const elCount = document.getElementById('m-count');
   const elHead = document.getElementById('m-head');
@@ -1305,28 +1948,59 @@ function updateMetrics() {
   const elWCons = document.getElementById('m-wcons');
   const elOwner = document.getElementById('m-owner');
 
-  if (elCap) elCap.textContent = String(bufferCapacity);
-  if (elCount) elCount.textContent = String(itemsCount);
-  if (elHead) elHead.textContent = String(readIndex);
-  if (elTail) elTail.textContent = String(writeIndex);
+  // a shrink still waiting for items to drain shows where it is headed
+  if (elCap) elCap.textContent = sim.targetCapacity ? `${sim.bufferCapacity} → ${sim.targetCapacity}` : String(sim.bufferCapacity);
+  if (elCount) elCount.textContent = String(sim.itemsCount);
+  if (elHead) elHead.textContent = String(sim.readIndex);
+  if (elTail) elTail.textContent = String(sim.writeIndex);
 
   if (elWProds) {
-    const wprods = producers.filter(p => p.state === 'waiting').length;
+    const wprods = sim.producers.filter(p => p.state === 'waiting').length;
     elWProds.textContent = String(wprods);
   }
   if (elWCons) {
-    const wcons = consumers.filter(c => c.state === 'waiting').length;
+    const wcons = sim.consumers.filter(c => c.state === 'waiting').length;
     elWCons.textContent = String(wcons);
   }
 
   if (elOwner) {
-    const owner = bufferMutex && bufferMutex.locked ? (bufferMutex.owner || 'unknown') : 'free';
-    elOwner.textContent = owner;
+    elOwner.textContent = sim.mutexOwner();
   }
 
+  updateLatencyMetrics();
   updatePseudocodeValues();
 }
 
+// bars in the produce-to-consume latency histogram
+const LATENCY_BINS = 10;
+
+function formatMs(v) {
+  return v === null ? '—' : `${Math.round(v)} ms`;
+}
+
+function updateLatencyMetrics() {
+  const hist = document.getElementById('m-lat-hist');
+  if (!hist || !sim.latencySummary) return;
+
+  const s = sim.latencySummary();
+  document.getElementById('m-buf-avg').textContent = formatMs(s.bufferTime.avg);
+  document.getElementById('m-buf-p95').textContent = formatMs(s.bufferTime.p95);
+  document.getElementById('m-buf-max').textContent = formatMs(s.bufferTime.max);
+  document.getElementById('m-lat-count').textContent = String(s.count);
+
+  if (s.count === 0) {
+    hist.innerHTML = '';
+    return;
+  }
+  const { binWidth, bins } = sim.latencyHistogram(LATENCY_BINS);
+  const tallest = Math.max(...bins.map(b => b.count));
+  hist.innerHTML =
+    bins.map(b =>
+      `<div class="latency-bar" style="height:${(b.count / tallest) * 100}%" title="${b.from}–${b.to} ms: ${b.count} item(s)"></div>`
+    ).join('') +
+    `<span class="latency-axis">0</span><span class="latency-axis end">${binWidth * LATENCY_BINS} ms</span>`;
+}
+
 // ---------- Initialization ----------
 document.addEventListener('DOMContentLoaded', () => {
   renderPseudocode();
@@ -1335,7 +2009,7 @@ document.addEventListener('DOMContentLoaded', () => {
   const radios = document.querySelectorAll('input[name="pcode-mode"]');
   radios.forEach(r => {
     r.addEventListener('change', (e) => {
-      pcodeMode = e.target.value === 'nosync' ? 'nosync' : 'sync';
+      pcodeMode = IDLE_LINES[e.target.value] ? e.target.value : 'semaphore';
       renderPseudocode();
       updatePseudocodeHighlights();
       updatePseudocodeValues();
@@ -1344,7 +2018,42 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const transferEl = document.getElementById('transfer-speed');
   if (transferEl && (transferEl.value === '' || transferEl.value == null)) {
-    transferEl.value = String(transferSpeed);
+    transferEl.value = String(sim.transferSpeed);
+  }
+
+  const raceBody = document.getElementById('race-report-body');
+  if (raceBody) {
+    raceBody.addEventListener('click', (e) => {
+      const link = e.target.closest('a[data-seq]');
+      if (!link) return;
+      e.preventDefault();
+      jumpToViolation(Number(link.dataset.seq));
+    });
+  }
+
+  const traceFileEl = document.getElementById('trace-file');
+  if (traceFileEl) {
+    traceFileEl.addEventListener('change', () => {
+      loadTraceFile(traceFileEl.files[0]);
+      traceFileEl.value = ''; // allow loading the same file again
+    });
+  }
+
+  const scrubber = document.getElementById('replay-scrubber');
+  if (scrubber) {
+    scrubber.addEventListener('input', () => {
+      if (!sim.isReplay) return;
+      sim.pause();
+      sim.seekTime(parseFloat(scrubber.value));
+      updateReplayBar();
+    });
+  }
+
+  const replaySpeed = document.getElementById('replay-speed');
+  if (replaySpeed) {
+    replaySpeed.addEventListener('change', () => {
+      if (sim.isReplay) sim.playbackRate = parseFloat(replaySpeed.value) || 1;
+    });
   }
 });
 
@@ -0,0 +1,265 @@
+// Live time-series charts for Producers–Consumers. Samples the state
+// updateMetrics reads (count, waiting threads, mutex waiters, items moved)
+// on the virtual clock and scrolls it across four small canvases. Freeze
+// holds the picture still while the run goes on; PNG/SVG export whatever
+// the charts currently show.
+
+// virtual ms between samples, the span on screen and how much is kept
+const CHART_SAMPLE_MS = 100;
+const CHART_WINDOW_MS = 30000;
+const CHART_HISTORY = 6000;
+// throughput is items moved over the last second of virtual time
+const THROUGHPUT_WINDOW_MS = 1000;
+
+const CHART_BG = '#041328';
+const CHART_GRID = 'rgba(255,255,255,0.12)';
+const CHART_TEXT = '#9fb0c9';
+const CHART_FONT = '11px Inter, Arial, sans-serif';
+
+const CHART_DEFS = [
+  {
+    id: 'chart-occupancy',
+    title: 'Buffer occupancy',
+    series: [{ key: 'count', label: 'items', color: '#fbbf24' }],
+    ceiling: () => sim.bufferCapacity
+  },
+  {
+    id: 'chart-throughput',
+    title: 'Throughput (items/s)',
+    series: [
+      { key: 'produceRate', label: 'produced', color: '#16a34a' },
+      { key: 'consumeRate', label: 'consumed', color: '#06b6d4' }
+    ]
+  },
+  {
+    id: 'chart-waiting',
+    title: 'Waiting threads',
+    series: [
+      { key: 'waitingProducers', label: 'producers', color: '#4ade80' },
+      { key: 'waitingConsumers', label: 'consumers', color: '#38bdf8' }
+    ]
+  },
+  {
+    id: 'chart-contention',
+    title: 'Mutex contention',
+    series: [{ key: 'mutexWaiters', label: 'blocked on mutex', color: '#f97316' }]
+  }
+];
+
+let chartSamples = [];
+let chartsFrozenAt = null; // end of the frozen window, or null while scrolling
+let chartsDirty = true;
+
+function resetCharts() {
+  chartSamples = [];
+  chartsDirty = true;
+}
+
+// after a step back or a seek: forget everything past the new clock
+function trimCharts() {
+  const now = sim.now();
+  while (chartSamples.length > 0 && chartSamples[chartSamples.length - 1].t > now) chartSamples.pop();
+  chartsDirty = true;
+}
+
+function takeChartSample() {
+  const now = sim.now();
+  const last = chartSamples[chartSamples.length - 1];
+  if (last && now - last.t < CHART_SAMPLE_MS) return;
+
+  const produced = sim.producers.reduce((n, p) => n + p.count, 0);
+  const consumed = sim.consumers.reduce((n, c) => n + c.count, 0);
+  // oldest sample still inside the throughput window
+  let base = null;
+  for (let i = chartSamples.length - 1; i >= 0 && now - chartSamples[i].t <= THROUGHPUT_WINDOW_MS; i--) {
+    base = chartSamples[i];
+  }
+  const span = base ? (now - base.t) / 1000 : 0;
+
+  chartSamples.push({
+    t: now,
+    produced,
+    consumed,
+    count: sim.itemsCount,
+    produceRate: span > 0 ? (produced - base.produced) / span : 0,
+    consumeRate: span > 0 ? (consumed - base.consumed) / span : 0,
+    waitingProducers: sim.producers.filter(p => p.state === 'waiting').length,
+    waitingConsumers: sim.consumers.filter(c => c.state === 'waiting').length,
+    mutexWaiters: sim.mutexWaiters().length
+  });
+  if (chartSamples.length > CHART_HISTORY) chartSamples.shift();
+  chartsDirty = true;
+}
+
+// called every animation frame
+function updateCharts() {
+  if (activeView()) return;
+  takeChartSample();
+  if (!chartsDirty || chartsFrozenAt !== null) return;
+  chartsDirty = false;
+  CHART_DEFS.forEach(def => {
+    const canvas = document.getElementById(def.id);
+    if (canvas) paintChart(canvas.getContext && canvas.getContext('2d'), chartGeometry(def, canvas.width, canvas.height));
+  });
+}
+
+function toggleChartsFrozen() {
+  const last = chartSamples[chartSamples.length - 1];
+  chartsFrozenAt = chartsFrozenAt === null ? (last ? last.t : 0) : null;
+  chartsDirty = true;
+  const btn = document.getElementById('charts-freeze');
+  if (btn) btn.textContent = chartsFrozenAt === null ? 'Freeze' : 'Unfreeze';
+}
+
+// the span on screen: the last CHART_WINDOW_MS, or the first one while
+// the run is younger than that
+function chartWindow() {
+  const last = chartSamples[chartSamples.length - 1];
+  const end = chartsFrozenAt !== null ? chartsFrozenAt : (last ? last.t : 0);
+  const start = Math.max(0, end - CHART_WINDOW_MS);
+  return { start, end: start + CHART_WINDOW_MS };
+}
+
+// Everything either renderer needs, in pixels:
+// { width, height, plot, ceilingY, lines: [{ color, points }], labels: [{ text, x, y, align, color }] }
+function chartGeometry(def, width, height) {
+  const { start, end } = chartWindow();
+  const visible = chartSamples.filter(s => s.t >= start && s.t <= end);
+  const values = [];
+  visible.forEach(s => def.series.forEach(se => values.push(s[se.key])));
+  const ceiling = def.ceiling ? def.ceiling() : null;
+  // NO-SYNC can drive the count below zero, so the axis follows it down
+  const yMin = Math.min(0, ...values);
+  const yTop = Math.ceil(Math.max(1, ceiling || 0, ...values));
+
+  const plot = { left: 30, top: 16, right: width - 6, bottom: height - 14 };
+  const x = t => plot.left + ((t - start) / (end - start)) * (plot.right - plot.left);
+  const y = v => plot.top + ((yTop - v) / (yTop - yMin)) * (plot.bottom - plot.top);
+
+  const labels = [
+    { text: def.title, x: plot.left, y: 11, align: 'left', color: CHART_TEXT },
+    { text: String(yTop), x: plot.left - 4, y: plot.top + 8, align: 'right', color: CHART_TEXT },
+    { text: String(yMin), x: plot.left - 4, y: plot.bottom, align: 'right', color: CHART_TEXT },
+    { text: formatSimTime(start), x: plot.left, y: height - 2, align: 'left', color: CHART_TEXT },
+    { text: formatSimTime(end), x: plot.right, y: height - 2, align: 'right', color: CHART_TEXT }
+  ];
+  // legend, right to left along the title line
+  let legendX = plot.right;
+  def.series.slice().reverse().forEach(se => {
+    labels.push({ text: se.label, x: legendX, y: 11, align: 'right', color: se.color });
+    legendX -= se.label.length * 6 + 10;
+  });
+
+  return {
+    width,
+    height,
+    plot,
+    ceilingY: ceiling !== null ? y(ceiling) : null,
+    lines: def.series.map(se => ({ color: se.color, points: visible.map(s => [x(s.t), y(s[se.key])]) })),
+    labels
+  };
+}
+
+function paintChart(ctx, geo) {
+  if (!ctx) return;
+  const { plot } = geo;
+  ctx.fillStyle = CHART_BG;
+  ctx.fillRect(0, 0, geo.width, geo.height);
+  ctx.strokeStyle = CHART_GRID;
+  ctx.lineWidth = 1;
+  ctx.strokeRect(plot.left, plot.top, plot.right - plot.left, plot.bottom - plot.top);
+
+  if (geo.ceilingY !== null) {
+    ctx.setLineDash([4, 3]);
+    ctx.beginPath();
+    ctx.moveTo(plot.left, geo.ceilingY);
+    ctx.lineTo(plot.right, geo.ceilingY);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+
+  ctx.lineWidth = 1.5;
+  geo.lines.forEach(line => {
+    if (line.points.length === 0) return;
+    ctx.strokeStyle = line.color;
+    ctx.beginPath();
+    line.points.forEach(([px, py], i) => (i === 0 ? ctx.moveTo(px, py) : ctx.lineTo(px, py)));
+    ctx.stroke();
+  });
+
+  ctx.font = CHART_FONT;
+  geo.labels.forEach(l => {
+    ctx.fillStyle = l.color;
+    ctx.textAlign = l.align;
+    ctx.fillText(l.text, l.x, l.y);
+  });
+}
+
+function chartSvg(geo) {
+  const { plot } = geo;
+  const n = v => Math.round(v * 10) / 10;
+  const parts = [
+    `<rect width="${geo.width}" height="${geo.height}" fill="${CHART_BG}"/>`,
+    `<rect x="${plot.left}" y="${plot.top}" width="${plot.right - plot.left}" height="${plot.bottom - plot.top}" fill="none" stroke="${CHART_GRID}"/>`
+  ];
+  if (geo.ceilingY !== null) {
+    parts.push(`<line x1="${plot.left}" y1="${n(geo.ceilingY)}" x2="${plot.right}" y2="${n(geo.ceilingY)}" stroke="${CHART_GRID}" stroke-dasharray="4 3"/>`);
+  }
+  geo.lines.forEach(line => {
+    if (line.points.length === 0) return;
+    const points = line.points.map(([px, py]) => `${n(px)},${n(py)}`).join(' ');
+    parts.push(`<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="1.5"/>`);
+  });
+  geo.labels.forEach(l => {
+    const anchor = l.align === 'right' ? 'end' : 'start';
+    parts.push(`<text x="${n(l.x)}" y="${n(l.y)}" fill="${l.color}" text-anchor="${anchor}">${escapeHtml(l.text)}</text>`);
+  });
+  return parts.join('');
+}
+
+// ---------- Export ----------
+function chartGeometries() {
+  let offset = 0;
+  return CHART_DEFS.map(def => {
+    const canvas = document.getElementById(def.id);
+    const geo = chartGeometry(def, canvas.width, canvas.height);
+    const placed = { geo, offset };
+    offset += geo.height;
+    return placed;
+  });
+}
+
+function exportCharts(format) {
+  if (chartSamples.length === 0) {
+    addMessage('Nothing to export yet — start or step the simulation first.');
+    return;
+  }
+  const placed = chartGeometries();
+  const width = Math.max(...placed.map(p => p.geo.width));
+  const height = placed.reduce((h, p) => h + p.geo.height, 0);
+  const base = `pc-charts-seed${sim.seed}`;
+
+  if (format === 'svg') {
+    const body = placed.map(p => `<g transform="translate(0,${p.offset})">${chartSvg(p.geo)}</g>`).join('\n');
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" ` +
+      `font-family="Inter, Arial, sans-serif" font-size="11">\n${body}\n</svg>\n`;
+    downloadFile(`${base}.svg`, svg, 'image/svg+xml');
+  } else {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) {
+      addMessage('PNG export is not available in this browser.');
+      return;
+    }
+    placed.forEach(p => {
+      ctx.save();
+      ctx.translate(0, p.offset);
+      paintChart(ctx, p.geo);
+      ctx.restore();
+    });
+    canvas.toBlob(blob => downloadFile(`${base}.png`, blob, 'image/png'));
+  }
+  addMessage(`💾 Exported charts as ${format.toUpperCase()}`);
+}
@@ -0,0 +1,418 @@
+// Dining Philosophers view — draws an OSEngine.DiningPhilosophersSim: the
+// table with its seats and forks inside the ring, philosophers in the left
+// column and the forks they hold in the right one. Controls, legend, metrics
+// and the status log are the shared ones, relabeled by applyProblemChrome.
+
+// ---------- Pseudocode ----------
+// `at` marks the line a philosopher with that pc is on; shared lines with a
+// `key` get a live value from DP_SHARED_VALUES
+const DP_PSEUDOCODE = {
+  naive: {
+    shared: [
+      { text: 'Shared Data' },
+      { text: 'semaphore fork[N] = ', key: 'forks' }
+    ],
+    philosopher: [
+      { text: 'Philosopher(i) — naive' },
+      { text: 'while (true) {' },
+      { text: 'think()', at: 'think' },
+      { text: 'wait(fork[i])              // left', at: 'first' },
+      { text: 'wait(fork[(i+1) % N])      // right', at: 'second' },
+      { text: 'eat()', at: 'eat' },
+      { text: 'signal(fork[(i+1) % N])' },
+      { text: 'signal(fork[i])' },
+      { text: '}' }
+    ],
+    helper: [
+      { text: 'Fork (binary semaphore)' },
+      { text: 'wait(f):   if (f == 0) block; else f = 0', at: 'blocked' },
+      { text: 'signal(f): if (blocked) hand f over; else f = 1' },
+      { text: '// all N holding their left fork = deadlock', at: 'deadlock' }
+    ]
+  },
+  ordering: {
+    shared: [
+      { text: 'Shared Data' },
+      { text: 'semaphore fork[N] = ', key: 'forks' }
+    ],
+    philosopher: [
+      { text: 'Philosopher(i) — resource ordering' },
+      { text: 'first  = min(i, (i+1) % N)' },
+      { text: 'second = max(i, (i+1) % N)' },
+      { text: 'while (true) {' },
+      { text: 'think()', at: 'think' },
+      { text: 'wait(fork[first])', at: 'first' },
+      { text: 'wait(fork[second])', at: 'second' },
+      { text: 'eat()', at: 'eat' },
+      { text: 'signal(fork[second])' },
+      { text: 'signal(fork[first])' },
+      { text: '}' }
+    ],
+    helper: [
+      { text: 'Fork (binary semaphore)' },
+      { text: 'wait(f):   if (f == 0) block; else f = 0', at: 'blocked' },
+      { text: 'signal(f): if (blocked) hand f over; else f = 1' },
+      { text: '// forks are taken in increasing order: no cycle' }
+    ]
+  },
+  waiter: {
+    shared: [
+      { text: 'Shared Data' },
+      { text: 'fork[N] = ', key: 'forks' },
+      { text: 'queue waiting = ', key: 'waiterQueue' }
+    ],
+    philosopher: [
+      { text: 'Philosopher(i) — waiter' },
+      { text: 'while (true) {' },
+      { text: 'think()', at: 'think' },
+      { text: 'waiter.request(i)', at: 'waiter' },
+      { text: 'eat()', at: 'eat' },
+      { text: 'waiter.release(i)' },
+      { text: '}' }
+    ],
+    helper: [
+      { text: 'Waiter (arbitrator)' },
+      { text: 'request(i):' },
+      { text: 'if (left and right fork free) give both', at: 'granted' },
+      { text: 'else waiting.append(i)         // block', at: 'blocked' },
+      { text: 'release(i):' },
+      { text: 'put both forks back' },
+      { text: 'for j in waiting: if (both free) give both' }
+    ]
+  },
+  'chandy-misra': {
+    shared: [
+      { text: 'Shared Data' },
+      { text: 'fork owner[N] = ', key: 'forks' },
+      { text: 'fork dirty[N] = ', key: 'dirty' },
+      { text: '// start: each fork dirty, with the lower id' }
+    ],
+    philosopher: [
+      { text: 'Philosopher(i) — Chandy–Misra' },
+      { text: 'while (true) {' },
+      { text: 'think()', at: 'think' },
+      { text: 'for each missing fork f: send request(f)', at: 'request' },
+      { text: 'wait until holding both forks', at: 'blocked' },
+      { text: 'eat()', at: 'eat' },
+      { text: 'mark both forks dirty' },
+      { text: 'answer deferred requests' },
+      { text: '}' }
+    ],
+    helper: [
+      { text: 'On request(f) from neighbour' },
+      { text: 'if (f.dirty && !eating) {' },
+      { text: 'f.dirty = false; send f', at: 'pass' },
+      { text: '} else defer(request)', at: 'defer' }
+    ]
+  }
+};
+
+const DP_SHARED_VALUES = {
+  forks: () => {
+    if (sim.strategy === 'chandy-misra') return sim.forks.map(f => f.lock.owner).join(' ');
+    return `{${sim.forks.map(f => (f.lock.locked ? '0' : '1')).join(', ')}}`;
+  },
+  dirty: () => sim.forks.map(f => (f.dirty ? 'D' : 'c')).join(' '),
+  waiterQueue: () => (sim.waiterQueue.length > 0 ? sim.waiterQueue.join(' ') : 'empty')
+};
+
+// ---------- Entities ----------
+let philosopherViews = [];
+let forkViews = [];
+
+const DP_STATE_STYLES = {
+  thinking: { border: '#fbbf24', background: '#020617', color: '#fbbf24', shadow: 'none' },
+  hungry: { border: '#ffffff', background: '#020617', color: '#ffffff', shadow: '0 6px 20px #ffffff44' },
+  eating: { border: '#16a34a', background: '#16a34a', color: '#020617', shadow: '0 8px 22px #16a34a66' },
+  deadlocked: { border: '#f97316', background: '#f97316', color: '#020617', shadow: '0 8px 26px #f9731699' }
+};
+
+function readDPInputs() {
+  const value = id => {
+    const el = document.getElementById(id);
+    return el ? el.value : undefined;
+  };
+  // same inputs as Producers–Consumers, relabeled
+  return OSEngine.normalizeDPConfig({
+    philosophers: value('num-producers'),
+    thinkDelay: value('producer-delay'),
+    eatDelay: value('consumer-delay'),
+    strategy: value('sync-mode'),
+    handSpeed: value('transfer-speed'),
+    seed: (value('seed') || '').trim() // blank -> fresh random seed
+  });
+}
+
+function philosopherStyle(p) {
+  if (sim.deadlock && sim.deadlock.includes(p.key)) return DP_STATE_STYLES.deadlocked;
+  return DP_STATE_STYLES[p.state] || DP_STATE_STYLES.thinking;
+}
+
+function createDPEntity(column, key, cls, glyph) {
+  const el = document.createElement('div');
+  el.classList.add('entity', cls);
+
+  const shape = document.createElement('div');
+  shape.classList.add('entity-shape');
+  shape.textContent = glyph;
+
+  const label = document.createElement('div');
+  label.classList.add('entity-label');
+  label.textContent = key;
+
+  el.appendChild(shape);
+  el.appendChild(label);
+  column.appendChild(el);
+  return { el, shapeEl: shape, labelEl: label };
+}
+
+// position on the table in % of the ring; seats sit on the rim, forks between them
+function tablePoint(angle, radius) {
+  return { left: 50 + radius * Math.cos(angle), top: 50 + radius * Math.sin(angle) };
+}
+
+function seatAngle(i) {
+  return -Math.PI / 2 + (2 * Math.PI * i) / sim.philosophers.length;
+}
+
+function buildDPEntities() {
+  const philCol = document.getElementById('producers-column');
+  const forkCol = document.getElementById('consumers-column');
+  philCol.innerHTML = '';
+  forkCol.innerHTML = '';
+
+  philosopherViews = sim.philosophers.map(p => createDPEntity(philCol, p.key, 'producer', String(p.id)));
+  forkViews = sim.forks.map(f => createDPEntity(forkCol, f.key, 'consumer', '🍴'));
+
+  const table = document.getElementById('circular-buffer');
+  table.innerHTML = '';
+  const center = document.createElement('div');
+  center.className = 'dp-center';
+  center.id = 'dp-center';
+  table.appendChild(center);
+
+  sim.philosophers.forEach((p, i) => {
+    const seat = document.createElement('div');
+    seat.className = 'dp-seat';
+    const pos = tablePoint(seatAngle(i), 40);
+    seat.style.left = `${pos.left}%`;
+    seat.style.top = `${pos.top}%`;
+    table.appendChild(seat);
+    philosopherViews[i].seatEl = seat;
+  });
+  sim.forks.forEach((f, i) => {
+    const el = document.createElement('div');
+    el.className = 'dp-fork';
+    el.textContent = '🍴';
+    table.appendChild(el);
+    forkViews[i].tableEl = el;
+  });
+
+  renderEntities();
+  renderPseudocode();
+}
+
+function renderDPEntities() {
+  const now = sim.now();
+  sim.philosophers.forEach((p, i) => {
+    const v = philosopherViews[i];
+    if (!v) return;
+    const style = philosopherStyle(p);
+    paintEntityShape(v.shapeEl, style);
+    paintEntityShape(v.seatEl, style);
+    v.seatEl.textContent = p.key;
+    const held = sim.forksHeldBy(p).map(f => f.key).join(' ');
+    const hunger = p.state === 'hungry' && p.hungrySince !== null ? ` ⏳${formatSimTime(now - p.hungrySince)}` : '';
+    v.labelEl.textContent = `${p.key} (${p.count})${held ? ' ' + held : ''}${hunger}`;
+  });
+
+  const n = sim.philosophers.length;
+  sim.forks.forEach((f, i) => {
+    const v = forkViews[i];
+    if (!v) return;
+    const holder = f.lock.owner;
+    const inUse = holder && (sim.strategy !== 'chandy-misra' || sim.getThread(holder).state === 'eating');
+    const waiting = sim.philosophers.filter(p => p.waitingFor === f.key).map(p => p.key);
+    let label = holder ? `${f.key} → ${holder}` : `${f.key} free`;
+    if (sim.strategy === 'chandy-misra') label += f.dirty ? ' (dirty)' : ' (clean)';
+    if (f.request) label += ` • asked by ${f.request}`;
+    if (waiting.length > 0) label += ` • ${waiting.join(' ')} waiting`;
+    v.labelEl.textContent = label;
+    paintEntityShape(v.shapeEl, inUse ? DP_STATE_STYLES.eating : holder ? DP_STATE_STYLES.hungry : DP_STATE_STYLES.thinking);
+
+    // a held fork moves next to its holder's seat
+    let angle = seatAngle(i) - Math.PI / n;
+    let radius = 24;
+    if (holder) {
+      angle += (holder === sim.philosophers[i].key ? 0.45 : -0.45) * Math.PI / n;
+      radius = 30;
+    }
+    const pos = tablePoint(angle, radius);
+    v.tableEl.style.left = `${pos.left}%`;
+    v.tableEl.style.top = `${pos.top}%`;
+    v.tableEl.classList.toggle('held', !!holder);
+    v.tableEl.classList.toggle('dirty', sim.strategy === 'chandy-misra' && f.dirty);
+    v.tableEl.title = label;
+  });
+
+  const center = document.getElementById('dp-center');
+  if (center) {
+    center.classList.toggle('deadlock', !!sim.deadlock);
+    const eating = sim.philosophers.filter(p => p.state === 'eating').length;
+    center.textContent = sim.deadlock ? '💀 DEADLOCK' : `🍝 ${eating} eating`;
+  }
+}
+
+// ---------- Pseudocode ----------
+function dpPseudocode() {
+  return DP_PSEUDOCODE[sim.strategy] || DP_PSEUDOCODE.naive;
+}
+
+// Line marker for one philosopher: blocked threads sit on the line they
+// block in, which for the waiter and Chandy–Misra is a line of its own.
+function philosopherAt(p) {
+  if (p.state === 'hungry' && sim.strategy === 'chandy-misra') {
+    return [sim.leftFork(p), sim.rightFork(p)].some(f => f.lock.owner !== p.key && f.request !== p.key) ? 'request' : 'blocked';
+  }
+  return p.pc;
+}
+
+// helper-block lines that are live right now
+function helperMarks() {
+  const marks = new Set();
+  if (sim.deadlock) marks.add('deadlock');
+  if (sim.philosophers.some(p => p.waitingFor)) marks.add('blocked');
+  if (sim.strategy === 'waiter' && sim.philosophers.some(p => p.state === 'eating')) marks.add('granted');
+  if (sim.strategy === 'chandy-misra') {
+    sim.forks.forEach(f => {
+      if (!f.request) return;
+      const holder = sim.getThread(f.lock.owner);
+      marks.add(holder.state === 'eating' || !f.dirty ? 'defer' : 'pass');
+    });
+  }
+  return marks;
+}
+
+function renderDPPseudocode() {
+  const code = dpPseudocode();
+  document.getElementById('shared-code').innerHTML = code.shared.map((line, i) => {
+    const value = line.key ? escapeHtml(DP_SHARED_VALUES[line.key]()) : '';
+    return `<div class="pseudo-line" id="shared-line-${i}">${escapeHtml(line.text)}${value}</div>`;
+  }).join('');
+
+  // per-philosopher markers: every line lists who is on it
+  const at = {};
+  sim.philosophers.forEach(p => {
+    const line = philosopherAt(p);
+    (at[line] = at[line] || []).push(p.key);
+  });
+  document.getElementById('producer-code').innerHTML = code.philosopher.map((line, i) => {
+    const who = line.at && at[line.at] ? `<span class="pseudo-marker">${at[line.at].join(' ')}</span>` : '';
+    return `<div class="pseudo-line" id="prod-line-${i}">${escapeHtml(line.text)}${who}</div>`;
+  }).join('');
+  document.getElementById('consumer-code').innerHTML = code.helper
+    .map((line, i) => `<div class="pseudo-line" id="cons-line-${i}">${escapeHtml(line.text)}</div>`).join('');
+}
+
+function highlightDPPseudocode() {
+  const code = dpPseudocode();
+  const occupied = new Set(sim.philosophers.map(philosopherAt));
+  const marks = helperMarks();
+
+  clearPseudoHighlights('prod');
+  code.philosopher.forEach((line, i) => {
+    // thinking is the resting line; only highlight it when nobody is busier
+    if (line.at && occupied.has(line.at) && (line.at !== 'think' || occupied.size === 1)) {
+      highlightLineByIdWithClass(`prod-line-${i}`, 'prod-highlight');
+    }
+  });
+  clearPseudoHighlights('cons');
+  code.helper.forEach((line, i) => {
+    if (line.at && marks.has(line.at)) highlightLineByIdWithClass(`cons-line-${i}`, 'cons-highlight');
+  });
+  clearPseudoHighlights('shared');
+  if (sim.forks.some(f => f.lock.locked)) highlightLineByIdWithClass('shared-line-1', 'shared-highlight');
+}
+
+// ---------- Metrics ----------
+function updateDPMetrics() {
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  const now = sim.now();
+  const hungry = sim.philosophers.filter(p => p.state === 'hungry');
+  // longest hungry spell so far, counting philosophers that are still hungry
+  const longest = Math.max(sim.maxHunger, ...hungry.map(p => now - p.hungrySince));
+
+  set('m-dp-eating', String(sim.philosophers.filter(p => p.state === 'eating').length));
+  set('m-dp-hungry', String(hungry.length));
+  set('m-dp-meals', String(sim.philosophers.reduce((sum, p) => sum + p.count, 0)));
+  set('m-dp-forks', `${sim.forks.filter(f => f.lock.locked).length}/${sim.forks.length}`);
+  set('m-dp-hunger', formatSimTime(longest));
+  set('m-dp-deadlock', sim.deadlock ? sim.deadlock.join(' → ') : 'none');
+}
+
+// ---------- Live control changes ----------
+let _applyDPSpeedsTO = null;
+
+function onDPInput(id) {
+  if (sim.isRunning && (id === 'producer-delay' || id === 'consumer-delay' || id === 'transfer-speed')) {
+    if (_applyDPSpeedsTO) clearTimeout(_applyDPSpeedsTO);
+    _applyDPSpeedsTO = setTimeout(() => {
+      if (!sim.isRunning) return;
+      const { thinkDelay, eatDelay, handSpeed } = readDPInputs();
+      sim.setSpeeds({ thinkDelay, eatDelay, handSpeed });
+      addMessage(`⚡ Speed updated: think=${sim.thinkDelay}ms, eat=${sim.eatDelay}ms, handSpeed=${sim.handSpeed}`);
+    }, 300);
+  }
+
+  // fork ownership means different things per strategy, so switching starts over
+  if (id === 'sync-mode') {
+    resetProducerConsumer();
+    addMessage(`🍴 Strategy: ${sim.strategy} — press Start`);
+  }
+}
+
+registerProblemView('diningPhilosophers', {
+  title: 'Dining Philosophers Visualization',
+  tracePrefix: 'dp',
+  chrome: {
+    labels: {
+      'sync-mode': 'Strategy',
+      'transfer-speed': 'Hand Speed (multiplier)',
+      'num-producers': 'Number of Philosophers',
+      'producer-delay': 'Think Time (ms)',
+      'consumer-delay': 'Eat Time (ms)'
+    },
+    hidden: ['sched-policy', 'num-consumers', 'buffer-capacity', 'buffer-type'],
+    syncOptions: [
+      ['naive', 'Naive: left then right (can deadlock)'],
+      ['ordering', 'Resource ordering (lower fork first)'],
+      ['waiter', 'Waiter / arbitrator'],
+      ['chandy-misra', 'Chandy–Misra (dirty/clean forks)']
+    ],
+    columns: ['Philosophers', 'Forks'],
+    legend: `
+      <li class="legend-item"><span class="legend-shape legend-producing" aria-hidden="true"></span><span class="legend-label">eating (fork in use)</span></li>
+      <li class="legend-item"><span class="legend-shape legend-holding" aria-hidden="true"></span><span class="legend-label">hungry (fork held, not eating)</span></li>
+      <li class="legend-item"><span class="legend-shape legend-idle" aria-hidden="true"></span><span class="legend-label">thinking (fork free)</span></li>
+      <li class="legend-item"><span class="legend-shape legend-waiting" aria-hidden="true"></span><span class="legend-label">deadlocked</span></li>`,
+    metrics: `
+      <div>Eating: <strong id="m-dp-eating">0</strong> • Hungry: <strong id="m-dp-hungry">0</strong></div>
+      <div>Meals: <strong id="m-dp-meals">0</strong> • Forks in hand: <strong id="m-dp-forks">0/0</strong></div>
+      <div>Longest hunger: <strong id="m-dp-hunger">0.000s</strong></div>
+      <div>Deadlock: <strong id="m-dp-deadlock">none</strong></div>`,
+    hint: 'Click Start. The naive strategy deadlocks once every philosopher holds a left fork; the others never do.'
+  },
+  readInputs: readDPInputs,
+  createSim: config => new OSEngine.DiningPhilosophersSim(config),
+  startMessage: () =>
+    `Started: ${sim.philosophers.length} philosopher(s), think=${sim.thinkDelay}ms, eat=${sim.eatDelay}ms, strategy=${sim.strategy}, handSpeed=${sim.handSpeed}, seed=${sim.seed}`,
+  onInput: onDPInput,
+  build: buildDPEntities,
+  render: renderDPEntities,
+  renderPseudocode: renderDPPseudocode,
+  highlightPseudocode: highlightDPPseudocode,
+  updateMetrics: updateDPMetrics
+});
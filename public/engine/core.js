@@ -0,0 +1,353 @@
+// Shared engine plumbing — a tiny event emitter, the seeded PRNG, the
+// virtual clock the simulations schedule their thread actions on and the
+// Simulation base class with the run lifecycle. No DOM access in here: loaded
+// as a plain <script> in the browser (window.OSEngine) and through require()
+// in Node.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ---------- Event emitter ----------
+  class Emitter {
+    constructor() {
+      this._listeners = new Map(); // Map<eventName, Array<handler>>
+    }
+
+    on(type, handler) {
+      if (!this._listeners.has(type)) this._listeners.set(type, []);
+      this._listeners.get(type).push(handler);
+      return () => this.off(type, handler);
+    }
+
+    off(type, handler) {
+      const list = this._listeners.get(type);
+      if (!list) return;
+      const idx = list.indexOf(handler);
+      if (idx >= 0) list.splice(idx, 1);
+    }
+
+    emit(type, payload) {
+      const list = this._listeners.get(type);
+      if (!list || list.length === 0) return;
+      // copy so handlers may unsubscribe while we iterate
+      list.slice().forEach(handler => {
+        try { handler(payload); } catch (e) { console.error(e); }
+      });
+    }
+  }
+
+  // ---------- Seeded PRNG (mulberry32) ----------
+  // The whole generator state is one uint32, so runs can be replayed from a
+  // seed and the state can be copied into snapshots.
+  class SeededRandom {
+    constructor(seed) {
+      this.seed = seed >>> 0;
+      this.state = this.seed;
+    }
+
+    // float in [0, 1)
+    next() {
+      this.state = (this.state + 0x6D2B79F5) >>> 0;
+      let t = this.state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // integer in [0, n)
+    int(n) {
+      return Math.floor(this.next() * n);
+    }
+  }
+
+  function randomSeed() {
+    return Math.floor(Math.random() * 1000000);
+  }
+
+  // ---------- Virtual clock ----------
+  // Discrete-event clock: entries are plain data ({ type, key }) handed back
+  // to `dispatch` in (time, insertion) order, so the same schedule always
+  // fires in the same order no matter how the clock is advanced. The browser
+  // advances it from requestAnimationFrame; Node can run it as fast as it likes.
+  class VirtualClock {
+    constructor(dispatch) {
+      this.dispatch = dispatch;
+      this.time = 0;
+      this.queue = []; // sorted by (time, seq)
+      this.seq = 0;
+    }
+
+    now() {
+      return this.time;
+    }
+
+    schedule(delay, event) {
+      const entry = { time: this.time + Math.max(0, delay), seq: this.seq++, event };
+      // binary search for the first entry due strictly later
+      let lo = 0;
+      let hi = this.queue.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (this.queue[mid].time <= entry.time) lo = mid + 1;
+        else hi = mid;
+      }
+      this.queue.splice(lo, 0, entry);
+      return entry.seq;
+    }
+
+    cancel(id) {
+      const idx = this.queue.findIndex(e => e.seq === id);
+      if (idx >= 0) this.queue.splice(idx, 1);
+    }
+
+    cancelAll() {
+      this.queue = [];
+    }
+
+    nextTime() {
+      return this.queue.length > 0 ? this.queue[0].time : null;
+    }
+
+    // the entry runNext() would fire, or null
+    peek() {
+      return this.queue.length > 0 ? this.queue[0].event : null;
+    }
+
+    // Fires the earliest entry, moving time forward to it.
+    runNext() {
+      const entry = this.queue.shift();
+      if (!entry) return false;
+      this.time = Math.max(this.time, entry.time);
+      this.dispatch(entry.event);
+      return true;
+    }
+
+    // Fires everything due within the next `ms` and ends exactly at now + ms.
+    advance(ms) {
+      const target = this.time + Math.max(0, ms);
+      while (this.queue.length > 0 && this.queue[0].time <= target) this.runNext();
+      this.time = target;
+    }
+
+    // Moves time forward without firing anything (callers fire due entries first).
+    advanceTo(time) {
+      this.time = Math.max(this.time, time);
+    }
+
+    snapshot() {
+      return {
+        time: this.time,
+        seq: this.seq,
+        queue: this.queue.map(e => ({ time: e.time, seq: e.seq, event: Object.assign({}, e.event) }))
+      };
+    }
+
+    restore(snap) {
+      this.time = snap.time;
+      this.seq = snap.seq;
+      this.queue = snap.queue.map(e => ({ time: e.time, seq: e.seq, event: Object.assign({}, e.event) }));
+    }
+  }
+
+  // ---------- Config helpers ----------
+  const SEED_LIMIT = { min: 0, max: 4294967295 };
+
+  function clampNumber(value, limit, parse) {
+    const n = parse(value);
+    if (isNaN(n)) return limit.fallback;
+    const lo = Math.max(limit.min, n);
+    return limit.max !== undefined ? Math.min(limit.max, lo) : lo;
+  }
+
+  // A missing seed gets a fresh random one, so normalize a config once and
+  // keep the result if the run has to be reproduced.
+  function normalizeSeed(value) {
+    const n = parseInt(value, 10);
+    if (isNaN(n)) return randomSeed();
+    return Math.max(SEED_LIMIT.min, Math.min(SEED_LIMIT.max, n));
+  }
+
+  // ---------- Simulation base ----------
+  // atomic actions kept for step-back
+  const HISTORY_LIMIT = 500;
+
+  // Run lifecycle, stepping and trace bookkeeping shared by the problem
+  // engines. Subclasses own their state and provide reset(config),
+  // allThreads(), _delayFor(t), _dispatch(event), _traceFields(t, extra)
+  // and snapshot()/restore(snap).
+  //
+  // Events every engine emits, so one renderer loop can drive any of them:
+  //   'entities'  thread states changed
+  //   'action'    one atomic action happened; payload: its trace record
+  //   'trace'     any record appended to this.trace (actions and the rest)
+  //   'message'   human-readable status line
+  //   'restore'   restore(snap) replaced the whole state (step back)
+  // An engine's header lists the events it adds on top.
+  class Simulation extends Emitter {
+    // options.historyLimit: snapshots kept for stepBack() (0 disables them).
+    // Every engine takes (config, options) and hands options on to here.
+    constructor(options) {
+      super();
+      const opts = options || {};
+      this.historyLimit = opts.historyLimit !== undefined ? opts.historyLimit : HISTORY_LIMIT;
+      this.clock = null;
+    }
+
+    // Fresh clock, PRNG (from this.seed) and bookkeeping; called by reset().
+    _resetRun() {
+      if (this.clock) this.clock.cancelAll();
+      this.rng = new SeededRandom(this.seed);
+      this.clock = new VirtualClock(ev => this._dispatch(ev));
+
+      this.actionCount = 0;
+      this.history = [];
+      this.trace = [];
+
+      this.isRunning = false;
+      this.isPaused = false;
+    }
+
+    // ---------- Lifecycle ----------
+    start() {
+      if (this.isRunning) return false;
+      this.isRunning = true;
+      this.isPaused = false;
+      this.startEntityTimers();
+      return true;
+    }
+
+    pause() {
+      if (!this.isRunning || this.isPaused) return false;
+      this.isPaused = true;
+      return true;
+    }
+
+    resume() {
+      if (!this.isRunning || !this.isPaused) return false;
+      this.isPaused = false;
+      return true;
+    }
+
+    stop() {
+      this.clock.cancelAll();
+      this.allThreads().forEach(t => { t.timer = null; });
+      this.isRunning = false;
+    }
+
+    // Advances virtual time by `ms`, firing every due thread action. Headless
+    // callers use this to run as fast as the CPU allows. A paused run keeps
+    // its clock frozen, in-flight transfers included.
+    runFor(ms) {
+      if (!this.isRunning || this.isPaused) return;
+      const target = this.clock.now() + Math.max(0, ms);
+      while (this.clock.nextTime() !== null && this.clock.nextTime() <= target) {
+        this._runNextEvent();
+        // a listener may pause the run part-way (e.g. on a deadlock)
+        if (this.isPaused) return;
+      }
+      this.clock.advanceTo(target);
+    }
+
+    // Pauses the run and performs exactly one atomic action. Returns the
+    // action event, or null if nothing could happen.
+    step() {
+      if (!this.isRunning) return null;
+      this.isPaused = true;
+
+      let performed = null;
+      const off = this.on('action', ev => { performed = ev; });
+      // threads stuck forever (e.g. deadlock) only produce no-op ticks
+      for (let guard = 0; guard < 10000 && !performed && this.clock.nextTime() !== null; guard++) {
+        this._runNextEvent();
+      }
+      off();
+      return performed;
+    }
+
+    // Rewinds to the state before the most recent atomic action.
+    stepBack() {
+      if (!this.isRunning || this.history.length === 0) return false;
+      this.isPaused = true;
+      this.restore(this.history.pop());
+      return true;
+    }
+
+    now() {
+      return this.clock.now();
+    }
+
+    getThread(key) {
+      return this.allThreads().find(t => t.key === key);
+    }
+
+    // ---------- Timers ----------
+    startEntityTimers() {
+      this.allThreads().forEach(t => {
+        if (t.timer !== null) {
+          this.clock.cancel(t.timer);
+          t.timer = null;
+        }
+      });
+
+      this.allThreads().forEach(t => {
+        t.timer = this.clock.schedule(this._initialDelay(t), { type: 'tick', key: t.key });
+      });
+    }
+
+    // threads start a little apart instead of all on the first tick
+    _initialDelay(t) {
+      return this.rng.int(Math.min(150, Math.max(10, this._delayFor(t) / 4)));
+    }
+
+    // Fires the next clock entry, remembering the state beforehand whenever
+    // that entry turned out to perform an atomic action. Entries _canAct()
+    // rules out (most of them are idle ticks) skip the snapshot.
+    _runNextEvent() {
+      const next = this.clock.peek();
+      const before = this.historyLimit > 0 && next && this._canAct(next) ? this.snapshot() : null;
+      const actions = this.actionCount;
+      this.clock.runNext();
+      if (before && this.actionCount > actions) {
+        this.history.push(before);
+        if (this.history.length > this.historyLimit) this.history.shift();
+      }
+    }
+
+    // False only for clock entries that certainly perform no atomic action;
+    // engines override it for their cheap cases.
+    _canAct(event) {
+      return true;
+    }
+
+    // Records one atomic action. The fields describe the state right after
+    // the action, so a trace can be replayed without the engine.
+    _action(t, action, extra) {
+      this.actionCount++;
+      this.emit('action', this._record(t, action, extra));
+    }
+
+    // Trace-only entry for state changes that are not atomic actions
+    // (a thread starting to wait for its turn); step() does not stop on them.
+    _record(t, action, extra) {
+      const ev = Object.assign(
+        { seq: this.trace.length, time: this.clock.now(), actor: t.key, action },
+        this._traceFields(t, extra)
+      );
+      this.trace.push(ev);
+      this.emit('trace', ev);
+      return ev;
+    }
+
+    // ---------- Event helpers ----------
+    _emitEntities() { this.emit('entities'); }
+    _message(text) { this.emit('message', text); }
+  }
+
+  return {
+    Emitter, SeededRandom, randomSeed, VirtualClock,
+    SEED_LIMIT, clampNumber, normalizeSeed, HISTORY_LIMIT, Simulation
+  };
+});
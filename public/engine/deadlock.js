@@ -0,0 +1,66 @@
+// Deadlock detection on a wait-for graph. Nodes are thread keys; an edge
+// A -> B means "A is blocked and B is one of the threads that could wake it".
+// A blocked thread only needs one of its edges to move (a consumer can make
+// room for any waiting producer), so a deadlock is a set of blocked threads
+// that nobody outside the set can ever wake. A crashed thread wakes nobody
+// at all, so whoever waits only on it is stuck just the same.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // graph: { threads: [key], edges: [{ from, to, via }], dead: [key] };
+  // threads without outgoing edges are runnable unless they are dead
+  // (optional: crashed threads). Returns null, or
+  //   { threads, edges, cycle, stall, dead }
+  // with the stuck threads (dead ones included), the edges between them, one
+  // closed path through them (first key repeated at the end) or else the
+  // chain that ends at a dead thread, whether no thread can run at all and
+  // the dead threads among the stuck.
+  function findDeadlock(graph) {
+    const out = new Map(graph.threads.map(key => [key, []]));
+    graph.edges.forEach(e => {
+      if (out.has(e.from)) out.get(e.from).push(e.to);
+    });
+    const dead = new Set(graph.dead || []);
+
+    // start from every blocked or dead thread, then drop the ones something
+    // outside the set can still wake, until nothing changes
+    const stuck = new Set(graph.threads.filter(key => out.get(key).length > 0 || dead.has(key)));
+    let changed = true;
+    while (changed) {
+      changed = false;
+      stuck.forEach(key => {
+        if (out.get(key).some(to => !stuck.has(to))) {
+          stuck.delete(key);
+          changed = true;
+        }
+      });
+    }
+    // dead threads alone are not stuck on anything
+    const threads = graph.threads.filter(key => stuck.has(key));
+    const start = threads.find(key => !dead.has(key));
+    if (!start) return null;
+
+    // every edge left points back into the set, so following any of them
+    // comes round to a thread already on the path or ends at a dead one
+    const path = [start];
+    let next = out.get(start)[0];
+    while (next !== undefined && !path.includes(next)) {
+      path.push(next);
+      next = out.get(next)[0];
+    }
+
+    return {
+      threads,
+      edges: graph.edges.filter(e => stuck.has(e.from)),
+      cycle: next === undefined ? path : path.slice(path.indexOf(next)).concat(next),
+      stall: threads.length === graph.threads.length,
+      dead: threads.filter(key => dead.has(key))
+    };
+  }
+
+  return { findDeadlock };
+});
@@ -0,0 +1,444 @@
+// Headless Dining Philosophers engine. N philosophers sit around a table with
+// one fork between each pair; eating needs both neighbouring forks. The
+// strategy decides how the forks are picked up:
+//   naive         left fork, then right fork (everyone can end up holding one)
+//   ordering      lower-numbered fork first, which breaks the circular wait
+//   waiter        an arbitrator hands out both forks at once or queues the request
+//   chandy-misra  forks are owned, requested by message and only handed over
+//                 when dirty (used) and not being eaten with
+// Emits the Simulation events (core.js) and no others.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./core'), require('./sync')));
+  } else {
+    root.OSEngine = Object.assign(root.OSEngine || {}, factory(root.OSEngine));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  'use strict';
+
+  const { Simulation, MutexWithConditions, SEED_LIMIT, clampNumber, normalizeSeed } = deps;
+
+  const DP_LIMITS = {
+    philosophers: { min: 2, max: 10, fallback: 5 },
+    thinkDelay: { min: 50, fallback: 800 },
+    eatDelay: { min: 50, fallback: 1000 },
+    handSpeed: { min: 0.1, max: 6.0, fallback: 1.0 },
+    seed: SEED_LIMIT
+  };
+
+  const DP_STRATEGIES = ['naive', 'ordering', 'waiter', 'chandy-misra'];
+
+  // base time between picking up one fork and reaching for the next
+  const REACH_BASE_MS = 400;
+
+  function normalizeDPConfig(raw) {
+    const c = raw || {};
+    const int = v => parseInt(v, 10);
+    return {
+      philosophers: clampNumber(c.philosophers, DP_LIMITS.philosophers, int),
+      thinkDelay: clampNumber(c.thinkDelay, DP_LIMITS.thinkDelay, int),
+      eatDelay: clampNumber(c.eatDelay, DP_LIMITS.eatDelay, int),
+      strategy: DP_STRATEGIES.includes(c.strategy) ? c.strategy : 'naive',
+      handSpeed: clampNumber(c.handSpeed, DP_LIMITS.handSpeed, parseFloat),
+      seed: normalizeSeed(c.seed)
+    };
+  }
+
+  function createPhilosopher(id) {
+    return {
+      id,
+      key: 'Ph' + id,
+      kind: 'philosopher',
+      count: 0, // meals eaten
+      state: 'thinking', // thinking | hungry | eating
+      inFlight: false,
+      pc: 'think', // think | first | second | waiter | request | eat
+      waitingFor: null, // fork key (or 'waiter') while blocked
+      hungrySince: null,
+      timer: null
+    };
+  }
+
+  // Forks are locks; lock.owner is the philosopher holding the fork. Under
+  // Chandy–Misra every fork always has an owner and `dirty` / `request`
+  // carry the algorithm's state.
+  function createFork(id) {
+    return { id, key: 'F' + id, lock: new MutexWithConditions(), dirty: true, request: null };
+  }
+
+  class DiningPhilosophersSim extends Simulation {
+    constructor(config, options) {
+      super(options);
+      this.problem = 'diningPhilosophers';
+      this.reset(config);
+    }
+
+    reset(config) {
+      const c = normalizeDPConfig(config || this.config);
+      this.config = c;
+      this.thinkDelay = c.thinkDelay;
+      this.eatDelay = c.eatDelay;
+      this.strategy = c.strategy;
+      this.handSpeed = c.handSpeed;
+      this.seed = c.seed;
+
+      this.philosophers = [];
+      this.forks = [];
+      for (let i = 0; i < c.philosophers; i++) {
+        this.philosophers.push(createPhilosopher(i));
+        this.forks.push(createFork(i));
+      }
+      if (this.strategy === 'chandy-misra') {
+        // each fork starts dirty with the lower-numbered neighbour, so the
+        // precedence graph has no cycle
+        this.forks.forEach(f => {
+          const left = this.philosophers[f.id];
+          const right = this.philosophers[(f.id - 1 + c.philosophers) % c.philosophers];
+          f.lock.tryAcquire(left.id < right.id ? left.key : right.key);
+        });
+      }
+
+      this.waiterQueue = []; // philosophers waiting for the waiter, in arrival order
+      this.deadlock = null; // keys of the philosophers in the wait cycle
+      this.maxHunger = 0; // longest completed hungry spell
+
+      this._resetRun();
+    }
+
+    setSpeeds({ thinkDelay, eatDelay, handSpeed }) {
+      const c = normalizeDPConfig(Object.assign({}, this.config, { thinkDelay, eatDelay, handSpeed }));
+      this.config = c;
+      this.thinkDelay = c.thinkDelay;
+      this.eatDelay = c.eatDelay;
+      this.handSpeed = c.handSpeed;
+      if (this.isRunning) this.startEntityTimers();
+    }
+
+    // ---------- Queries ----------
+    allThreads() {
+      return this.philosophers;
+    }
+
+    leftFork(p) {
+      return this.forks[p.id];
+    }
+
+    rightFork(p) {
+      return this.forks[(p.id + 1) % this.forks.length];
+    }
+
+    // the fork a philosopher picks up first / second under naive and ordering
+    firstFork(p) {
+      const l = this.leftFork(p);
+      const r = this.rightFork(p);
+      return this.strategy === 'ordering' && r.id < l.id ? r : l;
+    }
+
+    secondFork(p) {
+      return this.firstFork(p) === this.leftFork(p) ? this.rightFork(p) : this.leftFork(p);
+    }
+
+    forkHolder(f) {
+      return f.lock.owner;
+    }
+
+    forksHeldBy(p) {
+      return this.forks.filter(f => f.lock.owner === p.key);
+    }
+
+    _holdsBoth(p) {
+      return this.leftFork(p).lock.owner === p.key && this.rightFork(p).lock.owner === p.key;
+    }
+
+    reachDuration() {
+      const speed = this.handSpeed > 0 ? this.handSpeed : 1.0;
+      return Math.max(20, Math.round(REACH_BASE_MS / speed));
+    }
+
+    _delayFor() {
+      return this.thinkDelay;
+    }
+
+    // ticks while busy only come round again
+    _canAct(ev) {
+      if (ev.type !== 'tick') return true;
+      const p = this.getThread(ev.key);
+      return !!p && !p.inFlight;
+    }
+
+    _dispatch(ev) {
+      const p = this.getThread(ev.key);
+      if (!p || !this.isRunning) return;
+
+      switch (ev.type) {
+        case 'tick':
+          p.timer = null;
+          if (!p.inFlight) this._becomeHungry(p);
+          p.timer = this.clock.schedule(this.thinkDelay + this.rng.int(200), ev);
+          break;
+        case 'take':
+          this._take(p);
+          break;
+        case 'got':
+          // a fork was handed over while the philosopher waited for it
+          this._gotFork(p, this.forks[ev.fork]);
+          break;
+        case 'yield':
+          this._answerRequest(p, this.forks[ev.fork]);
+          break;
+        case 'eat':
+          this._eat(p);
+          break;
+        case 'done':
+          this._finishEating(p);
+          break;
+        default:
+          break;
+      }
+    }
+
+    _traceFields(p, extra) {
+      return Object.assign({}, extra, {
+        forks: this.forks.map(f => f.lock.owner || '-').join(' '),
+        eating: this.philosophers.filter(x => x.state === 'eating').length,
+        hungry: this.philosophers.filter(x => x.state === 'hungry').length,
+        state: p.state
+      });
+    }
+
+    // ---------- Philosopher steps ----------
+    _becomeHungry(p) {
+      p.inFlight = true;
+      p.state = 'hungry';
+      p.hungrySince = this.clock.now();
+      if (this.strategy === 'waiter') p.pc = 'waiter';
+      else if (this.strategy === 'chandy-misra') p.pc = 'request';
+      else p.pc = 'first';
+      this._emitEntities();
+      this._message(`😋 ${p.key} is hungry`);
+      this._action(p, 'hungry');
+      this.clock.schedule(0, { type: 'take', key: p.key });
+    }
+
+    _take(p) {
+      if (p.state !== 'hungry' || p.waitingFor) return;
+      if (this.strategy === 'waiter') this._askWaiter(p);
+      else if (this.strategy === 'chandy-misra') this._requestForks(p);
+      else this._pickUp(p);
+    }
+
+    // naive / ordering: one fork per action, blocking on a held fork
+    _pickUp(p) {
+      const f = this.forksHeldBy(p).length === 0 ? this.firstFork(p) : this.secondFork(p);
+      if (f.lock.acquire(p.key)) {
+        this._tookFork(p, f, '');
+        return;
+      }
+
+      p.waitingFor = f.key;
+      this._emitEntities();
+      this._message(`⏳ ${p.key} waits for ${f.key} (held by ${f.lock.owner})`);
+      this._action(p, 'block', { cond: f.key });
+      this._checkDeadlock(p);
+    }
+
+    _gotFork(p, f) {
+      p.waitingFor = null;
+      this._tookFork(p, f, ' after waiting');
+    }
+
+    _tookFork(p, f, how) {
+      const side = f === this.leftFork(p) ? 'left' : 'right';
+      const both = this._holdsBoth(p);
+      p.pc = both ? 'eat' : 'second';
+      this._emitEntities();
+      this._message(`🍴 ${p.key} picked up ${f.key} (${side})${how}`);
+      this._action(p, 'take', { cond: f.key });
+      if (both) this.clock.schedule(0, { type: 'eat', key: p.key });
+      else this.clock.schedule(this.reachDuration(), { type: 'take', key: p.key });
+    }
+
+    // waiter: both forks in one action, or a place in the waiter's queue
+    _askWaiter(p) {
+      const l = this.leftFork(p);
+      const r = this.rightFork(p);
+      if (!l.lock.locked && !r.lock.locked) {
+        l.lock.tryAcquire(p.key);
+        r.lock.tryAcquire(p.key);
+        p.pc = 'eat';
+        this._emitEntities();
+        this._message(`🤵 Waiter gives ${p.key} ${l.key} and ${r.key}`);
+        this._action(p, 'take', { cond: `${l.key}+${r.key}` });
+        this.clock.schedule(0, { type: 'eat', key: p.key });
+        return;
+      }
+
+      p.waitingFor = 'waiter';
+      this.waiterQueue.push(p.key);
+      this._emitEntities();
+      this._message(`⏳ ${p.key} waits for the waiter (${l.lock.locked ? l.key : r.key} in use)`);
+      this._action(p, 'block', { cond: 'waiter' });
+    }
+
+    // after a meal the waiter serves the queue in order, skipping anyone
+    // whose forks are still in use
+    _serveWaiterQueue() {
+      this.waiterQueue.slice().forEach(key => {
+        const q = this.getThread(key);
+        const l = this.leftFork(q);
+        const r = this.rightFork(q);
+        if (l.lock.locked || r.lock.locked) return;
+        l.lock.tryAcquire(key);
+        r.lock.tryAcquire(key);
+        this.waiterQueue.splice(this.waiterQueue.indexOf(key), 1);
+        q.waitingFor = null;
+        q.pc = 'eat';
+        this._message(`🤵 Waiter gives ${key} ${l.key} and ${r.key}`);
+        this.clock.schedule(0, { type: 'eat', key });
+      });
+    }
+
+    // Chandy–Misra: ask the neighbour for one missing fork per action
+    _requestForks(p) {
+      if (this._holdsBoth(p)) {
+        this._eat(p);
+        return;
+      }
+      const f = [this.leftFork(p), this.rightFork(p)]
+        .find(x => x.lock.owner !== p.key && x.request !== p.key);
+      if (!f) return; // both requests are out; wait for the forks
+
+      f.request = p.key;
+      this._emitEntities();
+      this._message(`✉️ ${p.key} asks ${f.lock.owner} for ${f.key}`);
+      this._action(p, 'request', { cond: f.key });
+      this.clock.schedule(this.reachDuration(), { type: 'yield', key: f.lock.owner, fork: f.id });
+      this.clock.schedule(0, { type: 'take', key: p.key });
+    }
+
+    // the holder of `f` answers the pending request: a dirty fork that is not
+    // being eaten with is cleaned and sent, anything else waits for the meal
+    _answerRequest(h, f) {
+      if (!f.request || f.lock.owner !== h.key) return;
+      if (h.state === 'eating' || !f.dirty) {
+        this._record(h, 'defer', { cond: f.key, woken: f.request });
+        return;
+      }
+
+      const to = f.request;
+      f.request = null;
+      f.dirty = false;
+      f.lock.release();
+      f.lock.tryAcquire(to);
+      this._emitEntities();
+      this._message(`🍴 ${h.key} sends clean ${f.key} to ${to}`);
+      this._action(h, 'pass', { cond: f.key, woken: to });
+      this.clock.schedule(0, { type: 'take', key: to });
+      // a hungry philosopher that gave up a dirty fork asks for it back
+      if (h.state === 'hungry') this.clock.schedule(0, { type: 'take', key: h.key });
+    }
+
+    _eat(p) {
+      const hunger = this.clock.now() - p.hungrySince;
+      if (hunger > this.maxHunger) this.maxHunger = hunger;
+
+      p.state = 'eating';
+      p.pc = 'eat';
+      p.waitingFor = null;
+      this._emitEntities();
+      this._message(`🍝 ${p.key} eating with ${this.leftFork(p).key} and ${this.rightFork(p).key}`);
+      this._action(p, 'eat', { waited: hunger });
+      this.clock.schedule(this.eatDelay, { type: 'done', key: p.key });
+    }
+
+    _finishEating(p) {
+      const held = [this.leftFork(p), this.rightFork(p)];
+      p.count++;
+      p.state = 'thinking';
+      p.inFlight = false;
+      p.pc = 'think';
+      p.hungrySince = null;
+
+      if (this.strategy === 'chandy-misra') {
+        // forks stay put but are dirty now; deferred requests get answered
+        held.forEach(f => {
+          f.dirty = true;
+          if (f.request) this.clock.schedule(0, { type: 'yield', key: p.key, fork: f.id });
+        });
+        this._message(`✅ ${p.key} done eating meals=${p.count} (forks dirty)`);
+      } else {
+        held.forEach(f => {
+          const next = f.lock.release();
+          if (next) this.clock.schedule(0, { type: 'got', key: next, fork: f.id });
+        });
+        this._message(`✅ ${p.key} done eating meals=${p.count}, put down ${held[0].key} and ${held[1].key}`);
+        if (this.strategy === 'waiter') this._serveWaiterQueue();
+      }
+      this._action(p, 'release', { cond: `${held[0].key}+${held[1].key}` });
+      this._emitEntities();
+    }
+
+    // ---------- Deadlock ----------
+    // Follows "waits for fork held by" edges from `p`; a path back to `p`
+    // means nobody on it can ever continue.
+    _checkDeadlock(p) {
+      const cycle = [p.key];
+      let cur = p;
+      while (cur.waitingFor && cur.waitingFor[0] === 'F') {
+        const holder = this.forks[parseInt(cur.waitingFor.slice(1), 10)].lock.owner;
+        if (!holder) return;
+        if (holder === p.key) break;
+        if (cycle.includes(holder)) return;
+        cycle.push(holder);
+        cur = this.getThread(holder);
+      }
+      if (!cur.waitingFor || cur.waitingFor[0] !== 'F') return;
+
+      this.deadlock = cycle;
+      this._emitEntities();
+      this._message(`💀 DEADLOCK: ${cycle.concat(p.key).join(' → ')} — each holds one fork and waits for the next`);
+      this._record(p, 'deadlock', { cond: cycle.join(' ') });
+    }
+
+    // ---------- Snapshots ----------
+    snapshot() {
+      const copy = v => JSON.parse(JSON.stringify(v));
+      return {
+        config: copy(this.config),
+        philosophers: copy(this.philosophers),
+        forks: this.forks.map(f => ({ lock: f.lock.snapshot(), dirty: f.dirty, request: f.request })),
+        waiterQueue: this.waiterQueue.slice(),
+        deadlock: this.deadlock ? this.deadlock.slice() : null,
+        maxHunger: this.maxHunger,
+        clock: this.clock.snapshot(),
+        rng: this.rng.state,
+        traceLength: this.trace.length
+      };
+    }
+
+    restore(snap) {
+      this.config = JSON.parse(JSON.stringify(snap.config));
+      this.thinkDelay = this.config.thinkDelay;
+      this.eatDelay = this.config.eatDelay;
+      this.handSpeed = this.config.handSpeed;
+      this.philosophers = JSON.parse(JSON.stringify(snap.philosophers));
+      snap.forks.forEach((s, i) => {
+        const f = this.forks[i];
+        f.lock.restore(s.lock);
+        f.dirty = s.dirty;
+        f.request = s.request;
+      });
+      this.waiterQueue = snap.waiterQueue.slice();
+      this.deadlock = snap.deadlock ? snap.deadlock.slice() : null;
+      this.maxHunger = snap.maxHunger;
+      this.clock.restore(snap.clock);
+      this.rng.state = snap.rng;
+      this.trace.length = Math.min(this.trace.length, snap.traceLength);
+
+      this.emit('restore');
+      this._emitEntities();
+    }
+  }
+
+  return { DP_LIMITS, DP_STRATEGIES, normalizeDPConfig, DiningPhilosophersSim };
+});
@@ -0,0 +1,213 @@
+// Headless batch experiments: expand a grid of Producers–Consumers configs,
+// run each one for a fixed stretch of virtual time under several seeds and
+// reduce every run to a row of numbers (throughput, latency, utilization,
+// races). Used by scripts/experiment.js; the same seed and config always
+// give the same row.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./producer-consumer'), require('./invariants'), require('./timing')));
+  } else {
+    root.OSEngine = Object.assign(root.OSEngine || {}, factory(root.OSEngine));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  'use strict';
+
+  const { LIMITS, SYNC_MODES, SCHEDULING_POLICIES, BUFFER_TYPES, normalizeConfig, ProducerConsumerSim, VIOLATION_KINDS,
+    describeTiming, predictionForConfig, meanBufferLength
+  } = deps;
+
+  // config fields a sweep may vary (the seed comes from `seeds`)
+  const SWEEP_KEYS = Object.keys(LIMITS).filter(key => key !== 'seed').concat(['syncMode', 'policy', 'bufferType', 'timings']);
+  // numbers are clamped like the UI does, but a misspelt mode would quietly
+  // run as the default, so these are checked
+  const SWEEP_CHOICES = { syncMode: SYNC_MODES, policy: SCHEDULING_POLICIES, bufferType: BUFFER_TYPES };
+
+  const DEFAULT_DURATION_MS = 60000;
+
+  // states in which a thread is doing useful work
+  const BUSY_STATES = ['producing', 'consuming', 'holding-lock'];
+
+  // { key: value | [values] } -> every combination, as plain config objects,
+  // with the keys varied in the order they were given
+  function expandGrid(sweep) {
+    const unknown = Object.keys(sweep).filter(key => !SWEEP_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`unknown sweep parameter(s): ${unknown.join(', ')} (expected ${SWEEP_KEYS.join(', ')})`);
+    }
+    let grid = [{}];
+    Object.keys(sweep).forEach(key => {
+      const values = Array.isArray(sweep[key]) ? sweep[key] : [sweep[key]];
+      if (values.length === 0) throw new Error(`sweep parameter ${key} has no values`);
+      const bad = SWEEP_CHOICES[key] ? values.filter(v => !SWEEP_CHOICES[key].includes(v)) : [];
+      if (bad.length > 0) {
+        throw new Error(`unknown ${key} ${bad.map(v => JSON.stringify(v)).join(', ')} (expected ${SWEEP_CHOICES[key].join(', ')})`);
+      }
+      grid = grid.flatMap(partial => values.map(v => Object.assign({}, partial, { [key]: v })));
+    });
+    return grid;
+  }
+
+  // `seeds` is a list, or a count meaning seeds 1..n
+  function seedList(seeds) {
+    if (Array.isArray(seeds)) {
+      const bad = seeds.filter(s => !Number.isInteger(s) || s < 0);
+      if (bad.length > 0) throw new Error(`seeds must be non-negative integers, got ${JSON.stringify(bad)}`);
+      return seeds;
+    }
+    const n = seeds === undefined ? 1 : parseInt(seeds, 10);
+    if (!(n > 0)) throw new Error(`seeds must be a positive count or a list, got ${JSON.stringify(seeds)}`);
+    return Array.from({ length: n }, (_, i) => i + 1);
+  }
+
+  // Per thread, time spent blocked on the lock/mutex while still shown in a
+  // busy state (a semaphore consumer past wait(full) stays 'consuming' while
+  // it queues for the mutex): from a 'block' record to the thread's next one.
+  function blockedBusyTime(trace, duration) {
+    const since = {};
+    const out = {};
+    trace.forEach(ev => {
+      // the deadlock record names a thread but is not something it did
+      if (ev.action === 'deadlock') return;
+      if (since[ev.actor] !== undefined) {
+        out[ev.actor] = (out[ev.actor] || 0) + ev.time - since[ev.actor];
+        delete since[ev.actor];
+      }
+      if (ev.action === 'block' && BUSY_STATES.includes(ev.state)) since[ev.actor] = ev.time;
+    });
+    Object.keys(since).forEach(key => { out[key] = (out[key] || 0) + duration - since[key]; });
+    return out;
+  }
+
+  // share of thread-time `threads` spent in a busy state and not blocked
+  function utilization(totals, blocked, threads, duration) {
+    if (threads.length === 0 || duration <= 0) return 0;
+    const busy = threads.reduce((sum, t) => {
+      const sums = totals[t.key] || {};
+      return sum + BUSY_STATES.reduce((s, state) => s + (sums[state] || 0), 0) - (blocked[t.key] || 0);
+    }, 0);
+    return busy / (threads.length * duration);
+  }
+
+  // time-weighted mean of the item count over the run, as a share of capacity
+  function bufferUtilization(trace, capacity, duration) {
+    if (duration <= 0) return 0;
+    let area = 0;
+    let count = 0;
+    let since = 0;
+    trace.forEach(ev => {
+      area += count * (ev.time - since);
+      // NO-SYNC can push the count past either end
+      count = Math.max(0, Math.min(capacity, ev.count));
+      since = ev.time;
+    });
+    area += count * (duration - since);
+    return area / (capacity * duration);
+  }
+
+  // per-thread timings as one cell, e.g. "P1 exponential(800); C1 constant(500)"
+  function describeTimings(timings) {
+    return Object.keys(timings || {}).map(key => `${key} ${describeTiming(timings[key])}`).join('; ');
+  }
+
+  // Runs one config for `duration` ms of virtual time and returns its row.
+  function runExperiment(config, duration) {
+    const ms = duration === undefined ? DEFAULT_DURATION_MS : duration;
+    const sim = new ProducerConsumerSim(config, { historyLimit: 0 });
+    sim.start();
+    sim.runFor(ms);
+    sim.stop();
+    return measureRun(sim, ms);
+  }
+
+  // The row for a sim that has run for `ms` of virtual time.
+  function measureRun(sim, ms) {
+    const c = sim.config;
+    const produced = sim.producers.reduce((n, p) => n + p.count, 0);
+    const consumed = sim.consumers.reduce((n, t) => n + t.count, 0);
+    const latency = sim.latencySummary();
+    const races = sim.raceReport();
+    const totals = sim.timeline.totals(ms);
+    const blocked = blockedBusyTime(sim.trace, ms);
+    const prediction = predictionForConfig(c);
+
+    const row = {
+      bufferCapacity: c.bufferCapacity,
+      producers: c.producers,
+      consumers: c.consumers,
+      producerDelay: c.producerDelay,
+      consumerDelay: c.consumerDelay,
+      syncMode: c.syncMode,
+      policy: c.policy,
+      bufferType: c.bufferType,
+      timings: describeTimings(c.timings),
+      transferSpeed: c.transferSpeed,
+      seed: c.seed,
+      durationMs: ms,
+      produced,
+      consumed,
+      throughput: consumed / (ms / 1000),
+      avgLatencyMs: latency.latency.avg,
+      p95LatencyMs: latency.latency.p95,
+      avgBufferMs: latency.bufferTime.avg,
+      producerUtil: utilization(totals, blocked, sim.producers, ms),
+      consumerUtil: utilization(totals, blocked, sim.consumers, ms),
+      // an unbounded queue is measured against the size it grew to
+      bufferUtil: bufferUtilization(sim.trace, sim.bufferCapacity, ms),
+      // mean items waiting in the buffer, the M/M/1/K estimate of it and
+      // whether the config is outside the regime that estimate holds in
+      meanQueue: meanBufferLength(sim.trace, ms),
+      predictedQueue: prediction.meanQueue,
+      predictionRough: prediction.rough ? 1 : 0,
+      races: races.total
+    };
+    VIOLATION_KINDS.forEach(kind => { row[kind] = races.counts[kind]; });
+    row.deadlocked = sim.deadlock ? 1 : 0;
+    return row;
+  }
+
+  // fields of a row that describe the config rather than measure it
+  const CONFIG_COLUMNS = [
+    'bufferCapacity', 'producers', 'consumers', 'producerDelay', 'consumerDelay', 'syncMode', 'policy', 'bufferType', 'timings', 'transferSpeed'
+  ];
+
+  // Mean of every measured column over the rows of one config (nulls, e.g.
+  // no latency samples, are skipped); `seed` becomes the number of seeds.
+  function averageRows(rows) {
+    const out = {};
+    CONFIG_COLUMNS.forEach(col => { out[col] = rows[0][col]; });
+    out.seeds = rows.length;
+    Object.keys(rows[0]).forEach(col => {
+      if (CONFIG_COLUMNS.includes(col) || col === 'seed') return;
+      const values = rows.map(r => r[col]).filter(v => v !== null && v !== undefined);
+      out[col] = values.length > 0 ? values.reduce((s, v) => s + v, 0) / values.length : null;
+    });
+    return out;
+  }
+
+  // spec: { sweep, seeds, durationMs }. Returns one row per config and seed
+  // (perSeed) or one averaged row per config. onRun(done, total) reports progress.
+  function runSweep(spec, options) {
+    const opts = options || {};
+    const configs = expandGrid(spec.sweep || {});
+    const seeds = seedList(spec.seeds);
+    const duration = spec.durationMs === undefined ? DEFAULT_DURATION_MS : Number(spec.durationMs);
+    if (!(duration > 0)) throw new Error(`durationMs must be a positive number, got ${JSON.stringify(spec.durationMs)}`);
+
+    const total = configs.length * seeds.length;
+    let done = 0;
+    const rows = [];
+    configs.forEach(partial => {
+      const runs = seeds.map(seed => {
+        const row = runExperiment(normalizeConfig(Object.assign({}, partial, { seed })), duration);
+        done++;
+        if (opts.onRun) opts.onRun(done, total);
+        return row;
+      });
+      if (opts.perSeed) rows.push(...runs);
+      else rows.push(averageRows(runs));
+    });
+    return rows;
+  }
+
+  return { SWEEP_KEYS, DEFAULT_DURATION_MS, expandGrid, runExperiment, measureRun, runSweep };
+});
@@ -0,0 +1,20 @@
+// Node entry point: the browser loads the engine files as separate <script>
+// tags instead, each one adding itself to window.OSEngine.
+module.exports = Object.assign(
+  {},
+  require('./core'),
+  require('./sync'),
+  require('./deadlock'),
+  require('./invariants'),
+  require('./latency'),
+  require('./timeline'),
+  require('./timing'),
+  require('./producer-consumer'),
+  require('./readers-writers'),
+  require('./dining-philosophers'),
+  require('./sleeping-barber'),
+  require('./pipeline'),
+  require('./trace'),
+  require('./replay'),
+  require('./experiment')
+);
@@ -0,0 +1,157 @@
+// Correctness checker for the bounded buffer. It watches deposit/consume
+// actions in any sync mode, and the crashes and repairs that can leave a
+// deposit half-done, and reports every invariant they break:
+//   lost            an item left the buffer without being consumed
+//   double-consume  an item was consumed a second time
+//   empty-read      a consumer took from an empty slot
+//   count           itemsCount differs from the number of occupied slots
+//   conservation    items produced != items consumed + items in the buffer
+// Each violation keeps the trace seq of the action that caused it.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const VIOLATION_KINDS = ['lost', 'double-consume', 'empty-read', 'count', 'conservation'];
+
+  // records that change what is in the buffer
+  const BUFFER_ACTIONS = ['deposit', 'consume', 'crash', 'recover'];
+
+  // a producer that crashed mid-deposit left its item in the slot (trace.js)
+  function isTornDeposit(ev) {
+    return ev.action === 'crash' && ev.slot !== null && ev.slot !== undefined;
+  }
+
+  function producerKey(item) {
+    return item && item.producerId ? `P${item.producerId}` : null;
+  }
+
+  class InvariantChecker {
+    constructor() {
+      this.produced = 0; // items deposited into the buffer
+      this.consumed = 0; // consume actions that carried an item
+      this.buffered = []; // { id, producerId } | null per slot, as of the last check
+      this.consumedBy = new Map(); // Map<itemId, { actor, seq }>
+      this.violations = [];
+      // conservation/count drift already reported, so a gap that just
+      // persists is not reported again on every action
+      this.lastDrift = 0;
+      this.lastGap = 0;
+      this.lastSeq = -1;
+    }
+
+    // Checks `model` (a ProducerConsumerSim or anything with the same buffer
+    // fields) right after trace event `ev`; returns the new violations.
+    observe(model, ev) {
+      if (!BUFFER_ACTIONS.includes(ev.action)) return [];
+      this.lastSeq = ev.seq;
+
+      const found = [];
+      const add = (kind, actors, itemId, detail) => {
+        found.push({ kind, seq: ev.seq, time: ev.time, actors: actors.filter(Boolean), itemId, detail });
+      };
+
+      if (ev.action === 'deposit' || isTornDeposit(ev)) {
+        this.produced++;
+      } else if (ev.action !== 'consume') {
+        // a crash or a repair only moves what the checks below compare
+      } else if (ev.itemId === null || ev.itemId === undefined) {
+        add('empty-read', [ev.actor], null, `${ev.actor} consumed from empty slot ${ev.slot}`);
+      } else {
+        const first = this.consumedBy.get(ev.itemId);
+        if (first) {
+          add('double-consume', [first.actor, ev.actor], ev.itemId,
+            `item #${ev.itemId} consumed by ${first.actor} (#${first.seq}) and again by ${ev.actor}`);
+        } else {
+          this.consumedBy.set(ev.itemId, { actor: ev.actor, seq: ev.seq });
+        }
+        this.consumed++;
+      }
+
+      const now = model.buffer.map(item => (item ? { id: item.id, producerId: item.producerId } : null));
+      const ids = now.filter(Boolean).map(item => item.id);
+      this.buffered.forEach((item, slot) => {
+        if (!item || ids.includes(item.id) || this.consumedBy.has(item.id)) return;
+        const how = ev.action === 'deposit'
+          ? `${ev.actor} overwrote it in slot ${slot}`
+          : `${ev.actor} cleared slot ${slot} holding it`;
+        add('lost', [ev.actor, producerKey(item)], item.id, `item #${item.id} from ${producerKey(item)} lost — ${how}`);
+      });
+      this.buffered = now;
+
+      const drift = this.produced - this.consumed - ids.length;
+      if (drift !== this.lastDrift && drift !== 0) {
+        add('conservation', [ev.actor], null,
+          `produced ${this.produced} ≠ consumed ${this.consumed} + in buffer ${ids.length}`);
+      }
+      this.lastDrift = drift;
+
+      const gap = model.itemsCount - ids.length;
+      if (gap !== this.lastGap && gap !== 0) {
+        add('count', [ev.actor], null, `count = ${model.itemsCount} but ${ids.length} slot(s) occupied`);
+      }
+      this.lastGap = gap;
+
+      this.violations.push(...found);
+      return found;
+    }
+
+    // Totals per kind, the actors involved in each and every violation in
+    // trace order.
+    report() {
+      const counts = {};
+      const actors = {};
+      VIOLATION_KINDS.forEach(kind => {
+        counts[kind] = 0;
+        actors[kind] = [];
+      });
+      this.violations.forEach(v => {
+        counts[v.kind]++;
+        v.actors.forEach(a => {
+          if (!actors[v.kind].includes(a)) actors[v.kind].push(a);
+        });
+      });
+      VIOLATION_KINDS.forEach(kind => actors[kind].sort());
+      return {
+        produced: this.produced,
+        consumed: this.consumed,
+        buffered: this.buffered.filter(Boolean).length,
+        total: this.violations.length,
+        counts,
+        actors,
+        violations: this.violations.map(v => Object.assign({}, v, { actors: v.actors.slice() }))
+      };
+    }
+
+    // Violations and consumptions only ever get appended, so a snapshot
+    // keeps the counters and where the lists ended.
+    snapshot() {
+      return {
+        produced: this.produced,
+        consumed: this.consumed,
+        buffered: JSON.parse(JSON.stringify(this.buffered)),
+        violationCount: this.violations.length,
+        lastDrift: this.lastDrift,
+        lastGap: this.lastGap,
+        lastSeq: this.lastSeq
+      };
+    }
+
+    restore(snap) {
+      this.produced = snap.produced;
+      this.consumed = snap.consumed;
+      this.buffered = JSON.parse(JSON.stringify(snap.buffered));
+      this.violations.length = Math.min(this.violations.length, snap.violationCount);
+      this.lastDrift = snap.lastDrift;
+      this.lastGap = snap.lastGap;
+      this.lastSeq = snap.lastSeq;
+      this.consumedBy.forEach((first, itemId) => {
+        if (first.seq > snap.lastSeq) this.consumedBy.delete(itemId);
+      });
+    }
+  }
+
+  return { VIOLATION_KINDS, InvariantChecker };
+});
@@ -0,0 +1,87 @@
+// Per-item timing. Every consumed item leaves one sample: how long it sat in
+// the buffer (enqueued -> dequeued) and its whole produce-to-consume latency.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // nearest-rank percentile of an ascending array
+  function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)];
+  }
+
+  function describe(values) {
+    if (values.length === 0) return { avg: null, p95: null, max: null };
+    const sorted = values.slice().sort((a, b) => a - b);
+    const sum = sorted.reduce((s, v) => s + v, 0);
+    return { avg: sum / sorted.length, p95: percentile(sorted, 95), max: sorted[sorted.length - 1] };
+  }
+
+  class LatencyTracker {
+    constructor() {
+      this.samples = []; // { itemId, producerId, bufferTime, latency }
+      this.recorded = new Set(); // item ids with a sample
+      this.cached = null;
+    }
+
+    // `item` carries the timestamps set by the engine; items that skipped
+    // the buffer, or already have a sample (a racing second consumer), are
+    // ignored
+    record(item) {
+      if (!item || this.recorded.has(item.id)) return;
+      if (item.enqueuedAt === null || item.enqueuedAt === undefined) return;
+      if (item.consumedAt === null || item.consumedAt === undefined) return;
+      const dequeuedAt = item.dequeuedAt !== null && item.dequeuedAt !== undefined ? item.dequeuedAt : item.consumedAt;
+      this.samples.push({
+        itemId: item.id,
+        producerId: item.producerId,
+        bufferTime: dequeuedAt - item.enqueuedAt,
+        latency: item.consumedAt - item.producedAt
+      });
+      this.recorded.add(item.id);
+      this.cached = null;
+    }
+
+    // { count, bufferTime: { avg, p95, max }, latency: { avg, p95, max } } in ms
+    summary() {
+      if (!this.cached) {
+        this.cached = {
+          count: this.samples.length,
+          bufferTime: describe(this.samples.map(s => s.bufferTime)),
+          latency: describe(this.samples.map(s => s.latency))
+        };
+      }
+      return this.cached;
+    }
+
+    // Latency split into `binCount` equal bins from 0 to the largest sample,
+    // widths rounded up to whole 50 ms: { binWidth, bins: [{ from, to, count }] }
+    histogram(binCount) {
+      const n = Math.max(1, binCount | 0);
+      const max = this.samples.reduce((m, s) => Math.max(m, s.latency), 0);
+      const binWidth = Math.max(50, Math.ceil(max / n / 50) * 50);
+      const bins = [];
+      for (let i = 0; i < n; i++) bins.push({ from: i * binWidth, to: (i + 1) * binWidth, count: 0 });
+      this.samples.forEach(s => {
+        bins[Math.min(n - 1, Math.floor(s.latency / binWidth))].count++;
+      });
+      return { binWidth, bins };
+    }
+
+    // samples are only ever appended, so their count is the whole snapshot
+    snapshot() {
+      return this.samples.length;
+    }
+
+    restore(count) {
+      this.samples.length = Math.min(this.samples.length, count);
+      this.recorded = new Set(this.samples.map(s => s.itemId));
+      this.cached = null;
+    }
+  }
+
+  return { LatencyTracker };
+});
@@ -0,0 +1,502 @@
+// Headless pipeline engine: producers -> buffer A -> transformers -> buffer B
+// -> ... -> consumers. Every buffer is a bounded ring guarded by the textbook
+// semaphores (mutex, empty, full); a transformer takes from its input buffer
+// exactly like a consumer and puts into its output buffer exactly like a
+// producer. Each stage has its own worker count and speed, so the slowest one
+// sets the pace: the buffers in front of it fill up and the workers upstream
+// block on wait(empty) (backpressure), the ones behind it starve on
+// wait(full). Besides the Simulation events (core.js) it emits 'transfer'
+// for items moving between a worker and a buffer.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./core'), require('./sync')));
+  } else {
+    root.OSEngine = Object.assign(root.OSEngine || {}, factory(root.OSEngine));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  'use strict';
+
+  const { Simulation, CountingSemaphore, SEED_LIMIT, clampNumber, normalizeSeed } = deps;
+
+  const PIPELINE_LIMITS = {
+    buffers: { min: 1, max: 3 },
+    workers: { min: 1, max: 6, fallback: 1 },
+    delay: { min: 50, fallback: 800 },
+    capacity: { min: 1, max: 12, fallback: 4 },
+    seed: SEED_LIMIT
+  };
+
+  // producers -> A -> transformers -> B -> consumers, with the consumers as
+  // the slowest stage so backpressure shows within a few seconds
+  const DEFAULT_PIPELINE = {
+    stages: [
+      { workers: 2, delay: 600 },
+      { workers: 2, delay: 900 },
+      { workers: 1, delay: 700 }
+    ],
+    capacities: [4, 4]
+  };
+
+  const BUFFER_NAMES = ['A', 'B', 'C'];
+
+  // how long a put/take is animated; it does not delay the worker
+  const MOVE_MS = 350;
+
+  // semaphore step -> the step after it, once the permit is granted
+  const NEXT_PC = { 'wait-full': 'lock-in', 'lock-in': 'take', 'wait-empty': 'lock-out', 'lock-out': 'put' };
+
+  // state a worker shows while blocked on each step
+  const BLOCKED_STATE = { 'wait-full': 'starved', 'lock-in': 'locking', 'wait-empty': 'blocked', 'lock-out': 'locking' };
+
+  // `capacities` has one entry per buffer and `stages` one more than that;
+  // missing stages and buffers are filled in from DEFAULT_PIPELINE
+  function normalizePipelineConfig(raw) {
+    const c = raw || {};
+    const int = v => parseInt(v, 10);
+    let capacities = Array.isArray(c.capacities) ? c.capacities : DEFAULT_PIPELINE.capacities;
+    capacities = capacities.slice(0, PIPELINE_LIMITS.buffers.max);
+    if (capacities.length < PIPELINE_LIMITS.buffers.min) capacities = DEFAULT_PIPELINE.capacities.slice(0, 1);
+
+    const stages = Array.isArray(c.stages) ? c.stages : [];
+    return {
+      stages: capacities.concat([null]).map((_, i) => {
+        const s = stages[i] || {};
+        const fallback = DEFAULT_PIPELINE.stages[Math.min(i, DEFAULT_PIPELINE.stages.length - 1)];
+        return {
+          workers: clampNumber(s.workers, Object.assign({}, PIPELINE_LIMITS.workers, { fallback: fallback.workers }), int),
+          delay: clampNumber(s.delay, Object.assign({}, PIPELINE_LIMITS.delay, { fallback: fallback.delay }), int)
+        };
+      }),
+      capacities: capacities.map(v => clampNumber(v, PIPELINE_LIMITS.capacity, int)),
+      seed: normalizeSeed(c.seed)
+    };
+  }
+
+  function stageRole(index, count) {
+    if (index === 0) return 'source';
+    return index === count - 1 ? 'sink' : 'transform';
+  }
+
+  // Producers, Transformers (numbered when there are several), Consumers
+  function pipelineStageName(index, count) {
+    const role = stageRole(index, count);
+    if (role === 'source') return 'Producers';
+    if (role === 'sink') return 'Consumers';
+    return count > 3 ? `Transformers ${index}` : 'Transformers';
+  }
+
+  // P1.., C1.., T1.. for a single transformer stage, T1.1.. T2.1.. for several
+  function workerKey(index, count, n) {
+    const role = stageRole(index, count);
+    if (role === 'source') return 'P' + n;
+    if (role === 'sink') return 'C' + n;
+    return count > 3 ? `T${index}.${n}` : 'T' + n;
+  }
+
+  function createBuffer(index, capacity) {
+    const name = BUFFER_NAMES[index];
+    return {
+      index,
+      name,
+      capacity,
+      slots: new Array(capacity).fill(null), // items
+      in: 0,
+      out: 0,
+      count: 0,
+      passed: 0, // items taken out
+      mutex: new CountingSemaphore(`mutex[${name}]`, 1),
+      empty: new CountingSemaphore(`empty[${name}]`, capacity),
+      full: new CountingSemaphore(`full[${name}]`, 0),
+      fillArea: 0, // integral of count over time, for the mean fill
+      lastChange: 0
+    };
+  }
+
+  function createWorker(stage, role, key, id) {
+    return {
+      id,
+      key,
+      stage,
+      role, // source | transform | sink
+      state: 'idle', // idle | working | ready | starved | blocked | locking
+      pc: role === 'source' ? 'work' : 'wait-full', // wait-full | lock-in | take | work | wait-empty | lock-out | put
+      item: null,
+      count: 0, // items this worker finished its work on
+      busyTotal: 0,
+      busySince: null,
+      starvedTotal: 0, // blocked on wait(full): input buffer empty
+      blockedTotal: 0, // blocked on wait(empty): output buffer full
+      waitSince: null,
+      transfer: null, // last put/take, for the view
+      timer: null
+    };
+  }
+
+  class PipelineSim extends Simulation {
+    constructor(config, options) {
+      super(options);
+      this.problem = 'pipeline';
+      this.reset(config);
+    }
+
+    reset(config) {
+      const c = normalizePipelineConfig(config || this.config);
+      this.config = c;
+      this.seed = c.seed;
+
+      const count = c.stages.length;
+      this.stages = c.stages.map((s, i) => ({
+        index: i,
+        name: pipelineStageName(i, count),
+        role: stageRole(i, count),
+        delay: s.delay
+      }));
+      this.buffers = c.capacities.map((cap, i) => createBuffer(i, cap));
+      this.workers = [];
+      c.stages.forEach((s, i) => {
+        for (let n = 1; n <= s.workers; n++) {
+          this.workers.push(createWorker(i, stageRole(i, count), workerKey(i, count, n), n));
+        }
+      });
+
+      this.itemSeq = 0;
+      this.consumed = 0;
+      this.latencyTotal = 0; // produced to consumed, over consumed items
+
+      this._resetRun();
+    }
+
+    // new stage speeds ([delay, ...]) take effect from each worker's next item
+    setSpeeds(delays) {
+      const stages = this.config.stages.map((s, i) => Object.assign({}, s, { delay: delays[i] }));
+      const c = normalizePipelineConfig(Object.assign({}, this.config, { stages }));
+      this.config = c;
+      this.stages.forEach((s, i) => { s.delay = c.stages[i].delay; });
+    }
+
+    // ---------- Queries ----------
+    allThreads() {
+      return this.workers;
+    }
+
+    stageWorkers(index) {
+      return this.workers.filter(w => w.stage === index);
+    }
+
+    inputOf(w) {
+      return w.stage > 0 ? this.buffers[w.stage - 1] : null;
+    }
+
+    outputOf(w) {
+      return w.stage < this.buffers.length ? this.buffers[w.stage] : null;
+    }
+
+    // busy / starved / blocked time of a worker up to now, the current stretch included
+    workerTimes(w) {
+      const now = this.clock.now();
+      const open = w.waitSince !== null ? now - w.waitSince : 0;
+      return {
+        busy: w.busyTotal + (w.busySince !== null ? now - w.busySince : 0),
+        starved: w.starvedTotal + (w.state === 'starved' ? open : 0),
+        blocked: w.blockedTotal + (w.state === 'blocked' ? open : 0)
+      };
+    }
+
+    // Per stage: items finished, items per second, and the share of the
+    // workers' time spent working, starved (input empty) and blocked on a
+    // full output (backpressure).
+    stageStats(index) {
+      const now = this.clock.now();
+      const workers = this.stageWorkers(index);
+      const sum = { busy: 0, starved: 0, blocked: 0 };
+      let done = 0;
+      workers.forEach(w => {
+        const t = this.workerTimes(w);
+        sum.busy += t.busy;
+        sum.starved += t.starved;
+        sum.blocked += t.blocked;
+        done += w.count;
+      });
+      const total = now * workers.length;
+      const share = v => (total > 0 ? v / total : 0);
+      const stage = this.stages[index];
+      return {
+        name: stage.name,
+        workers: workers.length,
+        delay: stage.delay,
+        // what the stage could sustain if it never waited
+        capacityRate: (workers.length * 1000) / stage.delay,
+        done,
+        rate: now > 0 ? (done * 1000) / now : 0,
+        busy: share(sum.busy),
+        starved: share(sum.starved),
+        blocked: share(sum.blocked)
+      };
+    }
+
+    // The stage whose workers spend the largest share of their time working:
+    // everything upstream of it ends up blocked, everything downstream starved.
+    bottleneck() {
+      if (this.clock.now() === 0) return null;
+      let best = null;
+      this.stages.forEach((s, i) => {
+        const busy = this.stageStats(i).busy;
+        if (busy > 0 && (best === null || busy > best.busy)) best = { index: i, busy };
+      });
+      return best ? best.index : null;
+    }
+
+    meanFill(buf) {
+      const now = this.clock.now();
+      const area = buf.fillArea + buf.count * (now - buf.lastChange);
+      return now > 0 ? area / now : 0;
+    }
+
+    semaphoreValues(buf) {
+      return { mutex: buf.mutex.value, empty: buf.empty.value, full: buf.full.value };
+    }
+
+    _delayFor(w) {
+      return this.stages[w.stage].delay;
+    }
+
+    _dispatch(ev) {
+      if (!this.isRunning) return;
+      const w = this.getThread(ev.key);
+      if (!w) return;
+      if (ev.type === 'tick') {
+        // first wake-up from startEntityTimers()
+        w.timer = null;
+        if (w.role === 'source') this._beginWork(w);
+        else this._step(w);
+        return;
+      }
+      if (ev.type === 'step') this._step(w);
+    }
+
+    _step(w) {
+      switch (w.pc) {
+        case 'wait-full':
+          this._acquire(w, this.inputOf(w).full);
+          break;
+        case 'lock-in':
+          this._acquire(w, this.inputOf(w).mutex);
+          break;
+        case 'take':
+          this._take(w);
+          break;
+        case 'work':
+          this._finishWork(w);
+          break;
+        case 'wait-empty':
+          this._acquire(w, this.outputOf(w).empty);
+          break;
+        case 'lock-out':
+          this._acquire(w, this.outputOf(w).mutex);
+          break;
+        case 'put':
+          this._put(w);
+          break;
+        default:
+          break;
+      }
+    }
+
+    _traceFields(w, extra) {
+      return Object.assign({}, extra, {
+        stage: w.stage,
+        fills: this.buffers.map(b => b.count).join('/'),
+        state: w.state
+      });
+    }
+
+    // ---------- Semaphores ----------
+    // wait(sem): carry on with the next step, or block until a signal()
+    // hands this worker the permit
+    _acquire(w, sem) {
+      if (sem.wait(w.key)) {
+        w.pc = NEXT_PC[w.pc];
+        this._action(w, 'wait', { cond: sem.name });
+        this.clock.schedule(0, { type: 'step', key: w.key });
+        return;
+      }
+      w.state = BLOCKED_STATE[w.pc];
+      w.waitSince = this.clock.now();
+      this._emitEntities();
+      if (w.state === 'starved') this._message(`⏳ ${w.key} blocked on wait(${sem.name}) (buffer empty)`);
+      else if (w.state === 'blocked') this._message(`⛔ ${w.key} blocked on wait(${sem.name}) (buffer full — backpressure)`);
+      this._action(w, 'block', { cond: sem.name });
+    }
+
+    // signal(sem); a worker blocked on it moves on to its next step
+    _signal(sem) {
+      const key = sem.signal();
+      if (!key) return null;
+      const w = this.getThread(key);
+      const waited = this.clock.now() - w.waitSince;
+      if (w.state === 'starved') w.starvedTotal += waited;
+      else if (w.state === 'blocked') w.blockedTotal += waited;
+      w.waitSince = null;
+      w.state = 'ready';
+      w.pc = NEXT_PC[w.pc];
+      this.clock.schedule(0, { type: 'step', key });
+      return key;
+    }
+
+    // ---------- Buffers ----------
+    _setCount(buf, count) {
+      const now = this.clock.now();
+      buf.fillArea += buf.count * (now - buf.lastChange);
+      buf.lastChange = now;
+      buf.count = count;
+    }
+
+    _move(w, kind, buf, slot, item) {
+      w.transfer = {
+        kind, buffer: buf.index, slot, producerId: item.producerId, duration: MOVE_MS, startedAt: this.clock.now()
+      };
+      this.emit('transfer', Object.assign({ actor: w.key }, w.transfer));
+    }
+
+    // holds mutex[in]: take the oldest item, then signal(mutex), signal(empty)
+    _take(w) {
+      const buf = this.inputOf(w);
+      const slot = buf.out;
+      const item = buf.slots[slot];
+      buf.slots[slot] = null;
+      buf.out = (slot + 1) % buf.capacity;
+      buf.passed++;
+      this._setCount(buf, buf.count - 1);
+      w.item = item;
+      const woken = [this._signal(buf.mutex), this._signal(buf.empty)].filter(Boolean);
+
+      this._move(w, 'take', buf, slot, item);
+      this._beginWork(w);
+      this._action(w, 'take', {
+        cond: buf.name, slot, itemId: item.id, count: buf.count, woken: woken.length > 0 ? woken.join(' ') : null
+      });
+    }
+
+    // holds mutex[out]: store the item, then signal(mutex), signal(full)
+    _put(w) {
+      const buf = this.outputOf(w);
+      const slot = buf.in;
+      const item = w.item;
+      buf.slots[slot] = item;
+      buf.in = (slot + 1) % buf.capacity;
+      this._setCount(buf, buf.count + 1);
+      w.item = null;
+      const woken = [this._signal(buf.mutex), this._signal(buf.full)].filter(Boolean);
+
+      this._move(w, 'put', buf, slot, item);
+      if (w.role === 'source') {
+        this._beginWork(w);
+      } else {
+        w.state = 'ready';
+        w.pc = 'wait-full';
+        this.clock.schedule(0, { type: 'step', key: w.key });
+        this._emitEntities();
+      }
+      this._action(w, 'put', {
+        cond: buf.name, slot, itemId: item.id, count: buf.count, woken: woken.length > 0 ? woken.join(' ') : null
+      });
+    }
+
+    // ---------- Work ----------
+    // produce / transform / consume for the stage's delay
+    _beginWork(w) {
+      w.state = 'working';
+      w.pc = 'work';
+      w.busySince = this.clock.now();
+      this.clock.schedule(this._delayFor(w) + this.rng.int(80), { type: 'step', key: w.key });
+      this._emitEntities();
+    }
+
+    _finishWork(w) {
+      const now = this.clock.now();
+      w.busyTotal += now - w.busySince;
+      w.busySince = null;
+      w.count++;
+      w.state = 'ready';
+
+      if (w.role === 'source') {
+        this.itemSeq++;
+        w.item = { id: this.itemSeq, producerId: w.id, createdAt: now };
+        w.pc = 'wait-empty';
+        this._message(`🔨 ${w.key} produced item #${w.item.id}`);
+        this._action(w, 'produce', { itemId: w.item.id });
+      } else if (w.role === 'transform') {
+        w.pc = 'wait-empty';
+        this._action(w, 'transform', { itemId: w.item.id });
+      } else {
+        const item = w.item;
+        w.item = null;
+        this.consumed++;
+        this.latencyTotal += now - item.createdAt;
+        w.pc = 'wait-full';
+        this._message(`✅ ${w.key} consumed item #${item.id} after ${now - item.createdAt}ms consumed=${this.consumed}`);
+        this._action(w, 'consume', { itemId: item.id });
+      }
+      this._emitEntities();
+      this.clock.schedule(0, { type: 'step', key: w.key });
+    }
+
+    // ---------- Snapshots ----------
+    snapshot() {
+      const copy = v => JSON.parse(JSON.stringify(v));
+      return {
+        config: copy(this.config),
+        stages: copy(this.stages),
+        workers: copy(this.workers),
+        buffers: this.buffers.map(b => ({
+          slots: copy(b.slots),
+          in: b.in,
+          out: b.out,
+          count: b.count,
+          passed: b.passed,
+          mutex: b.mutex.snapshot(),
+          empty: b.empty.snapshot(),
+          full: b.full.snapshot(),
+          fillArea: b.fillArea,
+          lastChange: b.lastChange
+        })),
+        itemSeq: this.itemSeq,
+        consumed: this.consumed,
+        latencyTotal: this.latencyTotal,
+        clock: this.clock.snapshot(),
+        rng: this.rng.state,
+        traceLength: this.trace.length
+      };
+    }
+
+    restore(snap) {
+      this.config = JSON.parse(JSON.stringify(snap.config));
+      this.stages = JSON.parse(JSON.stringify(snap.stages));
+      this.workers = JSON.parse(JSON.stringify(snap.workers));
+      snap.buffers.forEach((s, i) => {
+        const b = this.buffers[i];
+        b.slots = JSON.parse(JSON.stringify(s.slots));
+        b.in = s.in;
+        b.out = s.out;
+        b.count = s.count;
+        b.passed = s.passed;
+        b.mutex.restore(s.mutex);
+        b.empty.restore(s.empty);
+        b.full.restore(s.full);
+        b.fillArea = s.fillArea;
+        b.lastChange = s.lastChange;
+      });
+      this.itemSeq = snap.itemSeq;
+      this.consumed = snap.consumed;
+      this.latencyTotal = snap.latencyTotal;
+      this.clock.restore(snap.clock);
+      this.rng.state = snap.rng;
+      this.trace.length = Math.min(this.trace.length, snap.traceLength);
+
+      this.emit('restore');
+      this._emitEntities();
+    }
+  }
+
+  return { PIPELINE_LIMITS, DEFAULT_PIPELINE, normalizePipelineConfig, pipelineStageName, PipelineSim };
+});
@@ -0,0 +1,1557 @@
+// Headless Producers–Consumers engine. Owns the bounded buffer, the per-thread
+// state machines and the buffer lock; renderers subscribe to its events:
+//   'entities'  producer/consumer state changed
+//   'buffer'    buffer contents or indices changed
+//   'transfer'  an item started moving { kind, actor, slot, producerId, itemId, duration, startedAt }
+//   'action'    one atomic action happened; the same record is kept in sim.trace
+//   'trace'     any record appended to sim.trace (actions and turn waits)
+//   'message'   human-readable status line
+//   'violations' invariants broken by the last action [{ kind, seq, time, actors, itemId, detail }]
+//   'deadlock'  threads that can never run again { threads, edges, cycle, stall }
+//   'syncMode'  a setSyncMode() switch took effect; payload: the new mode
+// sim.timeline (a StateTimeline) keeps every thread's states over time.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./core'), require('./sync'), require('./deadlock'), require('./invariants'),
+      require('./latency'), require('./timeline'), require('./timing')));
+  } else {
+    root.OSEngine = Object.assign(root.OSEngine || {}, factory(root.OSEngine));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  'use strict';
+
+  const {
+    Simulation, SEED_LIMIT, clampNumber, normalizeSeed, MutexWithConditions, CountingSemaphore, findDeadlock,
+    InvariantChecker, LatencyTracker, StateTimeline, normalizeTiming, normalizeTimings, timingErrors, sampleDelay, meanDelay,
+    transferTime
+  } = deps;
+
+  // ---------- Config limits (shared by the UI and headless callers) ----------
+  const LIMITS = {
+    bufferCapacity: { min: 1, max: 20, fallback: 8 },
+    producers: { min: 1, max: 12, fallback: 1 },
+    consumers: { min: 1, max: 12, fallback: 1 },
+    producerDelay: { min: 50, fallback: 800 },
+    consumerDelay: { min: 50, fallback: 1000 },
+    transferSpeed: { min: 0.1, max: 6.0, fallback: 1.0 },
+    seed: SEED_LIMIT
+  };
+
+  // sync: monitor (lock + notFull/notEmpty), semaphore: mutex/empty/full
+  // counting semaphores, wrong-order: the same semaphores with the producer's
+  // waits swapped (wait(mutex) before wait(empty), so a full buffer
+  // deadlocks), nosync: no synchronization at all
+  const SYNC_MODES = ['sync', 'semaphore', 'wrong-order', 'nosync'];
+
+  // announced when a mid-run switch lands
+  const SYNC_MODE_MESSAGES = {
+    sync: '🔒 Switched to SYNC mode',
+    semaphore: '🚦 Switched to SEMAPHORE mode (wait/signal on mutex, empty, full)',
+    'wrong-order': '⚠ Switched to WRONG-ORDER semaphores (producers take mutex before empty — a full buffer deadlocks)',
+    nosync: '⚠ Switched to NO-SYNC mode (only producing/consuming states shown)'
+  };
+
+  function isSemaphoreMode(mode) {
+    return mode === 'semaphore' || mode === 'wrong-order';
+  }
+
+  // ring: the bounded FIFO ring (in/out wrap around), stack: bounded LIFO
+  // (in is the top, out the slot below it), priority: bounded, consumers take
+  // the highest-priority item (in is the first free slot, out the best item),
+  // unbounded: a FIFO ring that doubles in place whenever it fills up
+  const BUFFER_TYPES = ['ring', 'stack', 'priority', 'unbounded'];
+
+  // producers tag items 1..ITEM_PRIORITIES in a priority buffer; higher goes first
+  const ITEM_PRIORITIES = 5;
+
+  // semaphores a thread waits on before its transfer, in order; a producer
+  // never waits for room in an unbounded queue
+  function semaphoreOrder(kind, mode, bufferType) {
+    if (kind === 'consumer') return ['full', 'mutex'];
+    if (bufferType === 'unbounded') return ['mutex'];
+    return mode === 'wrong-order' ? ['mutex', 'empty'] : ['empty', 'mutex'];
+  }
+
+  // slot of the item a priority buffer hands out next: highest priority,
+  // oldest (lowest id) among equals; -1 when empty
+  function highestPrioritySlot(buffer) {
+    let best = -1;
+    buffer.forEach((item, slot) => {
+      if (!item) return;
+      const top = buffer[best];
+      if (best < 0 || item.priority > top.priority || (item.priority === top.priority && item.id < top.id)) best = slot;
+    });
+    return best;
+  }
+
+  // Doubles a full unbounded queue: the items are laid out again in FIFO order
+  // from slot 0 and in points at the first new slot. Shared with the replay,
+  // which redoes it on every 'grow' record.
+  function growQueue(model) {
+    const cap = model.bufferCapacity;
+    const ordered = [];
+    for (let i = 0; i < cap; i++) ordered.push(model.buffer[(model.readIndex + i) % cap]);
+    model.buffer = ordered.concat(new Array(cap).fill(null));
+    model.readIndex = 0;
+    model.writeIndex = cap;
+    model.bufferCapacity = cap * 2;
+  }
+
+  // Lays a bounded buffer out again in `capacity` slots, keeping the items in
+  // the order they will be taken: a ring from out (in right after the last
+  // item), a stack from the bottom up, a priority buffer slot by slot. The
+  // caller makes sure they fit. Shared with the replay ('resize' records).
+  // Returns where each item went, { oldSlot: newSlot }.
+  function resizeSlots(model, capacity) {
+    const cap = model.bufferCapacity;
+    const items = [];
+    const moved = {};
+    for (let i = 0; i < cap; i++) {
+      const slot = model.bufferType === 'ring' ? (model.readIndex + i) % cap : i;
+      const item = model.buffer[slot];
+      if (!item) continue;
+      moved[slot] = items.length;
+      items.push(item);
+    }
+    model.buffer = items.concat(new Array(Math.max(0, capacity - items.length)).fill(null));
+    model.bufferCapacity = capacity;
+    if (model.bufferType === 'stack') {
+      model.writeIndex = items.length;
+      model.readIndex = Math.max(items.length - 1, 0);
+    } else if (model.bufferType === 'priority') {
+      model.writeIndex = Math.max(0, model.buffer.indexOf(null));
+      model.readIndex = Math.max(0, highestPrioritySlot(model.buffer));
+    } else {
+      model.readIndex = 0;
+      model.writeIndex = items.length % capacity;
+    }
+    return moved;
+  }
+
+  // the old-to-new slot pairs of a 'resize' record, e.g. "3>0 4>1"
+  function formatSlotMoves(moved) {
+    return Object.keys(moved).map(slot => `${slot}>${moved[slot]}`).join(' ');
+  }
+
+  function parseSlotMoves(text) {
+    const moved = {};
+    String(text || '').split(' ').filter(Boolean).forEach(pair => {
+      const [from, to] = pair.split('>').map(Number);
+      if (!isNaN(from) && !isNaN(to)) moved[from] = to;
+    });
+    return moved;
+  }
+
+  // trace records after which a thread may be stuck for good
+  const BLOCKING_RECORDS = ['block', 'wait', 'wait-turn'];
+
+  // how the next producer/consumer turn is chosen once the current one ends:
+  // round-robin rotates through every thread; the others pick among the
+  // threads that are ready (have shown up and are waiting for a turn)
+  const SCHEDULING_POLICIES = ['round-robin', 'random', 'fifo', 'priority', 'lottery'];
+
+  function normalizeConfig(raw) {
+    const c = raw || {};
+    const int = v => parseInt(v, 10);
+    const config = {
+      bufferCapacity: clampNumber(c.bufferCapacity, LIMITS.bufferCapacity, int),
+      producers: clampNumber(c.producers, LIMITS.producers, int),
+      consumers: clampNumber(c.consumers, LIMITS.consumers, int),
+      producerDelay: clampNumber(c.producerDelay, LIMITS.producerDelay, int),
+      consumerDelay: clampNumber(c.consumerDelay, LIMITS.consumerDelay, int),
+      syncMode: SYNC_MODES.includes(c.syncMode) ? c.syncMode : 'sync',
+      policy: SCHEDULING_POLICIES.includes(c.policy) ? c.policy : 'round-robin',
+      bufferType: BUFFER_TYPES.includes(c.bufferType) ? c.bufferType : 'ring',
+      transferSpeed: clampNumber(c.transferSpeed, LIMITS.transferSpeed, parseFloat),
+      seed: normalizeSeed(c.seed),
+      // a lock whose owner crashed passes on, and the next owner repairs the buffer
+      robustMutex: c.robustMutex === true || c.robustMutex === 'true'
+    };
+    // per-thread distributions (timing.js); threads left out use the shared delays
+    config.timings = normalizeTimings(c.timings, config);
+    return config;
+  }
+
+  const CONFIG_FIELDS = Object.keys(LIMITS).concat(['syncMode', 'policy', 'bufferType', 'robustMutex', 'timings']);
+  const INTEGER_FIELDS = ['bufferCapacity', 'producers', 'consumers', 'producerDelay', 'consumerDelay', 'seed'];
+
+  // What normalizeConfig would have to clamp or replace in `raw`, one message
+  // per field, for callers that should reject a config instead of fixing it
+  // (the REST API). Missing fields are fine: they get the defaults.
+  function configErrors(raw) {
+    const c = raw || {};
+    const errors = Object.keys(c).filter(key => !CONFIG_FIELDS.includes(key)).map(key => `unknown field ${key}`);
+    Object.keys(LIMITS).forEach(key => {
+      const v = c[key];
+      if (v === undefined || v === null) return;
+      const integer = INTEGER_FIELDS.includes(key);
+      if (typeof v !== 'number' || !isFinite(v) || (integer && !Number.isInteger(v))) {
+        errors.push(`${key} must be ${integer ? 'an integer' : 'a number'}`);
+        return;
+      }
+      const limit = LIMITS[key];
+      if (v < limit.min || (limit.max !== undefined && v > limit.max)) {
+        errors.push(limit.max !== undefined
+          ? `${key} must be between ${limit.min} and ${limit.max}`
+          : `${key} must be at least ${limit.min}`);
+      }
+    });
+    if (c.syncMode !== undefined && !SYNC_MODES.includes(c.syncMode)) {
+      errors.push(`syncMode must be one of ${SYNC_MODES.join(', ')}`);
+    }
+    if (c.policy !== undefined && !SCHEDULING_POLICIES.includes(c.policy)) {
+      errors.push(`policy must be one of ${SCHEDULING_POLICIES.join(', ')}`);
+    }
+    if (c.bufferType !== undefined && !BUFFER_TYPES.includes(c.bufferType)) {
+      errors.push(`bufferType must be one of ${BUFFER_TYPES.join(', ')}`);
+    }
+    if (c.robustMutex !== undefined && typeof c.robustMutex !== 'boolean') {
+      errors.push('robustMutex must be true or false');
+    }
+    errors.push(...timingErrors(c.timings));
+    return errors;
+  }
+
+  // An item's identity and timeline: a global id, the producer's own running
+  // number, its priority (priority buffers only) and when it was produced,
+  // enqueued, dequeued and consumed (null until it happens).
+  function createItem(id, producer, now) {
+    return {
+      id,
+      producerId: producer.id,
+      seq: producer.count + 1,
+      priority: null,
+      producedAt: now,
+      enqueuedAt: null,
+      dequeuedAt: null,
+      consumedAt: null
+    };
+  }
+
+  // `timing` is the thread's own distribution (timing.js), null for the shared delay
+  function createThread(kind, id, timing) {
+    const thread = {
+      id,
+      key: (kind === 'producer' ? 'P' : 'C') + id,
+      kind,
+      count: 0,
+      state: 'idle',
+      inFlight: false,
+      // next action: idle | produce | lock | recover | check | cond | transfer | notify | release
+      // (semaphore mode: empty | full | mutex | transfer | signal-mutex | signal-full | signal-empty)
+      pc: 'idle',
+      mode: null, // sync mode the current operation started in
+      item: null, // the item (see createItem) the thread is carrying
+      transfer: null, // { kind, slot, producerId, itemId, duration, startedAt } while moving
+      timer: null,
+      priority: id, // 'priority' policy: lower value goes first
+      tickets: id, // 'lottery' policy: chance of a turn is proportional to tickets
+      timing: timing || null,
+      retiring: false, // set by retireThread(); the thread leaves at its next safe point
+      crashed: false // set by crashThread(); the thread never runs again
+    };
+    if (kind === 'producer') thread.hasItem = false;
+    return thread;
+  }
+
+  // ---------- Simulation ----------
+  class ProducerConsumerSim extends Simulation {
+    constructor(config, options) {
+      super(options);
+      this.problem = 'producerConsumer';
+      this.reset(config);
+    }
+
+    reset(config) {
+      const c = normalizeConfig(config || this.config);
+      this.config = c;
+      this.bufferCapacity = c.bufferCapacity;
+      this.producerDelay = c.producerDelay;
+      this.consumerDelay = c.consumerDelay;
+      this.syncMode = c.syncMode;
+      this.pendingSyncMode = null; // set while a mid-run switch waits (setSyncMode)
+      this.policy = c.policy;
+      this.bufferType = c.bufferType;
+      this.transferSpeed = c.transferSpeed;
+      this.seed = c.seed;
+      this.robustMutex = c.robustMutex;
+
+      this.buffer = new Array(this.bufferCapacity).fill(null);
+      this.itemsCount = 0;
+      this.writeIndex = 0;
+      this.readIndex = 0;
+      // capacity a shrink is waiting to reach (null: none pending) and, in
+      // semaphore mode, the empty permits it still has to collect
+      this.targetCapacity = null;
+      this.resizeDebt = 0;
+
+      this.producers = [];
+      this.consumers = [];
+      for (let i = 1; i <= c.producers; i++) this.producers.push(createThread('producer', i, c.timings[`P${i}`]));
+      for (let j = 1; j <= c.consumers; j++) this.consumers.push(createThread('consumer', j, c.timings[`C${j}`]));
+      // ids of the next spawned threads; never reused, so a retired thread's
+      // trace and timeline lane stay its own
+      this.nextThreadId = { producer: c.producers + 1, consumer: c.consumers + 1 };
+
+      // index of the thread holding each side's turn; -1 means the turn is
+      // open and goes to whichever thread shows up first
+      this.nextProducerTurn = 0;
+      this.nextConsumerTurn = 0;
+      // keys of threads waiting for a turn, in arrival order
+      this.readyProducers = [];
+      this.readyConsumers = [];
+
+      this.mutex = new MutexWithConditions();
+      this._resetSemaphores();
+      this._resetRun();
+      this.nextItemId = 1;
+      this.deadlock = null; // what findDeadlock reported, once it has
+      this.checker = new InvariantChecker();
+      this.latency = new LatencyTracker();
+      this.timeline = new StateTimeline(this.allThreads().map(t => t.key));
+    }
+
+    stop() {
+      super.stop();
+      this.mutex = new MutexWithConditions();
+      this._resetSemaphores();
+    }
+
+    setSpeeds({ producerDelay, consumerDelay, transferSpeed }) {
+      const c = normalizeConfig(Object.assign({}, this.config, { producerDelay, consumerDelay, transferSpeed }));
+      this.config = c;
+      this.producerDelay = c.producerDelay;
+      this.consumerDelay = c.consumerDelay;
+      this.transferSpeed = c.transferSpeed;
+      if (this.isRunning) this.startEntityTimers();
+    }
+
+    // Gives thread `key` its own timing ({ dist, ...params }), or the shared
+    // delay back for null. A running thread's pending tick is redrawn.
+    setTiming(key, raw) {
+      const t = this.getThread(key);
+      if (!t) return false;
+      t.timing = normalizeTiming(raw, t.kind === 'producer' ? this.producerDelay : this.consumerDelay);
+      t.burstEnd = null;
+      if (t.timing) this.config.timings[key] = t.timing;
+      else delete this.config.timings[key];
+      if (this.isRunning && t.timer !== null) {
+        this.clock.cancel(t.timer);
+        t.timer = this.clock.schedule(this._tickDelay(t), { type: 'tick', key });
+      }
+      return true;
+    }
+
+    // Grows or shrinks a bounded buffer mid-run; the items keep the order
+    // they will be taken in. Growing happens at once and wakes producers
+    // waiting for room. Shrinking waits until the items (and deposits under
+    // way) fit: until then producers find the buffer full, and in semaphore
+    // mode the shrink keeps the empty permits consumers give back (NO-SYNC
+    // holds nobody back, so there it lands only if consumers catch up). A
+    // new capacity replaces a pending one. An unbounded queue sizes itself,
+    // so it returns false.
+    setCapacity(raw) {
+      if (this.bufferType === 'unbounded') return false;
+      const capacity = clampNumber(raw, LIMITS.bufferCapacity, v => parseInt(v, 10));
+      const pending = this.targetCapacity;
+      if (capacity === (pending === null ? this.bufferCapacity : pending)) return true;
+
+      this._setTargetCapacity(capacity < this.bufferCapacity ? capacity : null);
+      if (capacity > this.bufferCapacity) {
+        this._applyCapacity(capacity);
+      } else if (capacity === this.bufferCapacity) {
+        this._message(`↔ Shrink to ${pending} slots called off`);
+        this._emitBuffer();
+      } else {
+        this._message(`📉 Shrinking to ${capacity} slots once the items fit — producers wait until then`);
+        this._tryShrink();
+        this._emitBuffer();
+      }
+      return true;
+    }
+
+    // the capacity producers have to stay under
+    _capacityLimit() {
+      return this.targetCapacity === null ? this.bufferCapacity : this.targetCapacity;
+    }
+
+    // Permits a pending shrink already holds beyond what `target` needs go
+    // back; what it still needs is taken from the free ones now.
+    _setTargetCapacity(target) {
+      const need = target === null ? 0 : this.bufferCapacity - target;
+      const held = this.targetCapacity === null ? 0 : this.bufferCapacity - this.targetCapacity - this.resizeDebt;
+      this.targetCapacity = target;
+      this.resizeDebt = Math.max(0, need - held);
+      if (!isSemaphoreMode(this.syncMode)) return;
+      for (let k = need; k < held; k++) {
+        const woken = this.semaphores.empty.signal();
+        if (woken) this.clock.schedule(0, { type: 'semPass', key: woken });
+      }
+      this._takeResizePermits();
+    }
+
+    _takeResizePermits() {
+      const { empty } = this.semaphores;
+      const take = Math.min(empty.value, this.resizeDebt);
+      empty.value -= take;
+      this.resizeDebt -= take;
+    }
+
+    // Finishes a pending shrink once it can: every permit collected in
+    // semaphore mode, otherwise once the occupied slots and the deposits
+    // under way fit.
+    _tryShrink() {
+      const target = this.targetCapacity;
+      if (target === null) return;
+      if (isSemaphoreMode(this.syncMode)) {
+        if (this.resizeDebt > 0) return;
+      } else {
+        const occupied = this.buffer.filter(Boolean).length;
+        const incoming = this.producers.filter(p => p.inFlight && p.pc === 'transfer').length;
+        if (occupied + incoming > target) return;
+      }
+      this.targetCapacity = null;
+      this.resizeDebt = 0;
+      this._applyCapacity(target);
+    }
+
+    _applyCapacity(capacity) {
+      const grown = capacity - this.bufferCapacity;
+      const moved = resizeSlots(this, capacity);
+      // transfers under way follow their slot: a take the item it is
+      // reading, a deposit the slot it will now land in
+      this.allThreads().forEach(t => {
+        const tr = t.transfer;
+        if (!tr) return;
+        if (tr.kind === 'deposit') tr.slot = this._putSlot();
+        else tr.slot = moved[tr.slot] !== undefined ? moved[tr.slot] : this.readIndex;
+      });
+      let woken = [];
+      if (grown > 0 && isSemaphoreMode(this.syncMode)) {
+        for (let k = 0; k < grown; k++) {
+          const key = this.semaphores.empty.signal();
+          if (key) woken.push(key);
+        }
+        woken.forEach(key => this.clock.schedule(0, { type: 'semPass', key }));
+      } else if (grown > 0) {
+        // producers waiting for room check again; a free lock goes to the first of them
+        woken = this.mutex.notifyAll('notFull');
+        if (!this.mutex.locked && this.mutex.waiters.length > 0) {
+          this.mutex.locked = true;
+          this._handOff(this.mutex.release());
+        }
+      }
+      this._message(grown > 0 ? `📈 Buffer grown to ${capacity} slots` : `📉 Buffer shrunk to ${capacity} slots`);
+      this._record({ key: null, state: null, mode: this.syncMode }, 'resize', {
+        capacity, moved: formatSlotMoves(moved) || null, woken: woken.join(' ') || null
+      });
+      // woken producers may end a deadlock; what is left is checked again
+      if (this.deadlock && woken.length > 0) {
+        this.deadlock = null;
+        this._checkDeadlock(this.getThread(woken[0]));
+      }
+      this._emitBuffer();
+      this._emitEntities();
+    }
+
+    // ---------- Live scaling ----------
+    // Threads of one kind that are not on their way out (or dead).
+    activeThreads(kind) {
+      return (kind === 'producer' ? this.producers : this.consumers).filter(t => !t.retiring && !t.crashed);
+    }
+
+    // Adds a producer/consumer to the run; it takes part in the turns from
+    // its first tick on. The config keeps the counts the run started with.
+    // Returns the thread, or null at the thread limit.
+    spawnThread(kind) {
+      const limit = LIMITS[kind === 'producer' ? 'producers' : 'consumers'];
+      if (this.activeThreads(kind).length >= limit.max) return null;
+      const id = this.nextThreadId[kind]++;
+      const key = (kind === 'producer' ? 'P' : 'C') + id;
+      const t = createThread(kind, id, this.config.timings[key]);
+      (kind === 'producer' ? this.producers : this.consumers).push(t);
+      if (this.isRunning) t.timer = this.clock.schedule(this._initialDelay(t), { type: 'tick', key });
+      this._record(t, 'spawn');
+      this._message(`➕ ${key} joined the ${kind}s`);
+      this._emitEntities();
+      return t;
+    }
+
+    // Retires the newest active producer/consumer. An idle thread, or one
+    // only waiting for its turn, leaves at once; one blocked on the lock, a
+    // condition or a semaphore leaves that queue; any other finishes its
+    // current operation first. Returns the thread, or null when it is the
+    // last one of its kind.
+    retireThread(kind) {
+      const limit = LIMITS[kind === 'producer' ? 'producers' : 'consumers'];
+      const active = this.activeThreads(kind);
+      if (active.length <= limit.min) return null;
+      const t = active[active.length - 1];
+      t.retiring = true;
+      if (!this._tryRetire(t)) {
+        this._message(`➖ ${t.key} retiring after its current operation`);
+        this._emitEntities();
+      }
+      this._trySyncSwitch();
+      return t;
+    }
+
+    // Removes a retiring thread if it is idle or parked in a wait queue;
+    // called again wherever it may have stopped. True once it is gone.
+    _tryRetire(t) {
+      if (!t.retiring) return false;
+      if (!t.inFlight) {
+        this._message(`👋 ${t.key} retired`);
+        this._removeThread(t, {});
+        return true;
+      }
+      const queue = this._parkedIn(t);
+      if (!queue) return false;
+
+      this._leaveQueue(t, queue);
+      if (queue.sem) this._returnPermits(t, queue.name);
+
+      // a producer's item never reached the buffer
+      const dropped = t.item ? t.item.id : null;
+      t.item = null;
+      if (t.kind === 'producer') t.hasItem = false;
+      this._message(`🚪 ${t.key} left the ${queue.name} queue and retired${dropped !== null ? ` (item #${dropped} dropped)` : ''}`);
+      this._removeThread(t, { cond: queue.name, itemId: dropped });
+      return true;
+    }
+
+    // The wait queue t is blocked in: { name, list } for the lock and its
+    // conditions, { name, sem } for a semaphore; null while it can run.
+    _parkedIn(t) {
+      if (this.mutex.waiters.includes(t.key)) return { name: 'lock', list: this.mutex.waiters };
+      for (const [name, list] of this.mutex.conditions) {
+        if (list.includes(t.key)) return { name, list };
+      }
+      const name = Object.keys(this.semaphores).find(n => this.semaphores[n].waiters.includes(t.key));
+      return name ? { name, sem: this.semaphores[name] } : null;
+    }
+
+    // takes t out of the queue _parkedIn() found it in
+    _leaveQueue(t, queue) {
+      const waiting = queue.sem ? queue.sem.waiters : queue.list;
+      waiting.splice(waiting.indexOf(t.key), 1);
+    }
+
+    // permits t took earlier in its operation, before blocking on
+    // semaphore `blockedOn`, go back (the mutex included)
+    _returnPermits(t, blockedOn) {
+      const order = semaphoreOrder(t.kind, t.mode, this.bufferType);
+      order.slice(0, order.indexOf(blockedOn)).reverse().forEach(name => {
+        if (name === 'mutex') this.semMutexHolder = null;
+        const woken = this.semaphores[name].signal();
+        if (woken) this.clock.schedule(0, { type: 'semPass', key: woken });
+      });
+    }
+
+    _removeThread(t, extra) {
+      if (t.timer !== null) this.clock.cancel(t.timer);
+      t.timer = null;
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      const idx = list.indexOf(t);
+      const current = t.kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+      this._removeReady(t);
+      list.splice(idx, 1);
+      t.state = 'retired';
+      t.inFlight = false;
+      t.pc = 'idle';
+      this._record(t, 'retire', extra);
+
+      // the turn index follows the threads after it; a turn t held goes on
+      if (current >= 0) {
+        const holder = current % (list.length + 1);
+        if (holder === idx) {
+          this._setTurn(t.kind, idx - 1);
+          this._advanceTurn(t.kind);
+        } else {
+          this._setTurn(t.kind, holder > idx ? holder - 1 : holder);
+        }
+      }
+
+      // a deadlock t was part of may be over; what is left is checked again
+      if (this.deadlock && this.deadlock.threads.includes(t.key)) {
+        this.deadlock = null;
+        this._checkDeadlock(list[0]);
+      }
+      this._emitEntities();
+    }
+
+    // ---------- Fault injection ----------
+    // Kills thread `key` wherever it is, the critical section included. It
+    // leaves any wait queue but gives nothing back: a lock or mutex it holds
+    // stays held and permits it took stay taken. A producer killed while
+    // writing its item leaves it in the slot, neither counted nor passed by
+    // in. With a robust mutex a lock it held goes on to the next thread,
+    // which is told the owner died. Returns the thread, or null when there
+    // is no such thread alive.
+    crashThread(key) {
+      const t = this.getThread(key);
+      if (!t || t.crashed) return null;
+      if (t.timer !== null) this.clock.cancel(t.timer);
+      t.timer = null;
+      const queue = this._parkedIn(t);
+      if (queue) this._leaveQueue(t, queue);
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      const turn = t.kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+      const heldTurn = turn >= 0 && list[turn % list.length] === t;
+      this._removeReady(t);
+
+      const item = t.item;
+      const tr = t.transfer;
+      let torn = null;
+      if (t.kind === 'producer' && item && tr && tr.kind === 'deposit' && this.buffer[tr.slot] === null) {
+        torn = tr.slot;
+        item.enqueuedAt = this.clock.now();
+        this.buffer[torn] = item;
+      }
+      // a take under way never happened: the item stays where it is
+      if (t.kind === 'consumer' && item && this.buffer.includes(item)) item.dequeuedAt = null;
+
+      let holds = null;
+      if (this.mutex.locked && this.mutex.owner === t.key) holds = 'lock';
+      else if (this.semMutexHolder === t.key && this.semaphores.mutex.value === 0) holds = 'mutex';
+      const heir = holds === 'lock' && this.robustMutex ? this.mutex.ownerDied() : null;
+      this._handOff(heir);
+
+      t.crashed = true;
+      t.state = 'crashed';
+      t.inFlight = false;
+      t.pc = 'idle';
+      t.item = null;
+      t.transfer = null;
+      if (t.kind === 'producer') t.hasItem = false;
+
+      let text = `💥 ${t.key} crashed`;
+      if (holds === 'lock') {
+        text += this.robustMutex
+          ? ' holding the lock — robust mutex: the next owner is told OWNER DIED'
+          : ' holding the lock — it will never be released';
+      } else if (holds === 'mutex') {
+        text += ' holding mutex — a semaphore has no owner, so nobody will signal it';
+      }
+      if (torn !== null) text += ` · item #${item.id} half-written into slot ${torn}`;
+      else if (t.kind === 'producer' && item) text += ` · item #${item.id} lost`;
+      this._message(text);
+      this._record(t, 'crash', { slot: torn, itemId: item ? item.id : null, cond: holds, woken: heir });
+
+      if (heldTurn) this._advanceTurn(t.kind);
+      // whoever was already waiting on t may have no way out left
+      if (!this.deadlock) this._checkDeadlock(t);
+      this._trySyncSwitch();
+      this._emitEntities();
+      this._emitBuffer();
+      return t;
+    }
+
+    // Threads still inside an operation finish it under the mode they
+    // started in, so mid-run the switch waits until none is: no new
+    // operation starts meanwhile, and threads parked in a wait queue leave
+    // it and start over under the new mode. Returns true once the new mode
+    // is in force, false while the switch is pending.
+    setSyncMode(mode) {
+      this.pendingSyncMode = SYNC_MODES.includes(mode) ? mode : 'sync';
+      if (this.pendingSyncMode === this.syncMode) {
+        this.pendingSyncMode = null;
+        return true;
+      }
+      return this._trySyncSwitch();
+    }
+
+    _trySyncSwitch() {
+      const mode = this.pendingSyncMode;
+      if (mode === null) return false;
+      const busy = this.allThreads().filter(t => t.inFlight && !t.crashed);
+      const parked = busy.map(t => ({ t, queue: this._parkedIn(t) }));
+      if (parked.some(p => !p.queue)) return false;
+
+      // out of every queue first, so the permits given back wake nobody
+      parked.forEach(({ t, queue }) => this._leaveQueue(t, queue));
+      parked.forEach(({ t, queue }) => {
+        if (queue.sem) this._returnPermits(t, queue.name);
+        t.inFlight = false;
+        t.pc = 'idle';
+        t.state = t.kind === 'producer' && t.hasItem ? 'producing' : 'idle';
+        this._record(t, 'restart', { cond: queue.name });
+      });
+
+      this.pendingSyncMode = null;
+      this.syncMode = mode;
+      this.config.syncMode = mode;
+      // NO-SYNC leaves whatever count its races produced; the safe modes
+      // start again from the slots that are really occupied
+      if (mode !== 'nosync') this.itemsCount = this.buffer.filter(Boolean).length;
+      if (isSemaphoreMode(mode)) this._syncSemaphores();
+      this.deadlock = null;
+      if (this.isRunning) {
+        this._message(SYNC_MODE_MESSAGES[mode]);
+        this._record({ key: null, state: null, mode }, 'mode', { cond: mode, woken: parked.map(p => p.t.key).join(' ') || null });
+      }
+      if (!isSemaphoreMode(mode)) this._tryShrink();
+      this.emit('syncMode', mode);
+      this._emitEntities();
+      return true;
+    }
+
+    // Robustness is a property of the lock, so a lock a crashed thread
+    // already holds stays held; it covers crashes from now on.
+    setRobustMutex(on) {
+      this.robustMutex = !!on;
+      this.config.robustMutex = this.robustMutex;
+    }
+
+    setPolicy(policy) {
+      this.policy = SCHEDULING_POLICIES.includes(policy) ? policy : 'round-robin';
+      this.config.policy = this.policy;
+      // round-robin always needs a concrete turn holder
+      if (this.policy === 'round-robin') {
+        if (this.nextProducerTurn < 0) this.nextProducerTurn = 0;
+        if (this.nextConsumerTurn < 0) this.nextConsumerTurn = 0;
+      }
+    }
+
+    // ---------- Queries ----------
+    allThreads() {
+      return this.producers.concat(this.consumers);
+    }
+
+    getProducerById(id) { return this.producers.find(p => p.id === id); }
+    getConsumerById(id) { return this.consumers.find(c => c.id === id); }
+
+    mutexOwner() {
+      if (this.mutex.locked) return this.mutex.owner || 'locked';
+      if (this.semaphores.mutex.value === 0) return this.semMutexHolder || 'locked';
+      return 'free';
+    }
+
+    // Keys of threads blocked on the buffer lock or the mutex semaphore.
+    mutexWaiters() {
+      return this.mutex.waiters.concat(this.semaphores.mutex.waiters);
+    }
+
+    // Current semaphore values, e.g. { mutex: 1, empty: 6, full: 2 }.
+    semaphoreValues() {
+      const s = this.semaphores;
+      return { mutex: s.mutex.value, empty: s.empty.value, full: s.full.value };
+    }
+
+    transferDuration() {
+      return transferTime(this.transferSpeed);
+    }
+
+    _resetSemaphores() {
+      this.semaphores = {
+        mutex: new CountingSemaphore('mutex', 1),
+        empty: new CountingSemaphore('empty', this.bufferCapacity),
+        full: new CountingSemaphore('full', 0)
+      };
+      this.semMutexHolder = null; // key of the thread that last took mutex
+    }
+
+    // Switching into semaphore mode mid-run: the counters follow the buffer
+    // as the other modes left it (nobody is queued on them by then).
+    _syncSemaphores() {
+      const { empty, full } = this.semaphores;
+      const count = Math.max(0, Math.min(this.bufferCapacity, this.itemsCount));
+      empty.value = this.bufferCapacity - count;
+      full.value = count;
+      // a pending shrink collects its permits again
+      if (this.targetCapacity !== null) {
+        this.resizeDebt = this.bufferCapacity - this.targetCapacity;
+        this._takeResizePermits();
+      }
+    }
+
+    _delayFor(t) {
+      if (t.timing) return meanDelay(t.timing);
+      return t.kind === 'producer' ? this.producerDelay : this.consumerDelay;
+    }
+
+    // shared delays get up to 80 ms of jitter; a thread's own distribution
+    // brings its own randomness
+    _tickDelay(t) {
+      if (t.timing) return sampleDelay(t.timing, this.rng, this.clock.now(), t);
+      return this._delayFor(t) + this.rng.int(80);
+    }
+
+    // ---------- Buffer types ----------
+    // a producer has to wait for a free slot (a pending shrink counts); an
+    // unbounded queue is never full
+    _isFull() {
+      return this.bufferType !== 'unbounded' && this.itemsCount >= this._capacityLimit();
+    }
+
+    // slot the next deposit writes; takes always read `readIndex`
+    _putSlot() {
+      return this.bufferType === 'stack' ? Math.min(this.writeIndex, this.bufferCapacity - 1) : this.writeIndex;
+    }
+
+    // moves in/out past a deposit or a take ('deposit' | 'consume')
+    _advanceIndices(kind) {
+      const cap = this.bufferCapacity;
+      if (this.bufferType === 'stack') {
+        this.writeIndex = kind === 'deposit' ? Math.min(this.writeIndex + 1, cap) : Math.max(this.writeIndex - 1, 0);
+        this.readIndex = Math.max(this.writeIndex - 1, 0);
+      } else if (this.bufferType === 'priority') {
+        // a full buffer keeps the old in, which a NO-SYNC deposit overwrites
+        const free = this.buffer.indexOf(null);
+        if (free >= 0) this.writeIndex = free;
+        const best = highestPrioritySlot(this.buffer);
+        if (best >= 0) this.readIndex = best;
+      } else if (kind === 'deposit') {
+        this.writeIndex = (this.writeIndex + 1) % cap;
+      } else {
+        this.readIndex = (this.readIndex + 1) % cap;
+      }
+    }
+
+    // an unbounded queue doubles before a deposit would land on an item
+    _ensureRoom(t) {
+      if (this.bufferType !== 'unbounded' || this.buffer[this.writeIndex] === null) return;
+      growQueue(this);
+      this._message(`📈 Queue full — grown to ${this.bufferCapacity} slots`);
+      this._record(t, 'grow');
+      this._emitBuffer();
+    }
+
+    _dispatch(ev) {
+      // a crashed thread's pending ticks and steps come to nothing
+      const t = this.getThread(ev.key);
+      if (!t || t.crashed || !this.isRunning) return;
+
+      switch (ev.type) {
+        case 'tick':
+          t.timer = null;
+          this._step(t);
+          t.timer = this.clock.schedule(this._tickDelay(t), ev);
+          break;
+        case 'acquire':
+          this._acquire(t);
+          break;
+        case 'lock':
+          // the thread was handed the buffer lock while blocked
+          this._acquired(t);
+          break;
+        case 'recover':
+          this._recover(t);
+          break;
+        case 'wait':
+          this._wait(t);
+          break;
+        case 'transferDone':
+          t.transfer = null;
+          if (t.kind === 'producer') this._deposit(t);
+          else this._consume(t);
+          break;
+        case 'notify':
+          this._notify(t);
+          break;
+        case 'release':
+          this._release(t);
+          break;
+        case 'semWait':
+          this._semWait(t);
+          break;
+        case 'semPass':
+          // the thread was handed a permit by signal() while blocked
+          this._semAcquired(t, t.pc);
+          break;
+        case 'semSignal':
+          this._semSignal(t);
+          break;
+        default:
+          break;
+      }
+      this._trySyncSwitch();
+    }
+
+    // A tick only starts an operation for a thread that is free to and
+    // holds its turn (or finds it open); any other tick just comes round again.
+    _canAct(ev) {
+      if (ev.type !== 'tick') return true;
+      const t = this.getThread(ev.key);
+      if (!t || t.crashed || t.inFlight || this.pendingSyncMode !== null) return false;
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      const next = t.kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+      return next < 0 || list[next % list.length] === t;
+    }
+
+    _step(t) {
+      if (t.kind === 'producer') this._producerStep(t);
+      else this._consumerStep(t);
+    }
+
+    // Buffer/lock fields of a trace record, taken right after the action.
+    _traceFields(t, extra) {
+      return Object.assign({ slot: null, itemId: null }, extra, {
+        count: this.itemsCount,
+        owner: this._lockHolder(),
+        in: this.writeIndex,
+        out: this.readIndex,
+        state: t.state,
+        sems: isSemaphoreMode(t.mode) ? this._semaphoreString() : null
+      });
+    }
+
+    _lockHolder() {
+      if (this.mutex.locked) return this.mutex.owner;
+      return this.semaphores.mutex.value === 0 ? this.semMutexHolder : null;
+    }
+
+    // "mutex/empty/full" as stored in the trace
+    _semaphoreString() {
+      const v = this.semaphoreValues();
+      return `${v.mutex}/${v.empty}/${v.full}`;
+    }
+
+    // ---------- Turn handling ----------
+    _hasTurn(t) {
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      if (list.length === 0) return true;
+      const next = t.kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+      if (next < 0) {
+        // open turn: nobody was ready when the last operation ended
+        this._setTurn(t.kind, list.indexOf(t));
+        this._removeReady(t);
+        this._record(t, 'turn', { policy: this.policy });
+        return true;
+      }
+      const current = list[next % list.length];
+      if (!current || current.id !== t.id) return false;
+      this._removeReady(t);
+      return true;
+    }
+
+    _waitTurn(t) {
+      const ready = t.kind === 'producer' ? this.readyProducers : this.readyConsumers;
+      if (!ready.includes(t.key)) ready.push(t.key);
+      if (t.state === 'waiting-turn') return;
+      t.state = 'waiting-turn';
+      this._record(t, 'wait-turn');
+      this._emitEntities();
+    }
+
+    _removeReady(t) {
+      const ready = t.kind === 'producer' ? this.readyProducers : this.readyConsumers;
+      const idx = ready.indexOf(t.key);
+      if (idx >= 0) ready.splice(idx, 1);
+    }
+
+    _setTurn(kind, index) {
+      if (kind === 'producer') this.nextProducerTurn = index;
+      else this.nextConsumerTurn = index;
+    }
+
+    _advanceTurn(kind) {
+      const list = kind === 'producer' ? this.producers : this.consumers;
+      if (list.length === 0) return;
+
+      let next;
+      if (this.policy === 'round-robin') {
+        // crashed threads never take a turn again
+        const current = kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+        next = null;
+        for (let k = 1; k <= list.length && !next; k++) {
+          const t = list[(current + k) % list.length];
+          if (!t.crashed) next = t;
+        }
+      } else {
+        next = this._pickReady(kind);
+      }
+      this._setTurn(kind, next ? list.indexOf(next) : -1);
+      if (!next) return;
+
+      this._record(next, 'turn', { policy: this.policy });
+      const label = `${kind === 'producer' ? 'producer' : 'consumer'} turn: ${next.key}`;
+      this._message(this.policy === 'round-robin' ? `➡ Next ${label}` : `➡ Next ${label} (${this.policy})`);
+    }
+
+    // Lets the scheduling policy choose among the ready threads; null when
+    // none are ready.
+    _pickReady(kind) {
+      const ready = kind === 'producer' ? this.readyProducers : this.readyConsumers;
+      const threads = ready.map(key => this.getThread(key)).filter(Boolean);
+      if (threads.length === 0) return null;
+
+      let chosen;
+      switch (this.policy) {
+        case 'random':
+          chosen = threads[this.rng.int(threads.length)];
+          break;
+        case 'priority':
+          // ties go to the earlier arrival
+          chosen = threads.reduce((best, t) => (t.priority < best.priority ? t : best));
+          break;
+        case 'lottery': {
+          const total = threads.reduce((sum, t) => sum + Math.max(1, t.tickets), 0);
+          let draw = this.rng.int(total);
+          chosen = threads.find(t => (draw -= Math.max(1, t.tickets)) < 0);
+          break;
+        }
+        case 'fifo':
+        default:
+          chosen = threads[0];
+          break;
+      }
+      this._removeReady(chosen);
+      return chosen;
+    }
+
+    // ---------- Lock hand-off ----------
+    // A thread that was given the lock resumes on its own, like the
+    // setTimeout(0) resumptions of the old promise-based mutex.
+    _handOff(key) {
+      if (key) this.clock.schedule(0, { type: 'lock', key });
+    }
+
+    _then(t, type, pc) {
+      t.pc = pc;
+      this.clock.schedule(0, { type, key: t.key });
+    }
+
+    _beginTransfer(t, kind, slot) {
+      t.pc = 'transfer';
+      const producerId = kind === 'deposit' ? t.id : (t.item ? t.item.producerId : null);
+      const itemId = t.item ? t.item.id : null;
+      t.transfer = { kind, slot, producerId, itemId, duration: this.transferDuration(), startedAt: this.clock.now() };
+      this.emit('transfer', Object.assign({ actor: t.key }, t.transfer));
+      this.clock.schedule(t.transfer.duration, { type: 'transferDone', key: t.key });
+    }
+
+    // ---------- Shared SYNC steps ----------
+    _acquire(t) {
+      if (this.mutex.acquire(t.key)) {
+        this._acquired(t);
+      } else {
+        this._action(t, 'block', { owner: this.mutex.owner });
+        this._tryRetire(t);
+      }
+    }
+
+    // t holds the lock now. If its last owner died holding it (robust
+    // mutex), t is told so and repairs the buffer before anything else.
+    _acquired(t) {
+      const dead = this.mutex.ownerDead;
+      if (!dead) {
+        this._check(t);
+        this._action(t, 'acquire');
+        return;
+      }
+      t.state = 'holding-lock';
+      this._then(t, 'recover', 'recover');
+      this._emitEntities();
+      this._message(`⚠️ ${t.key} got the lock with OWNER DIED — ${dead} crashed holding it`);
+      this._action(t, 'acquire', { cond: 'owner-died' });
+    }
+
+    // A torn deposit is the only half-done update a dead owner can leave:
+    // its item sits in the slot, but count and in never got past it. The
+    // repair finishes it, marks the mutex consistent and wakes the side the
+    // new count lets through (the dead owner never got to notify); they get
+    // the lock when t waits or releases it, and t carries on.
+    _recover(t) {
+      const torn = this.buffer.filter(Boolean).length - this.itemsCount;
+      if (torn > 0) {
+        this.itemsCount += torn;
+        this._advanceIndices('deposit');
+      } else if (torn < 0) {
+        this.itemsCount += torn;
+      }
+      this.mutex.markConsistent();
+      let woken = [];
+      if (torn > 0) woken = this.mutex.notifyAll('notEmpty');
+      else if (torn < 0) woken = this.mutex.notifyAll('notFull');
+      this._message(torn > 0
+        ? `🩹 ${t.key} repaired the buffer: the torn deposit is counted and in moved past it [${this.itemsCount}/${this.bufferCapacity}]`
+        : `🩹 ${t.key} checked the buffer: nothing half-done, the lock is consistent again`);
+      this._action(t, 'recover', { woken: woken.join(' ') || null });
+      this._emitBuffer();
+      this._check(t);
+    }
+
+    // runs while t holds the lock: wait on the condition or start the transfer
+    _check(t) {
+      t.state = 'holding-lock';
+      if (t.kind === 'producer') {
+        if (this._isFull()) {
+          this._then(t, 'wait', 'check');
+        } else {
+          this._ensureRoom(t);
+          this._beginTransfer(t, 'deposit', this._putSlot());
+        }
+      } else if (this.itemsCount <= 0) {
+        this._then(t, 'wait', 'check');
+      } else {
+        this._takeItem(t, this.readIndex);
+        this._beginTransfer(t, 'consume', this.readIndex);
+      }
+      this._emitEntities();
+    }
+
+    _wait(t) {
+      t.state = 'waiting';
+      t.pc = 'cond';
+      this._emitEntities();
+      if (t.kind === 'producer') {
+        this._message(`⏳ P${t.id} waiting (buffer full: ${this.itemsCount}/${this.bufferCapacity})`);
+        this._handOff(this.mutex.wait('notFull', t.key));
+        this._action(t, 'wait', { cond: 'notFull' });
+      } else {
+        this._message(`⏳ C${t.id} waiting (buffer empty)`);
+        this._handOff(this.mutex.wait('notEmpty', t.key));
+        this._action(t, 'wait', { cond: 'notEmpty' });
+      }
+      this._tryRetire(t);
+    }
+
+    _notify(t) {
+      const cond = t.kind === 'producer' ? 'notEmpty' : 'notFull';
+      const woken = this.mutex.notify(cond);
+      this._action(t, 'notify', { cond, woken });
+      this._then(t, 'release', 'release');
+      this._emitEntities();
+    }
+
+    _release(t) {
+      this._handOff(this.mutex.release());
+      t.state = 'idle';
+      t.inFlight = false;
+      t.pc = 'idle';
+      this._action(t, 'release');
+      this._advanceTurn(t.kind);
+      this._emitEntities();
+      this._tryRetire(t);
+    }
+
+    // ---------- Shared SEMAPHORE steps ----------
+    // t.pc names the semaphore the thread is about to wait on.
+    _semWait(t) {
+      const name = t.pc;
+      if (this.semaphores[name].wait(t.key)) {
+        this._semAcquired(t, name);
+        return;
+      }
+      if (name === 'mutex') {
+        this._action(t, 'block', { cond: name, owner: this.semMutexHolder });
+        this._tryRetire(t);
+        return;
+      }
+      const holding = this.semMutexHolder === t.key;
+      t.state = 'waiting';
+      this._emitEntities();
+      if (name === 'empty') {
+        this._message(`⏳ P${t.id} blocked on wait(empty) (buffer full: ${this.itemsCount}/${this.bufferCapacity})${holding ? ' while holding mutex' : ''}`);
+      } else {
+        this._message(`⏳ C${t.id} blocked on wait(full) (buffer empty)`);
+      }
+      this._action(t, 'block', { cond: name });
+      this._tryRetire(t);
+    }
+
+    _semAcquired(t, name) {
+      if (name === 'mutex') {
+        this.semMutexHolder = t.key;
+        t.state = 'holding-lock';
+      } else if (this.semMutexHolder !== t.key) {
+        t.state = t.kind === 'producer' ? 'producing' : 'consuming';
+      } else {
+        t.state = 'holding-lock';
+      }
+      this._action(t, 'wait', { cond: name });
+
+      const order = semaphoreOrder(t.kind, t.mode, this.bufferType);
+      const next = order[order.indexOf(name) + 1];
+      if (next) {
+        this._then(t, 'semWait', next);
+        this._emitEntities();
+        return;
+      }
+
+      // the empty/full permit guarantees a free slot or a stored item
+      if (t.kind === 'producer') {
+        this._ensureRoom(t);
+        this._beginTransfer(t, 'deposit', this._putSlot());
+      } else {
+        this._takeItem(t, this.readIndex);
+        this._beginTransfer(t, 'consume', this.readIndex);
+      }
+      this._emitEntities();
+    }
+
+    _semSignal(t) {
+      if (t.pc === 'signal-mutex') {
+        this.semMutexHolder = null;
+        const woken = this.semaphores.mutex.signal();
+        if (woken) this.clock.schedule(0, { type: 'semPass', key: woken });
+        // an unbounded queue has no empty semaphore: the consumer is done
+        if (t.kind === 'consumer' && this.bufferType === 'unbounded') {
+          t.state = 'idle';
+          t.inFlight = false;
+          t.pc = 'idle';
+          this._action(t, 'signal', { cond: 'mutex', woken });
+          this._advanceTurn(t.kind);
+          this._emitEntities();
+          this._tryRetire(t);
+          return;
+        }
+        t.state = t.kind === 'producer' ? 'producing' : 'consuming';
+        this._action(t, 'signal', { cond: 'mutex', woken });
+        this._then(t, 'semSignal', t.kind === 'producer' ? 'signal-full' : 'signal-empty');
+        this._emitEntities();
+        return;
+      }
+
+      const name = t.kind === 'producer' ? 'full' : 'empty';
+      // a pending shrink keeps the permit of the slot just freed
+      const kept = name === 'empty' && this.resizeDebt > 0;
+      if (kept) this.resizeDebt--;
+      const woken = kept ? null : this.semaphores[name].signal();
+      if (woken) this.clock.schedule(0, { type: 'semPass', key: woken });
+      t.state = 'idle';
+      t.inFlight = false;
+      t.pc = 'idle';
+      this._action(t, 'signal', { cond: name, woken });
+      if (kept) this._tryShrink();
+      this._advanceTurn(t.kind);
+      this._emitEntities();
+      this._tryRetire(t);
+    }
+
+    // ---------- Producer ----------
+    _producerStep(p) {
+      // a pending mode switch waits for the operations under way
+      if (p.inFlight || this.pendingSyncMode !== null) return;
+
+      if (!this._hasTurn(p)) {
+        this._waitTurn(p);
+        return;
+      }
+
+      p.inFlight = true;
+      p.mode = this.syncMode;
+      p.pc = 'produce';
+
+      if (!p.hasItem) {
+        p.state = 'producing';
+        p.hasItem = true;
+        p.item = createItem(this.nextItemId++, p, this.clock.now());
+        if (this.bufferType === 'priority') p.item.priority = 1 + this.rng.int(ITEM_PRIORITIES);
+        this._emitEntities();
+        this._message(`🔨 P${p.id} produced item${p.item.priority ? ` (priority ${p.item.priority})` : ''} (turn P${p.id})`);
+        this._action(p, 'produce', p.item.priority ? { itemId: p.item.id, priority: p.item.priority } : { itemId: p.item.id });
+      }
+
+      if (p.mode === 'sync') {
+        this._then(p, 'acquire', 'lock');
+      } else if (isSemaphoreMode(p.mode)) {
+        this._then(p, 'semWait', semaphoreOrder('producer', p.mode, this.bufferType)[0]);
+      } else {
+        p.state = 'producing';
+        this._emitEntities();
+        this._ensureRoom(p);
+        this._beginTransfer(p, 'deposit', this._putSlot());
+      }
+    }
+
+    _deposit(p) {
+      this._ensureRoom(p);
+      const slot = this._putSlot();
+      const prev = this.buffer[slot];
+      const item = p.item || createItem(this.nextItemId++, p, this.clock.now());
+      item.enqueuedAt = this.clock.now();
+      this.buffer[slot] = item;
+      this._advanceIndices('deposit');
+      p.count++;
+      p.hasItem = false;
+      p.item = null;
+
+      if (p.mode !== 'nosync') {
+        this.itemsCount++;
+        this._action(p, 'deposit', { slot, itemId: item.id });
+        if (p.mode === 'sync') this._then(p, 'notify', 'notify');
+        else this._then(p, 'semSignal', 'signal-mutex');
+        this._emitEntities();
+        this._emitBuffer();
+        this._message(`✅ P${p.id} deposited [${this.itemsCount}/${this.bufferCapacity}] count=${p.count}`);
+        if (p.mode === 'sync') this._tryShrink();
+        return;
+      }
+
+      p.state = 'idle';
+      p.inFlight = false;
+      p.pc = 'idle';
+      // count++ runs unguarded, even over an item that was never consumed
+      this.itemsCount++;
+      if (prev === null) {
+        this._message(`📥 P${p.id} deposited [${this.itemsCount}/${this.bufferCapacity}] count=${p.count}`);
+      } else {
+        this._message(`⚠️ RACE! P${p.id} overwrote P${prev.producerId}'s item`);
+      }
+      this._action(p, 'deposit', { slot, itemId: item.id, overwrote: prev ? prev.id : null });
+      this._tryShrink();
+      this._advanceTurn('producer');
+      this._emitEntities();
+      this._emitBuffer();
+      this._tryRetire(p);
+    }
+
+    // ---------- Consumer ----------
+    _consumerStep(c) {
+      // a pending mode switch waits for the operations under way
+      if (c.inFlight || this.pendingSyncMode !== null) return;
+
+      if (!this._hasTurn(c)) {
+        this._waitTurn(c);
+        return;
+      }
+
+      c.inFlight = true;
+      c.mode = this.syncMode;
+
+      if (c.mode === 'sync') {
+        this._then(c, 'acquire', 'lock');
+      } else if (isSemaphoreMode(c.mode)) {
+        this._then(c, 'semWait', semaphoreOrder('consumer', c.mode)[0]);
+      } else {
+        c.state = 'consuming';
+        this._takeItem(c, this.readIndex);
+        this._action(c, 'read', { slot: this.readIndex, itemId: c.item ? c.item.id : null });
+        this._emitEntities();
+        this._beginTransfer(c, 'consume', this.readIndex);
+      }
+    }
+
+    // the consumer starts carrying whatever the slot holds; the first pick
+    // is when the item left the queue
+    _takeItem(c, slot) {
+      c.item = this.buffer[slot];
+      if (c.item && c.item.dequeuedAt === null) c.item.dequeuedAt = this.clock.now();
+    }
+
+    _consume(c) {
+      const item = c.item;
+      const slot = this.readIndex;
+      c.item = null;
+      if (item) {
+        if (item.consumedAt === null) item.consumedAt = this.clock.now();
+        this.latency.record(item);
+      }
+
+      if (c.mode === 'nosync') {
+        if (item === null) this._message(`⚠️ RACE! C${c.id} read empty slot`);
+        else this._message(`📤 C${c.id} consumed from P${item.producerId} count=${c.count + 1}`);
+      }
+
+      this.buffer[slot] = null;
+      this._advanceIndices('consume');
+      this.itemsCount--;
+      if (c.mode !== 'nosync' || item) c.count++;
+      const detail = { slot, itemId: item ? item.id : null };
+
+      if (c.mode !== 'nosync') {
+        this._action(c, 'consume', detail);
+        // nobody waits for room in an unbounded queue, so there is nothing to notify
+        if (c.mode === 'sync' && this.bufferType === 'unbounded') this._then(c, 'release', 'release');
+        else if (c.mode === 'sync') this._then(c, 'notify', 'notify');
+        else this._then(c, 'semSignal', 'signal-mutex');
+        this._emitEntities();
+        this._emitBuffer();
+        if (item) {
+          this._message(`✅ C${c.id} consumed from P${item.producerId} [${this.itemsCount}/${this.bufferCapacity}] count=${c.count}`);
+        } else {
+          this._message(`✅ C${c.id} consumed [${this.itemsCount}/${this.bufferCapacity}] count=${c.count}`);
+        }
+        if (c.mode === 'sync') this._tryShrink();
+        return;
+      }
+
+      c.state = 'idle';
+      c.inFlight = false;
+      c.pc = 'idle';
+      this._action(c, 'consume', detail);
+      this._tryShrink();
+      this._advanceTurn('consumer');
+      this._emitEntities();
+      this._emitBuffer();
+      this._tryRetire(c);
+    }
+
+    // ---------- Deadlock detection ----------
+    // Who each blocked thread is waiting for: lock waiters wait for the
+    // owner, slot waiters (notFull/empty, notEmpty/full) for any thread of
+    // the other kind, and threads queued for a turn for the one holding it.
+    waitForGraph() {
+      const edges = [];
+      const add = (from, to, via) => {
+        if (to && to !== from) edges.push({ from, to, via });
+      };
+      const producers = this.producers.map(p => p.key);
+      const consumers = this.consumers.map(c => c.key);
+
+      this.mutex.waiters.forEach(key => add(key, this.mutex.owner, 'lock'));
+      this.mutex.waitingOn('notFull').forEach(key => consumers.forEach(c => add(key, c, 'notFull')));
+      this.mutex.waitingOn('notEmpty').forEach(key => producers.forEach(p => add(key, p, 'notEmpty')));
+
+      const s = this.semaphores;
+      s.mutex.waiters.forEach(key => add(key, this.semMutexHolder, 'mutex'));
+      s.empty.waiters.forEach(key => consumers.forEach(c => add(key, c, 'empty')));
+      s.full.waiters.forEach(key => producers.forEach(p => add(key, p, 'full')));
+
+      // the turn holder itself may still sit in the ready list until its next tick
+      this.readyProducers.forEach(key => add(key, this._turnHolder('producer'), 'turn'));
+      this.readyConsumers.forEach(key => add(key, this._turnHolder('consumer'), 'turn'));
+
+      return {
+        threads: this.allThreads().map(t => t.key),
+        edges,
+        dead: this.allThreads().filter(t => t.crashed).map(t => t.key)
+      };
+    }
+
+    _turnHolder(kind) {
+      const list = kind === 'producer' ? this.producers : this.consumers;
+      const next = kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+      if (list.length === 0 || next < 0) return null;
+      return list[next % list.length].key;
+    }
+
+    // every record goes past the invariant checker; a thread that just
+    // blocked may have closed the last way out
+    _record(t, action, extra) {
+      const ev = super._record(t, action, extra);
+      this.timeline.observe(ev);
+      const broken = this.checker.observe(this, ev);
+      if (broken.length > 0) this.emit('violations', broken);
+      if (!this.deadlock && BLOCKING_RECORDS.includes(action)) this._checkDeadlock(t);
+      return ev;
+    }
+
+    // Counts per violation kind, the actors involved and each violation with
+    // the trace seq of the action that caused it.
+    raceReport() {
+      return this.checker.report();
+    }
+
+    // Time consumed items spent in the buffer and produce-to-consume, in ms.
+    latencySummary() {
+      return this.latency.summary();
+    }
+
+    latencyHistogram(binCount) {
+      return this.latency.histogram(binCount);
+    }
+
+    // Threads stuck behind a crashed one are only reported once no thread
+    // can run, so the waiters can be seen piling up until then.
+    _checkDeadlock(t) {
+      const found = findDeadlock(this.waitForGraph());
+      if (!found || (found.dead.length > 0 && !found.stall)) return;
+
+      this.deadlock = found;
+      this._emitEntities();
+      if (found.dead.length > 0) {
+        this._message(`☠️ STALLED: ${found.cycle.join(' → ')} — ${found.dead.join(', ')} crashed and no thread can run`);
+      } else {
+        this._message(`💀 DEADLOCK: ${found.cycle.join(' → ')}${found.stall ? ' — no thread can run' : ''}`);
+      }
+      this._record(t, 'deadlock', { cond: found.threads.join(' ') });
+      this.emit('deadlock', found);
+    }
+
+    // ---------- Snapshots ----------
+    // Plain-data copy of everything a step can change (the clock queue and
+    // PRNG state included), so restoring it replays the same future.
+    snapshot() {
+      const copy = v => JSON.parse(JSON.stringify(v));
+      return {
+        time: this.clock.now(),
+        config: copy(this.config),
+        syncMode: this.syncMode,
+        pendingSyncMode: this.pendingSyncMode,
+        bufferCapacity: this.bufferCapacity,
+        targetCapacity: this.targetCapacity,
+        resizeDebt: this.resizeDebt,
+        buffer: copy(this.buffer),
+        itemsCount: this.itemsCount,
+        writeIndex: this.writeIndex,
+        readIndex: this.readIndex,
+        producers: copy(this.producers),
+        consumers: copy(this.consumers),
+        nextProducerTurn: this.nextProducerTurn,
+        nextConsumerTurn: this.nextConsumerTurn,
+        readyProducers: this.readyProducers.slice(),
+        readyConsumers: this.readyConsumers.slice(),
+        policy: this.policy,
+        mutex: this.mutex.snapshot(),
+        semaphores: {
+          mutex: this.semaphores.mutex.snapshot(),
+          empty: this.semaphores.empty.snapshot(),
+          full: this.semaphores.full.snapshot()
+        },
+        semMutexHolder: this.semMutexHolder,
+        clock: this.clock.snapshot(),
+        rng: this.rng.state,
+        nextItemId: this.nextItemId,
+        nextThreadId: Object.assign({}, this.nextThreadId),
+        deadlock: copy(this.deadlock),
+        checker: this.checker.snapshot(),
+        latency: this.latency.snapshot(),
+        timeline: this.timeline.snapshot(),
+        traceLength: this.trace.length
+      };
+    }
+
+    restore(snap) {
+      this.config = JSON.parse(JSON.stringify(snap.config));
+      this.bufferCapacity = snap.bufferCapacity;
+      this.targetCapacity = snap.targetCapacity;
+      this.resizeDebt = snap.resizeDebt;
+      this.producerDelay = this.config.producerDelay;
+      this.consumerDelay = this.config.consumerDelay;
+      this.transferSpeed = this.config.transferSpeed;
+      this.robustMutex = this.config.robustMutex;
+      this.syncMode = snap.syncMode;
+      this.pendingSyncMode = snap.pendingSyncMode;
+      this.buffer = JSON.parse(JSON.stringify(snap.buffer));
+      this.itemsCount = snap.itemsCount;
+      this.writeIndex = snap.writeIndex;
+      this.readIndex = snap.readIndex;
+      this.producers = JSON.parse(JSON.stringify(snap.producers));
+      this.consumers = JSON.parse(JSON.stringify(snap.consumers));
+      this.nextProducerTurn = snap.nextProducerTurn;
+      this.nextConsumerTurn = snap.nextConsumerTurn;
+      this.readyProducers = snap.readyProducers.slice();
+      this.readyConsumers = snap.readyConsumers.slice();
+      this.policy = snap.policy;
+      this.mutex.restore(snap.mutex);
+      Object.keys(this.semaphores).forEach(name => this.semaphores[name].restore(snap.semaphores[name]));
+      this.semMutexHolder = snap.semMutexHolder;
+      this.clock.restore(snap.clock);
+      this.rng.state = snap.rng;
+      this.nextItemId = snap.nextItemId;
+      this.nextThreadId = Object.assign({}, snap.nextThreadId);
+      this.deadlock = snap.deadlock ? JSON.parse(JSON.stringify(snap.deadlock)) : null;
+      this.checker.restore(snap.checker);
+      this.latency.restore(snap.latency);
+      this.timeline.restore(snap.timeline);
+      // drop the actions being undone
+      this.trace.length = Math.min(this.trace.length, snap.traceLength);
+
+      this.emit('restore');
+      this._emitEntities();
+      this._emitBuffer();
+    }
+
+    // ---------- Event helpers ----------
+    _emitBuffer() { this.emit('buffer'); }
+  }
+
+  return {
+    LIMITS, SYNC_MODES, SCHEDULING_POLICIES, BUFFER_TYPES, ITEM_PRIORITIES, normalizeConfig, configErrors,
+    isSemaphoreMode, semaphoreOrder, highestPrioritySlot, growQueue, resizeSlots, formatSlotMoves, parseSlotMoves, createItem,
+    ProducerConsumerSim
+  };
+});
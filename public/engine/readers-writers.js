@@ -0,0 +1,312 @@
+// Headless Readers–Writers engine. Readers may share the resource, a writer
+// needs it alone; the variant decides who gets in next when both wait:
+//   readers-preference  readers join while any reader is inside (writers can starve)
+//   writers-preference  a waiting writer holds back new readers (readers can starve)
+//   fair                one FIFO queue; consecutive readers at its head go in together
+// Emits the Simulation events (core.js) and no others.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./core'));
+  } else {
+    root.OSEngine = Object.assign(root.OSEngine || {}, factory(root.OSEngine));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  'use strict';
+
+  const { Simulation, SEED_LIMIT, clampNumber, normalizeSeed } = deps;
+
+  const RW_LIMITS = {
+    readers: { min: 1, max: 12, fallback: 4 },
+    writers: { min: 1, max: 12, fallback: 2 },
+    readerDelay: { min: 50, fallback: 900 },
+    writerDelay: { min: 50, fallback: 1600 },
+    accessSpeed: { min: 0.1, max: 6.0, fallback: 1.0 },
+    seed: SEED_LIMIT
+  };
+
+  const RW_VARIANTS = ['readers-preference', 'writers-preference', 'fair'];
+
+  // base time a thread spends reading or writing
+  const ACCESS_BASE_MS = 900;
+
+  function normalizeRWConfig(raw) {
+    const c = raw || {};
+    const int = v => parseInt(v, 10);
+    return {
+      readers: clampNumber(c.readers, RW_LIMITS.readers, int),
+      writers: clampNumber(c.writers, RW_LIMITS.writers, int),
+      readerDelay: clampNumber(c.readerDelay, RW_LIMITS.readerDelay, int),
+      writerDelay: clampNumber(c.writerDelay, RW_LIMITS.writerDelay, int),
+      variant: RW_VARIANTS.includes(c.variant) ? c.variant : 'readers-preference',
+      accessSpeed: clampNumber(c.accessSpeed, RW_LIMITS.accessSpeed, parseFloat),
+      seed: normalizeSeed(c.seed)
+    };
+  }
+
+  function createRWThread(kind, id) {
+    return {
+      id,
+      key: (kind === 'reader' ? 'R' : 'W') + id,
+      kind,
+      count: 0, // completed reads / writes
+      state: 'idle', // idle | waiting | reading | writing
+      inFlight: false,
+      pc: 'idle', // idle | request | enter | access
+      requestedAt: null,
+      timer: null
+    };
+  }
+
+  class ReadersWritersSim extends Simulation {
+    constructor(config, options) {
+      super(options);
+      this.problem = 'readersWriters';
+      this.reset(config);
+    }
+
+    reset(config) {
+      const c = normalizeRWConfig(config || this.config);
+      this.config = c;
+      this.readerDelay = c.readerDelay;
+      this.writerDelay = c.writerDelay;
+      this.variant = c.variant;
+      this.accessSpeed = c.accessSpeed;
+      this.seed = c.seed;
+
+      this.readers = [];
+      this.writers = [];
+      for (let i = 1; i <= c.readers; i++) this.readers.push(createRWThread('reader', i));
+      for (let j = 1; j <= c.writers; j++) this.writers.push(createRWThread('writer', j));
+
+      this.readersInside = 0; // readers granted access (entering or reading)
+      this.writerInside = null; // key of the writer granted access
+      this.queue = []; // keys of waiting threads, in arrival order
+      this.maxWait = { reader: 0, writer: 0 }; // longest completed wait per kind
+
+      this._resetRun();
+    }
+
+    setSpeeds({ readerDelay, writerDelay, accessSpeed }) {
+      const c = normalizeRWConfig(Object.assign({}, this.config, { readerDelay, writerDelay, accessSpeed }));
+      this.config = c;
+      this.readerDelay = c.readerDelay;
+      this.writerDelay = c.writerDelay;
+      this.accessSpeed = c.accessSpeed;
+      if (this.isRunning) this.startEntityTimers();
+    }
+
+    // Takes effect for the next admission decision.
+    setVariant(variant) {
+      this.variant = RW_VARIANTS.includes(variant) ? variant : 'readers-preference';
+      this.config.variant = this.variant;
+      if (this.isRunning) this._admitWaiting();
+    }
+
+    // ---------- Queries ----------
+    allThreads() {
+      return this.readers.concat(this.writers);
+    }
+
+    waitingReaders() {
+      return this.queue.filter(key => key[0] === 'R');
+    }
+
+    waitingWriters() {
+      return this.queue.filter(key => key[0] === 'W');
+    }
+
+    accessDuration() {
+      const speed = this.accessSpeed > 0 ? this.accessSpeed : 1.0;
+      return Math.max(40, Math.round(ACCESS_BASE_MS / speed));
+    }
+
+    _delayFor(t) {
+      return t.kind === 'reader' ? this.readerDelay : this.writerDelay;
+    }
+
+    // ticks while busy only come round again
+    _canAct(ev) {
+      if (ev.type !== 'tick') return true;
+      const t = this.getThread(ev.key);
+      return !!t && !t.inFlight;
+    }
+
+    _dispatch(ev) {
+      const t = this.getThread(ev.key);
+      if (!t || !this.isRunning) return;
+
+      switch (ev.type) {
+        case 'tick':
+          t.timer = null;
+          if (!t.inFlight) this._request(t);
+          t.timer = this.clock.schedule(this._delayFor(t) + this.rng.int(80), ev);
+          break;
+        case 'admit':
+          // access was granted while the thread waited
+          this._enter(t);
+          break;
+        case 'exit':
+          this._exit(t);
+          break;
+        default:
+          break;
+      }
+    }
+
+    _traceFields(t, extra) {
+      return Object.assign({}, extra, {
+        readers: this.readersInside,
+        writer: this.writerInside,
+        waiting: this.queue.length,
+        state: t.state
+      });
+    }
+
+    // ---------- Admission ----------
+    _canEnter(t) {
+      if (this.writerInside) return false;
+      if (t.kind === 'writer') {
+        if (this.readersInside > 0) return false;
+        return this.variant !== 'fair' || this.queue.length === 0;
+      }
+      if (this.variant === 'writers-preference') return this.waitingWriters().length === 0;
+      if (this.variant === 'fair') return this.queue.length === 0;
+      return true;
+    }
+
+    _grant(t) {
+      if (t.kind === 'reader') this.readersInside++;
+      else this.writerInside = t.key;
+      const idx = this.queue.indexOf(t.key);
+      if (idx >= 0) this.queue.splice(idx, 1);
+    }
+
+    // Threads the variant lets in now that the resource changed hands.
+    _nextAdmissions() {
+      if (this.writerInside) return [];
+      const readers = this.waitingReaders();
+      const writers = this.waitingWriters();
+
+      if (this.variant === 'readers-preference') {
+        if (readers.length > 0) return readers;
+        return this.readersInside === 0 && writers.length > 0 ? [writers[0]] : [];
+      }
+      if (this.variant === 'writers-preference') {
+        if (writers.length > 0) return this.readersInside === 0 ? [writers[0]] : [];
+        return readers;
+      }
+      // fair: the head of the queue, plus the readers right behind a reader
+      if (this.queue.length === 0) return [];
+      if (this.queue[0][0] === 'W') return this.readersInside === 0 ? [this.queue[0]] : [];
+      const batch = [];
+      for (const key of this.queue) {
+        if (key[0] === 'W') break;
+        batch.push(key);
+      }
+      return batch;
+    }
+
+    _admitWaiting() {
+      this._nextAdmissions().forEach(key => {
+        const t = this.getThread(key);
+        this._grant(t);
+        t.pc = 'enter';
+        this.clock.schedule(0, { type: 'admit', key });
+      });
+    }
+
+    // ---------- Thread steps ----------
+    _request(t) {
+      t.inFlight = true;
+      t.requestedAt = this.clock.now();
+
+      if (this._canEnter(t)) {
+        this._grant(t);
+        this._enter(t);
+        return;
+      }
+
+      this.queue.push(t.key);
+      t.state = 'waiting';
+      t.pc = 'request';
+      this._emitEntities();
+      if (this.writerInside) {
+        this._message(`⏳ ${t.key} waiting (${this.writerInside} is writing)`);
+      } else if (t.kind === 'writer' && this.readersInside > 0) {
+        this._message(`⏳ ${t.key} waiting (${this.readersInside} reader(s) inside)`);
+      } else {
+        this._message(`⏳ ${t.key} waiting (${this.variant}: queued behind ${this.queue.length - 1})`);
+      }
+      this._action(t, 'block');
+    }
+
+    _enter(t) {
+      const waited = this.clock.now() - t.requestedAt;
+      if (waited > this.maxWait[t.kind]) this.maxWait[t.kind] = waited;
+
+      t.state = t.kind === 'reader' ? 'reading' : 'writing';
+      t.pc = 'access';
+      this._emitEntities();
+      if (t.kind === 'reader') this._message(`📖 ${t.key} reading (${this.readersInside} reader(s) inside)`);
+      else this._message(`✍️ ${t.key} writing`);
+      this._action(t, 'enter', { waited });
+      this.clock.schedule(this.accessDuration(), { type: 'exit', key: t.key });
+    }
+
+    _exit(t) {
+      if (t.kind === 'reader') this.readersInside = Math.max(0, this.readersInside - 1);
+      else if (this.writerInside === t.key) this.writerInside = null;
+
+      t.count++;
+      t.state = 'idle';
+      t.inFlight = false;
+      t.pc = 'idle';
+      t.requestedAt = null;
+      this._action(t, 'exit');
+      if (t.kind === 'reader') this._message(`✅ ${t.key} done reading count=${t.count}`);
+      else this._message(`✅ ${t.key} done writing count=${t.count}`);
+
+      this._admitWaiting();
+      this._emitEntities();
+    }
+
+    // ---------- Snapshots ----------
+    snapshot() {
+      const copy = v => JSON.parse(JSON.stringify(v));
+      return {
+        config: copy(this.config),
+        readers: copy(this.readers),
+        writers: copy(this.writers),
+        readersInside: this.readersInside,
+        writerInside: this.writerInside,
+        queue: this.queue.slice(),
+        maxWait: Object.assign({}, this.maxWait),
+        clock: this.clock.snapshot(),
+        rng: this.rng.state,
+        traceLength: this.trace.length
+      };
+    }
+
+    restore(snap) {
+      this.config = JSON.parse(JSON.stringify(snap.config));
+      this.readerDelay = this.config.readerDelay;
+      this.writerDelay = this.config.writerDelay;
+      this.variant = this.config.variant;
+      this.accessSpeed = this.config.accessSpeed;
+      this.readers = JSON.parse(JSON.stringify(snap.readers));
+      this.writers = JSON.parse(JSON.stringify(snap.writers));
+      this.readersInside = snap.readersInside;
+      this.writerInside = snap.writerInside;
+      this.queue = snap.queue.slice();
+      this.maxWait = Object.assign({}, snap.maxWait);
+      this.clock.restore(snap.clock);
+      this.rng.state = snap.rng;
+      this.trace.length = Math.min(this.trace.length, snap.traceLength);
+
+      this.emit('restore');
+      this._emitEntities();
+    }
+  }
+
+  return { RW_LIMITS, RW_VARIANTS, normalizeRWConfig, ReadersWritersSim };
+});
@@ -0,0 +1,664 @@
+// Trace replay. Rebuilds buffer, indices, thread states and lock owner from a
+// recorded trace (see trace.js) without re-running the engine, and exposes
+// the same fields and events as ProducerConsumerSim so the renderers can
+// draw either one. Time only moves when the caller advances it.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./core'), require('./producer-consumer'), require('./trace'), require('./invariants'),
+      require('./latency'), require('./timeline')));
+  } else {
+    root.OSEngine = Object.assign(root.OSEngine || {}, factory(root.OSEngine));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  'use strict';
+
+  const {
+    Emitter, normalizeConfig, isSemaphoreMode, semaphoreOrder, growQueue, resizeSlots, parseSlotMoves, createItem,
+    describeTraceEvent,
+    InvariantChecker, LatencyTracker, StateTimeline
+  } = deps;
+
+  // full model copies kept every N events so scrubbing stays cheap
+  const CHECKPOINT_EVERY = 200;
+
+  // actions performed while holding (or trying to take) the buffer lock
+  const LOCK_ACTIONS = ['block', 'acquire', 'wait', 'notify', 'signal', 'release'];
+
+  const SEMAPHORE_NAMES = ['mutex', 'empty', 'full'];
+
+  // semaphore-mode records carry the counters; their waits name a semaphore
+  function isSemaphoreEvent(ev) {
+    return !!ev.sems || SEMAPHORE_NAMES.includes(ev.cond);
+  }
+
+  function copy(v) {
+    return JSON.parse(JSON.stringify(v));
+  }
+
+  function unset(v) {
+    return v === null || v === undefined;
+  }
+
+  // the slot an item sat in before a resize moved it to `slot`
+  function slotBefore(moved, slot) {
+    const from = Object.keys(moved).find(k => moved[k] === slot);
+    return from !== undefined ? Number(from) : slot;
+  }
+
+  function actorKind(key) {
+    return key[0] === 'P' ? 'producer' : 'consumer';
+  }
+
+  function actorId(key) {
+    return parseInt(key.slice(1), 10);
+  }
+
+  // CSV traces carry no config: size everything from what the events touched
+  // (the buffer only before its first resize)
+  function inferConfig(events) {
+    let producers = 1;
+    let consumers = 1;
+    let maxIndex = 0;
+    let resized = false;
+    events.forEach(ev => {
+      resized = resized || ev.action === 'resize';
+      if (!ev.actor) return;
+      if (actorKind(ev.actor) === 'producer') producers = Math.max(producers, actorId(ev.actor));
+      else consumers = Math.max(consumers, actorId(ev.actor));
+      if (resized) return;
+      [ev.slot, ev.in, ev.out].forEach(v => {
+        if (typeof v === 'number' && !isNaN(v)) maxIndex = Math.max(maxIndex, v);
+      });
+    });
+    const hasLock = events.some(ev => LOCK_ACTIONS.includes(ev.action));
+    const hasSemaphores = events.some(isSemaphoreEvent);
+    // only the wrong order has a producer wait on empty while holding mutex
+    const wrongOrder = events.some(ev => ev.cond === 'empty' && ev.owner === ev.actor && actorKind(ev.actor) === 'producer');
+    const turn = events.find(ev => ev.action === 'turn' && ev.policy);
+    // an unbounded queue doubled once per 'grow'; stacks look like rings here
+    const grows = events.filter(ev => ev.action === 'grow').length;
+    const prioritized = events.some(ev => typeof ev.priority === 'number' && !isNaN(ev.priority));
+    return {
+      producers,
+      consumers,
+      bufferCapacity: Math.max(1, Math.round((maxIndex + 1) / Math.pow(2, grows))),
+      syncMode: wrongOrder ? 'wrong-order' : (hasSemaphores ? 'semaphore' : (hasLock ? 'sync' : 'nosync')),
+      policy: turn ? turn.policy : 'round-robin',
+      bufferType: grows > 0 ? 'unbounded' : (prioritized ? 'priority' : 'ring')
+    };
+  }
+
+  class TraceReplay extends Emitter {
+    constructor(doc) {
+      super();
+      this.isReplay = true;
+
+      this.events = doc.events;
+      this.trace = doc.events; // same name as the live sim, for export
+      this.duration = doc.duration || 0;
+
+      const inferred = inferConfig(this.events);
+      const raw = Object.assign({}, inferred, doc.config || {});
+      this.config = normalizeConfig(raw);
+      // a trace may name more threads than the live limits allow
+      this.config.producers = Math.max(this.config.producers, inferred.producers);
+      this.config.consumers = Math.max(this.config.consumers, inferred.consumers);
+      this.configInferred = !doc.config;
+
+      this.bufferCapacity = this.config.bufferCapacity;
+      this.producerDelay = this.config.producerDelay;
+      this.consumerDelay = this.config.consumerDelay;
+      this.syncMode = this.config.syncMode;
+      this.policy = this.config.policy;
+      this.bufferType = this.config.bufferType;
+      this.transferSpeed = this.config.transferSpeed;
+      this.seed = this.config.seed;
+      // a mid-run mode switch leaves the last mode in the config; the run
+      // started in the one its records show before the first 'mode' record
+      const switched = this.events.findIndex(ev => ev.action === 'mode');
+      this.initialSyncMode = switched >= 0 ? inferConfig(this.events.slice(0, switched)).syncMode : this.syncMode;
+
+      this._indexEvents();
+      this._resetModel();
+      this.checkpoints = [];
+      this._buildCheckpoints();
+
+      this.isRunning = true;
+      this.isPaused = true;
+      this.playbackRate = 1;
+      this.seekIndex(0);
+    }
+
+    // ---------- Preprocessing ----------
+    _indexEvents() {
+      // threads spawned mid-run are not there from the start
+      this.spawned = new Set(this.events.filter(ev => ev.action === 'spawn').map(ev => ev.actor));
+
+      // which producer made each item (colors consumer-side particles)
+      this.itemOwners = new Map();
+      this.events.forEach(ev => {
+        if ((ev.action === 'produce' || ev.action === 'deposit') && ev.itemId !== null) {
+          this.itemOwners.set(ev.itemId, actorId(ev.actor));
+        }
+      });
+
+      // A transfer starts at the actor's last produce/acquire/read (or
+      // semaphore wait) before its deposit/consume; remember it on the starting
+      // event. A take records the slot it ended in, so resizes while it was
+      // under way are undone to find where the item was when it started.
+      this.transferStarts = new Map(); // Map<eventIndex, transfer>
+      const lastStart = {};
+      const movesSince = {}; // actor -> slot moves of the resizes since its start
+      this.events.forEach((ev, i) => {
+        const takesSemaphore = ev.action === 'wait' && SEMAPHORE_NAMES.includes(ev.cond);
+        if (ev.action === 'resize') {
+          const moved = parseSlotMoves(ev.moved);
+          Object.keys(movesSince).forEach(actor => movesSince[actor].push(moved));
+        } else if (ev.action === 'produce' || ev.action === 'acquire' || ev.action === 'read' || takesSemaphore) {
+          lastStart[ev.actor] = i;
+          movesSince[ev.actor] = [];
+        } else if (ev.action === 'deposit' || ev.action === 'consume') {
+          const start = lastStart[ev.actor];
+          if (start === undefined) return;
+          let slot = ev.slot;
+          if (ev.action === 'consume' && slot !== null) {
+            movesSince[ev.actor].slice().reverse().forEach(moved => { slot = slotBefore(moved, slot); });
+          }
+          delete lastStart[ev.actor];
+          delete movesSince[ev.actor];
+          const startEv = this.events[start];
+          this.transferStarts.set(start, {
+            kind: ev.action,
+            slot,
+            itemId: ev.itemId,
+            producerId: ev.action === 'deposit' ? actorId(ev.actor) : (this.itemOwners.get(ev.itemId) || null),
+            duration: Math.max(1, ev.time - startEv.time),
+            startedAt: startEv.time
+          });
+        }
+      });
+    }
+
+    _resetModel() {
+      this.time = 0;
+      this.cursor = 0; // number of events applied
+      this.syncMode = this.initialSyncMode;
+      this.bufferCapacity = this.config.bufferCapacity;
+      this.buffer = new Array(this.bufferCapacity).fill(null);
+      this.itemsCount = 0;
+      this.writeIndex = 0;
+      this.readIndex = 0;
+      this.mutex = { locked: false, owner: null };
+      this.semaphores = {
+        mutex: { value: 1 },
+        empty: { value: this.bufferCapacity },
+        full: { value: 0 }
+      };
+      this.producers = [];
+      this.consumers = [];
+      for (let i = 1; i <= this.config.producers; i++) this.producers.push(this._thread('producer', i));
+      for (let j = 1; j <= this.config.consumers; j++) this.consumers.push(this._thread('consumer', j));
+      this.producers = this.producers.filter(t => !this.spawned.has(t.key));
+      this.consumers = this.consumers.filter(t => !this.spawned.has(t.key));
+      this.nextProducerTurn = 0;
+      this.nextConsumerTurn = 0;
+    }
+
+    _thread(kind, id) {
+      const t = {
+        id,
+        key: (kind === 'producer' ? 'P' : 'C') + id,
+        kind,
+        count: 0,
+        state: 'idle',
+        inFlight: false,
+        pc: 'idle',
+        mode: this.syncMode,
+        item: null,
+        transfer: null,
+        crashed: false
+      };
+      if (kind === 'producer') t.hasItem = false;
+      return t;
+    }
+
+    _modelState() {
+      return copy({
+        cursor: this.cursor,
+        syncMode: this.syncMode,
+        bufferCapacity: this.bufferCapacity,
+        buffer: this.buffer,
+        itemsCount: this.itemsCount,
+        writeIndex: this.writeIndex,
+        readIndex: this.readIndex,
+        mutex: this.mutex,
+        semaphores: this.semaphores,
+        producers: this.producers,
+        consumers: this.consumers,
+        nextProducerTurn: this.nextProducerTurn,
+        nextConsumerTurn: this.nextConsumerTurn
+      });
+    }
+
+    _loadModelState(state) {
+      const s = copy(state);
+      this.cursor = s.cursor;
+      this.syncMode = s.syncMode;
+      this.bufferCapacity = s.bufferCapacity;
+      this.buffer = s.buffer;
+      this.itemsCount = s.itemsCount;
+      this.writeIndex = s.writeIndex;
+      this.readIndex = s.readIndex;
+      this.mutex = s.mutex;
+      this.semaphores = s.semaphores;
+      this.producers = s.producers;
+      this.consumers = s.consumers;
+      this.nextProducerTurn = s.nextProducerTurn;
+      this.nextConsumerTurn = s.nextConsumerTurn;
+    }
+
+    // one pass over the whole trace; the invariant checker and the latency
+    // tracker ride along so their reports cover the recorded run
+    _buildCheckpoints() {
+      this._resetModel();
+      this.checker = new InvariantChecker();
+      this.latency = new LatencyTracker();
+      // the whole run up front, so the timeline can show what comes next
+      this.timeline = new StateTimeline(this.allThreads().map(t => t.key));
+      this.checkpoints.push(this._modelState());
+      for (let i = 0; i < this.events.length; i++) {
+        const ev = this.events[i];
+        const actor = this.getThread(ev.actor);
+        const carried = actor && ev.action === 'consume' ? actor.item : null;
+        this._apply(ev, i);
+        this.checker.observe(this, ev);
+        this.timeline.observe(ev);
+        if (carried) this.latency.record(carried);
+        this.cursor = i + 1;
+        if (this.cursor % CHECKPOINT_EVERY === 0) this.checkpoints.push(this._modelState());
+      }
+    }
+
+    // ---------- Applying events ----------
+    _apply(ev, index) {
+      if (ev.action === 'resize') {
+        const laidOut = resizeSlots(this, ev.capacity);
+        const moved = unset(ev.moved) ? laidOut : parseSlotMoves(ev.moved);
+        // takes under way follow their item, as in the live run
+        this.allThreads().forEach(t => {
+          if (t.transfer && t.transfer.kind === 'consume' && moved[t.transfer.slot] !== undefined) {
+            t.transfer.slot = moved[t.transfer.slot];
+          }
+        });
+        this._applyFields(ev);
+        return;
+      }
+      if (ev.action === 'mode') {
+        this.syncMode = ev.cond;
+        this._applyFields(ev);
+        return;
+      }
+      if (ev.action === 'spawn' && !this.getThread(ev.actor)) this._addThread(ev.actor);
+      const t = this.getThread(ev.actor);
+      if (!t) return;
+      if (isSemaphoreEvent(ev)) t.mode = isSemaphoreMode(this.syncMode) ? this.syncMode : 'semaphore';
+      else if (LOCK_ACTIONS.includes(ev.action)) t.mode = 'sync';
+      const semaphore = isSemaphoreMode(t.mode);
+      const order = semaphore ? semaphoreOrder(t.kind, t.mode, this.bufferType) : null;
+
+      switch (ev.action) {
+        case 'produce':
+          t.hasItem = true;
+          t.inFlight = true;
+          t.item = createItem(ev.itemId, t, ev.time);
+          if (!unset(ev.priority)) t.item.priority = ev.priority;
+          if (t.mode === 'sync') t.pc = 'lock';
+          else t.pc = semaphore ? order[0] : 'transfer';
+          break;
+        case 'block':
+          t.inFlight = true;
+          t.pc = semaphore ? ev.cond : 'lock';
+          break;
+        case 'acquire':
+          t.inFlight = true;
+          t.pc = this.transferStarts.has(index) ? 'transfer' : 'check';
+          this._pickUpItem(t, index);
+          break;
+        case 'wait': {
+          const next = semaphore ? order[order.indexOf(ev.cond) + 1] : null;
+          if (!semaphore) {
+            t.pc = 'cond';
+          } else if (!next) {
+            t.pc = 'transfer';
+            this._pickUpItem(t, index);
+          } else {
+            t.inFlight = true;
+            t.pc = next;
+          }
+          break;
+        }
+        case 'turn':
+          this._setTurn(t);
+          break;
+        case 'signal':
+          // an unbounded queue's consumer has no empty semaphore to signal
+          if (ev.cond === 'mutex' && (t.kind === 'producer' || this.bufferType !== 'unbounded')) {
+            t.pc = t.kind === 'producer' ? 'signal-full' : 'signal-empty';
+          } else {
+            t.inFlight = false;
+            t.pc = 'idle';
+            this._advanceTurn(t);
+          }
+          break;
+        case 'read':
+          t.inFlight = true;
+          t.pc = 'transfer';
+          t.item = ev.slot !== null ? this.buffer[ev.slot] : null;
+          if (t.item && unset(t.item.dequeuedAt)) t.item.dequeuedAt = ev.time;
+          break;
+        case 'deposit':
+          if (ev.slot !== null && ev.slot < this.buffer.length) {
+            const item = t.item && t.item.id === ev.itemId ? t.item : createItem(ev.itemId, t, null);
+            item.enqueuedAt = ev.time;
+            this.buffer[ev.slot] = item;
+          }
+          t.count++;
+          t.hasItem = false;
+          t.item = null;
+          t.transfer = null;
+          this._finishOperation(t);
+          break;
+        case 'consume':
+          if (ev.slot !== null && ev.slot < this.buffer.length) this.buffer[ev.slot] = null;
+          // the live rule: only a NO-SYNC read of an empty slot goes uncounted
+          if (this.syncMode !== 'nosync' || ev.itemId !== null) t.count++;
+          if (t.item && unset(t.item.consumedAt)) t.item.consumedAt = ev.time;
+          t.item = null;
+          t.transfer = null;
+          this._finishOperation(t);
+          break;
+        case 'notify':
+          t.pc = 'release';
+          break;
+        case 'grow':
+          growQueue(this);
+          break;
+        case 'retire':
+          this._removeThread(t);
+          break;
+        case 'restart':
+          // a mode switch took it out of its wait queue; a producer keeps its item
+          t.inFlight = false;
+          t.pc = 'idle';
+          break;
+        case 'crash':
+          // a torn deposit stays in its slot, uncounted
+          if (!unset(ev.slot) && ev.slot < this.buffer.length) {
+            const item = t.item && t.item.id === ev.itemId ? t.item : createItem(ev.itemId, t, null);
+            item.enqueuedAt = ev.time;
+            this.buffer[ev.slot] = item;
+          }
+          this._crashThread(t);
+          break;
+        case 'release':
+          t.inFlight = false;
+          t.pc = 'idle';
+          this._advanceTurn(t);
+          break;
+        default:
+          break;
+      }
+
+      if (this.transferStarts.has(index)) {
+        t.transfer = Object.assign({}, this.transferStarts.get(index));
+      }
+
+      if (ev.state) t.state = ev.state;
+      this._applyFields(ev);
+    }
+
+    // buffer and lock fields every record carries, as of right after it
+    _applyFields(ev) {
+      if (typeof ev.count === 'number') this.itemsCount = ev.count;
+      if (typeof ev.in === 'number') this.writeIndex = ev.in;
+      if (typeof ev.out === 'number') this.readIndex = ev.out;
+      if (ev.owner !== undefined) {
+        this.mutex.locked = ev.owner !== null;
+        this.mutex.owner = ev.owner;
+      }
+      if (ev.sems) {
+        const values = String(ev.sems).split('/').map(Number);
+        SEMAPHORE_NAMES.forEach((name, i) => {
+          if (!isNaN(values[i])) this.semaphores[name].value = values[i];
+        });
+      }
+    }
+
+    // a consumer whose transfer starts here carries the item it is reading
+    _pickUpItem(t, index) {
+      if (t.kind !== 'consumer' || !this.transferStarts.has(index)) return;
+      const tr = this.transferStarts.get(index);
+      const held = this.buffer[tr.slot];
+      if (held && held.id === tr.itemId) t.item = held;
+      else t.item = tr.itemId !== null ? { id: tr.itemId, producerId: tr.producerId } : null;
+      if (t.item && unset(t.item.dequeuedAt)) t.item.dequeuedAt = this.events[index].time;
+    }
+
+    // deposit/consume end a NO-SYNC operation, but only start the tail of a
+    // SYNC (notify) or SEMAPHORE (signal) one
+    _finishOperation(t) {
+      if (t.mode === 'sync') {
+        t.pc = t.kind === 'consumer' && this.bufferType === 'unbounded' ? 'release' : 'notify';
+        return;
+      }
+      if (isSemaphoreMode(t.mode)) {
+        t.pc = 'signal-mutex';
+        return;
+      }
+      t.inFlight = false;
+      t.pc = 'idle';
+      this._advanceTurn(t);
+    }
+
+    // spawned ids are always the highest so far
+    _addThread(key) {
+      const kind = actorKind(key);
+      (kind === 'producer' ? this.producers : this.consumers).push(this._thread(kind, actorId(key)));
+    }
+
+    // The turn index follows the threads after a retired one; a turn it
+    // held stays open until the trace's next 'turn' record.
+    _removeThread(t) {
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      const idx = list.indexOf(t);
+      list.splice(idx, 1);
+      const current = t.kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+      const next = current > idx ? current - 1 : (current === idx ? -1 : current);
+      if (t.kind === 'producer') this.nextProducerTurn = next;
+      else this.nextConsumerTurn = next;
+      t.inFlight = false;
+      t.pc = 'idle';
+      t.item = null;
+      t.transfer = null;
+      if (t.kind === 'producer') t.hasItem = false;
+    }
+
+    // A crashed thread stays in its column. A turn it held stays open until
+    // the trace's next 'turn' record.
+    _crashThread(t) {
+      if (t.kind === 'consumer' && t.item && this.buffer.includes(t.item)) t.item.dequeuedAt = null;
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      const current = t.kind === 'producer' ? this.nextProducerTurn : this.nextConsumerTurn;
+      if (current >= 0 && list[current % list.length] === t) {
+        if (t.kind === 'producer') this.nextProducerTurn = -1;
+        else this.nextConsumerTurn = -1;
+      }
+      t.crashed = true;
+      t.inFlight = false;
+      t.pc = 'idle';
+      t.item = null;
+      t.transfer = null;
+      if (t.kind === 'producer') t.hasItem = false;
+    }
+
+    // Round-robin passes the turn on by itself; other policies leave it open
+    // until the trace's 'turn' record says who got it.
+    _advanceTurn(t) {
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      const idx = list.indexOf(t);
+      if (idx < 0) return;
+      const next = this.policy === 'round-robin' ? (idx + 1) % list.length : -1;
+      if (t.kind === 'producer') this.nextProducerTurn = next;
+      else this.nextConsumerTurn = next;
+    }
+
+    _setTurn(t) {
+      const list = t.kind === 'producer' ? this.producers : this.consumers;
+      if (t.kind === 'producer') this.nextProducerTurn = list.indexOf(t);
+      else this.nextConsumerTurn = list.indexOf(t);
+    }
+
+    _applyNext(announce) {
+      const i = this.cursor;
+      const ev = this.events[i];
+      this._apply(ev, i);
+      this.cursor = i + 1;
+      this.time = Math.max(this.time, ev.time);
+      if (!announce) return ev;
+
+      const t = this.getThread(ev.actor);
+      if (t && t.transfer && this.transferStarts.has(i)) {
+        this.emit('transfer', Object.assign({ actor: t.key }, t.transfer));
+      }
+      this.emit('action', ev);
+      this.emit('message', `🎞 ${describeTraceEvent(ev)}`);
+      this.emit('entities');
+      if (['deposit', 'consume', 'resize', 'mode', 'crash', 'recover'].includes(ev.action)) this.emit('buffer');
+      return ev;
+    }
+
+    // ---------- Queries (same names as ProducerConsumerSim) ----------
+    allThreads() {
+      return this.producers.concat(this.consumers);
+    }
+
+    getThread(key) {
+      return this.allThreads().find(t => t.key === key);
+    }
+
+    getProducerById(id) { return this.producers.find(p => p.id === id); }
+    getConsumerById(id) { return this.consumers.find(c => c.id === id); }
+
+    raceReport() {
+      return this.checker.report();
+    }
+
+    latencySummary() {
+      return this.latency.summary();
+    }
+
+    latencyHistogram(binCount) {
+      return this.latency.histogram(binCount);
+    }
+
+    mutexOwner() {
+      return this.mutex.locked ? (this.mutex.owner || 'locked') : 'free';
+    }
+
+    // the trace has no wait queues; a thread that blocked on the lock or the
+    // mutex semaphore keeps that pc until it gets in
+    mutexWaiters() {
+      return this.allThreads()
+        .filter(t => t.inFlight && (t.pc === 'lock' || t.pc === 'mutex') && t.key !== this.mutex.owner)
+        .map(t => t.key);
+    }
+
+    semaphoreValues() {
+      const s = this.semaphores;
+      return { mutex: s.mutex.value, empty: s.empty.value, full: s.full.value };
+    }
+
+    now() {
+      return this.time;
+    }
+
+    // ---------- Playback ----------
+    start() {
+      if (this.cursor >= this.events.length) this.seekIndex(0);
+      this.isPaused = false;
+      return true;
+    }
+
+    pause() {
+      if (this.isPaused) return false;
+      this.isPaused = true;
+      return true;
+    }
+
+    resume() {
+      if (!this.isPaused) return false;
+      if (this.cursor >= this.events.length && this.time >= this.duration) this.seekIndex(0);
+      this.isPaused = false;
+      return true;
+    }
+
+    stop() {
+      this.isPaused = true;
+    }
+
+    runFor(ms) {
+      if (this.isPaused) return;
+      const target = this.time + Math.max(0, ms) * this.playbackRate;
+      while (this.cursor < this.events.length && this.events[this.cursor].time <= target) {
+        this._applyNext(true);
+      }
+      this.time = Math.min(target, this.duration);
+      if (this.cursor >= this.events.length && this.time >= this.duration) {
+        this.isPaused = true;
+        this.emit('message', '⏹ Replay finished');
+      }
+    }
+
+    step() {
+      this.isPaused = true;
+      if (this.cursor >= this.events.length) return null;
+      return this._applyNext(true);
+    }
+
+    stepBack() {
+      this.isPaused = true;
+      if (this.cursor === 0) return false;
+      this.seekIndex(this.cursor - 1);
+      return true;
+    }
+
+    // Jumps so that exactly `index` events have been applied.
+    seekIndex(index) {
+      const target = Math.max(0, Math.min(this.events.length, index));
+      const cp = Math.floor(target / CHECKPOINT_EVERY);
+      this._loadModelState(this.checkpoints[Math.min(cp, this.checkpoints.length - 1)]);
+      while (this.cursor < target) this._applyNext(false);
+      this.time = target > 0 ? this.events[target - 1].time : 0;
+      this.emit('restore');
+      this.emit('entities');
+      this.emit('buffer');
+    }
+
+    // Jumps to virtual time `ms`, applying every event recorded up to then.
+    seekTime(ms) {
+      const t = Math.max(0, Math.min(this.duration, ms));
+      let lo = 0;
+      let hi = this.events.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (this.events[mid].time <= t) lo = mid + 1;
+        else hi = mid;
+      }
+      this.seekIndex(lo);
+      this.time = t;
+      this.emit('restore');
+    }
+  }
+
+  return { TraceReplay };
+});
@@ -0,0 +1,425 @@
+// Headless Sleeping Barber engine: the textbook semaphore solution with one or
+// more barbers. Customers arrive on their own timer, take a chair in the
+// waiting room if one is free (and leave otherwise) and wait for a barber:
+//   semaphore customers = 0, barbers = 0, mutex = 1; int free_seats = N
+// Customers come and go, so they are created on arrival and dropped when
+// they leave. Besides the Simulation events (core.js) it emits 'transfer'
+// for customers walking between the door, the chairs and the barbers.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(Object.assign({}, require('./core'), require('./sync')));
+  } else {
+    root.OSEngine = Object.assign(root.OSEngine || {}, factory(root.OSEngine));
+  }
+})(typeof self !== 'undefined' ? self : this, function (deps) {
+  'use strict';
+
+  const { Simulation, CountingSemaphore, SEED_LIMIT, clampNumber, normalizeSeed } = deps;
+
+  const SB_LIMITS = {
+    barbers: { min: 1, max: 6, fallback: 1 },
+    // customers only reach a barber through a waiting room chair, so with
+    // none every one of them would be turned away
+    chairs: { min: 1, max: 12, fallback: 3 },
+    arrivalDelay: { min: 50, fallback: 900 },
+    cutDelay: { min: 50, fallback: 2000 },
+    seed: SEED_LIMIT
+  };
+
+  // how long a customer's walk is animated; it does not delay the customer
+  const WALK_MS = 450;
+
+  function normalizeSBConfig(raw) {
+    const c = raw || {};
+    const int = v => parseInt(v, 10);
+    return {
+      barbers: clampNumber(c.barbers, SB_LIMITS.barbers, int),
+      chairs: clampNumber(c.chairs, SB_LIMITS.chairs, int),
+      arrivalDelay: clampNumber(c.arrivalDelay, SB_LIMITS.arrivalDelay, int),
+      cutDelay: clampNumber(c.cutDelay, SB_LIMITS.cutDelay, int),
+      seed: normalizeSeed(c.seed)
+    };
+  }
+
+  function createBarber(id) {
+    return {
+      id,
+      key: 'B' + id,
+      kind: 'barber',
+      count: 0, // haircuts finished
+      state: 'sleeping', // sleeping | waiting | ready | cutting
+      pc: 'sleep', // sleep | mutex | call | cut
+      customer: null, // key of the customer in the barber's chair
+      idleSince: null,
+      idleTotal: 0,
+      timer: null
+    };
+  }
+
+  function createCustomer(id, now) {
+    return {
+      id,
+      key: 'C' + id,
+      kind: 'customer',
+      state: 'arriving', // arriving | seated | haircut
+      pc: 'mutex', // mutex | wait-barber | haircut
+      chair: null, // waiting room chair index
+      barber: null,
+      arrivedAt: now,
+      transfer: null, // last walk, for the view
+      timer: null
+    };
+  }
+
+  class SleepingBarberSim extends Simulation {
+    constructor(config, options) {
+      super(options);
+      this.problem = 'sleepingBarber';
+      this.reset(config);
+    }
+
+    reset(config) {
+      const c = normalizeSBConfig(config || this.config);
+      this.config = c;
+      this.arrivalDelay = c.arrivalDelay;
+      this.cutDelay = c.cutDelay;
+      this.seed = c.seed;
+
+      this.barbers = [];
+      for (let i = 1; i <= c.barbers; i++) this.barbers.push(createBarber(i));
+      this.customers = []; // customers inside the shop
+      this.customerSeq = 0;
+
+      this.chairs = new Array(c.chairs).fill(null); // waiting room, customer keys
+      this.freeSeats = c.chairs;
+      this.semCustomers = new CountingSemaphore('customers', 0);
+      this.semBarbers = new CountingSemaphore('barbers', 0);
+      this.semMutex = new CountingSemaphore('mutex', 1);
+      this.mutexHolder = null;
+      this.calling = []; // barbers that signalled `barbers` and wait for a customer
+
+      this.served = 0;
+      this.turnedAway = 0;
+      this.totalWait = 0; // arrival to haircut, over served customers
+      this.arrivalTimer = null;
+
+      this._resetRun();
+    }
+
+    setSpeeds({ arrivalDelay, cutDelay }) {
+      const c = normalizeSBConfig(Object.assign({}, this.config, { arrivalDelay, cutDelay }));
+      this.config = c;
+      this.arrivalDelay = c.arrivalDelay;
+      this.cutDelay = c.cutDelay;
+      if (this.isRunning) this.startEntityTimers();
+    }
+
+    start() {
+      if (!super.start()) return false;
+      // every barber begins with wait(customers)
+      this.barbers.forEach(b => this.clock.schedule(0, { type: 'sleep', key: b.key }));
+      return true;
+    }
+
+    stop() {
+      super.stop();
+      this.arrivalTimer = null;
+    }
+
+    // ---------- Queries ----------
+    allThreads() {
+      return this.barbers.concat(this.customers);
+    }
+
+    waitingCustomers() {
+      return this.customers.filter(c => c.state !== 'haircut');
+    }
+
+    // idle time per barber up to now, the current nap included
+    idleTime(b) {
+      return b.idleTotal + (b.idleSince !== null ? this.clock.now() - b.idleSince : 0);
+    }
+
+    semaphoreValues() {
+      return {
+        customers: this.semCustomers.value,
+        barbers: this.semBarbers.value,
+        mutex: this.semMutex.value
+      };
+    }
+
+    // Customers arrive on one timer of their own; barbers only ever react.
+    startEntityTimers() {
+      if (this.arrivalTimer !== null) this.clock.cancel(this.arrivalTimer);
+      this.arrivalTimer = this.clock.schedule(this._nextArrival(), { type: 'arrive', key: null });
+    }
+
+    // uniform around the mean arrival interval
+    _nextArrival() {
+      return Math.round(this.arrivalDelay * (0.5 + this.rng.next()));
+    }
+
+    _dispatch(ev) {
+      if (!this.isRunning) return;
+      if (ev.type === 'arrive') {
+        this.arrivalTimer = this.clock.schedule(this._nextArrival(), ev);
+        this._arrive();
+        return;
+      }
+
+      const t = this.getThread(ev.key);
+      if (!t) return;
+      switch (ev.type) {
+        case 'enter':
+          this._enter(t);
+          break;
+        case 'seat':
+          this._seat(t);
+          break;
+        case 'waitBarber':
+          this._waitBarber(t);
+          break;
+        case 'served':
+          // a barber's signal(barbers) handed this customer the permit
+          this._startHaircut(t);
+          break;
+        case 'sleep':
+          this._sleep(t);
+          break;
+        case 'wake':
+          this._wake(t);
+          break;
+        case 'call':
+          this._call(t);
+          break;
+        case 'done':
+          this._finishHaircut(t);
+          break;
+        default:
+          break;
+      }
+    }
+
+    _traceFields(t, extra) {
+      const s = this.semaphoreValues();
+      return Object.assign({}, extra, {
+        free: this.freeSeats,
+        waiting: this.waitingCustomers().length,
+        sems: `${s.customers}/${s.barbers}/${s.mutex}`,
+        state: t.state
+      });
+    }
+
+    _walk(c, from, to) {
+      c.transfer = { kind: 'walk', from, to, duration: WALK_MS, startedAt: this.clock.now() };
+      this.emit('transfer', Object.assign({ actor: c.key, customerId: c.id }, c.transfer));
+    }
+
+    // signal(mutex); the next thread in line continues where it blocked
+    _releaseMutex() {
+      const next = this.semMutex.signal();
+      this.mutexHolder = next;
+      if (!next) return;
+      const t = this.getThread(next);
+      this.clock.schedule(0, { type: t.kind === 'barber' ? 'call' : 'seat', key: next });
+    }
+
+    // ---------- Customer steps ----------
+    _arrive() {
+      this.customerSeq++;
+      const c = createCustomer(this.customerSeq, this.clock.now());
+      this.customers.push(c);
+      this._emitEntities();
+      this._message(`🚶 ${c.key} arrives`);
+      this._action(c, 'arrive');
+      this.clock.schedule(0, { type: 'enter', key: c.key });
+    }
+
+    _enter(c) {
+      if (this.semMutex.wait(c.key)) {
+        this.mutexHolder = c.key;
+        this._action(c, 'wait', { cond: 'mutex' });
+        this.clock.schedule(0, { type: 'seat', key: c.key });
+        return;
+      }
+      this._emitEntities();
+      this._action(c, 'block', { cond: 'mutex' });
+    }
+
+    // holds the mutex: sit down and wake a barber, or leave
+    _seat(c) {
+      if (this.freeSeats === 0) {
+        this._releaseMutex();
+        this.customers.splice(this.customers.indexOf(c), 1);
+        c.state = 'left';
+        this.turnedAway++;
+        this._walk(c, 'door', 'exit');
+        this._emitEntities();
+        this._message(`🚫 ${c.key} turned away (waiting room full) turnedAway=${this.turnedAway}`);
+        this._action(c, 'leave');
+        return;
+      }
+
+      this.freeSeats--;
+      c.chair = this.chairs.indexOf(null);
+      this.chairs[c.chair] = c.key;
+      c.state = 'seated';
+      c.pc = 'wait-barber';
+      const woken = this.semCustomers.signal();
+      if (woken) this.clock.schedule(0, { type: 'wake', key: woken });
+      this._releaseMutex();
+      this._walk(c, 'door', 'chair-' + c.chair);
+      this._emitEntities();
+      this._message(`💺 ${c.key} takes chair ${c.chair + 1} (free seats: ${this.freeSeats})${woken ? ` and wakes ${woken}` : ''}`);
+      this._action(c, 'signal', { cond: 'customers', woken });
+      this.clock.schedule(0, { type: 'waitBarber', key: c.key });
+    }
+
+    _waitBarber(c) {
+      if (this.semBarbers.wait(c.key)) {
+        this._startHaircut(c);
+        return;
+      }
+      this._action(c, 'block', { cond: 'barbers' });
+    }
+
+    _startHaircut(c) {
+      const b = this.getThread(this.calling.shift());
+      const chair = c.chair;
+      this.chairs[chair] = null;
+      c.chair = null;
+      c.barber = b.key;
+      c.state = 'haircut';
+      c.pc = 'haircut';
+      b.customer = c.key;
+      b.state = 'cutting';
+      b.pc = 'cut';
+      this.totalWait += this.clock.now() - c.arrivedAt;
+
+      this._walk(c, 'chair-' + chair, 'barber-' + b.key);
+      this._emitEntities();
+      this._message(`✂️ ${b.key} cutting ${c.key}'s hair`);
+      this._action(c, 'haircut', { cond: b.key });
+      this.clock.schedule(this.cutDelay, { type: 'done', key: b.key });
+    }
+
+    // ---------- Barber steps ----------
+    _sleep(b) {
+      b.pc = 'sleep';
+      if (this.semCustomers.wait(b.key)) {
+        b.state = 'waiting';
+        this._action(b, 'wait', { cond: 'customers' });
+        this.clock.schedule(0, { type: 'wake', key: b.key });
+        return;
+      }
+      b.state = 'sleeping';
+      b.idleSince = this.clock.now();
+      this._emitEntities();
+      this._message(`💤 ${b.key} sleeps (no customers)`);
+      this._action(b, 'block', { cond: 'customers' });
+    }
+
+    // has a customers permit: wait(mutex)
+    _wake(b) {
+      if (b.idleSince !== null) {
+        b.idleTotal += this.clock.now() - b.idleSince;
+        b.idleSince = null;
+        this._message(`⏰ ${b.key} wakes up`);
+      }
+      b.pc = 'mutex';
+      b.state = 'waiting';
+      if (this.semMutex.wait(b.key)) {
+        this.mutexHolder = b.key;
+        this._emitEntities();
+        this._action(b, 'wait', { cond: 'mutex' });
+        this.clock.schedule(0, { type: 'call', key: b.key });
+        return;
+      }
+      this._emitEntities();
+      this._action(b, 'block', { cond: 'mutex' });
+    }
+
+    // holds the mutex: free_seats++, signal(barbers), signal(mutex)
+    _call(b) {
+      this.freeSeats++;
+      this.calling.push(b.key);
+      b.state = 'ready';
+      b.pc = 'call';
+      const woken = this.semBarbers.signal();
+      if (woken) this.clock.schedule(0, { type: 'served', key: woken });
+      this._releaseMutex();
+      this._emitEntities();
+      this._message(`📣 ${b.key} calls the next customer`);
+      this._action(b, 'signal', { cond: 'barbers', woken });
+    }
+
+    _finishHaircut(b) {
+      const c = this.getThread(b.customer);
+      this.customers.splice(this.customers.indexOf(c), 1);
+      c.state = 'left';
+      b.customer = null;
+      b.state = 'waiting';
+      b.pc = 'sleep';
+      b.count++;
+      this.served++;
+      this._walk(c, 'barber-' + b.key, 'exit');
+      this._message(`✅ ${b.key} finished ${c.key} served=${this.served}`);
+      this._action(b, 'done', { cond: c.key });
+      this._emitEntities();
+      this.clock.schedule(0, { type: 'sleep', key: b.key });
+    }
+
+    // ---------- Snapshots ----------
+    snapshot() {
+      const copy = v => JSON.parse(JSON.stringify(v));
+      return {
+        config: copy(this.config),
+        barbers: copy(this.barbers),
+        customers: copy(this.customers),
+        customerSeq: this.customerSeq,
+        chairs: this.chairs.slice(),
+        freeSeats: this.freeSeats,
+        semCustomers: this.semCustomers.snapshot(),
+        semBarbers: this.semBarbers.snapshot(),
+        semMutex: this.semMutex.snapshot(),
+        mutexHolder: this.mutexHolder,
+        calling: this.calling.slice(),
+        served: this.served,
+        turnedAway: this.turnedAway,
+        totalWait: this.totalWait,
+        arrivalTimer: this.arrivalTimer,
+        clock: this.clock.snapshot(),
+        rng: this.rng.state,
+        traceLength: this.trace.length
+      };
+    }
+
+    restore(snap) {
+      this.config = JSON.parse(JSON.stringify(snap.config));
+      this.arrivalDelay = this.config.arrivalDelay;
+      this.cutDelay = this.config.cutDelay;
+      this.barbers = JSON.parse(JSON.stringify(snap.barbers));
+      this.customers = JSON.parse(JSON.stringify(snap.customers));
+      this.customerSeq = snap.customerSeq;
+      this.chairs = snap.chairs.slice();
+      this.freeSeats = snap.freeSeats;
+      this.semCustomers.restore(snap.semCustomers);
+      this.semBarbers.restore(snap.semBarbers);
+      this.semMutex.restore(snap.semMutex);
+      this.mutexHolder = snap.mutexHolder;
+      this.calling = snap.calling.slice();
+      this.served = snap.served;
+      this.turnedAway = snap.turnedAway;
+      this.totalWait = snap.totalWait;
+      this.arrivalTimer = snap.arrivalTimer;
+      this.clock.restore(snap.clock);
+      this.rng.state = snap.rng;
+      this.trace.length = Math.min(this.trace.length, snap.traceLength);
+
+      this.emit('restore');
+      this._emitEntities();
+    }
+  }
+
+  return { SB_LIMITS, normalizeSBConfig, SleepingBarberSim };
+});
@@ -0,0 +1,146 @@
+// Synchronization primitives for the headless engine. They only keep queues of
+// thread keys ('P1', 'C2', ...); the simulation decides when a thread that
+// was handed the lock (or a semaphore permit) gets to run again.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // ---------- Mutex + condition variables (Mesa semantics) ----------
+  class MutexWithConditions {
+    constructor() {
+      this.locked = false;
+      this.owner = null; // thread key while locked
+      this.waiters = []; // FIFO queue of thread keys blocked in acquire()
+      this.conditions = new Map(); // Map<condName, Array<threadKey>>
+      this.ownerDead = null; // key of an owner that died holding the lock, until markConsistent()
+    }
+
+    tryAcquire(owner) {
+      if (!this.locked) {
+        this.locked = true;
+        this.owner = owner || null;
+        return true;
+      }
+      return false;
+    }
+
+    // Returns true when the lock was taken immediately; otherwise `owner` is
+    // queued and will be returned by a later release() as the new owner.
+    acquire(owner) {
+      if (this.tryAcquire(owner)) return true;
+      this.waiters.push(owner);
+      return false;
+    }
+
+    // Hands the lock straight to the next waiter (if any) and returns its key.
+    release() {
+      if (this.waiters.length > 0) {
+        this.owner = this.waiters.shift();
+        return this.owner;
+      }
+      this.locked = false;
+      this.owner = null;
+      return null;
+    }
+
+    // Parks `owner` on condName and releases the lock; returns the key of the
+    // thread that received the lock, or null.
+    wait(condName, owner) {
+      if (!this.conditions.has(condName)) this.conditions.set(condName, []);
+      this.conditions.get(condName).push(owner);
+      return this.release();
+    }
+
+    // Moves one waiter from condName back to the lock's entry queue. The
+    // caller still holds the lock, so the woken thread re-acquires it later.
+    notify(condName) {
+      const q = this.conditions.get(condName);
+      if (!q || q.length === 0) return null;
+      const key = q.shift();
+      this.waiters.push(key);
+      return key;
+    }
+
+    notifyAll(condName) {
+      const q = this.conditions.get(condName);
+      if (!q || q.length === 0) return [];
+      const woken = q.splice(0, q.length);
+      this.waiters.push(...woken);
+      return woken;
+    }
+
+    // Robust mutex (PTHREAD_MUTEX_ROBUST): the owner died holding the lock.
+    // It passes on like release(), and whoever holds it next is told (the
+    // EOWNERDEAD of pthread_mutex_lock) until markConsistent() is called.
+    ownerDied() {
+      this.ownerDead = this.owner;
+      return this.release();
+    }
+
+    markConsistent() {
+      this.ownerDead = null;
+    }
+
+    waitingOn(condName) {
+      const q = this.conditions.get(condName);
+      return q ? q.slice() : [];
+    }
+
+    snapshot() {
+      const conditions = {};
+      this.conditions.forEach((q, name) => { conditions[name] = q.slice(); });
+      return { locked: this.locked, owner: this.owner, waiters: this.waiters.slice(), conditions, ownerDead: this.ownerDead };
+    }
+
+    restore(snap) {
+      this.locked = snap.locked;
+      this.owner = snap.owner;
+      this.waiters = snap.waiters.slice();
+      this.conditions = new Map(Object.keys(snap.conditions).map(name => [name, snap.conditions[name].slice()]));
+      this.ownerDead = snap.ownerDead || null;
+    }
+  }
+
+  // ---------- Counting semaphore ----------
+  // Dijkstra semaphore with its own FIFO wait queue. signal() hands the
+  // permit straight to the first waiter instead of incrementing, so a woken
+  // thread never has to race for it again.
+  class CountingSemaphore {
+    constructor(name, initial) {
+      this.name = name;
+      this.value = Math.max(0, initial | 0);
+      this.waiters = []; // thread keys blocked in wait()
+    }
+
+    // P(): true when a permit was taken; otherwise `owner` is queued.
+    wait(owner) {
+      if (this.value > 0) {
+        this.value--;
+        return true;
+      }
+      this.waiters.push(owner);
+      return false;
+    }
+
+    // V(): returns the key of the thread that received the permit, or null.
+    signal() {
+      if (this.waiters.length > 0) return this.waiters.shift();
+      this.value++;
+      return null;
+    }
+
+    snapshot() {
+      return { name: this.name, value: this.value, waiters: this.waiters.slice() };
+    }
+
+    restore(snap) {
+      this.value = snap.value;
+      this.waiters = snap.waiters.slice();
+    }
+  }
+
+  return { MutexWithConditions, CountingSemaphore };
+});
@@ -0,0 +1,108 @@
+// Per-thread state timeline. Every trace event carries its actor's state
+// right after the action, so feeding the trace in order gives each thread a
+// lane of consecutive state spans, plus marks where it took the lock (or the
+// mutex semaphore) and where it notified/signalled the other side.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // 'lock' | 'notify' | null for one trace event
+  function markKind(ev) {
+    if (ev.action === 'acquire') return 'lock';
+    if (ev.action === 'wait' && ev.cond === 'mutex') return 'lock';
+    if (ev.action === 'notify') return 'notify';
+    if (ev.action === 'signal' && ev.cond && ev.cond !== 'mutex') return 'notify';
+    return null;
+  }
+
+  class StateTimeline {
+    // `keys` fixes the lane order; threads first seen in the trace are
+    // appended after them
+    constructor(keys) {
+      this.lanes = [];
+      this.byKey = new Map();
+      this.end = 0; // time of the last event seen
+      this.length = 0; // events seen
+      (keys || []).forEach(key => this._lane(key));
+    }
+
+    _lane(key) {
+      if (!this.byKey.has(key)) {
+        const lane = { key, spans: [{ state: 'idle', from: 0, to: null }], marks: [] };
+        this.lanes.push(lane);
+        this.byKey.set(key, lane);
+      }
+      return this.byKey.get(key);
+    }
+
+    observe(ev) {
+      this.length++;
+      this.end = Math.max(this.end, ev.time);
+      if (!ev.actor) return;
+      const lane = this._lane(ev.actor);
+      const open = lane.spans[lane.spans.length - 1];
+      if (ev.state && ev.state !== open.state) {
+        open.to = ev.time;
+        lane.spans.push({ state: ev.state, from: ev.time, to: null });
+      }
+      const kind = markKind(ev);
+      if (kind) lane.marks.push({ kind, time: ev.time, seq: ev.seq, cond: ev.cond || null, woken: ev.woken || null });
+    }
+
+    // Lanes with the spans/marks overlapping [from, to]; open spans end at
+    // `to`. Spans of zero length (two state changes at one instant) are left out.
+    window(from, to) {
+      return this.lanes.map(lane => ({
+        key: lane.key,
+        spans: lane.spans
+          .map(s => ({ state: s.state, from: s.from, to: s.to === null ? Math.max(s.from, to) : s.to }))
+          .filter(s => s.to > s.from && s.to >= from && s.from <= to),
+        marks: lane.marks.filter(m => m.time >= from && m.time <= to)
+      }));
+    }
+
+    // Total time each thread spent in each state up to `time`:
+    // { key: { state: ms } }
+    totals(time) {
+      const out = {};
+      this.lanes.forEach(lane => {
+        const sums = {};
+        lane.spans.forEach(s => {
+          const end = Math.min(s.to === null ? time : s.to, time);
+          if (end > s.from) sums[s.state] = (sums[s.state] || 0) + end - s.from;
+        });
+        out[lane.key] = sums;
+      });
+      return out;
+    }
+
+    // Spans and marks only ever get appended (only the last span of a lane
+    // is still open), so a snapshot keeps where each list ended.
+    snapshot() {
+      return {
+        end: this.end,
+        length: this.length,
+        lanes: this.lanes.map(lane => ({ key: lane.key, spans: lane.spans.length, marks: lane.marks.length }))
+      };
+    }
+
+    restore(snap) {
+      this.end = snap.end;
+      this.length = snap.length;
+      const kept = new Map(snap.lanes.map(l => [l.key, l]));
+      this.lanes = this.lanes.filter(lane => kept.has(lane.key));
+      this.byKey = new Map(this.lanes.map(lane => [lane.key, lane]));
+      this.lanes.forEach(lane => {
+        const l = kept.get(lane.key);
+        lane.spans.length = Math.min(lane.spans.length, l.spans);
+        lane.spans[lane.spans.length - 1].to = null;
+        lane.marks.length = Math.min(lane.marks.length, l.marks);
+      });
+    }
+  }
+
+  return { StateTimeline };
+});
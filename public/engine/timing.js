@@ -0,0 +1,268 @@
+// Per-thread timing. A thread may replace the shared producer/consumer delay
+// (plus jitter) with its own distribution of the time between its ticks:
+//   constant     { mean }               always `mean`
+//   uniform      { min, max }           anywhere in [min, max]
+//   exponential  { mean }               memoryless, i.e. Poisson arrivals
+//   normal       { mean, sd }           cut off at the minimum delay
+//   bursty       { mean, on, off }      `mean` apart during `on` ms, then `off` ms of silence
+// and the rough queueing-theory estimate (M/M/1/K) the measured buffer length
+// can be held against.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  // distribution -> its parameters, in the order the settings panel shows them
+  const TIMING_DISTRIBUTIONS = {
+    constant: ['mean'],
+    uniform: ['min', 'max'],
+    exponential: ['mean'],
+    normal: ['mean', 'sd'],
+    bursty: ['mean', 'on', 'off']
+  };
+
+  // every parameter is in ms; sd may be 0, the rest are delays
+  const TIMING_LIMIT = { min: 10, max: 60000 };
+  const SD_LIMIT = { min: 0, max: 60000 };
+
+  // keys of the threads a timing may be set for: P1.., C1..
+  const THREAD_KEY = /^[PC]\d+$/;
+
+  function paramLimit(param) {
+    return param === 'sd' ? SD_LIMIT : TIMING_LIMIT;
+  }
+
+  function clampParam(param, v) {
+    const limit = paramLimit(param);
+    return Math.max(limit.min, Math.min(limit.max, Math.round(v)));
+  }
+
+  // parameters a distribution starts with, around a thread's shared delay
+  function defaultTimingParams(dist, delay) {
+    const d = delay > 0 ? delay : 1000;
+    switch (dist) {
+      case 'uniform': return { min: d / 2, max: d * 1.5 };
+      case 'normal': return { mean: d, sd: d / 4 };
+      // half the gap for half the time keeps the average rate
+      case 'bursty': return { mean: d / 2, on: 2000, off: 2000 };
+      default: return { mean: d };
+    }
+  }
+
+  // { dist, ...params } with every parameter present and in range, or null
+  // for "use the shared delay"; `delay` fills in missing parameters
+  function normalizeTiming(raw, delay) {
+    if (!raw || typeof raw !== 'object' || !TIMING_DISTRIBUTIONS[raw.dist]) return null;
+    const defaults = defaultTimingParams(raw.dist, delay);
+    const timing = { dist: raw.dist };
+    TIMING_DISTRIBUTIONS[raw.dist].forEach(param => {
+      const v = parseFloat(raw[param]);
+      timing[param] = clampParam(param, isFinite(v) ? v : defaults[param]);
+    });
+    if (timing.dist === 'uniform' && timing.min > timing.max) {
+      const min = timing.max;
+      timing.max = timing.min;
+      timing.min = min;
+    }
+    return timing;
+  }
+
+  // { key: timing } for the threads that have their own; `delays` gives the
+  // shared producer/consumer delay defaults are taken from
+  function normalizeTimings(raw, delays) {
+    const out = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return out;
+    Object.keys(raw).filter(key => THREAD_KEY.test(key)).sort().forEach(key => {
+      const timing = normalizeTiming(raw[key], key[0] === 'P' ? delays.producerDelay : delays.consumerDelay);
+      if (timing) out[key] = timing;
+    });
+    return out;
+  }
+
+  // one message per problem, for callers that reject rather than clamp
+  function timingErrors(raw) {
+    if (raw === undefined || raw === null) return [];
+    if (typeof raw !== 'object' || Array.isArray(raw)) return ['timings must be an object keyed by thread (P1, C2, ...)'];
+    const errors = [];
+    Object.keys(raw).forEach(key => {
+      const t = raw[key];
+      if (!THREAD_KEY.test(key)) {
+        errors.push(`timings: unknown thread ${key}`);
+        return;
+      }
+      if (!t || typeof t !== 'object' || !TIMING_DISTRIBUTIONS[t.dist]) {
+        errors.push(`timings.${key}.dist must be one of ${Object.keys(TIMING_DISTRIBUTIONS).join(', ')}`);
+        return;
+      }
+      const params = TIMING_DISTRIBUTIONS[t.dist];
+      Object.keys(t).filter(p => p !== 'dist' && !params.includes(p)).forEach(p => {
+        errors.push(`timings.${key}.${p} is not a ${t.dist} parameter (${params.join(', ')})`);
+      });
+      params.forEach(p => {
+        const v = t[p];
+        if (v === undefined) return;
+        const limit = paramLimit(p);
+        if (typeof v !== 'number' || !isFinite(v) || v < limit.min || v > limit.max) {
+          errors.push(`timings.${key}.${p} must be a number between ${limit.min} and ${limit.max}`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  // Time until the thread's next tick. `state` is the thread itself: a
+  // bursty thread keeps the end of its current burst there (t.burstEnd), so
+  // snapshots carry it along.
+  function sampleDelay(timing, rng, now, state) {
+    switch (timing.dist) {
+      case 'uniform':
+        return timing.min + rng.next() * (timing.max - timing.min);
+      case 'exponential':
+        return Math.max(TIMING_LIMIT.min, -timing.mean * Math.log(1 - rng.next()));
+      case 'normal': {
+        // Box–Muller
+        const u = 1 - rng.next();
+        const z = Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rng.next());
+        return Math.max(TIMING_LIMIT.min, timing.mean + timing.sd * z);
+      }
+      case 'bursty': {
+        if (state.burstEnd === undefined || state.burstEnd === null) state.burstEnd = now + timing.on;
+        if (now + timing.mean < state.burstEnd) return timing.mean;
+        const nextBurst = Math.max(now, state.burstEnd) + timing.off;
+        state.burstEnd = nextBurst + timing.on;
+        return nextBurst - now;
+      }
+      default:
+        return timing.mean;
+    }
+  }
+
+  // long-run average time between ticks
+  function meanDelay(timing) {
+    switch (timing.dist) {
+      case 'uniform': return (timing.min + timing.max) / 2;
+      case 'bursty': return timing.mean * (timing.on + timing.off) / timing.on;
+      default: return timing.mean;
+    }
+  }
+
+  // Short text for a timing, e.g. "exponential(800)" or "normal(500±100)".
+  function describeTiming(timing) {
+    if (!timing) return 'shared';
+    switch (timing.dist) {
+      case 'uniform': return `uniform(${timing.min}–${timing.max})`;
+      case 'normal': return `normal(${timing.mean}±${timing.sd})`;
+      case 'bursty': return `bursty(${timing.mean} for ${timing.on}, off ${timing.off})`;
+      default: return `${timing.dist}(${timing.mean})`;
+    }
+  }
+
+  // ---------- Queueing prediction ----------
+  // states summed for an unbounded queue before the tail is dropped
+  const MAX_QUEUE_STATES = 20000;
+
+  // Birth–death M/M/c/K: arrivals at rate `lambda` (all producers together),
+  // `servers` consumers each serving at `mu`, room for `capacity` waiting
+  // items (Infinity = unbounded). Every rate is per ms. Returns utilization
+  // rho, the mean number waiting (meanQueue) and in the system, the share of
+  // arrivals that find the buffer full (blocking) and the mean wait;
+  // meanQueue is Infinity for an unbounded queue that cannot keep up.
+  function queuePrediction({ lambda, mu, servers, capacity }) {
+    const c = Math.max(1, servers);
+    const rho = lambda / (c * mu);
+    const model = isFinite(capacity) ? `M/M/${c}/${c + capacity}` : `M/M/${c}`;
+    if (!isFinite(capacity) && rho >= 1) {
+      return { model, rho, meanQueue: Infinity, meanInSystem: Infinity, blocking: 0, meanWait: Infinity };
+    }
+    const states = isFinite(capacity) ? c + capacity : MAX_QUEUE_STATES;
+    const p = [1];
+    for (let n = 1; n <= states; n++) {
+      p.push(p[n - 1] * lambda / (Math.min(n, c) * mu));
+      if (!isFinite(capacity) && p[n] < 1e-12 * p[0] && n > c) break;
+    }
+    const total = p.reduce((s, v) => s + v, 0);
+    let meanQueue = 0;
+    let meanInSystem = 0;
+    p.forEach((v, n) => {
+      meanQueue += Math.max(0, n - c) * v / total;
+      meanInSystem += n * v / total;
+    });
+    const blocking = isFinite(capacity) ? p[p.length - 1] / total : 0;
+    const admitted = lambda * (1 - blocking);
+    return { model, rho, meanQueue, meanInSystem, blocking, meanWait: admitted > 0 ? meanQueue / admitted : 0 };
+  }
+
+  // base time an item spends travelling between a thread and its slot
+  const TRANSFER_BASE_MS = 600;
+
+  // ms one transfer takes at a given transferSpeed
+  function transferTime(speed) {
+    return Math.max(40, Math.round(TRANSFER_BASE_MS / (speed > 0 ? speed : 1.0)));
+  }
+
+  // share of the time the buffer lock may be busy before the estimate
+  // stops being worth much
+  const ROUGH_LOCK_LOAD = 0.25;
+
+  // Estimate for a Producers–Consumers config. Threads of a kind take turns,
+  // so each side is one server: an operation takes the side's average delay
+  // plus one transfer, and arrivals and services are taken as exponential at
+  // 1/(that time), i.e. M/M/1/K. That holds for one exponential producer and
+  // consumer with short transfers; shared or other delays, several threads a
+  // side, nosync races and a busy lock (lockLoad, the share of the time a
+  // transfer holds it) all move the run away from the model and set `rough`.
+  // `keys` names the threads when a live run no longer has the config's counts.
+  function predictionForConfig(config, keys) {
+    const timings = config.timings || {};
+    const threads = keys || Array.from({ length: config.producers }, (_, i) => `P${i + 1}`)
+      .concat(Array.from({ length: config.consumers }, (_, j) => `C${j + 1}`));
+    const side = kind => {
+      const own = threads.filter(key => key[0] === kind);
+      const shared = kind === 'P' ? config.producerDelay : config.consumerDelay;
+      const delays = own.map(key => (timings[key] ? meanDelay(timings[key]) : shared));
+      return {
+        threads: own.length,
+        delay: delays.reduce((s, d) => s + d, 0) / Math.max(1, own.length),
+        exponential: own.every(key => timings[key] && timings[key].dist === 'exponential')
+      };
+    };
+    const producers = side('P');
+    const consumers = side('C');
+    const transfer = transferTime(config.transferSpeed);
+    const lambda = 1 / (producers.delay + transfer);
+    const mu = 1 / (consumers.delay + transfer);
+    const lockLoad = config.syncMode === 'nosync' ? 0 : Math.min(1, transfer * (lambda + mu));
+    const rough = config.syncMode === 'nosync' || lockLoad > ROUGH_LOCK_LOAD ||
+      producers.threads !== 1 || consumers.threads !== 1 || !producers.exponential || !consumers.exponential;
+    const prediction = queuePrediction({
+      lambda,
+      mu,
+      servers: 1,
+      capacity: config.bufferType === 'unbounded' ? Infinity : config.bufferCapacity
+    });
+    return Object.assign(prediction, { transfer, lockLoad, rough });
+  }
+
+  // time-weighted mean of the buffer count over a Producers–Consumers trace
+  function meanBufferLength(trace, duration) {
+    if (duration <= 0) return 0;
+    let area = 0;
+    let count = 0;
+    let since = 0;
+    trace.forEach(ev => {
+      if (typeof ev.count !== 'number') return;
+      area += count * (ev.time - since);
+      count = Math.max(0, ev.count);
+      since = ev.time;
+    });
+    area += count * (duration - since);
+    return area / duration;
+  }
+
+  return {
+    TIMING_DISTRIBUTIONS, TIMING_LIMIT, defaultTimingParams, normalizeTiming, normalizeTimings, timingErrors,
+    sampleDelay, meanDelay, describeTiming, queuePrediction, transferTime, predictionForConfig, meanBufferLength
+  };
+});
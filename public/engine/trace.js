@@ -0,0 +1,172 @@
+// Structured event trace export/import. Every atomic action the engine
+// performs is already recorded in sim.trace; this turns it into a
+// downloadable JSON document (config + events) or a flat CSV table for
+// spreadsheets, and parses either form back for replay.
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.OSEngine = Object.assign(root.OSEngine || {}, api);
+})(typeof self !== 'undefined' ? self : this, function () {
+  'use strict';
+
+  const TRACE_FORMAT = 'os-visualizer-trace';
+  const TRACE_VERSION = 1;
+
+  // Fixed CSV column order. Columns beyond the obvious ones:
+  //   slot       slot a deposit/take used; where a 'crash' left a torn deposit
+  //   itemId     item moved, produced or (on 'retire'/'crash') dropped
+  //   owner      lock or mutex holder right after the record
+  //   in, out    write and read index
+  //   cond       wait/signal target; queue left ('retire', 'restart'); lock held ('crash'); new mode ('mode')
+  //   woken      threads woken; a robust mutex's heir ('crash'); threads restarted ('mode')
+  //   overwrote  item a NO-SYNC deposit overwrote
+  //   sems       "mutex/empty/full" semaphore values in semaphore mode
+  //   policy     scheduling policy on 'turn' records
+  //   priority   item priority on 'produce' records of a priority buffer
+  //   capacity   new size on 'resize' records
+  //   moved      where a 'resize' put the items, old>new slot ("3>0 4>1")
+  const TRACE_COLUMNS = [
+    'seq', 'time', 'actor', 'action', 'slot', 'itemId', 'count', 'owner',
+    'in', 'out', 'state', 'cond', 'woken', 'overwrote', 'sems', 'policy', 'priority', 'capacity', 'moved'
+  ];
+
+  // records of the buffer itself rather than of a thread; their actor is empty
+  const BUFFER_RECORDS = ['resize', 'mode'];
+
+  function traceToJSON(sim) {
+    return {
+      format: TRACE_FORMAT,
+      version: TRACE_VERSION,
+      problem: sim.problem || 'producerConsumer',
+      config: Object.assign({}, sim.config),
+      duration: sim.now(),
+      events: sim.trace.map(ev => Object.assign({}, ev))
+    };
+  }
+
+  function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  function traceToCSV(events) {
+    const lines = [TRACE_COLUMNS.join(',')];
+    events.forEach(ev => {
+      lines.push(TRACE_COLUMNS.map(col => csvCell(ev[col])).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+
+  // ---------- Import ----------
+  const NUMERIC_COLUMNS = ['seq', 'time', 'slot', 'itemId', 'count', 'in', 'out', 'overwrote', 'priority', 'capacity'];
+
+  function parseCSVLine(line) {
+    const cells = [];
+    let cur = '';
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+      const ch = line[i];
+      if (quoted) {
+        if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+        else if (ch === '"') quoted = false;
+        else cur += ch;
+      } else if (ch === '"') {
+        quoted = true;
+      } else if (ch === ',') {
+        cells.push(cur);
+        cur = '';
+      } else {
+        cur += ch;
+      }
+    }
+    cells.push(cur);
+    return cells;
+  }
+
+  function normalizeEvent(raw, index) {
+    const ev = {};
+    Object.keys(raw).forEach(k => {
+      let v = raw[k];
+      if (v === '' || v === undefined) v = null;
+      if (v !== null && NUMERIC_COLUMNS.includes(k)) v = Number(v);
+      ev[k] = v;
+    });
+    const bufferRecord = ev.actor === null && BUFFER_RECORDS.includes(ev.action);
+    if (!bufferRecord && (typeof ev.actor !== 'string' || !/^[PC]\d+$/.test(ev.actor))) {
+      throw new Error(`Trace event ${index} has no valid actor (expected P<n> or C<n>).`);
+    }
+    if (typeof ev.action !== 'string' || ev.action === '') {
+      throw new Error(`Trace event ${index} has no action.`);
+    }
+    if (typeof ev.time !== 'number' || isNaN(ev.time)) {
+      throw new Error(`Trace event ${index} has no numeric time.`);
+    }
+    if (ev.seq === null || ev.seq === undefined) ev.seq = index;
+    return ev;
+  }
+
+  // Accepts a JSON export or a CSV export. CSV carries no config, so the
+  // result's config is null and the caller infers what it needs from events.
+  function parseTrace(text) {
+    const trimmed = String(text || '').trim();
+    if (trimmed === '') throw new Error('Trace file is empty.');
+
+    let doc;
+    if (trimmed[0] === '{' || trimmed[0] === '[') {
+      let data;
+      try {
+        data = JSON.parse(trimmed);
+      } catch (e) {
+        throw new Error('Trace file is not valid JSON: ' + e.message);
+      }
+      const events = Array.isArray(data) ? data : data.events;
+      if (!Array.isArray(events)) throw new Error('JSON trace has no "events" array.');
+      if (!Array.isArray(data) && data.format && data.format !== TRACE_FORMAT) {
+        throw new Error(`Unsupported trace format "${data.format}".`);
+      }
+      if (!Array.isArray(data) && data.problem && data.problem !== 'producerConsumer') {
+        throw new Error(`Only Producers–Consumers traces can be replayed (this one is "${data.problem}").`);
+      }
+      doc = { config: Array.isArray(data) ? null : (data.config || null), duration: data.duration, events };
+    } else {
+      const lines = trimmed.split(/\r?\n/).filter(l => l.trim() !== '');
+      const header = parseCSVLine(lines[0]).map(h => h.trim());
+      if (!header.includes('actor') || !header.includes('action') || !header.includes('time')) {
+        throw new Error('CSV trace needs at least time, actor and action columns.');
+      }
+      const events = lines.slice(1).map(line => {
+        const cells = parseCSVLine(line);
+        const ev = {};
+        header.forEach((h, i) => { ev[h] = cells[i]; });
+        return ev;
+      });
+      doc = { config: null, duration: null, events };
+    }
+
+    doc.events = doc.events.map(normalizeEvent).sort((a, b) => a.time - b.time || a.seq - b.seq);
+    const last = doc.events.length > 0 ? doc.events[doc.events.length - 1].time : 0;
+    doc.duration = Math.max(Number(doc.duration) || 0, last);
+    return doc;
+  }
+
+  // Short human-readable form of one trace event, e.g. "P2 wait (notFull)".
+  function describeTraceEvent(ev) {
+    if (ev.action === 'mode') return `sync mode → ${ev.cond}${ev.woken ? ` (${ev.woken} started over)` : ''}`;
+    const parts = [`${ev.actor || 'buffer'} ${ev.action}`];
+    if (ev.action === 'resize') parts.push(`to ${ev.capacity} slots`);
+    if (ev.cond) parts.push(`(${ev.cond})`);
+    if (ev.slot !== null && ev.slot !== undefined) parts.push(`slot ${ev.slot}`);
+    if (ev.itemId !== null && ev.itemId !== undefined) parts.push(`item #${ev.itemId}`);
+    if (ev.priority !== null && ev.priority !== undefined) parts.push(`priority ${ev.priority}`);
+    if (ev.woken) parts.push(`→ woke ${ev.woken}`);
+    if (ev.action === 'block' && ev.owner) parts.push(`(lock held by ${ev.owner})`);
+    if (ev.action === 'turn' && ev.policy) parts.push(`(${ev.policy})`);
+    return parts.join(' ');
+  }
+
+  return {
+    TRACE_FORMAT, TRACE_VERSION, TRACE_COLUMNS, BUFFER_RECORDS,
+    traceToJSON, traceToCSV, csvCell, parseTrace, describeTraceEvent
+  };
+});
@@ -0,0 +1,133 @@
+// Gantt timeline for Producers–Consumers: one lane per thread showing the
+// states it went through (sim.timeline), marks where it took the lock and
+// where it notified the other side, and a cursor at the current time — or
+// at the replay position, with the rest of the recording around it.
+
+const GANTT_WINDOW_MS = 20000;
+const GANTT_WIDTH = 800;
+const GANTT_LANE = 22; // lane pitch; bars are GANTT_BAR tall
+const GANTT_BAR = 14;
+const GANTT_LABEL = 56; // room for "C12 (99)"
+const GANTT_AXIS = 18;
+// a running sim redraws after this much virtual time, not every frame
+const GANTT_REDRAW_MS = 100;
+
+const GANTT_STATE_LABELS = {
+  idle: 'idle',
+  producing: 'producing',
+  consuming: 'consuming',
+  waiting: 'waiting',
+  'holding-lock': 'holding lock',
+  'waiting-turn': 'waiting for turn',
+  retired: 'retired',
+  crashed: 'crashed'
+};
+
+let ganttDrawn = null; // { timeline, length, now } of the last redraw
+
+function resetGantt() {
+  ganttDrawn = null;
+}
+
+// the span on screen: the last GANTT_WINDOW_MS of a live run, or a window
+// around the cursor inside a recording
+function ganttWindow() {
+  const now = sim.now();
+  let start = Math.max(0, now - GANTT_WINDOW_MS);
+  if (sim.isReplay) start = Math.max(0, Math.min(now - GANTT_WINDOW_MS / 2, sim.duration - GANTT_WINDOW_MS));
+  return { start, end: start + GANTT_WINDOW_MS };
+}
+
+function ganttTimeAt(svg, clientX) {
+  const rect = svg.getBoundingClientRect();
+  if (!rect.width) return null;
+  const { start, end } = ganttWindow();
+  const vx = ((clientX - rect.left) / rect.width) * GANTT_WIDTH;
+  const t = start + ((vx - GANTT_LABEL) / (GANTT_WIDTH - GANTT_LABEL)) * (end - start);
+  return Math.max(start, Math.min(end, t));
+}
+
+// one line per state, longest first: "waiting 61% · consuming 22% · …"
+function describeLaneTotals(sums, now) {
+  if (now <= 0) return '';
+  return Object.keys(sums)
+    .sort((a, b) => sums[b] - sums[a])
+    .map(state => `${GANTT_STATE_LABELS[state] || state} ${Math.round((sums[state] / now) * 100)}%`)
+    .join(' · ');
+}
+
+function describeMark(key, m) {
+  const what = m.kind === 'lock'
+    ? (m.cond === 'mutex' ? 'wait(mutex) succeeded' : 'acquired the lock')
+    : (m.cond ? `notify/signal(${m.cond})` : 'notify') + (m.woken ? ` → woke ${m.woken}` : '');
+  return `${key} ${what} at ${formatSimTime(m.time)} (event #${m.seq})`;
+}
+
+// called every animation frame
+function renderGantt() {
+  const svg = document.getElementById('gantt');
+  if (!svg || activeView() || !sim.timeline) return;
+  const timeline = sim.timeline;
+  const now = sim.now();
+  if (ganttDrawn && ganttDrawn.timeline === timeline && ganttDrawn.length === timeline.length &&
+      (now === ganttDrawn.now || (!sim.isPaused && Math.abs(now - ganttDrawn.now) < GANTT_REDRAW_MS))) {
+    return;
+  }
+  ganttDrawn = { timeline, length: timeline.length, now };
+
+  const { start, end } = ganttWindow();
+  // a recording is drawn in full; a live run only up to now
+  const lanes = timeline.window(start, sim.isReplay ? Math.min(end, timeline.end) : now);
+  const totals = timeline.totals(now);
+  const plotW = GANTT_WIDTH - GANTT_LABEL;
+  const x = t => GANTT_LABEL + ((Math.max(start, Math.min(end, t)) - start) / (end - start)) * plotW;
+  const n = v => v.toFixed(1);
+  const height = lanes.length * GANTT_LANE + GANTT_AXIS;
+
+  const rows = lanes.map((lane, i) => {
+    const top = i * GANTT_LANE + (GANTT_LANE - GANTT_BAR) / 2;
+    const mid = top + GANTT_BAR / 2;
+    const t = sim.getThread(lane.key);
+    const label = t ? `${lane.key} (${t.count})` : lane.key;
+    const parts = [
+      `<text class="gantt-key" x="4" y="${n(mid + 4)}"><title>${escapeHtml(`${lane.key}: ${describeLaneTotals(totals[lane.key] || {}, now)}`)}</title>${escapeHtml(label)}</text>`
+    ];
+    lane.spans.forEach(s => {
+      const x0 = x(s.from);
+      const w = x(s.to) - x0;
+      if (w <= 0) return;
+      const tip = `${lane.key} ${GANTT_STATE_LABELS[s.state] || s.state} ${formatSimTime(s.from)}–${formatSimTime(s.to)} (${formatMs(s.to - s.from)})`;
+      parts.push(`<rect class="gantt-span state-${escapeHtml(s.state)}" x="${n(x0)}" y="${n(top)}" width="${n(w)}" height="${GANTT_BAR}"><title>${escapeHtml(tip)}</title></rect>`);
+    });
+    lane.marks.forEach(m => {
+      const mx = x(m.time);
+      const shape = m.kind === 'lock'
+        ? `<path class="gantt-mark lock" d="M${n(mx - 4)} ${n(top - 3)} L${n(mx + 4)} ${n(top - 3)} L${n(mx)} ${n(top + 3)} z">`
+        : `<circle class="gantt-mark notify" cx="${n(mx)}" cy="${n(top + GANTT_BAR)}" r="3">`;
+      parts.push(`${shape}<title>${escapeHtml(describeMark(lane.key, m))}</title>${m.kind === 'lock' ? '</path>' : '</circle>'}`);
+    });
+    return `<g class="gantt-lane ${lane.key[0] === 'P' ? 'producer' : 'consumer'}">${parts.join('')}</g>`;
+  });
+
+  // a tick every 5 s along the bottom
+  const axisY = lanes.length * GANTT_LANE;
+  const ticks = [];
+  for (let t = Math.ceil(start / 5000) * 5000; t <= end; t += 5000) {
+    ticks.push(`<line class="gantt-tick" x1="${n(x(t))}" y1="0" x2="${n(x(t))}" y2="${axisY + 3}"></line>` +
+      `<text class="gantt-axis" x="${n(x(t))}" y="${axisY + 14}">${t / 1000}s</text>`);
+  }
+
+  const cx = x(now);
+  svg.setAttribute('viewBox', `0 0 ${GANTT_WIDTH} ${height}`);
+  svg.innerHTML = ticks.join('') + rows.join('') +
+    `<line class="gantt-cursor" x1="${n(cx)}" y1="0" x2="${n(cx)}" y2="${axisY}"></line>`;
+}
+
+// clicking a recording's timeline seeks the replay there
+function onGanttClick(e) {
+  if (!sim.isReplay) return;
+  const t = ganttTimeAt(e.currentTarget, e.clientX);
+  if (t === null) return;
+  sim.seekTime(t);
+  updateReplayBar();
+}
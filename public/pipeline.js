@@ -0,0 +1,343 @@
+// Pipeline view — draws an OSEngine.PipelineSim as a row of stages joined by
+// their buffers: producers | ring A | transformers | ring B | consumers. Each
+// stage column lists its workers and its rate; the stage that limits the
+// whole pipeline is outlined, and a full ring shows where backpressure
+// starts. The stage editor in the controls panel sets worker counts, speeds
+// and buffer sizes.
+
+// ---------- Pseudocode (semaphores per buffer) ----------
+// `at` marks the line a worker with that pc is on
+const PL_PSEUDOCODE = {
+  producer: [
+    { text: 'Producer Process' },
+    { text: 'Producer() {' },
+    { text: 'while (true) {' },
+    { text: 'item = produce()', at: 'work' },
+    { text: 'wait(empty[A])', at: 'wait-empty' },
+    { text: 'wait(mutex[A])', at: 'lock-out' },
+    { text: 'put(A, item)', at: 'put' },
+    { text: 'signal(mutex[A]); signal(full[A])' },
+    { text: '}' },
+    { text: '}' }
+  ],
+  transformer: [
+    { text: 'Transformer Process (in → out)' },
+    { text: 'Transformer() {' },
+    { text: 'while (true) {' },
+    { text: 'wait(full[in])', at: 'wait-full' },
+    { text: 'wait(mutex[in])', at: 'lock-in' },
+    { text: 'item = take(in)', at: 'take' },
+    { text: 'signal(mutex[in]); signal(empty[in])' },
+    { text: 'item = transform(item)', at: 'work' },
+    { text: 'wait(empty[out])   // blocks while out is full', at: 'wait-empty' },
+    { text: 'wait(mutex[out])', at: 'lock-out' },
+    { text: 'put(out, item)', at: 'put' },
+    { text: 'signal(mutex[out]); signal(full[out])' },
+    { text: '}' },
+    { text: '}' }
+  ],
+  consumer: [
+    { text: 'Consumer Process' },
+    { text: 'Consumer() {' },
+    { text: 'while (true) {' },
+    { text: 'wait(full[last])', at: 'wait-full' },
+    { text: 'wait(mutex[last])', at: 'lock-in' },
+    { text: 'item = take(last)', at: 'take' },
+    { text: 'signal(mutex[last]); signal(empty[last])' },
+    { text: 'consume(item)', at: 'work' },
+    { text: '}' },
+    { text: '}' }
+  ]
+};
+
+// ---------- Stage editor ----------
+// the pipeline the editor shows; Reset/Start read it back from the inputs
+let pipelineDraft = OSEngine.normalizePipelineConfig(OSEngine.DEFAULT_PIPELINE);
+
+const PL_NEW_STAGE = { workers: 2, delay: 800 };
+const PL_NEW_CAPACITY = 4;
+
+function buildPipelineControls() {
+  const box = document.getElementById('pipeline-stages');
+  if (!box) return;
+  const { stages, capacities } = pipelineDraft;
+  const count = stages.length;
+  const stageRow = (s, i) => `
+    <div class="pl-edit-row">
+      <span class="pl-edit-name">${escapeHtml(OSEngine.pipelineStageName(i, count))}</span>
+      <label>workers <input id="pl-workers-${i}" type="number" min="1" max="6" value="${s.workers}"></label>
+      <label>ms <input id="pl-delay-${i}" type="number" min="50" step="50" value="${s.delay}"></label>
+    </div>`;
+  const bufferRow = (cap, i) => `
+    <div class="pl-edit-row pl-edit-buffer">
+      <span class="pl-edit-name">↓ buffer ${'ABC'[i]}</span>
+      <label>slots <input id="pl-capacity-${i}" type="number" min="1" max="12" value="${cap}"></label>
+    </div>`;
+  box.innerHTML = stages.map((s, i) => stageRow(s, i) + (i < capacities.length ? bufferRow(capacities[i], i) : '')).join('');
+
+  const add = document.getElementById('pl-add-stage');
+  const remove = document.getElementById('pl-remove-stage');
+  if (add) add.disabled = capacities.length >= OSEngine.PIPELINE_LIMITS.buffers.max;
+  if (remove) remove.disabled = capacities.length <= OSEngine.PIPELINE_LIMITS.buffers.min;
+}
+
+function readPipelineInputs() {
+  const value = id => {
+    const el = document.getElementById(id);
+    return el ? el.value : undefined;
+  };
+  pipelineDraft = OSEngine.normalizePipelineConfig({
+    stages: pipelineDraft.stages.map((_, i) => ({ workers: value(`pl-workers-${i}`), delay: value(`pl-delay-${i}`) })),
+    capacities: pipelineDraft.capacities.map((_, i) => value(`pl-capacity-${i}`)),
+    seed: (value('seed') || '').trim() // blank -> fresh random seed
+  });
+  return pipelineDraft;
+}
+
+// a new transformer stage (and the buffer behind it) goes in front of the consumers
+function addPipelineStage() {
+  const c = readPipelineInputs();
+  if (c.capacities.length >= OSEngine.PIPELINE_LIMITS.buffers.max) return;
+  c.stages.splice(c.stages.length - 1, 0, Object.assign({}, PL_NEW_STAGE));
+  c.capacities.push(PL_NEW_CAPACITY);
+  buildPipelineControls();
+  resetProducerConsumer();
+}
+
+function removePipelineStage() {
+  const c = readPipelineInputs();
+  if (c.capacities.length <= OSEngine.PIPELINE_LIMITS.buffers.min) return;
+  c.stages.splice(c.stages.length - 2, 1);
+  c.capacities.pop();
+  buildPipelineControls();
+  resetProducerConsumer();
+}
+
+// ---------- Entities ----------
+let pipelineWorkerViews = {}; // worker key -> { shapeEl, labelEl }
+
+const PL_STATE_STYLES = {
+  idle: { border: '#fbbf24', background: '#020617', color: '#fbbf24', shadow: 'none' },
+  working: { border: '#16a34a', background: '#16a34a', color: '#020617', shadow: '0 8px 22px #16a34a66' },
+  ready: { border: '#ffffff', background: '#020617', color: '#ffffff', shadow: '0 6px 20px #ffffff44' },
+  locking: { border: '#ffffff', background: '#020617', color: '#ffffff', shadow: '0 6px 20px #ffffff44' },
+  starved: { border: '#fbbf24', background: '#020617', color: '#fbbf24', shadow: 'none' },
+  blocked: { border: '#f97316', background: '#020617', color: '#f97316', shadow: '0 6px 20px #f9731644' }
+};
+
+const PL_DOING = {
+  working: { source: ' 🔨', transform: ' ⚙️', sink: ' 🍽' },
+  starved: ' ⏳ empty',
+  blocked: ' ⛔ full',
+  locking: ' 🔒'
+};
+
+function createPipelineEntity(column, w) {
+  const el = document.createElement('div');
+  el.classList.add('entity', w.role === 'sink' ? 'consumer' : 'producer');
+
+  const shape = document.createElement('div');
+  shape.classList.add('entity-shape');
+  shape.textContent = w.key;
+
+  const label = document.createElement('div');
+  label.classList.add('entity-label');
+
+  el.appendChild(shape);
+  el.appendChild(label);
+  column.appendChild(el);
+  pipelineWorkerViews[w.key] = { shapeEl: shape, labelEl: label };
+}
+
+function buildPipelineEntities() {
+  const layout = document.getElementById('pipeline-layout');
+  layout.innerHTML = '';
+  pipelineWorkerViews = {};
+
+  sim.stages.forEach((stage, i) => {
+    const col = document.createElement('div');
+    col.className = 'pl-stage';
+    col.id = `pl-stage-${i}`;
+    col.innerHTML = `
+      <h3 class="pl-stage-title">${escapeHtml(stage.name)}</h3>
+      <div class="pl-stage-rate" id="pl-stage-rate-${i}"></div>
+      <div class="entity-column pl-workers"></div>`;
+    layout.appendChild(col);
+    sim.stageWorkers(i).forEach(w => createPipelineEntity(col.querySelector('.pl-workers'), w));
+
+    const buf = sim.buffers[i];
+    if (!buf) return;
+    const ring = document.createElement('div');
+    ring.className = 'pl-buffer';
+    ring.id = `pl-buffer-${i}`;
+    const slots = buf.slots.map((_, k) => {
+      // clockwise from the top, like the Producers–Consumers ring
+      const angle = -Math.PI / 2 + (2 * Math.PI * k) / buf.capacity;
+      return `<div class="buffer-slot pl-slot" id="pl-slot-${i}-${k}" style="left:${50 + 38 * Math.cos(angle)}%;top:${50 + 38 * Math.sin(angle)}%"></div>`;
+    }).join('');
+    ring.innerHTML = `${slots}<div class="pl-buffer-label" id="pl-buffer-label-${i}"></div>`;
+    layout.appendChild(ring);
+  });
+
+  renderEntities();
+  renderPseudocode();
+}
+
+function renderPipelineEntities() {
+  sim.workers.forEach(w => {
+    const v = pipelineWorkerViews[w.key];
+    if (!v) return;
+    paintEntityShape(v.shapeEl, PL_STATE_STYLES[w.state] || PL_STATE_STYLES.idle);
+    const doing = w.state === 'working' ? PL_DOING.working[w.role] : PL_DOING[w.state] || '';
+    const item = w.item ? ` #${w.item.id}` : '';
+    v.labelEl.textContent = `${w.key} (${w.count})${doing}${item}`;
+  });
+
+  sim.buffers.forEach((buf, i) => {
+    buf.slots.forEach((item, k) => {
+      const slot = document.getElementById(`pl-slot-${i}-${k}`);
+      if (!slot) return;
+      slot.textContent = item ? String(item.id) : '';
+      slot.classList.toggle('write', !!item);
+      slot.style.borderColor = item ? producerColor(item.producerId) : '';
+    });
+    const ring = document.getElementById(`pl-buffer-${i}`);
+    if (ring) ring.classList.toggle('pl-full', buf.count === buf.capacity);
+    const label = document.getElementById(`pl-buffer-label-${i}`);
+    if (label) label.innerHTML = `${buf.name}<br><span>${buf.count}/${buf.capacity}</span>`;
+  });
+}
+
+// ---------- Items moving ----------
+function animatePipelineTransfer(ev) {
+  const v = pipelineWorkerViews[ev.actor];
+  const slot = document.getElementById(`pl-slot-${ev.buffer}-${ev.slot}`);
+  if (!v || !slot || !animationContainer) return;
+  const a = v.shapeEl.getBoundingClientRect();
+  const b = slot.getBoundingClientRect();
+  const workerX = a.left + a.width / 2 - 14;
+  const workerY = a.top + a.height / 2 - 14;
+  const slotX = b.left + b.width / 2 - 14;
+  const slotY = b.top + b.height / 2 - 14;
+  const color = producerColor(ev.producerId);
+  if (ev.kind === 'put') animateItemTransferAbsolute(workerX, workerY, slotX, slotY, color, ev.duration, null, ev.startedAt);
+  else animateItemTransferAbsolute(slotX, slotY, workerX, workerY, color, ev.duration, null, ev.startedAt);
+}
+
+// ---------- Pseudocode ----------
+function renderPipelinePseudocode() {
+  document.getElementById('shared-code').innerHTML = ['Shared Data'].concat(sim.buffers.map(buf => {
+    const v = sim.semaphoreValues(buf);
+    return `item ${buf.name}[${buf.capacity}]; semaphore mutex = ${v.mutex}, empty = ${v.empty}, full = ${v.full}`;
+  })).map((text, i) => `<div class="pseudo-line" id="shared-line-${i}">${escapeHtml(text)}</div>`).join('');
+
+  const workersOf = role => sim.workers.filter(w => w.role === role);
+  const transformers = workersOf('transform');
+  document.getElementById('producer-code').innerHTML =
+    pseudoLinesWithMarkers(PL_PSEUDOCODE.producer, 'prod', workersOf('source')) +
+    (transformers.length > 0 ? pseudoLinesWithMarkers(PL_PSEUDOCODE.transformer, 'trans', transformers) : '');
+  document.getElementById('consumer-code').innerHTML = pseudoLinesWithMarkers(PL_PSEUDOCODE.consumer, 'cons', workersOf('sink'));
+}
+
+function highlightPipelinePseudocode() {
+  clearPseudoHighlights();
+  const mark = (lines, block, role, cls) => {
+    const occupied = new Set(sim.workers.filter(w => w.role === role).map(w => w.pc));
+    lines.forEach((line, i) => {
+      if (line.at && occupied.has(line.at)) highlightLineByIdWithClass(`${block}-line-${i}`, cls);
+    });
+  };
+  mark(PL_PSEUDOCODE.producer, 'prod', 'source', 'prod-highlight');
+  mark(PL_PSEUDOCODE.transformer, 'trans', 'transform', 'prod-highlight');
+  mark(PL_PSEUDOCODE.consumer, 'cons', 'sink', 'cons-highlight');
+
+  // a buffer whose mutex is taken
+  sim.buffers.forEach((buf, i) => {
+    if (buf.mutex.value === 0) highlightLineByIdWithClass(`shared-line-${i + 1}`, 'shared-highlight');
+  });
+}
+
+// ---------- Metrics ----------
+const plPercent = share => `${Math.round(share * 100)}%`;
+
+function updatePipelineMetrics() {
+  const bottleneck = sim.bottleneck();
+  const stats = sim.stages.map((_, i) => sim.stageStats(i));
+
+  stats.forEach((s, i) => {
+    const col = document.getElementById(`pl-stage-${i}`);
+    if (col) col.classList.toggle('pl-bottleneck', i === bottleneck);
+    const rate = document.getElementById(`pl-stage-rate-${i}`);
+    if (rate) {
+      rate.textContent = `${s.rate.toFixed(2)}/s of ${s.capacityRate.toFixed(2)}/s max${i === bottleneck ? ' • bottleneck' : ''}`;
+    }
+  });
+
+  const body = document.getElementById('pl-metrics');
+  if (!body) return;
+  const stageRows = stats.map((s, i) => `
+    <tr${i === bottleneck ? ' class="pl-bottleneck-row"' : ''}>
+      <td>${escapeHtml(s.name)}</td><td>${s.done}</td><td>${s.rate.toFixed(2)}</td>
+      <td>${plPercent(s.busy)}</td><td>${plPercent(s.starved)}</td><td>${plPercent(s.blocked)}</td>
+    </tr>`).join('');
+  const bufferRows = sim.buffers.map(buf => `
+    <tr><td>buffer ${buf.name}</td><td>${buf.passed}</td><td colspan="4">${buf.count}/${buf.capacity} now, ${sim.meanFill(buf).toFixed(1)} on average</td></tr>`).join('');
+  body.innerHTML = `
+    <table class="pl-metrics">
+      <tr><th>Stage</th><th>done</th><th>/s</th><th>busy</th><th>starved</th><th>blocked</th></tr>
+      ${stageRows}${bufferRows}
+    </table>
+    <div>Consumed: <strong>${sim.consumed}</strong> • Avg end-to-end latency: <strong>${
+      sim.consumed > 0 ? formatSimTime(sim.latencyTotal / sim.consumed) : '—'
+    }</strong></div>`;
+}
+
+// ---------- Live control changes ----------
+let _applyPipelineSpeedsTO = null;
+
+// stage speeds apply right away; worker counts and buffer sizes on Reset
+function onPipelineInput(id) {
+  if (sim.isRunning && id && id.startsWith('pl-delay-')) {
+    if (_applyPipelineSpeedsTO) clearTimeout(_applyPipelineSpeedsTO);
+    _applyPipelineSpeedsTO = setTimeout(() => {
+      if (!sim.isRunning) return;
+      sim.setSpeeds(readPipelineInputs().stages.map(s => s.delay));
+      addMessage(`⚡ Speed updated: ${sim.stages.map(s => `${s.name.toLowerCase()}=${s.delay}ms`).join(', ')}`);
+    }, 300);
+  }
+}
+
+registerProblemView('pipeline', {
+  title: 'Pipeline Visualization',
+  tracePrefix: 'pipeline',
+  chrome: {
+    hidden: [
+      'sync-mode', 'sched-policy', 'transfer-speed', 'num-producers', 'num-consumers',
+      'buffer-capacity', 'buffer-type', 'producer-delay', 'consumer-delay'
+    ],
+    layout: true,
+    legend: `
+      <li class="legend-item"><span class="legend-shape legend-producing" aria-hidden="true"></span><span class="legend-label">working (produce / transform / consume)</span></li>
+      <li class="legend-item"><span class="legend-shape legend-waiting" aria-hidden="true"></span><span class="legend-label">blocked: output buffer full (backpressure)</span></li>
+      <li class="legend-item"><span class="legend-shape legend-idle" aria-hidden="true"></span><span class="legend-label">starved: input buffer empty</span></li>
+      <li class="legend-item"><span class="legend-shape legend-holding" aria-hidden="true"></span><span class="legend-label">between steps / waiting for a buffer's mutex</span></li>
+      <li class="legend-item"><span class="legend-star" aria-hidden="true">★</span><span class="legend-label">item moving (color = producer)</span></li>`,
+    metrics: '<div id="pl-metrics"></div>',
+    hint: 'Click Start. The slowest stage is outlined; the buffers in front of it fill up and block the stages upstream.'
+  },
+  readInputs: readPipelineInputs,
+  createSim: config => new OSEngine.PipelineSim(config),
+  startMessage: () =>
+    `Started: ${sim.stages.map((s, i) => `${sim.stageWorkers(i).length} ${s.name.toLowerCase()} @ ${s.delay}ms`).join(' → ')}, buffers ${
+      sim.buffers.map(b => `${b.name}=${b.capacity}`).join(' ')
+    }, seed=${sim.seed}`,
+  onInput: onPipelineInput,
+  build: buildPipelineEntities,
+  render: renderPipelineEntities,
+  renderPseudocode: renderPipelinePseudocode,
+  highlightPseudocode: highlightPipelinePseudocode,
+  updateMetrics: updatePipelineMetrics,
+  animateTransfer: animatePipelineTransfer
+});
+
+document.addEventListener('DOMContentLoaded', buildPipelineControls);
@@ -0,0 +1,390 @@
+// Readers–Writers view — draws an OSEngine.ReadersWritersSim into the shared
+// layout: readers in the left column, writers in the right one and the shared
+// resource inside the ring. Controls, legend, metrics and the status log are
+// the Producers–Consumers ones, relabeled (see applyProblemChrome in app.js).
+
+// ---------- Pseudocode (textbook semaphore solutions) ----------
+// shared lines with a `key` get a live value from RW_SHARED_VALUES
+const RW_PSEUDOCODE = {
+  'readers-preference': {
+    shared: [
+      { text: 'Shared Data' },
+      { text: 'semaphore rw_mutex = ', key: 'rw_mutex' },
+      { text: 'semaphore mutex = 1' },
+      { text: 'int read_count = ', key: 'read_count' }
+    ],
+    reader: [
+      'Reader Process (readers-preference)',
+      'Reader() {',
+      'while (true) {',
+      'wait(mutex)',
+      'read_count++',
+      'if (read_count == 1) wait(rw_mutex)',
+      'signal(mutex)',
+      'read_data()',
+      'wait(mutex)',
+      'read_count--',
+      'if (read_count == 0) signal(rw_mutex)',
+      'signal(mutex)',
+      '}',
+      '}'
+    ],
+    writer: [
+      'Writer Process',
+      'Writer() {',
+      'while (true) {',
+      'wait(rw_mutex)',
+      'write_data()',
+      'signal(rw_mutex)',
+      '}',
+      '}'
+    ],
+    readerWait: 'if (read_count == 1) wait(rw_mutex)',
+    writerWait: 'wait(rw_mutex)'
+  },
+  'writers-preference': {
+    shared: [
+      { text: 'Shared Data' },
+      { text: 'semaphore rw_mutex = ', key: 'rw_mutex' },
+      { text: 'semaphore read_try = ', key: 'read_try' },
+      { text: 'semaphore rmutex = 1, wmutex = 1' },
+      { text: 'int read_count = ', key: 'read_count' },
+      { text: 'int write_count = ', key: 'write_count' }
+    ],
+    reader: [
+      'Reader Process (writers-preference)',
+      'Reader() {',
+      'while (true) {',
+      'wait(read_try)',
+      'wait(rmutex)',
+      'read_count++',
+      'if (read_count == 1) wait(rw_mutex)',
+      'signal(rmutex)',
+      'signal(read_try)',
+      'read_data()',
+      'wait(rmutex)',
+      'read_count--',
+      'if (read_count == 0) signal(rw_mutex)',
+      'signal(rmutex)',
+      '}',
+      '}'
+    ],
+    writer: [
+      'Writer Process (writers-preference)',
+      'Writer() {',
+      'while (true) {',
+      'wait(wmutex)',
+      'write_count++',
+      'if (write_count == 1) wait(read_try)',
+      'signal(wmutex)',
+      'wait(rw_mutex)',
+      'write_data()',
+      'signal(rw_mutex)',
+      'wait(wmutex)',
+      'write_count--',
+      'if (write_count == 0) signal(read_try)',
+      'signal(wmutex)',
+      '}',
+      '}'
+    ],
+    readerWait: 'wait(read_try)',
+    writerWait: 'wait(rw_mutex)'
+  },
+  fair: {
+    shared: [
+      { text: 'Shared Data' },
+      { text: 'semaphore rw_mutex = ', key: 'rw_mutex' },
+      { text: 'semaphore mutex = 1' },
+      { text: 'semaphore queue = 1   // FIFO: ', key: 'queue' },
+      { text: 'int read_count = ', key: 'read_count' }
+    ],
+    reader: [
+      'Reader Process (fair)',
+      'Reader() {',
+      'while (true) {',
+      'wait(queue)',
+      'wait(mutex)',
+      'read_count++',
+      'if (read_count == 1) wait(rw_mutex)',
+      'signal(queue)',
+      'signal(mutex)',
+      'read_data()',
+      'wait(mutex)',
+      'read_count--',
+      'if (read_count == 0) signal(rw_mutex)',
+      'signal(mutex)',
+      '}',
+      '}'
+    ],
+    writer: [
+      'Writer Process (fair)',
+      'Writer() {',
+      'while (true) {',
+      'wait(queue)',
+      'wait(rw_mutex)',
+      'signal(queue)',
+      'write_data()',
+      'signal(rw_mutex)',
+      '}',
+      '}'
+    ],
+    readerWait: 'wait(queue)',
+    writerWait: 'wait(queue)'
+  }
+};
+
+const RW_SHARED_VALUES = {
+  rw_mutex: () => {
+    if (sim.writerInside) return `0 (${sim.writerInside})`;
+    return sim.readersInside > 0 ? '0 (readers)' : '1';
+  },
+  read_try: () => (sim.waitingWriters().length > 0 || sim.writerInside ? '0 (writers)' : '1'),
+  read_count: () => String(sim.readersInside),
+  write_count: () => String(sim.waitingWriters().length + (sim.writerInside ? 1 : 0)),
+  queue: () => (sim.queue.length > 0 ? sim.queue.join(' ') : 'empty')
+};
+
+// ---------- Entities ----------
+let readerViews = [];
+let writerViews = [];
+
+const RW_STATE_STYLES = {
+  idle: { border: '#fbbf24', background: '#020617', color: '#fbbf24', shadow: 'none' },
+  waiting: { border: '#ffffff', background: '#020617', color: '#ffffff', shadow: '0 6px 20px #ffffff44' },
+  reading: { border: '#16a34a', background: '#16a34a', color: '#020617', shadow: '0 8px 22px #16a34a66' },
+  writing: { border: '#38bdf8', background: '#071021', color: '#38bdf8', shadow: '0 12px 30px #38bdf899' }
+};
+
+function readRWInputs() {
+  const value = id => {
+    const el = document.getElementById(id);
+    return el ? el.value : undefined;
+  };
+  // same inputs as Producers–Consumers, relabeled
+  return OSEngine.normalizeRWConfig({
+    readers: value('num-producers'),
+    writers: value('num-consumers'),
+    readerDelay: value('producer-delay'),
+    writerDelay: value('consumer-delay'),
+    variant: value('sync-mode'),
+    accessSpeed: value('transfer-speed'),
+    seed: (value('seed') || '').trim() // blank -> fresh random seed
+  });
+}
+
+function createRWEntity(column, thread, cls) {
+  const el = document.createElement('div');
+  el.classList.add('entity', cls);
+
+  const shape = document.createElement('div');
+  shape.classList.add('entity-shape');
+  shape.textContent = thread.kind === 'reader' ? 'R' : 'W';
+
+  const label = document.createElement('div');
+  label.classList.add('entity-label');
+  label.textContent = `${thread.key} (0)`;
+
+  el.appendChild(shape);
+  el.appendChild(label);
+  column.appendChild(el);
+  return { id: thread.id, el, shapeEl: shape, labelEl: label };
+}
+
+function buildRWEntities() {
+  const readCol = document.getElementById('producers-column');
+  const writeCol = document.getElementById('consumers-column');
+  readCol.innerHTML = '';
+  writeCol.innerHTML = '';
+
+  readerViews = sim.readers.map(r => createRWEntity(readCol, r, 'producer'));
+  writerViews = sim.writers.map(w => createRWEntity(writeCol, w, 'consumer'));
+
+  const container = document.getElementById('circular-buffer');
+  container.innerHTML = `
+    <div class="rw-resource" id="rw-resource">
+      <div class="rw-resource-title">Shared resource</div>
+      <div class="rw-resource-state" id="rw-state">free</div>
+      <div class="rw-occupants" id="rw-occupants"></div>
+      <div class="rw-queue">Queue: <span id="rw-queue">empty</span></div>
+    </div>`;
+
+  renderEntities();
+  renderPseudocode();
+}
+
+function renderRWEntities() {
+  const now = sim.now();
+  const paint = (t, v) => {
+    if (!v) return;
+    paintEntityShape(v.shapeEl, RW_STATE_STYLES[t.state] || RW_STATE_STYLES.idle);
+    // a long wait is what starvation looks like
+    const wait = t.state === 'waiting' && t.requestedAt !== null ? ` ⏳${formatSimTime(now - t.requestedAt)}` : '';
+    v.labelEl.textContent = `${t.key} (${t.count})${wait}`;
+  };
+  sim.readers.forEach((r, i) => paint(r, readerViews[i]));
+  sim.writers.forEach((w, i) => paint(w, writerViews[i]));
+
+  renderRWResource();
+}
+
+function renderRWResource() {
+  const box = document.getElementById('rw-resource');
+  if (!box) return;
+  const inside = sim.allThreads().filter(t => t.state === 'reading' || t.state === 'writing');
+
+  let state = 'free';
+  box.classList.remove('rw-reading', 'rw-writing');
+  if (sim.writerInside) {
+    state = `${sim.writerInside} writing`;
+    box.classList.add('rw-writing');
+  } else if (sim.readersInside > 0) {
+    state = `${sim.readersInside} reader(s)`;
+    box.classList.add('rw-reading');
+  }
+  document.getElementById('rw-state').textContent = state;
+  document.getElementById('rw-occupants').innerHTML = inside
+    .map(t => `<span class="rw-chip rw-chip-${t.kind}">${t.key}</span>`)
+    .join('');
+  document.getElementById('rw-queue').textContent = sim.queue.length > 0 ? sim.queue.join(' → ') : 'empty';
+}
+
+// ---------- Pseudocode ----------
+function rwPseudocode() {
+  return RW_PSEUDOCODE[sim.variant] || RW_PSEUDOCODE['readers-preference'];
+}
+
+function renderRWPseudocode() {
+  const code = rwPseudocode();
+  document.getElementById('shared-code').innerHTML = code.shared.map((line, i) => {
+    const value = line.key ? `<span data-rw-value="${line.key}">${escapeHtml(RW_SHARED_VALUES[line.key]())}</span>` : '';
+    return `<div class="pseudo-line" id="shared-line-${i}">${escapeHtml(line.text)}${value}</div>`;
+  }).join('');
+  document.getElementById('producer-code').innerHTML = code.reader
+    .map((l, i) => `<div class="pseudo-line" id="prod-line-${i}">${escapeHtml(l)}</div>`).join('');
+  document.getElementById('consumer-code').innerHTML = code.writer
+    .map((l, i) => `<div class="pseudo-line" id="cons-line-${i}">${escapeHtml(l)}</div>`).join('');
+}
+
+// most interesting thread of a kind: one inside, else one waiting, else the first
+function rwFocusThread(list) {
+  return list.find(t => t.state === 'reading' || t.state === 'writing') ||
+    list.find(t => t.state === 'waiting') ||
+    list[0];
+}
+
+function rwHighlight(block, prefix, lines, substr, cls) {
+  clearPseudoHighlights(block);
+  const idx = findIndex(lines, substr);
+  if (idx >= 0) highlightLineByIdWithClass(`${prefix}-line-${idx}`, cls);
+}
+
+function rwLineFor(t, code) {
+  if (!t) return null;
+  if (t.state === 'reading') return 'read_data()';
+  if (t.state === 'writing') return 'write_data()';
+  if (t.state === 'waiting') return t.kind === 'reader' ? code.readerWait : code.writerWait;
+  return 'while (true) {';
+}
+
+function highlightRWPseudocode() {
+  const code = rwPseudocode();
+  rwHighlight('prod', 'prod', code.reader, rwLineFor(rwFocusThread(sim.readers), code), 'prod-highlight');
+  rwHighlight('cons', 'cons', code.writer, rwLineFor(rwFocusThread(sim.writers), code), 'cons-highlight');
+
+  const sharedLines = code.shared.map(l => l.text);
+  if (sim.writerInside || sim.readersInside > 0) {
+    rwHighlight('shared', 'shared', sharedLines, 'rw_mutex', 'shared-highlight');
+  } else {
+    clearPseudoHighlights('shared');
+  }
+}
+
+// ---------- Metrics ----------
+function updateRWMetrics() {
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  const now = sim.now();
+  // longest wait so far, counting threads that are still waiting
+  const longest = kind => {
+    const current = sim.allThreads()
+      .filter(t => t.kind === kind && t.state === 'waiting' && t.requestedAt !== null)
+      .map(t => now - t.requestedAt);
+    return formatSimTime(Math.max(sim.maxWait[kind], ...current));
+  };
+
+  set('m-rw-readers', String(sim.readersInside));
+  set('m-rw-writer', sim.writerInside || 'none');
+  set('m-rw-wreaders', String(sim.waitingReaders().length));
+  set('m-rw-wwriters', String(sim.waitingWriters().length));
+  set('m-rw-reads', String(sim.readers.reduce((sum, r) => sum + r.count, 0)));
+  set('m-rw-writes', String(sim.writers.reduce((sum, w) => sum + w.count, 0)));
+  set('m-rw-rwait', longest('reader'));
+  set('m-rw-wwait', longest('writer'));
+}
+
+// ---------- Live control changes ----------
+let _applyRWSpeedsTO = null;
+
+function onRWInput(id) {
+  if (sim.isRunning && (id === 'producer-delay' || id === 'consumer-delay' || id === 'transfer-speed')) {
+    if (_applyRWSpeedsTO) clearTimeout(_applyRWSpeedsTO);
+    _applyRWSpeedsTO = setTimeout(() => {
+      if (!sim.isRunning) return;
+      const { readerDelay, writerDelay, accessSpeed } = readRWInputs();
+      sim.setSpeeds({ readerDelay, writerDelay, accessSpeed });
+      addMessage(`⚡ Speed updated: readers=${sim.readerDelay}ms, writers=${sim.writerDelay}ms, accessSpeed=${sim.accessSpeed}`);
+    }, 300);
+  }
+
+  if (id === 'sync-mode') {
+    sim.setVariant(document.getElementById('sync-mode').value);
+    renderPseudocode();
+    renderEntities();
+    if (sim.isRunning) addMessage(`🔀 Switched to ${sim.variant}`);
+  }
+}
+
+registerProblemView('readersWriters', {
+  title: 'Readers–Writers Visualization',
+  tracePrefix: 'rw',
+  chrome: {
+    labels: {
+      'sync-mode': 'Variant',
+      'transfer-speed': 'Access Speed (multiplier)',
+      'num-producers': 'Number of Readers',
+      'num-consumers': 'Number of Writers',
+      'producer-delay': 'Reader Think Time (ms)',
+      'consumer-delay': 'Writer Think Time (ms)'
+    },
+    hidden: ['sched-policy', 'buffer-capacity', 'buffer-type'],
+    syncOptions: [
+      ['readers-preference', 'Readers-preference (writers may starve)'],
+      ['writers-preference', 'Writers-preference (readers may starve)'],
+      ['fair', 'Fair (FIFO queue)']
+    ],
+    columns: ['Readers', 'Writers'],
+    legend: `
+      <li class="legend-item"><span class="legend-shape legend-producing" aria-hidden="true"></span><span class="legend-label">reading</span></li>
+      <li class="legend-item"><span class="legend-shape legend-consuming" aria-hidden="true"></span><span class="legend-label">writing</span></li>
+      <li class="legend-item"><span class="legend-shape legend-holding" aria-hidden="true"></span><span class="legend-label">waiting for access (⏳ = time waited)</span></li>
+      <li class="legend-item"><span class="legend-shape legend-idle" aria-hidden="true"></span><span class="legend-label">thinking (not interested)</span></li>`,
+    metrics: `
+      <div>Readers inside: <strong id="m-rw-readers">0</strong> • Writer inside: <strong id="m-rw-writer">none</strong></div>
+      <div>Waiting Readers: <strong id="m-rw-wreaders">0</strong> • Waiting Writers: <strong id="m-rw-wwriters">0</strong></div>
+      <div>Reads: <strong id="m-rw-reads">0</strong> • Writes: <strong id="m-rw-writes">0</strong></div>
+      <div>Longest wait — readers: <strong id="m-rw-rwait">0.000s</strong> • writers: <strong id="m-rw-wwait">0.000s</strong></div>`,
+    hint: 'Click Start. Compare the variants: watch the ⏳ wait times to see which side starves.'
+  },
+  readInputs: readRWInputs,
+  createSim: config => new OSEngine.ReadersWritersSim(config),
+  startMessage: () =>
+    `Started: ${sim.readers.length} reader(s) @ ${sim.readerDelay}ms, ${sim.writers.length} writer(s) @ ${sim.writerDelay}ms, variant=${sim.variant}, accessSpeed=${sim.accessSpeed}, seed=${sim.seed}`,
+  onInput: onRWInput,
+  build: buildRWEntities,
+  render: renderRWEntities,
+  renderPseudocode: renderRWPseudocode,
+  highlightPseudocode: highlightRWPseudocode,
+  updateMetrics: updateRWMetrics
+});
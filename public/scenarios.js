@@ -0,0 +1,123 @@
+// Scenario presets: named copies of the Simulation Controls kept by the
+// server (routes/scenarios.js). Loading one fills the controls and resets
+// the run; built-ins can be loaded but not renamed or deleted.
+
+const SCENARIO_API = '/api/scenarios';
+
+let scenarios = [];
+
+async function scenarioRequest(method, url, body) {
+  const res = await fetch(url, {
+    method,
+    headers: body ? { 'Content-Type': 'application/json' } : {},
+    body: body ? JSON.stringify(body) : undefined
+  });
+  if (res.status === 204) return null;
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.details ? data.details.join('; ') : data.error);
+  return data;
+}
+
+function selectedScenario() {
+  const select = document.getElementById('scenario-select');
+  return select ? scenarios.find(s => s.id === select.value) : null;
+}
+
+// built-ins can only be loaded
+function updateScenarioButtons() {
+  const s = selectedScenario();
+  const set = (id, disabled) => {
+    const btn = document.getElementById(id);
+    if (btn) btn.disabled = disabled;
+  };
+  set('scenario-load', !s);
+  set('scenario-rename', !s || s.builtin);
+  set('scenario-delete', !s || s.builtin);
+}
+
+// Fills the picker; `selectId` is kept selected when given.
+async function refreshScenarios(selectId) {
+  const select = document.getElementById('scenario-select');
+  if (!select) return;
+  const keep = selectId || select.value;
+  try {
+    scenarios = await scenarioRequest('GET', SCENARIO_API);
+  } catch (err) {
+    // e.g. the page was opened without server.js behind it
+    scenarios = [];
+    select.innerHTML = '<option value="">scenarios unavailable</option>';
+    updateScenarioButtons();
+    return;
+  }
+  const group = (label, list) => list.length === 0 ? '' :
+    `<optgroup label="${label}">${list.map(s => `<option value="${escapeHtml(s.id)}">${escapeHtml(s.name)}</option>`).join('')}</optgroup>`;
+  select.innerHTML = group('Built-in', scenarios.filter(s => s.builtin)) + group('Saved', scenarios.filter(s => !s.builtin));
+  if (scenarios.some(s => s.id === keep)) select.value = keep;
+  updateScenarioButtons();
+}
+
+// the controls as a scenario config; a blank seed stays blank (null)
+function currentScenarioConfig() {
+  const config = readPCInputs();
+  const seedEl = document.getElementById('seed');
+  config.seed = seedEl && seedEl.value.trim() !== '' ? config.seed : null;
+  return config;
+}
+
+function loadSelectedScenario() {
+  const s = selectedScenario();
+  if (!s) return;
+  // a field the scenario leaves out goes back to its default instead of
+  // keeping whatever the last one set
+  const config = OSEngine.normalizeConfig(s.config);
+  if (s.config.seed === undefined || s.config.seed === null) config.seed = null;
+  applyConfigToInputs(config);
+  resetProducerConsumer();
+  showPseudocodeFor(sim.syncMode);
+  addMessage(`📂 Loaded scenario "${s.name}"`);
+}
+
+async function saveScenario() {
+  const name = prompt('Save the current controls as scenario:', '');
+  if (name === null) return;
+  try {
+    const saved = await scenarioRequest('POST', SCENARIO_API, { name, config: currentScenarioConfig() });
+    await refreshScenarios(saved.id);
+    addMessage(`💾 Saved scenario "${saved.name}"`);
+  } catch (err) {
+    addMessage(`❌ Could not save scenario: ${err.message}`);
+  }
+}
+
+async function renameScenario() {
+  const s = selectedScenario();
+  if (!s || s.builtin) return;
+  const name = prompt(`Rename "${s.name}" to:`, s.name);
+  if (name === null || name.trim() === s.name) return;
+  try {
+    const renamed = await scenarioRequest('PATCH', `${SCENARIO_API}/${encodeURIComponent(s.id)}`, { name });
+    await refreshScenarios(renamed.id);
+    addMessage(`✏️ Renamed scenario "${s.name}" to "${renamed.name}"`);
+  } catch (err) {
+    addMessage(`❌ Could not rename scenario: ${err.message}`);
+  }
+}
+
+async function deleteScenario() {
+  const s = selectedScenario();
+  if (!s || s.builtin) return;
+  if (!confirm(`Delete scenario "${s.name}"?`)) return;
+  try {
+    await scenarioRequest('DELETE', `${SCENARIO_API}/${encodeURIComponent(s.id)}`);
+    await refreshScenarios();
+    addMessage(`🗑 Deleted scenario "${s.name}"`);
+  } catch (err) {
+    addMessage(`❌ Could not delete scenario: ${err.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const select = document.getElementById('scenario-select');
+  if (select) select.addEventListener('change', updateScenarioButtons);
+  refreshScenarios();
+});
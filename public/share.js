@@ -0,0 +1,95 @@
+// Shareable links. The Producers–Consumers controls, the pseudocode shown
+// and the seed go into the page's query string, e.g.
+//   /?bufferCapacity=2&producers=1&...&syncMode=wrong-order&seed=3&pcode=wrong-order&autostart=1
+// Per-thread timings, when any are set, ride along as JSON in `timings`.
+// Opening such a link puts the same values back before the page's first
+// reset, and starts the run when autostart=1.
+
+const SHARE_FIELDS = [
+  'bufferCapacity', 'producers', 'consumers', 'producerDelay', 'consumerDelay',
+  'syncMode', 'policy', 'bufferType', 'robustMutex', 'transferSpeed', 'seed'
+];
+
+// The link for the current controls. A blank seed is filled in with the
+// seed of the run on screen, so the link replays what the viewer saw.
+function shareURL(autostart) {
+  const config = readPCInputs();
+  const seedEl = document.getElementById('seed');
+  if (seedEl && seedEl.value.trim() === '' && sim && !sim.isReplay && !activeView()) config.seed = sim.seed;
+
+  const url = new URL(location.href);
+  url.search = '';
+  url.hash = '';
+  SHARE_FIELDS.forEach(field => url.searchParams.set(field, String(config[field])));
+  if (Object.keys(config.timings).length > 0) url.searchParams.set('timings', JSON.stringify(config.timings));
+  url.searchParams.set('pcode', pcodeMode);
+  if (autostart) url.searchParams.set('autostart', '1');
+  return url.toString();
+}
+
+async function copyShareLink() {
+  const autostartEl = document.getElementById('share-autostart');
+  const url = shareURL(autostartEl && autostartEl.checked);
+  history.replaceState(null, '', url);
+  try {
+    await navigator.clipboard.writeText(url);
+    addMessage('🔗 Link copied — opening it restores these settings');
+  } catch (err) {
+    // no clipboard access (e.g. plain http): let the user copy it by hand
+    prompt('Copy this link:', url);
+  }
+}
+
+// { config, pcode, autostart } from a query string, or null if it has no
+// settings; values go through normalizeConfig like typed-in ones
+function parseShareParams(search) {
+  const params = new URLSearchParams(search);
+  if (!SHARE_FIELDS.some(field => params.has(field))) return null;
+  const raw = {};
+  SHARE_FIELDS.forEach(field => {
+    if (params.has(field)) raw[field] = params.get(field);
+  });
+  if (params.has('timings')) {
+    try {
+      raw.timings = JSON.parse(params.get('timings'));
+    } catch (err) {
+      // a mangled link still restores everything else
+    }
+  }
+  const config = OSEngine.normalizeConfig(raw);
+  if (!params.has('seed') || params.get('seed').trim() === '') config.seed = null;
+  return {
+    config,
+    pcode: params.get('pcode'),
+    autostart: params.get('autostart') === '1'
+  };
+}
+
+function applyShareParams(shared) {
+  applyConfigToInputs(shared.config);
+  if (shared.pcode) {
+    const radio = Array.from(document.querySelectorAll('input[name="pcode-mode"]')).find(r => r.value === shared.pcode);
+    if (radio) {
+      radio.checked = true;
+      radio.dispatchEvent(new Event('change'));
+    }
+  }
+  const autostartEl = document.getElementById('share-autostart');
+  if (autostartEl) autostartEl.checked = shared.autostart;
+}
+
+// Runs before the page opens Producers–Consumers (that listener is added
+// later), so the first reset already reads the shared values.
+document.addEventListener('DOMContentLoaded', () => {
+  const shared = parseShareParams(location.search);
+  if (!shared) return;
+  applyShareParams(shared);
+  setTimeout(() => {
+    // filling the inputs fires no change events, so pick the pseudocode
+    // here; the link may ask for a different one than the sync mode's
+    showPseudocodeFor(shared.config.syncMode);
+    if (shared.pcode) applyShareParams({ config: {}, pcode: shared.pcode, autostart: shared.autostart });
+    if (shared.autostart) startProducerConsumer();
+    addMessage('🔗 Settings loaded from the link');
+  }, 0);
+});
@@ -0,0 +1,303 @@
+// Sleeping Barber view — draws an OSEngine.SleepingBarberSim: barbers in the
+// left column, the customers inside the shop in the right one, and the shop
+// itself (door, waiting room chairs, barber chairs, exit) inside the ring.
+// Customers walking between them are the same clock-driven particles
+// Producers–Consumers uses for items.
+
+// ---------- Pseudocode (semaphore solution) ----------
+// `at` marks the line a thread with that pc is on; shared lines with a
+// `key` get a live value from SB_SHARED_VALUES
+const SB_PSEUDOCODE = {
+  shared: [
+    { text: 'Shared Data' },
+    { text: 'semaphore customers = ', key: 'customers' },
+    { text: 'semaphore barbers = ', key: 'barbers' },
+    { text: 'semaphore mutex = ', key: 'mutex' },
+    { text: 'int free_seats = ', key: 'freeSeats' }
+  ],
+  barber: [
+    { text: 'Barber Process' },
+    { text: 'Barber() {' },
+    { text: 'while (true) {' },
+    { text: 'wait(customers)     // sleep if none', at: 'sleep' },
+    { text: 'wait(mutex)', at: 'mutex' },
+    { text: 'free_seats++' },
+    { text: 'signal(barbers)', at: 'call' },
+    { text: 'signal(mutex)' },
+    { text: 'cut_hair()', at: 'cut' },
+    { text: '}' },
+    { text: '}' }
+  ],
+  customer: [
+    { text: 'Customer Process' },
+    { text: 'Customer() {' },
+    { text: 'wait(mutex)', at: 'mutex' },
+    { text: 'if (free_seats > 0) {' },
+    { text: 'free_seats--' },
+    { text: 'signal(customers)' },
+    { text: 'signal(mutex)' },
+    { text: 'wait(barbers)', at: 'wait-barber' },
+    { text: 'get_haircut()', at: 'haircut' },
+    { text: '} else {' },
+    { text: 'signal(mutex)' },
+    { text: 'leave()           // turned away' },
+    { text: '}' },
+    { text: '}' }
+  ]
+};
+
+const SB_SHARED_VALUES = {
+  customers: () => String(sim.semCustomers.value),
+  barbers: () => String(sim.semBarbers.value),
+  mutex: () => (sim.mutexHolder ? `0 (${sim.mutexHolder})` : '1'),
+  freeSeats: () => `${sim.freeSeats} of ${sim.chairs.length}`
+};
+
+// ---------- Entities ----------
+let barberViews = [];
+
+const SB_STATE_STYLES = {
+  sleeping: { border: '#fbbf24', background: '#020617', color: '#fbbf24', shadow: 'none' },
+  arriving: { border: '#f97316', background: '#020617', color: '#f97316', shadow: '0 6px 20px #f9731644' },
+  waiting: { border: '#ffffff', background: '#020617', color: '#ffffff', shadow: '0 6px 20px #ffffff44' },
+  seated: { border: '#ffffff', background: '#020617', color: '#ffffff', shadow: '0 6px 20px #ffffff44' },
+  ready: { border: '#ffffff', background: '#020617', color: '#ffffff', shadow: '0 6px 20px #ffffff44' },
+  cutting: { border: '#16a34a', background: '#16a34a', color: '#020617', shadow: '0 8px 22px #16a34a66' },
+  haircut: { border: '#16a34a', background: '#16a34a', color: '#020617', shadow: '0 8px 22px #16a34a66' }
+};
+
+function readSBInputs() {
+  const value = id => {
+    const el = document.getElementById(id);
+    return el ? el.value : undefined;
+  };
+  // same inputs as Producers–Consumers, relabeled
+  return OSEngine.normalizeSBConfig({
+    barbers: value('num-producers'),
+    chairs: value('buffer-capacity'),
+    arrivalDelay: value('producer-delay'),
+    cutDelay: value('consumer-delay'),
+    seed: (value('seed') || '').trim() // blank -> fresh random seed
+  });
+}
+
+function createSBEntity(column, key, cls) {
+  const el = document.createElement('div');
+  el.classList.add('entity', cls);
+
+  const shape = document.createElement('div');
+  shape.classList.add('entity-shape');
+  shape.textContent = key;
+
+  const label = document.createElement('div');
+  label.classList.add('entity-label');
+  label.textContent = key;
+
+  el.appendChild(shape);
+  el.appendChild(label);
+  column.appendChild(el);
+  return { el, shapeEl: shape, labelEl: label };
+}
+
+function buildSBEntities() {
+  const barberCol = document.getElementById('producers-column');
+  barberCol.innerHTML = '';
+  document.getElementById('consumers-column').innerHTML = '';
+  barberViews = sim.barbers.map(b => createSBEntity(barberCol, b.key, 'producer'));
+
+  // waiting room chairs around the rim, barber chairs in the middle
+  const shop = document.getElementById('circular-buffer');
+  shop.innerHTML = '';
+  const n = sim.chairs.length;
+  sim.chairs.forEach((_, i) => {
+    const chair = document.createElement('div');
+    chair.className = 'buffer-slot sb-chair';
+    chair.id = `sb-chair-${i}`;
+    // spread over the upper arc, leaving the bottom for the door and exit
+    const angle = Math.PI * (0.8 + (1.4 * (i + 0.5)) / Math.max(1, n));
+    chair.style.left = `${50 + 40 * Math.cos(angle)}%`;
+    chair.style.top = `${50 + 40 * Math.sin(angle)}%`;
+    shop.appendChild(chair);
+  });
+
+  const stations = document.createElement('div');
+  stations.className = 'sb-stations';
+  sim.barbers.forEach(b => {
+    const station = document.createElement('div');
+    station.className = 'sb-bchair';
+    station.id = `sb-bchair-${b.key}`;
+    stations.appendChild(station);
+  });
+  shop.appendChild(stations);
+
+  shop.insertAdjacentHTML('beforeend', `
+    <div class="sb-door" id="sb-door">🚪 in</div>
+    <div class="sb-door sb-exit" id="sb-exit">out 🚪</div>`);
+
+  renderEntities();
+  renderPseudocode();
+}
+
+function renderSBEntities() {
+  const now = sim.now();
+  sim.barbers.forEach((b, i) => {
+    const v = barberViews[i];
+    if (!v) return;
+    paintEntityShape(v.shapeEl, SB_STATE_STYLES[b.state] || SB_STATE_STYLES.sleeping);
+    let doing = '';
+    if (b.state === 'sleeping') doing = ' 💤';
+    else if (b.state === 'cutting') doing = ` ✂️ ${b.customer}`;
+    v.labelEl.textContent = `${b.key} (${b.count})${doing} idle ${formatSimTime(sim.idleTime(b))}`;
+
+    const station = document.getElementById(`sb-bchair-${b.key}`);
+    if (station) {
+      paintEntityShape(station, SB_STATE_STYLES[b.state] || SB_STATE_STYLES.sleeping);
+      station.textContent = b.customer ? `${b.key} ✂️ ${b.customer}` : b.state === 'sleeping' ? `${b.key} 💤` : b.key;
+    }
+  });
+
+  // customers come and go, so their column is redrawn every time
+  const custCol = document.getElementById('consumers-column');
+  custCol.innerHTML = '';
+  sim.customers.forEach(c => {
+    const v = createSBEntity(custCol, c.key, 'consumer');
+    paintEntityShape(v.shapeEl, SB_STATE_STYLES[c.state] || SB_STATE_STYLES.waiting);
+    let where = 'at the door';
+    if (c.state === 'seated') where = c.chair !== null ? `chair ${c.chair + 1}` : 'seated';
+    else if (c.state === 'haircut') where = `with ${c.barber}`;
+    const wait = c.state !== 'haircut' ? ` ⏳${formatSimTime(now - c.arrivedAt)}` : '';
+    v.labelEl.textContent = `${c.key} ${where}${wait}`;
+  });
+
+  sim.chairs.forEach((key, i) => {
+    const chair = document.getElementById(`sb-chair-${i}`);
+    if (!chair) return;
+    chair.textContent = key || '';
+    chair.classList.toggle('write', !!key);
+  });
+}
+
+// ---------- Customers walking ----------
+function sbSpotElement(spot) {
+  if (spot === 'door') return document.getElementById('sb-door');
+  if (spot === 'exit') return document.getElementById('sb-exit');
+  if (spot.startsWith('chair-')) return document.getElementById(`sb-chair-${spot.slice(6)}`);
+  return document.getElementById(`sb-bchair-${spot.slice(7)}`);
+}
+
+function animateSBTransfer(ev) {
+  const from = sbSpotElement(ev.from);
+  const to = sbSpotElement(ev.to);
+  if (!from || !to || !animationContainer) return;
+  const a = from.getBoundingClientRect();
+  const b = to.getBoundingClientRect();
+  const color = producerColor(parseInt(ev.actor.slice(1), 10));
+  animateItemTransferAbsolute(
+    a.left + a.width / 2 - 14, a.top + a.height / 2 - 14,
+    b.left + b.width / 2 - 14, b.top + b.height / 2 - 14,
+    color, ev.duration, null, ev.startedAt
+  );
+}
+
+// ---------- Pseudocode ----------
+function pseudoLinesWithMarkers(lines, prefix, threads) {
+  const at = {};
+  threads.forEach(t => { (at[t.pc] = at[t.pc] || []).push(t.key); });
+  return lines.map((line, i) => {
+    const who = line.at && at[line.at] ? `<span class="pseudo-marker">${at[line.at].join(' ')}</span>` : '';
+    return `<div class="pseudo-line" id="${prefix}-line-${i}">${escapeHtml(line.text)}${who}</div>`;
+  }).join('');
+}
+
+function renderSBPseudocode() {
+  document.getElementById('shared-code').innerHTML = SB_PSEUDOCODE.shared.map((line, i) => {
+    const value = line.key ? escapeHtml(SB_SHARED_VALUES[line.key]()) : '';
+    return `<div class="pseudo-line" id="shared-line-${i}">${escapeHtml(line.text)}${value}</div>`;
+  }).join('');
+  document.getElementById('producer-code').innerHTML = pseudoLinesWithMarkers(SB_PSEUDOCODE.barber, 'prod', sim.barbers);
+  document.getElementById('consumer-code').innerHTML = pseudoLinesWithMarkers(SB_PSEUDOCODE.customer, 'cons', sim.customers);
+}
+
+function highlightSBPseudocode() {
+  const mark = (lines, block, threads, cls) => {
+    const occupied = new Set(threads.map(t => t.pc));
+    clearPseudoHighlights(block);
+    lines.forEach((line, i) => {
+      if (line.at && occupied.has(line.at)) highlightLineByIdWithClass(`${block}-line-${i}`, cls);
+    });
+  };
+  mark(SB_PSEUDOCODE.barber, 'prod', sim.barbers, 'prod-highlight');
+  mark(SB_PSEUDOCODE.customer, 'cons', sim.customers, 'cons-highlight');
+
+  clearPseudoHighlights('shared');
+  if (sim.mutexHolder) highlightLineByIdWithClass('shared-line-3', 'shared-highlight');
+}
+
+// ---------- Metrics ----------
+function updateSBMetrics() {
+  const set = (id, text) => {
+    const el = document.getElementById(id);
+    if (el) el.textContent = text;
+  };
+  const elapsed = sim.now();
+  const idle = sim.barbers.reduce((sum, b) => sum + sim.idleTime(b), 0);
+  const share = elapsed > 0 ? Math.round((100 * idle) / (elapsed * sim.barbers.length)) : 0;
+
+  set('m-sb-served', String(sim.served));
+  set('m-sb-away', String(sim.turnedAway));
+  set('m-sb-waiting', `${sim.chairs.filter(Boolean).length}/${sim.chairs.length}`);
+  set('m-sb-idle', `${formatSimTime(idle)} (${share}%)`);
+  set('m-sb-wait', sim.served > 0 ? formatSimTime(sim.totalWait / sim.served) : '—');
+}
+
+// ---------- Live control changes ----------
+let _applySBSpeedsTO = null;
+
+function onSBInput(id) {
+  if (sim.isRunning && (id === 'producer-delay' || id === 'consumer-delay')) {
+    if (_applySBSpeedsTO) clearTimeout(_applySBSpeedsTO);
+    _applySBSpeedsTO = setTimeout(() => {
+      if (!sim.isRunning) return;
+      const { arrivalDelay, cutDelay } = readSBInputs();
+      sim.setSpeeds({ arrivalDelay, cutDelay });
+      addMessage(`⚡ Speed updated: arrivals every ~${sim.arrivalDelay}ms, haircut=${sim.cutDelay}ms`);
+    }, 300);
+  }
+}
+
+registerProblemView('sleepingBarber', {
+  title: 'Sleeping Barber Visualization',
+  tracePrefix: 'barber',
+  chrome: {
+    labels: {
+      'num-producers': 'Number of Barbers',
+      'buffer-capacity': 'Waiting Room Chairs',
+      'producer-delay': 'Mean Arrival Interval (ms)',
+      'consumer-delay': 'Haircut Time (ms)'
+    },
+    hidden: ['sync-mode', 'sched-policy', 'transfer-speed', 'num-consumers', 'buffer-type'],
+    columns: ['Barbers', 'Customers'],
+    legend: `
+      <li class="legend-item"><span class="legend-shape legend-producing" aria-hidden="true"></span><span class="legend-label">cutting / getting a haircut</span></li>
+      <li class="legend-item"><span class="legend-shape legend-holding" aria-hidden="true"></span><span class="legend-label">waiting (chair or mutex)</span></li>
+      <li class="legend-item"><span class="legend-shape legend-waiting" aria-hidden="true"></span><span class="legend-label">customer at the door</span></li>
+      <li class="legend-item"><span class="legend-shape legend-idle" aria-hidden="true"></span><span class="legend-label">barber asleep</span></li>
+      <li class="legend-item"><span class="legend-star" aria-hidden="true">★</span><span class="legend-label">customer walking (color = customer)</span></li>`,
+    metrics: `
+      <div>Served: <strong id="m-sb-served">0</strong> • Turned away: <strong id="m-sb-away">0</strong></div>
+      <div>Chairs taken: <strong id="m-sb-waiting">0/0</strong> • Avg wait: <strong id="m-sb-wait">—</strong></div>
+      <div>Barber idle time: <strong id="m-sb-idle">0.000s (0%)</strong></div>`,
+    hint: 'Click Start. Fewer chairs or faster arrivals turn more customers away; more barbers means more idle time.'
+  },
+  readInputs: readSBInputs,
+  createSim: config => new OSEngine.SleepingBarberSim(config),
+  startMessage: () =>
+    `Started: ${sim.barbers.length} barber(s), ${sim.chairs.length} chair(s), arrivals every ~${sim.arrivalDelay}ms, haircut=${sim.cutDelay}ms, seed=${sim.seed}`,
+  onInput: onSBInput,
+  build: buildSBEntities,
+  render: renderSBEntities,
+  renderPseudocode: renderSBPseudocode,
+  highlightPseudocode: highlightSBPseudocode,
+  updateMetrics: updateSBMetrics,
+  animateTransfer: animateSBTransfer
+});
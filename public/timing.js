@@ -0,0 +1,166 @@
+// Per-thread timing panel. Each producer and consumer either keeps the
+// shared delay or gets its own distribution (OSEngine.TIMING_DISTRIBUTIONS);
+// changes reach a running simulation at once. Under the rows, the buffer
+// length measured so far is set against the rough M/M/1/K estimate.
+
+const TIMING_DIST_LABELS = {
+  constant: 'constant',
+  uniform: 'uniform',
+  exponential: 'exponential (Poisson)',
+  normal: 'normal',
+  bursty: 'bursty on/off'
+};
+
+const TIMING_PARAM_LABELS = { mean: 'mean', min: 'min', max: 'max', sd: 'sd', on: 'on', off: 'off' };
+
+// how often the open panel recomputes the measured buffer length (wall ms)
+const TIMING_PREDICTION_MS = 1000;
+
+// thread key -> timing; the rows show it, readPCInputs reads it back
+let timingDraft = {};
+
+// thread counts and shared delays as the controls have them, clamped
+function timingControlValues() {
+  const value = id => {
+    const el = document.getElementById(id);
+    return el ? el.value : undefined;
+  };
+  return OSEngine.normalizeConfig({
+    producers: value('num-producers'),
+    consumers: value('num-consumers'),
+    producerDelay: value('producer-delay'),
+    consumerDelay: value('consumer-delay')
+  });
+}
+
+// the threads the counts ask for, plus any spawned into the running simulation
+function timingThreadKeys() {
+  const { producers, consumers } = timingControlValues();
+  const live = liveTimingSim();
+  const keys = (prefix, count, threads) => {
+    const ids = new Set(Array.from({ length: count }, (_, i) => i + 1));
+    threads.forEach(t => ids.add(t.id));
+    return Array.from(ids).sort((a, b) => a - b).map(id => `${prefix}${id}`);
+  };
+  return keys('P', producers, live ? live.producers : []).concat(keys('C', consumers, live ? live.consumers : []));
+}
+
+function liveTimingSim() {
+  return sim && !sim.isReplay && !activeView() && sim.isRunning ? sim : null;
+}
+
+// rows again after threads were spawned or retired
+function refreshTimingRows() {
+  readTimingInputs();
+  buildTimingControls();
+}
+
+function sharedDelayFor(key) {
+  const c = timingControlValues();
+  return key[0] === 'P' ? c.producerDelay : c.consumerDelay;
+}
+
+function buildTimingControls() {
+  const box = document.getElementById('timing-rows');
+  if (!box) return;
+  const options = dist => ['<option value="shared">shared delay</option>']
+    .concat(Object.keys(OSEngine.TIMING_DISTRIBUTIONS).map(d =>
+      `<option value="${d}"${d === dist ? ' selected' : ''}>${TIMING_DIST_LABELS[d]}</option>`))
+    .join('');
+  box.innerHTML = timingThreadKeys().map(key => {
+    const timing = timingDraft[key];
+    const params = timing
+      ? OSEngine.TIMING_DISTRIBUTIONS[timing.dist].map(p => {
+        const label = timing.dist === 'bursty' && p === 'mean' ? 'gap' : TIMING_PARAM_LABELS[p];
+        return `<label>${label} <input id="tm-${key}-${p}" type="number" min="${p === 'sd' ? 0 : OSEngine.TIMING_LIMIT.min}" step="50" value="${timing[p]}"></label>`;
+      }).join('')
+      : `<span class="tm-shared">${sharedDelayFor(key)} ms + jitter</span>`;
+    return `
+      <div class="tm-row">
+        <span class="tm-key">${key}</span>
+        <select id="tm-dist-${key}">${options(timing ? timing.dist : 'shared')}</select>
+        ${params}
+      </div>`;
+  }).join('');
+}
+
+// the rows as a `timings` config; threads on the shared delay are left out
+function readTimingInputs() {
+  const draft = {};
+  timingThreadKeys().forEach(key => {
+    const distEl = document.getElementById(`tm-dist-${key}`);
+    const prev = timingDraft[key];
+    const dist = distEl ? distEl.value : (prev ? prev.dist : 'shared');
+    if (!OSEngine.TIMING_DISTRIBUTIONS[dist]) return;
+    // a distribution picked just now has no inputs yet: it starts from its defaults
+    const raw = { dist };
+    if (prev && prev.dist === dist) {
+      OSEngine.TIMING_DISTRIBUTIONS[dist].forEach(p => {
+        const el = document.getElementById(`tm-${key}-${p}`);
+        raw[p] = el ? el.value : prev[p];
+      });
+    }
+    const timing = OSEngine.normalizeTiming(raw, sharedDelayFor(key));
+    if (timing) draft[key] = timing;
+  });
+  timingDraft = draft;
+  return draft;
+}
+
+function setTimingDraft(timings) {
+  timingDraft = Object.assign({}, timings || {});
+  buildTimingControls();
+}
+
+function onTimingChange(e) {
+  const id = e.target && e.target.id;
+  if (!id || !id.startsWith('tm-')) return;
+  const key = id.split('-')[id.startsWith('tm-dist-') ? 2 : 1];
+  readTimingInputs();
+  if (id.startsWith('tm-dist-')) buildTimingControls();
+
+  if (!liveTimingSim() || !sim.getThread(key)) return;
+  sim.setTiming(key, timingDraft[key] || null);
+  addMessage(`⏱ ${key} timing: ${OSEngine.describeTiming(sim.getThread(key) && sim.getThread(key).timing)}`);
+  updateTimingPrediction();
+}
+
+function formatQueue(v) {
+  return isFinite(v) ? v.toFixed(2) : '∞ (grows without bound)';
+}
+
+function updateTimingPrediction() {
+  const panel = document.getElementById('timing-panel');
+  const out = document.getElementById('timing-prediction');
+  if (!panel || !out || !panel.open || !sim || activeView()) return;
+  // spawned and retired threads and a resized buffer count as they are now
+  const live = Object.assign({}, sim.config, { bufferCapacity: sim.bufferCapacity });
+  const p = OSEngine.predictionForConfig(live, sim.allThreads().filter(t => !t.retiring).map(t => t.key));
+  const lines = [
+    `${p.model} estimate: ρ = ${p.rho.toFixed(2)} · waiting ≈ ${formatQueue(p.meanQueue)} items` +
+      (p.blocking > 0.005 ? ` · full ${(p.blocking * 100).toFixed(0)}% of the time` : '')
+  ];
+  if (p.rough) {
+    lines.push('rough: the model assumes one exponential producer and consumer and a mostly idle lock');
+  }
+  const now = sim.now();
+  if (now > 0) {
+    lines.push(`measured: ${OSEngine.meanBufferLength(sim.trace, now).toFixed(2)} items waiting (mean over ${formatSimTime(now)})`);
+  }
+  out.textContent = lines.join('\n');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  buildTimingControls();
+  const panel = document.getElementById('timing-panel');
+  if (panel) {
+    panel.addEventListener('change', onTimingChange);
+    panel.addEventListener('toggle', updateTimingPrediction);
+  }
+  // the rows follow the thread counts; "shared" rows show the shared delays
+  document.addEventListener('input', e => {
+    const id = e.target && e.target.id;
+    if (['num-producers', 'num-consumers', 'producer-delay', 'consumer-delay'].includes(id)) refreshTimingRows();
+  });
+  setInterval(updateTimingPrediction, TIMING_PREDICTION_MS);
+});
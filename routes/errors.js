@@ -0,0 +1,10 @@
+// Last middleware of the API routers: malformed JSON bodies and anything
+// thrown by a handler come back as { error } instead of an HTML page.
+function jsonErrors(err, req, res, next) {
+  const status = err.status || err.statusCode || 500;
+  let message = status === 500 ? 'internal error' : err.message;
+  if (err.type === 'entity.parse.failed') message = `invalid JSON body: ${err.message}`;
+  res.status(status).json({ error: message });
+}
+
+module.exports = { jsonErrors };
@@ -0,0 +1,155 @@
+// Named Simulation Controls presets ("scenarios").
+//
+//   GET    /api/scenarios        built-ins first, then saved ones by name
+//   GET    /api/scenarios/:id
+//   POST   /api/scenarios        { name, config } -> 201 scenario
+//   PATCH  /api/scenarios/:id    { name } renames a saved scenario
+//   DELETE /api/scenarios/:id    -> 204
+//
+// Built-ins come from data/builtin-scenarios.json and are read-only; saved
+// scenarios live in data/scenarios.json (SCENARIOS_FILE overrides the path).
+// `config` is validated like POST /api/simulations. Every scenario's config
+// comes back complete, with defaults for the fields it left out, so loading
+// one sets every control; a missing seed is kept as null so loading the
+// scenario leaves the seed blank (random).
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const { jsonErrors } = require('./errors');
+const { configErrors, normalizeConfig } = require('../public/engine');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const BUILTIN_FILE = path.join(DATA_DIR, 'builtin-scenarios.json');
+const SAVED_FILE = process.env.SCENARIOS_FILE || path.join(DATA_DIR, 'scenarios.json');
+
+const MAX_NAME_LENGTH = 60;
+
+// every field filled in, except that a missing seed stays null
+function scenarioConfig(config) {
+  return Object.assign(normalizeConfig(config), { seed: config.seed === undefined ? null : config.seed });
+}
+
+const builtins = JSON.parse(fs.readFileSync(BUILTIN_FILE, 'utf8'))
+  .map(s => Object.assign({ builtin: true }, s, { config: scenarioConfig(s.config) }));
+
+const router = express.Router();
+router.use(express.json({ limit: '20kb' }));
+
+function readSaved() {
+  if (!fs.existsSync(SAVED_FILE)) return [];
+  return JSON.parse(fs.readFileSync(SAVED_FILE, 'utf8'));
+}
+
+// write to a temp file first so a crash never leaves half a JSON file
+function writeSaved(list) {
+  fs.mkdirSync(path.dirname(SAVED_FILE), { recursive: true });
+  const tmp = `${SAVED_FILE}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(list, null, 2) + '\n');
+  fs.renameSync(tmp, SAVED_FILE);
+}
+
+function allScenarios() {
+  const saved = readSaved().sort((a, b) => a.name.localeCompare(b.name));
+  return builtins.concat(saved.map(s => Object.assign({ builtin: false }, s)));
+}
+
+// null, or { status, message }: 400 for a bad name, 409 for one in use
+function nameProblem(name, exceptId) {
+  if (typeof name !== 'string' || name.trim() === '') return { status: 400, message: 'name must be a non-empty string' };
+  if (name.trim().length > MAX_NAME_LENGTH) {
+    return { status: 400, message: `name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  const lower = name.trim().toLowerCase();
+  if (allScenarios().some(s => s.id !== exceptId && s.name.toLowerCase() === lower)) {
+    return { status: 409, message: `a scenario named "${name.trim()}" already exists` };
+  }
+  return null;
+}
+
+function sendErrors(res, status, errors) {
+  res.status(status).json({ error: 'invalid scenario', details: errors });
+}
+
+router.get('/', (req, res) => {
+  res.json(allScenarios());
+});
+
+router.get('/:id', (req, res) => {
+  const scenario = allScenarios().find(s => s.id === req.params.id);
+  if (!scenario) {
+    res.status(404).json({ error: `no scenario ${req.params.id}` });
+    return;
+  }
+  res.json(scenario);
+});
+
+router.post('/', (req, res) => {
+  const body = req.body || {};
+  const config = body.config;
+  const errors = [];
+  if (!config || typeof config !== 'object' || Array.isArray(config)) errors.push('config must be an object');
+  else errors.push(...configErrors(config).map(msg => `config: ${msg}`));
+  const problem = nameProblem(body.name);
+  if (problem) errors.push(problem.message);
+  if (errors.length > 0) {
+    // a name clash alone is a conflict, anything else a bad request
+    sendErrors(res, problem && errors.length === 1 ? problem.status : 400, errors);
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const scenario = {
+    id: crypto.randomUUID(),
+    name: body.name.trim(),
+    config: scenarioConfig(config),
+    createdAt: now,
+    updatedAt: now
+  };
+  const saved = readSaved();
+  saved.push(scenario);
+  writeSaved(saved);
+  res.status(201).location(`${req.baseUrl}/${scenario.id}`).json(Object.assign({ builtin: false }, scenario));
+});
+
+router.patch('/:id', (req, res) => {
+  if (builtins.some(s => s.id === req.params.id)) {
+    res.status(403).json({ error: 'built-in scenarios cannot be renamed' });
+    return;
+  }
+  const saved = readSaved();
+  const scenario = saved.find(s => s.id === req.params.id);
+  if (!scenario) {
+    res.status(404).json({ error: `no scenario ${req.params.id}` });
+    return;
+  }
+  const name = (req.body || {}).name;
+  const problem = nameProblem(name, scenario.id);
+  if (problem) {
+    sendErrors(res, problem.status, [problem.message]);
+    return;
+  }
+  scenario.name = name.trim();
+  scenario.updatedAt = new Date().toISOString();
+  writeSaved(saved);
+  res.json(Object.assign({ builtin: false }, scenario));
+});
+
+router.delete('/:id', (req, res) => {
+  if (builtins.some(s => s.id === req.params.id)) {
+    res.status(403).json({ error: 'built-in scenarios cannot be deleted' });
+    return;
+  }
+  const saved = readSaved();
+  const rest = saved.filter(s => s.id !== req.params.id);
+  if (rest.length === saved.length) {
+    res.status(404).json({ error: `no scenario ${req.params.id}` });
+    return;
+  }
+  writeSaved(rest);
+  res.status(204).end();
+});
+
+router.use(jsonErrors);
+
+module.exports = router;
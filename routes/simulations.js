@@ -0,0 +1,142 @@
+// JSON API for running Producers–Consumers simulations headlessly.
+//
+//   POST /api/simulations            { config, durationMs } -> 201 run
+//   GET  /api/simulations            runs kept in memory, newest first
+//   GET  /api/simulations/:id        one run
+//   GET  /api/simulations/:id/trace  its trace, a page at a time
+//                                    (?offset=&limit=); ?format=csv for CSV
+//
+// A run is its config and summary metrics plus the number of trace events;
+// the events themselves only come from the trace endpoint. Runs execute on
+// the request thread, so durationMs is capped to keep each one short.
+//
+// `config` takes the Simulation Controls fields (bufferCapacity, producers,
+// consumers, producerDelay, consumerDelay, syncMode, policy, bufferType,
+// robustMutex, transferSpeed, seed, and per-thread timings such as
+// { "P1": { "dist": "exponential", "mean": 800 } }) within the same limits as
+// the page; anything outside them is a 400 rather than being clamped. A
+// missing seed gets a random one, returned in the run's config so it can be
+// repeated.
+const crypto = require('crypto');
+const express = require('express');
+const { jsonErrors } = require('./errors');
+const {
+  ProducerConsumerSim, configErrors, normalizeConfig, measureRun, traceToJSON, traceToCSV, DEFAULT_DURATION_MS
+} = require('../public/engine');
+
+// virtual time one request may ask for (120 s, which costs at most a few
+// hundred ms of wall time to compute), how many runs are kept and how many
+// trace events one page holds
+const MAX_DURATION_MS = 120000;
+const MAX_STORED = 20;
+const MAX_PAGE = 5000;
+
+const router = express.Router();
+const runs = new Map(); // id -> run, in insertion order
+
+router.use(express.json({ limit: '100kb' }));
+
+function requestErrors(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return ['body must be a JSON object'];
+  const errors = Object.keys(body)
+    .filter(key => key !== 'config' && key !== 'durationMs')
+    .map(key => `unknown field ${key}`);
+  const config = body.config === undefined ? {} : body.config;
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    errors.push('config must be an object');
+  } else {
+    errors.push(...configErrors(config).map(msg => `config: ${msg}`));
+  }
+  const ms = body.durationMs;
+  if (ms !== undefined && (typeof ms !== 'number' || !(ms > 0) || ms > MAX_DURATION_MS)) {
+    errors.push(`durationMs must be a number above 0 and at most ${MAX_DURATION_MS}`);
+  }
+  return errors;
+}
+
+// ?offset=&limit= of a trace page, or the errors in them
+function pageOf(query, total) {
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+  const limit = query.limit === undefined ? MAX_PAGE : Number(query.limit);
+  const errors = [];
+  if (!Number.isInteger(offset) || offset < 0) errors.push('offset must be an integer of at least 0');
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE) errors.push(`limit must be an integer from 1 to ${MAX_PAGE}`);
+  return { offset, limit, errors, end: Math.min(total, offset + limit) };
+}
+
+// the run without its trace events
+function summaryOf(run) {
+  return {
+    id: run.id,
+    createdAt: run.createdAt,
+    config: run.config,
+    durationMs: run.durationMs,
+    summary: run.summary,
+    traceEvents: run.trace.events.length
+  };
+}
+
+router.post('/', (req, res) => {
+  const errors = requestErrors(req.body);
+  if (errors.length > 0) {
+    res.status(400).json({ error: 'invalid simulation request', details: errors });
+    return;
+  }
+
+  const durationMs = req.body.durationMs === undefined ? DEFAULT_DURATION_MS : req.body.durationMs;
+  const sim = new ProducerConsumerSim(normalizeConfig(req.body.config), { historyLimit: 0 });
+  sim.start();
+  sim.runFor(durationMs);
+  sim.stop();
+
+  const run = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    config: Object.assign({}, sim.config),
+    durationMs,
+    summary: measureRun(sim, durationMs),
+    trace: traceToJSON(sim)
+  };
+  runs.set(run.id, run);
+  if (runs.size > MAX_STORED) runs.delete(runs.keys().next().value);
+
+  res.status(201).location(`${req.baseUrl}/${run.id}`).json(summaryOf(run));
+});
+
+router.get('/', (req, res) => {
+  res.json(Array.from(runs.values()).reverse().map(summaryOf));
+});
+
+router.get('/:id', (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) {
+    res.status(404).json({ error: `no simulation ${req.params.id}` });
+    return;
+  }
+  res.json(summaryOf(run));
+});
+
+router.get('/:id/trace', (req, res) => {
+  const run = runs.get(req.params.id);
+  if (!run) {
+    res.status(404).json({ error: `no simulation ${req.params.id}` });
+    return;
+  }
+  const total = run.trace.events.length;
+  const page = pageOf(req.query, total);
+  if (page.errors.length > 0) {
+    res.status(400).json({ error: 'invalid trace page', details: page.errors });
+    return;
+  }
+  const events = run.trace.events.slice(page.offset, page.end);
+  res.set('X-Total-Count', String(total));
+  if (req.query.format === 'csv') {
+    res.type('text/csv').send(traceToCSV(events));
+    return;
+  }
+  res.json(Object.assign({}, run.trace, { total, offset: page.offset, events }));
+});
+
+router.use(jsonErrors);
+
+module.exports = router;
@@ -0,0 +1,130 @@
+// Headless parameter sweep for the Producers–Consumers engine.
+//
+//   npm run experiment -- config.json [--format csv|json] [--out results.csv] [--per-seed]
+//
+// config.json:
+//   {
+//     "sweep": {                      every combination is run; a single value
+//       "bufferCapacity": [1, 4, 8],  is the same as a one-element list
+//       "producers": [1, 3],
+//       "consumers": 2,
+//       "producerDelay": 200,
+//       "consumerDelay": [200, 400],
+//       "syncMode": ["sync", "semaphore", "nosync"],
+//       "policy": "round-robin",
+//       "bufferType": ["ring", "stack", "priority", "unbounded"],
+//       "timings": { "P1": { "dist": "exponential", "mean": 800 } }
+//     },
+//     "seeds": 5,                     seeds 1..5, or an explicit list [7, 11]
+//     "durationMs": 60000,            virtual time per run
+//     "format": "csv",                optional, same as --format
+//     "output": "results.csv",        optional, same as --out (default: stdout)
+//     "perSeed": false                optional, same as --per-seed
+//   }
+//
+// Each row is one config averaged over its seeds (or one seed with
+// --per-seed): throughput in consumed items per virtual second, latencies in
+// ms, utilizations as the share of time threads spent producing, consuming
+// or holding the lock (bufferUtil: mean fill), the mean number of buffered
+// items next to the rough M/M/1/K estimate (meanQueue, predictedQueue;
+// predictionRough is the share of runs outside the regime it holds in), race
+// counts per invariant and `deadlocked` (the share of seeds that deadlocked).
+const fs = require('fs');
+const path = require('path');
+const { runSweep, csvCell } = require('../public/engine');
+
+const FORMATS = ['csv', 'json'];
+
+function usage() {
+  return 'usage: npm run experiment -- config.json [--format csv|json] [--out file] [--per-seed]';
+}
+
+function parseArgs(argv) {
+  const args = { configPath: null, format: null, out: null, perSeed: null };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--format') args.format = argv[++i];
+    else if (arg === '--out') args.out = argv[++i];
+    else if (arg === '--per-seed') args.perSeed = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`unknown option ${arg}\n${usage()}`);
+    else if (args.configPath === null) args.configPath = arg;
+    else throw new Error(`unexpected argument ${arg}\n${usage()}`);
+  }
+  return args;
+}
+
+function readSpec(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw new Error(`cannot read ${file}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`${file} is not valid JSON: ${err.message}`);
+  }
+}
+
+// three decimals are plenty for rates and shares, and keep the table readable
+function round(value) {
+  return typeof value === 'number' && !Number.isInteger(value) ? Math.round(value * 1000) / 1000 : value;
+}
+
+function formatRows(rows, format) {
+  const rounded = rows.map(row => {
+    const out = {};
+    Object.keys(row).forEach(col => { out[col] = round(row[col]); });
+    return out;
+  });
+  if (format === 'json') return JSON.stringify(rounded, null, 2) + '\n';
+  if (rounded.length === 0) return '';
+  const columns = Object.keys(rounded[0]);
+  const lines = [columns.join(',')];
+  rounded.forEach(row => lines.push(columns.map(col => csvCell(row[col])).join(',')));
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.help) {
+    console.log(usage());
+    return;
+  }
+  if (!args.configPath) throw new Error(usage());
+
+  // npm runs scripts from the package root; paths are relative to where it was called
+  const cwd = process.env.INIT_CWD || process.cwd();
+  const spec = readSpec(path.resolve(cwd, args.configPath));
+  const format = args.format || spec.format || 'csv';
+  if (!FORMATS.includes(format)) throw new Error(`unknown format ${format} (expected ${FORMATS.join(' or ')})`);
+  const out = args.out || spec.output || null;
+  const perSeed = args.perSeed !== null ? args.perSeed : !!spec.perSeed;
+
+  const started = Date.now();
+  const rows = runSweep(spec, {
+    perSeed,
+    onRun: (done, total) => {
+      if (process.stderr.isTTY) process.stderr.write(`\r${done}/${total} runs`);
+    }
+  });
+  if (process.stderr.isTTY) process.stderr.write('\n');
+
+  const text = formatRows(rows, format);
+  if (out) {
+    const target = path.resolve(cwd, out);
+    fs.writeFileSync(target, text);
+    console.error(`Wrote ${rows.length} rows to ${target} in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+try {
+  main();
+} catch (err) {
+  console.error(`experiment: ${err.message}`);
+  process.exit(1);
+}
@@ -5,6 +5,8 @@ const app = express();
 const PORT = 3000;
 
 app.use(express.static(path.join(__dirname, 'public')));
+app.use('/api/simulations', require('./routes/simulations'));
+app.use('/api/scenarios', require('./routes/scenarios'));
 
 app.listen(PORT, () => {
   console.log(`Server running at http://localhost:${PORT}`);
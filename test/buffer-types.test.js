@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, runSim } = require('./helpers');
+
+// producers faster than the consumers, so items queue up and the order matters
+const QUEUED = { syncMode: 'sync', producers: 3, consumers: 1, bufferCapacity: 4, producerDelay: 150, consumerDelay: 1000, transferSpeed: 4 };
+
+// for every consume: the item taken and the ids buffered just before it,
+// in the order they were deposited
+function depositsAndTakes(sim) {
+  let buffered = [];
+  const takes = [];
+  sim.trace.forEach(ev => {
+    if (ev.action === 'deposit') buffered.push(ev.itemId);
+    if (ev.action === 'consume') {
+      takes.push({ itemId: ev.itemId, buffered });
+      buffered = buffered.filter(id => id !== ev.itemId);
+    }
+  });
+  return takes;
+}
+
+test('a ring hands items out first in, first out', () => {
+  const sim = runSim(createSim(Object.assign({ bufferType: 'ring' }, QUEUED)), 20000);
+  const takes = depositsAndTakes(sim);
+  assert.ok(takes.some(({ buffered }) => buffered.length > 1));
+  takes.forEach(({ itemId, buffered }) => assert.strictEqual(itemId, buffered[0]));
+});
+
+test('a stack hands out the item deposited last', () => {
+  const sim = runSim(createSim(Object.assign({ bufferType: 'stack' }, QUEUED)), 20000);
+  const takes = depositsAndTakes(sim);
+  assert.ok(takes.some(({ buffered }) => buffered.length > 1));
+  takes.forEach(({ itemId, buffered }) => assert.strictEqual(itemId, buffered[buffered.length - 1]));
+});
+
+test('a priority buffer hands out the highest priority, oldest first among equals', () => {
+  const sim = createSim(Object.assign({ bufferType: 'priority' }, QUEUED));
+  const items = new Map();
+  sim.on('action', ev => {
+    if (ev.action === 'deposit') items.set(ev.itemId, sim.buffer[ev.slot]);
+  });
+  runSim(sim, 20000);
+  const takes = depositsAndTakes(sim);
+  assert.ok(takes.some(({ buffered }) => new Set(buffered.map(id => items.get(id).priority)).size > 1));
+  takes.forEach(({ itemId, buffered }) => {
+    const best = buffered.map(id => items.get(id))
+      .sort((a, b) => b.priority - a.priority || a.id - b.id)[0];
+    assert.strictEqual(itemId, best.id);
+  });
+});
+
+test('an unbounded queue grows instead of blocking producers', () => {
+  const sim = runSim(createSim(Object.assign({}, QUEUED, { bufferType: 'unbounded', consumerDelay: 2000 })), 20000);
+  assert.ok(sim.bufferCapacity > QUEUED.bufferCapacity);
+  assert.strictEqual(sim.bufferCapacity & (sim.bufferCapacity - 1), 0, 'it doubles');
+  assert.ok(sim.trace.some(ev => ev.action === 'grow'));
+  assert.ok(!sim.trace.some(ev => ev.action === 'wait' && ev.cond === 'notFull'));
+  depositsAndTakes(sim).forEach(({ itemId, buffered }) => assert.strictEqual(itemId, buffered[0]));
+  assert.strictEqual(sim.raceReport().total, 0);
+});
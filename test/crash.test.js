@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim } = require('./helpers');
+
+const CRASH_CONFIG = { seed: 63, producers: 3, consumers: 1, bufferCapacity: 1, bufferType: 'priority', syncMode: 'sync' };
+
+// starts a run and stops it while `key` holds the lock part-way through its deposit
+function untilDepositing(sim, key) {
+  const t = sim.getThread(key);
+  sim.start();
+  while (!(t.transfer && t.transfer.kind === 'deposit' && sim.mutex.owner === key)) sim.runFor(5);
+  return t;
+}
+
+test('a robust mutex repairs a torn deposit and the run carries on', () => {
+  const sim = createSim(Object.assign({}, CRASH_CONFIG, { robustMutex: true }), { historyLimit: 0 });
+  const p1 = untilDepositing(sim, 'P1');
+  const torn = p1.item;
+  assert.deepStrictEqual(sim.mutex.waitingOn('notEmpty'), ['C1']);
+
+  sim.crashThread('P1');
+  sim.runFor(30000);
+
+  assert.strictEqual(sim.deadlock, null);
+  assert.ok(sim.consumers[0].count > 0);
+  assert.notStrictEqual(torn.consumedAt, null, 'the repaired item is consumed like any other');
+  assert.ok(sim.trace.some(ev => ev.action === 'recover' && ev.actor !== 'P1'));
+  // the torn slot is the crash's own count violation; the repair leaves no other
+  const report = sim.raceReport();
+  assert.deepStrictEqual(report.violations.map(v => [v.kind, v.actors[0]]), [['count', 'P1']]);
+  assert.strictEqual(report.produced, report.consumed + report.buffered);
+});
+
+test('without a robust mutex a crash holding the lock stalls the run', () => {
+  const sim = createSim(CRASH_CONFIG, { historyLimit: 0 });
+  untilDepositing(sim, 'P1');
+  const consumed = sim.consumers[0].count;
+
+  sim.crashThread('P1');
+  sim.runFor(30000);
+
+  assert.ok(sim.deadlock);
+  assert.deepStrictEqual(sim.deadlock.dead, ['P1']);
+  assert.strictEqual(sim.mutex.owner, 'P1');
+  assert.strictEqual(sim.consumers[0].count, consumed);
+});
+
+test('a consumer crashing mid-take leaves the item in the buffer', () => {
+  const sim = createSim({ syncMode: 'sync', producerDelay: 60, consumerDelay: 400 }, { historyLimit: 0 });
+  sim.start();
+  const taking = () => sim.consumers.find(c => c.transfer && c.transfer.kind === 'consume' && c.item);
+  while (!taking()) sim.runFor(5);
+  const c = taking();
+  const item = c.item;
+
+  assert.strictEqual(sim.crashThread(c.key), c);
+  assert.strictEqual(c.state, 'crashed');
+  assert.ok(sim.buffer.includes(item));
+  assert.strictEqual(item.dequeuedAt, null);
+  assert.strictEqual(sim.crashThread(c.key), null, 'a thread only crashes once');
+});
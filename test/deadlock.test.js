@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, runSim } = require('./helpers');
+
+test('wrong-order semaphores deadlock and the cycle is reported', () => {
+  const sim = createSim({ syncMode: 'wrong-order', producers: 3, consumers: 1, bufferCapacity: 2, consumerDelay: 2000 });
+  const found = [];
+  sim.on('deadlock', d => found.push(d));
+  runSim(sim, 60000);
+
+  assert.strictEqual(found.length, 1);
+  const deadlock = found[0];
+  assert.strictEqual(sim.deadlock, deadlock);
+  assert.ok(deadlock.threads.includes('C1'), 'the consumer waits on the mutex');
+  assert.ok(deadlock.threads.some(key => key[0] === 'P'), 'a producer holds it while waiting on empty');
+  assert.strictEqual(deadlock.dead.length, 0);
+  assert.ok(sim.trace.some(ev => ev.action === 'deadlock'));
+});
+
+test('the correct semaphore order never deadlocks', () => {
+  const sim = createSim({ syncMode: 'semaphore', producers: 3, consumers: 1, bufferCapacity: 2, consumerDelay: 2000 });
+  let deadlocked = false;
+  sim.on('deadlock', () => { deadlocked = true; });
+  runSim(sim, 60000);
+  assert.strictEqual(deadlocked, false);
+});
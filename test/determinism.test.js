@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, runSim } = require('./helpers');
+
+['sync', 'semaphore', 'nosync'].forEach(syncMode => {
+  test(`same seed gives the same trace (${syncMode})`, () => {
+    const a = runSim(createSim({ syncMode }), 20000, 16);
+    const b = runSim(createSim({ syncMode }), 20000, 37);
+    assert.ok(a.trace.length > 100);
+    assert.deepStrictEqual(a.trace, b.trace);
+  });
+});
+
+test('a different seed gives a different trace', () => {
+  const a = runSim(createSim({ seed: 42 }), 20000);
+  const b = runSim(createSim({ seed: 43 }), 20000);
+  assert.notDeepStrictEqual(a.trace, b.trace);
+});
+
+test('stepping back and forward again repeats the same actions', () => {
+  const sim = runSim(createSim({ syncMode: 'semaphore' }), 3000);
+  const forward = [];
+  for (let i = 0; i < 40; i++) forward.push(sim.step());
+  const before = sim.snapshot();
+
+  for (let i = 0; i < 40; i++) assert.ok(sim.stepBack());
+  const again = [];
+  for (let i = 0; i < 40; i++) again.push(sim.step());
+
+  assert.deepStrictEqual(again, forward);
+  assert.deepStrictEqual(sim.snapshot(), before);
+});
+
+test('a run resumed after stepping back matches an uninterrupted one', () => {
+  const straight = runSim(createSim({ syncMode: 'sync' }), 8000);
+  const stepped = runSim(createSim({ syncMode: 'sync' }), 3000);
+  for (let i = 0; i < 25; i++) stepped.step();
+  for (let i = 0; i < 25; i++) stepped.stepBack();
+  stepped.resume();
+  stepped.runFor(8000 - stepped.now());
+
+  const upTo = straight.trace.filter(ev => ev.time <= stepped.now());
+  assert.deepStrictEqual(stepped.trace.slice(0, upTo.length), upTo);
+});
+
+test('idle ticks take no step-back snapshot', () => {
+  const sim = createSim({ syncMode: 'sync', producers: 8, consumers: 8 });
+  let snapshots = 0;
+  const snapshot = sim.snapshot.bind(sim);
+  sim.snapshot = () => { snapshots++; return snapshot(); };
+  runSim(sim, 20000);
+
+  assert.ok(sim.history.length > 0);
+  assert.ok(snapshots < 2 * sim.actionCount, `${snapshots} snapshots for ${sim.actionCount} actions`);
+});
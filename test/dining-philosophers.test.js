@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DiningPhilosophersSim } = require('../public/engine');
+
+const HUNGRY = { philosophers: 5, thinkDelay: 100, eatDelay: 300, seed: 1 };
+
+function runDP(strategy) {
+  const sim = new DiningPhilosophersSim(Object.assign({ strategy }, HUNGRY), { historyLimit: 0 });
+  const sharedFork = [];
+  sim.on('action', ev => {
+    sim.philosophers.forEach((p, i) => {
+      const next = sim.philosophers[(i + 1) % sim.philosophers.length];
+      if (p.state === 'eating' && next.state === 'eating') sharedFork.push(ev.seq);
+    });
+  });
+  sim.start();
+  sim.runFor(60000);
+  return { sim, sharedFork };
+}
+
+test('the naive strategy deadlocks with every philosopher in the cycle', () => {
+  const { sim } = runDP('naive');
+  assert.ok(sim.deadlock);
+  assert.deepStrictEqual(sim.deadlock.slice().sort(), sim.philosophers.map(p => p.key).sort());
+  assert.ok(sim.philosophers.every(p => sim.forksHeldBy(p).length === 1));
+  assert.ok(sim.trace.some(ev => ev.action === 'deadlock'));
+});
+
+['ordering', 'waiter', 'chandy-misra'].forEach(strategy => {
+  test(`${strategy} never deadlocks and everyone eats`, () => {
+    const { sim, sharedFork } = runDP(strategy);
+    assert.strictEqual(sim.deadlock, null);
+    assert.deepStrictEqual(sharedFork, []);
+    sim.philosophers.forEach(p => assert.ok(p.count > 10, `${p.key} ate ${p.count} times`));
+  });
+});
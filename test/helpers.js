@@ -0,0 +1,29 @@
+// Shared fixtures for the engine tests.
+const { ProducerConsumerSim } = require('../public/engine');
+
+const BASE_CONFIG = {
+  producers: 4,
+  consumers: 2,
+  bufferCapacity: 3,
+  producerDelay: 100,
+  consumerDelay: 150,
+  seed: 42
+};
+
+function createSim(overrides, options) {
+  return new ProducerConsumerSim(Object.assign({}, BASE_CONFIG, overrides), options);
+}
+
+// Starts a run and advances it `ms` of virtual time in `chunk` sized steps.
+function runSim(sim, ms, chunk) {
+  const step = chunk || 50;
+  sim.start();
+  for (let t = 0; t < ms; t += step) sim.runFor(Math.min(step, ms - t));
+  return sim;
+}
+
+function itemIds(buffer) {
+  return buffer.map(item => (item ? item.id : null));
+}
+
+module.exports = { BASE_CONFIG, createSim, runSim, itemIds };
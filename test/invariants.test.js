@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createSim, runSim } = require('./helpers');
+
+test('unsynchronized access breaks buffer invariants', () => {
+  const sim = createSim({ syncMode: 'nosync' });
+  const emitted = [];
+  sim.on('violations', list => emitted.push(...list));
+  runSim(sim, 20000);
+
+  const report = sim.raceReport();
+  assert.ok(report.total > 0);
+  assert.strictEqual(report.total, emitted.length);
+  assert.ok(report.counts.lost + report.counts['double-consume'] + report.counts['empty-read'] > 0);
+  report.violations.forEach(v => {
+    assert.strictEqual(sim.trace[v.seq].seq, v.seq, 'each violation points at a trace record');
+  });
+});
+
+['sync', 'semaphore'].forEach(syncMode => {
+  test(`${syncMode} mode keeps every invariant`, () => {
+    const sim = runSim(createSim({ syncMode }), 20000);
+    const report = sim.raceReport();
+    assert.strictEqual(report.total, 0);
+    assert.strictEqual(report.produced, report.consumed + report.buffered);
+  });
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { LatencyTracker } = require('../public/engine');
+const { createSim, runSim } = require('./helpers');
+
+test('every consumed item leaves one sample with its timeline in order', () => {
+  const sim = createSim({ syncMode: 'sync' });
+  const items = [];
+  sim.on('action', ev => {
+    if (ev.action === 'deposit') items.push(sim.buffer[ev.slot]);
+  });
+  runSim(sim, 20000);
+
+  const consumed = sim.consumers.reduce((n, c) => n + c.count, 0);
+  assert.strictEqual(sim.latencySummary().count, consumed);
+  items.filter(item => item.consumedAt !== null).forEach(item => {
+    assert.ok(item.producedAt <= item.enqueuedAt, `#${item.id} enqueued before it was produced`);
+    assert.ok(item.enqueuedAt <= item.dequeuedAt, `#${item.id} dequeued before it was enqueued`);
+    assert.ok(item.dequeuedAt <= item.consumedAt, `#${item.id} consumed before it was dequeued`);
+  });
+  // a deposit and a take each cost one transfer
+  sim.latency.samples.forEach(s => assert.ok(s.latency >= s.bufferTime + 2 * sim.transferDuration()));
+
+  // ids are global, seq counts each producer's own items
+  assert.deepStrictEqual(items.map(item => item.id), items.map((_, i) => i + 1));
+  sim.producers.forEach(p => {
+    const seqs = items.filter(item => item.producerId === p.id).map(item => item.seq);
+    assert.deepStrictEqual(seqs, seqs.map((_, i) => i + 1));
+  });
+});
+
+test('stepping back drops the samples of the undone actions', () => {
+  const sim = runSim(createSim({ syncMode: 'sync' }), 5000);
+  const before = sim.latencySummary().count;
+  let steps = 0;
+  while (sim.latencySummary().count === before && steps++ < 200) sim.step();
+  assert.strictEqual(sim.latencySummary().count, before + 1);
+  sim.stepBack();
+  assert.strictEqual(sim.latencySummary().count, before);
+});
+
+test('the tracker skips repeats and items that never reached the buffer', () => {
+  const tracker = new LatencyTracker();
+  const item = { id: 1, producerId: 1, producedAt: 0, enqueuedAt: 100, dequeuedAt: 300, consumedAt: 500 };
+  tracker.record(item);
+  tracker.record(item);
+  tracker.record({ id: 2, producerId: 1, producedAt: 0, enqueuedAt: null, dequeuedAt: null, consumedAt: 500 });
+  assert.deepStrictEqual(tracker.summary(), {
+    count: 1,
+    bufferTime: { avg: 200, p95: 200, max: 200 },
+    latency: { avg: 500, p95: 500, max: 500 }
+  });
+
+  for (let id = 3; id <= 101; id++) tracker.record({ id, producerId: 1, producedAt: 0, enqueuedAt: 0, dequeuedAt: 0, consumedAt: id });
+  // nearest rank: the 95th of the 100 sorted latencies (3..101, then 500)
+  assert.strictEqual(tracker.summary().latency.p95, 97);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { traceToJSON, parseTrace, TraceReplay, LIMITS } = require('../public/engine');
+const { createSim, runSim, itemIds } = require('./helpers');
+
+test('a spawned thread joins the turns and does work', () => {
+  const sim = runSim(createSim({ syncMode: 'semaphore' }), 3000);
+  const t = sim.spawnThread('producer');
+  assert.strictEqual(t.key, 'P5');
+  sim.runFor(10000);
+  assert.ok(t.count > 0);
+  assert.ok(sim.trace.some(ev => ev.action === 'spawn' && ev.actor === 'P5'));
+  assert.strictEqual(sim.config.producers, 4, 'the config keeps the starting count');
+});
+
+test('threads of a kind stay within the limits', () => {
+  const sim = createSim({ consumers: 1 });
+  assert.strictEqual(sim.retireThread('consumer'), null);
+  while (sim.activeThreads('producer').length < LIMITS.producers.max) sim.spawnThread('producer');
+  assert.strictEqual(sim.spawnThread('producer'), null);
+});
+
+test('retiring a blocked producer takes it out of the semaphore queue', () => {
+  // a slow consumer keeps the buffer full and the producers parked on empty
+  const sim = createSim({ syncMode: 'semaphore', producers: 2, consumerDelay: 3000 });
+  sim.start();
+  while (!sim.semaphores.empty.waiters.includes('P2')) sim.runFor(50);
+  const t = sim.retireThread('producer');
+  assert.strictEqual(t.key, 'P2');
+  assert.ok(!sim.producers.includes(t));
+  assert.strictEqual(t.state, 'retired');
+  assert.ok(!sim.semaphores.empty.waiters.includes('P2'));
+
+  sim.runFor(30000);
+  assert.strictEqual(sim.deadlock, null);
+  const report = sim.raceReport();
+  assert.strictEqual(report.total, 0, JSON.stringify(report.counts));
+  const v = sim.semaphoreValues();
+  assert.ok(v.full <= sim.itemsCount && v.full + v.empty <= sim.bufferCapacity, JSON.stringify(v));
+});
+
+test('a trace with spawns and retirements replays to the same state', () => {
+  const sim = runSim(createSim({ syncMode: 'sync' }), 3000);
+  sim.spawnThread('consumer');
+  sim.runFor(4000);
+  sim.retireThread('producer');
+  sim.retireThread('producer');
+  sim.runFor(4000);
+
+  const replay = new TraceReplay(parseTrace(JSON.stringify(traceToJSON(sim))));
+  replay.seekIndex(replay.events.length);
+  assert.deepStrictEqual(replay.allThreads().map(t => [t.key, t.count]), sim.allThreads().map(t => [t.key, t.count]));
+  assert.deepStrictEqual(itemIds(replay.buffer), itemIds(sim.buffer));
+});
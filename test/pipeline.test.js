@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PipelineSim, normalizePipelineConfig } = require('../public/engine');
+
+function runPipeline(stages, ms) {
+  const sim = new PipelineSim({ stages, capacities: [3, 3], seed: 4 }, { historyLimit: 0 });
+  sim.start();
+  sim.runFor(ms);
+  return sim;
+}
+
+const fast = workers => ({ workers, delay: 200 });
+const slow = { workers: 1, delay: 2000 };
+
+// every item made is consumed, sitting in a buffer or in a worker's hands
+function assertNoItemLost(sim) {
+  const buffered = sim.buffers.reduce((n, b) => n + b.count, 0);
+  const held = sim.workers.filter(w => w.item).length;
+  assert.strictEqual(sim.itemSeq, sim.consumed + buffered + held);
+  sim.buffers.forEach(b => {
+    assert.strictEqual(b.slots.filter(Boolean).length, b.count, `buffer ${b.name}`);
+  });
+}
+
+test('a slow sink backs both buffers up to the producers', () => {
+  const sim = runPipeline([fast(2), fast(2), slow], 60000);
+  assert.strictEqual(sim.bottleneck(), 2);
+  sim.buffers.forEach(b => {
+    assert.strictEqual(b.count, b.capacity, `buffer ${b.name} is full`);
+    assert.strictEqual(sim.semaphoreValues(b).empty, 0);
+  });
+  assert.ok(sim.stageStats(0).blocked > 0.8, 'producers block on wait(empty)');
+  assert.ok(sim.stageStats(1).blocked > 0.8, 'transformers block on wait(empty)');
+  assert.ok(sim.stageStats(2).busy > 0.9);
+  assertNoItemLost(sim);
+});
+
+test('a slow middle stage fills the buffer before it and starves the one after', () => {
+  const sim = runPipeline([fast(2), slow, fast(2)], 60000);
+  assert.strictEqual(sim.bottleneck(), 1);
+  assert.ok(sim.meanFill(sim.buffers[0]) > 2.5);
+  assert.ok(sim.meanFill(sim.buffers[1]) < 0.5);
+  assert.ok(sim.stageStats(0).blocked > 0.8);
+  assert.ok(sim.stageStats(2).starved > 0.8, 'consumers starve on wait(full)');
+  // downstream of the bottleneck runs at its pace
+  assert.ok(Math.abs(sim.stageStats(2).done - sim.stageStats(1).done) <= 2);
+  assertNoItemLost(sim);
+});
+
+test('stages follow the buffers: one more stage than there are buffers', () => {
+  const config = normalizePipelineConfig({ capacities: [2], stages: [fast(1)] });
+  assert.strictEqual(config.stages.length, 2);
+  const sim = new PipelineSim(Object.assign(config, { seed: 1 }), { historyLimit: 0 });
+  assert.deepStrictEqual(sim.stages.map(st => st.role), ['source', 'sink']);
+  assert.ok(sim.workers.every(w => w.role !== 'transform'));
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { ReadersWritersSim, RW_VARIANTS } = require('../public/engine');
+
+// heavy reading: eight readers back to back against two writers
+const BUSY = { readers: 8, writers: 2, readerDelay: 50, writerDelay: 400, seed: 3 };
+
+function runRW(variant) {
+  const sim = new ReadersWritersSim(Object.assign({ variant }, BUSY), { historyLimit: 0 });
+  const overlaps = [];
+  sim.on('action', ev => {
+    const reading = sim.allThreads().filter(t => t.state === 'reading').length;
+    const writing = sim.allThreads().filter(t => t.state === 'writing').length;
+    if (writing > 1 || (writing > 0 && reading > 0)) overlaps.push(ev.seq);
+  });
+  sim.start();
+  sim.runFor(60000);
+  const total = list => list.reduce((n, t) => n + t.count, 0);
+  return { sim, overlaps, reads: total(sim.readers), writes: total(sim.writers) };
+}
+
+RW_VARIANTS.forEach(variant => {
+  test(`a writer is always alone with the resource (${variant})`, () => {
+    const { overlaps, reads, writes } = runRW(variant);
+    assert.deepStrictEqual(overlaps, []);
+    assert.ok(reads > 0 && writes > 0, `reads ${reads}, writes ${writes}`);
+  });
+});
+
+test('each preference favours its own side', () => {
+  const readersFirst = runRW('readers-preference');
+  const writersFirst = runRW('writers-preference');
+  assert.ok(readersFirst.reads > writersFirst.reads * 5);
+  assert.ok(writersFirst.writes > readersFirst.writes);
+});
+
+test('the fair variant keeps both sides waiting about as long', () => {
+  const { sim } = runRW('fair');
+  const ratio = sim.maxWait.reader / sim.maxWait.writer;
+  assert.ok(ratio > 0.5 && ratio < 2, JSON.stringify(sim.maxWait));
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { traceToJSON, traceToCSV, parseTrace, TraceReplay } = require('../public/engine');
+const { createSim, runSim, itemIds } = require('./helpers');
+
+// runs until a consumer is part-way through taking an item
+function untilTake(sim) {
+  const taking = () => sim.consumers.find(c => c.transfer && c.transfer.kind === 'consume' && c.item);
+  while (!taking()) sim.runFor(5);
+  return taking();
+}
+
+['ring', 'stack', 'priority'].forEach(bufferType => {
+  test(`a resize during a take keeps its slot on the item (${bufferType})`, () => {
+    const sim = runSim(createSim({ syncMode: 'sync', bufferType, bufferCapacity: 6, producerDelay: 60, consumerDelay: 400 }), 6000);
+    const c = untilTake(sim);
+    sim.setCapacity(12);
+    assert.strictEqual(sim.buffer[c.transfer.slot], c.item);
+    assert.strictEqual(sim.buffer.length, sim.bufferCapacity);
+
+    const record = sim.trace[sim.trace.length - 1];
+    assert.strictEqual(record.action, 'resize');
+    assert.ok(record.moved);
+  });
+});
+
+['ring', 'stack', 'priority'].forEach(bufferType => {
+  test(`a replay follows resizes during transfers (${bufferType})`, () => {
+    const sim = createSim({ syncMode: 'semaphore', bufferType, producers: 3, consumers: 2, bufferCapacity: 6, producerDelay: 80, consumerDelay: 300 });
+    sim.start();
+    for (let k = 0; k < 30; k++) {
+      untilTake(sim);
+      sim.setCapacity(3 + (k * 5) % 10);
+      sim.runFor(300);
+      assert.strictEqual(sim.buffer.length, sim.bufferCapacity);
+    }
+
+    [JSON.stringify(traceToJSON(sim)), traceToCSV(sim.trace)].forEach(text => {
+      const replay = new TraceReplay(parseTrace(text));
+      replay.seekIndex(replay.events.length);
+      assert.deepStrictEqual(itemIds(replay.buffer), itemIds(sim.buffer));
+      assert.deepStrictEqual(replay.latencySummary(), sim.latencySummary());
+    });
+    assert.strictEqual(sim.raceReport().total, 0);
+  });
+});
+
+test('resizes and mode switches together keep the buffer its size', () => {
+  const sim = createSim({ syncMode: 'sync', producers: 3, consumers: 3, bufferCapacity: 5, producerDelay: 80, consumerDelay: 200 });
+  const modes = ['semaphore', 'sync', 'wrong-order', 'semaphore'];
+  sim.start();
+  for (let k = 0; k < 40; k++) {
+    sim.runFor(150 + (k * 97) % 400);
+    if (k % 3 === 0) sim.setSyncMode(modes[(k / 3) % modes.length]);
+    else sim.setCapacity(2 + (k * 7) % 12);
+    sim.runFor(50);
+    assert.strictEqual(sim.buffer.length, sim.bufferCapacity);
+    if (sim.syncMode !== 'nosync') assert.ok(sim.itemsCount >= 0 && sim.itemsCount <= sim.bufferCapacity);
+  }
+  const replay = new TraceReplay(parseTrace(JSON.stringify(traceToJSON(sim))));
+  replay.seekIndex(replay.events.length);
+  assert.strictEqual(replay.bufferCapacity, sim.bufferCapacity);
+  assert.deepStrictEqual(replay.latencySummary(), sim.latencySummary());
+});
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { normalizeConfig } = require('../public/engine');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scenarios-'));
+process.env.SCENARIOS_FILE = path.join(dir, 'scenarios.json');
+
+let server;
+let base;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/scenarios', require('../routes/scenarios'));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/scenarios`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)).then(() => fs.rmSync(dir, { recursive: true, force: true })));
+
+async function getScenario(id) {
+  const res = await fetch(`${base}/${id}`);
+  assert.strictEqual(res.status, 200);
+  return res.json();
+}
+
+// what the controls hold after loading each config in turn: like
+// applyConfigToInputs, a field a config leaves out keeps its last value
+function loadInTurn(configs) {
+  const controls = {};
+  configs.forEach(config => {
+    Object.keys(config).forEach(key => {
+      if (config[key] !== undefined && config[key] !== null) controls[key] = config[key];
+    });
+  });
+  return controls;
+}
+
+test('every built-in comes back with a complete config', async () => {
+  const list = await (await fetch(base)).json();
+  const fields = Object.keys(normalizeConfig({}));
+  list.filter(s => s.builtin).forEach(s => {
+    assert.deepStrictEqual(Object.keys(s.config).sort(), fields.slice().sort(), s.id);
+  });
+});
+
+test('loading two presets in a row keeps nothing of the first', async () => {
+  const poisson = await getScenario('builtin-poisson-mm1');
+  const tiny = await getScenario('builtin-fast-producers-tiny-buffer');
+  assert.strictEqual(poisson.config.bufferType, 'unbounded');
+
+  const controls = loadInTurn([poisson.config, tiny.config]);
+  assert.strictEqual(controls.bufferType, 'ring');
+  assert.deepStrictEqual(controls.timings, {});
+  assert.strictEqual(controls.robustMutex, false);
+  assert.strictEqual(controls.bufferCapacity, 1);
+  assert.strictEqual(controls.transferSpeed, tiny.config.transferSpeed);
+});
+
+test('a saved scenario without a seed keeps it blank', async () => {
+  const res = await fetch(base, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ name: 'Unbounded', config: { bufferType: 'unbounded', producers: 2 } })
+  });
+  assert.strictEqual(res.status, 201);
+  const saved = await getScenario((await res.json()).id);
+  assert.strictEqual(saved.config.seed, null);
+  assert.strictEqual(saved.config.bufferType, 'unbounded');
+  assert.strictEqual(saved.config.syncMode, 'sync');
+});
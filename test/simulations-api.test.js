@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { parseTrace } = require('../public/engine');
+
+let server;
+let base;
+
+test.before(async () => {
+  const app = express();
+  app.use('/api/simulations', require('../routes/simulations'));
+  await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+  base = `http://127.0.0.1:${server.address().port}/api/simulations`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function post(body) {
+  return fetch(base, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+}
+
+test('a run comes back as a summary and its trace a page at a time', async () => {
+  const res = await post({ config: { seed: 5, syncMode: 'semaphore' }, durationMs: 20000 });
+  assert.strictEqual(res.status, 201);
+  const run = await res.json();
+  assert.strictEqual(run.trace, undefined);
+  assert.ok(run.traceEvents > 20);
+  assert.strictEqual((await (await fetch(`${base}/${run.id}`)).json()).traceEvents, run.traceEvents);
+
+  const page = await fetch(`${base}/${run.id}/trace?offset=10&limit=5`);
+  assert.strictEqual(page.headers.get('x-total-count'), String(run.traceEvents));
+  const doc = await page.json();
+  assert.strictEqual(doc.total, run.traceEvents);
+  assert.deepStrictEqual(doc.events.map(ev => ev.seq), [10, 11, 12, 13, 14]);
+  assert.strictEqual(parseTrace(JSON.stringify(doc)).events.length, 5);
+
+  const csv = await (await fetch(`${base}/${run.id}/trace?format=csv&limit=3`)).text();
+  assert.strictEqual(csv.trim().split('\n').length, 4);
+});
+
+test('long runs and oversized pages are refused', async () => {
+  const res = await post({ durationMs: 600000 });
+  assert.strictEqual(res.status, 400);
+  assert.match((await res.json()).details[0], /durationMs/);
+
+  const run = await (await post({ durationMs: 1000 })).json();
+  assert.strictEqual((await fetch(`${base}/${run.id}/trace?limit=100000`)).status, 400);
+  assert.strictEqual((await fetch(`${base}/${run.id}/trace?offset=-1`)).status, 400);
+});
+
+test('only the newest runs are kept', async () => {
+  const first = await (await post({ durationMs: 500 })).json();
+  for (let i = 0; i < 25; i++) await post({ durationMs: 500 });
+  const list = await (await fetch(base)).json();
+  assert.ok(list.length <= 20);
+  assert.strictEqual((await fetch(`${base}/${first.id}`)).status, 404);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { SleepingBarberSim, normalizeSBConfig } = require('../public/engine');
+
+function runBarber(config, ms) {
+  const sim = new SleepingBarberSim(Object.assign({ seed: 9 }, config), { historyLimit: 0 });
+  sim.start();
+  sim.runFor(ms);
+  return sim;
+}
+
+test('the barber serves every customer when arrivals are slow', () => {
+  const sim = runBarber({ barbers: 1, chairs: 3, arrivalDelay: 3000, cutDelay: 500 }, 60000);
+  assert.ok(sim.served >= 15, `served ${sim.served}`);
+  assert.strictEqual(sim.turnedAway, 0);
+  assert.strictEqual(sim.barbers[0].count, sim.served);
+});
+
+test('a full waiting room turns customers away and nobody is lost', () => {
+  const sim = runBarber({ barbers: 1, chairs: 1, arrivalDelay: 200, cutDelay: 2000 }, 60000);
+  assert.ok(sim.served > 0);
+  assert.ok(sim.turnedAway > sim.served);
+  assert.strictEqual(sim.customerSeq, sim.served + sim.turnedAway + sim.customers.length);
+  assert.strictEqual(sim.chairs.filter(Boolean).length + sim.freeSeats, sim.chairs.length);
+});
+
+test('a shop always has at least one waiting room chair', () => {
+  assert.strictEqual(normalizeSBConfig({ chairs: 0 }).chairs, 1);
+  const sim = runBarber({ barbers: 2, chairs: 0, arrivalDelay: 400, cutDelay: 600 }, 30000);
+  assert.strictEqual(sim.chairs.length, 1);
+  assert.ok(sim.served > 0);
+});
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { traceToJSON, parseTrace, TraceReplay } = require('../public/engine');
+const { createSim, runSim, itemIds } = require('./helpers');
+
+const SAFE_MODES = ['sync', 'semaphore'];
+
+function inFlight(sim) {
+  return sim.allThreads().filter(t => t.inFlight);
+}
+
+test('a switch waits for the operations under way', () => {
+  const sim = runSim(createSim({ syncMode: 'sync' }), 3000);
+  while (!inFlight(sim).some(t => t.transfer)) sim.runFor(5);
+
+  assert.strictEqual(sim.setSyncMode('semaphore'), false);
+  assert.strictEqual(sim.syncMode, 'sync');
+  assert.strictEqual(sim.pendingSyncMode, 'semaphore');
+
+  let switchedAt = null;
+  sim.on('syncMode', () => { switchedAt = sim.now(); });
+  sim.runFor(5000);
+  assert.notStrictEqual(switchedAt, null);
+  assert.strictEqual(sim.syncMode, 'semaphore');
+  assert.strictEqual(sim.pendingSyncMode, null);
+  const record = sim.trace.find(ev => ev.action === 'mode');
+  assert.strictEqual(record.cond, 'semaphore');
+  // nothing started under the old mode finished after the switch
+  sim.trace.filter(ev => ev.seq > record.seq && ev.actor).forEach(ev => {
+    if (['acquire', 'notify', 'release'].includes(ev.action)) assert.fail(`${ev.actor} ${ev.action} after the switch`);
+  });
+});
+
+test('a switch out of a deadlock restarts the blocked threads', () => {
+  const sim = createSim({ syncMode: 'wrong-order', producers: 3, consumers: 1, bufferCapacity: 2, consumerDelay: 2000 });
+  runSim(sim, 60000);
+  assert.ok(sim.deadlock);
+
+  assert.strictEqual(sim.setSyncMode('semaphore'), true);
+  assert.strictEqual(sim.deadlock, null);
+  const record = sim.trace[sim.trace.length - 1];
+  assert.strictEqual(record.action, 'mode');
+  assert.ok(record.woken.split(' ').length >= 2);
+  assert.deepStrictEqual(sim.semaphoreValues(), { mutex: 1, empty: 0, full: 2 });
+
+  const consumed = sim.raceReport().consumed;
+  sim.runFor(20000);
+  assert.ok(sim.raceReport().consumed > consumed);
+  assert.strictEqual(sim.raceReport().total, 0);
+});
+
+// switch at random points, transfers in flight or not, and check the
+// buffer after every switch has landed
+for (let seed = 1; seed <= 8; seed++) {
+  test(`random mode switches keep the buffer consistent (seed ${seed})`, () => {
+    const sim = createSim({ seed, syncMode: 'sync', producers: 3, consumers: 3, bufferCapacity: 4 }, { historyLimit: 0 });
+    sim.start();
+    let modes = 0;
+    sim.on('syncMode', () => { modes++; });
+    for (let k = 0; k < 40; k++) {
+      sim.runFor(100 + (seed * 37 + k * 211) % 900);
+      const next = SAFE_MODES.concat('wrong-order')[(seed + k) % 3];
+      sim.setSyncMode(next);
+      sim.runFor(1);
+      if (sim.pendingSyncMode === null && sim.syncMode !== 'nosync') {
+        assert.ok(sim.itemsCount >= 0);
+        assert.strictEqual(sim.itemsCount, sim.buffer.filter(Boolean).length);
+        assert.strictEqual(sim.buffer.length, sim.bufferCapacity);
+      }
+    }
+    sim.setSyncMode('semaphore');
+    sim.runFor(20000);
+
+    assert.ok(modes >= 5);
+    const report = sim.raceReport();
+    assert.strictEqual(report.total, 0, JSON.stringify(report.counts));
+    assert.strictEqual(report.produced, report.consumed + report.buffered);
+    const v = sim.semaphoreValues();
+    assert.ok(v.full <= sim.itemsCount && v.full + v.empty <= sim.bufferCapacity, JSON.stringify(v));
+
+    const replay = new TraceReplay(parseTrace(JSON.stringify(traceToJSON(sim))));
+    replay.seekIndex(replay.events.length);
+    assert.deepStrictEqual(itemIds(replay.buffer), itemIds(sim.buffer));
+    assert.strictEqual(replay.itemsCount, sim.itemsCount);
+  });
+}
+
+test('switching into NO-SYNC and back recounts the buffer', () => {
+  const sim = runSim(createSim({ syncMode: 'sync' }), 2000);
+  sim.setSyncMode('nosync');
+  sim.runFor(4000);
+  assert.strictEqual(sim.syncMode, 'nosync');
+  sim.setSyncMode('sync');
+  sim.runFor(3000);
+  assert.strictEqual(sim.syncMode, 'sync');
+  assert.strictEqual(sim.itemsCount, sim.buffer.filter(Boolean).length);
+});
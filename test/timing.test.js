@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeConfig, predictionForConfig, runExperiment, transferTime } = require('../public/engine');
+
+const exponential = mean => ({ dist: 'exponential', mean });
+
+// one exponential producer and consumer with short transfers: the regime the
+// M/M/1/K estimate is meant for
+[
+  { syncMode: 'sync', bufferCapacity: 8, producer: 4000, consumer: 3000 },
+  { syncMode: 'semaphore', bufferCapacity: 8, producer: 4000, consumer: 2500 },
+  { syncMode: 'sync', bufferCapacity: 5, producer: 3000, consumer: 4000 }
+].forEach(({ syncMode, bufferCapacity, producer, consumer }) => {
+  test(`the queue estimate follows the measured buffer (${syncMode}, ${producer}/${consumer} ms)`, () => {
+    const config = normalizeConfig({
+      producers: 1,
+      consumers: 1,
+      bufferCapacity,
+      syncMode,
+      transferSpeed: 6,
+      seed: 11,
+      timings: { P1: exponential(producer), C1: exponential(consumer) }
+    });
+    const prediction = predictionForConfig(config);
+    assert.strictEqual(prediction.rough, false);
+    const row = runExperiment(config, 4000000);
+    assert.ok(Math.abs(prediction.meanQueue - row.meanQueue) <= 0.2 * row.meanQueue,
+      `predicted ${prediction.meanQueue.toFixed(3)}, measured ${row.meanQueue.toFixed(3)}`);
+  });
+});
+
+test('an operation costs its delay plus one transfer', () => {
+  const config = normalizeConfig({ producers: 1, consumers: 1, producerDelay: 900, consumerDelay: 400, transferSpeed: 1 });
+  const prediction = predictionForConfig(config);
+  assert.strictEqual(prediction.transfer, transferTime(1));
+  assert.ok(Math.abs(prediction.rho - (400 + 600) / (900 + 600)) < 1e-9);
+});
+
+test('configs outside the model are flagged rough', () => {
+  // the example sweep: shared delays, two threads a side, long transfers
+  const sweep = normalizeConfig({ producers: 2, consumers: 2, bufferCapacity: 8, producerDelay: 300, consumerDelay: 600, syncMode: 'sync' });
+  assert.strictEqual(predictionForConfig(sweep).rough, true);
+
+  const timings = { P1: exponential(400), C1: exponential(300) };
+  const busyLock = normalizeConfig({ producers: 1, consumers: 1, syncMode: 'sync', transferSpeed: 1, timings });
+  assert.ok(predictionForConfig(busyLock).lockLoad > 0.25);
+  assert.strictEqual(predictionForConfig(busyLock).rough, true);
+
+  const racy = normalizeConfig({ producers: 1, consumers: 1, syncMode: 'nosync', transferSpeed: 6, timings });
+  assert.strictEqual(predictionForConfig(racy).rough, true);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { traceToJSON, traceToCSV, parseTrace, TraceReplay } = require('../public/engine');
+const { createSim, runSim, itemIds } = require('./helpers');
+
+function assertReplayMatches(replay, sim) {
+  replay.seekIndex(replay.events.length);
+  assert.strictEqual(replay.bufferCapacity, sim.bufferCapacity);
+  assert.deepStrictEqual(itemIds(replay.buffer), itemIds(sim.buffer));
+  assert.strictEqual(replay.itemsCount, sim.itemsCount);
+  assert.strictEqual(replay.writeIndex, sim.writeIndex);
+  assert.strictEqual(replay.readIndex, sim.readIndex);
+  assert.deepStrictEqual(replay.allThreads().map(t => [t.key, t.state, t.count]),
+    sim.allThreads().map(t => [t.key, t.state, t.count]));
+}
+
+['sync', 'semaphore', 'nosync'].forEach(syncMode => {
+  test(`JSON export round-trips into a matching replay (${syncMode})`, () => {
+    const sim = runSim(createSim({ syncMode }), 15000);
+    const doc = parseTrace(JSON.stringify(traceToJSON(sim)));
+    assert.deepStrictEqual(doc.config, sim.config);
+    assert.deepStrictEqual(doc.events, sim.trace);
+
+    const replay = new TraceReplay(doc);
+    assertReplayMatches(replay, sim);
+    assert.deepStrictEqual(replay.raceReport(), sim.raceReport());
+    assert.deepStrictEqual(replay.latencySummary(), sim.latencySummary());
+  });
+});
+
+test('CSV export round-trips into a matching replay', () => {
+  const sim = runSim(createSim({ syncMode: 'sync' }), 15000);
+  const doc = parseTrace(traceToCSV(sim.trace));
+  assert.strictEqual(doc.config, null);
+  assert.strictEqual(doc.events.length, sim.trace.length);
+
+  const replay = new TraceReplay(doc);
+  assert.strictEqual(replay.config.syncMode, 'sync');
+  assertReplayMatches(replay, sim);
+});
+
+test('a replay counts consumes by the mode they ran in', () => {
+  // NO-SYNC races leave holes the safe modes then read as empty slots
+  const sim = createSim({ seed: 4, producers: 4, consumers: 3, producerDelay: 100, consumerDelay: 120, syncMode: 'nosync' });
+  sim.start();
+  for (let k = 0; k < 30; k++) {
+    sim.runFor(500);
+    sim.setSyncMode(k % 2 === 0 ? 'sync' : 'nosync');
+  }
+  sim.runFor(500);
+  let mode = 'nosync';
+  const emptySafeReads = sim.trace.filter(ev => {
+    if (ev.action === 'mode') mode = ev.cond;
+    return ev.action === 'consume' && ev.itemId === null && mode !== 'nosync';
+  });
+  assert.ok(emptySafeReads.length > 0);
+
+  const replay = new TraceReplay(parseTrace(JSON.stringify(traceToJSON(sim))));
+  replay.seekIndex(replay.events.length);
+  assert.deepStrictEqual(replay.allThreads().map(t => t.count), sim.allThreads().map(t => t.count));
+});
+
+test('seeking a replay backwards rebuilds the earlier state', () => {
+  const sim = runSim(createSim({ syncMode: 'semaphore' }), 15000);
+  const replay = new TraceReplay(parseTrace(JSON.stringify(traceToJSON(sim))));
+  replay.seekIndex(300);
+  const early = replay._modelState();
+  replay.seekIndex(replay.events.length);
+  replay.seekIndex(300);
+  assert.deepStrictEqual(replay._modelState(), early);
+});
+
+test('parseTrace rejects malformed input', () => {
+  assert.throws(() => parseTrace(''), /empty/);
+  assert.throws(() => parseTrace('{"events": 3}'), /no "events" array/);
+  assert.throws(() => parseTrace('a,b\n1,2'), /needs at least/);
+});